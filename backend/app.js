@@ -4,13 +4,21 @@ require('dotenv').config();
 // Dependencies
 const express = require('express');
 const bodyParser = require('body-parser');
+const cookieParser = require('cookie-parser');
 const cors = require('cors');
 const { metricsMiddleware, metricsEndpoint } = require('./middleware/metrics');
 const { securityMiddleware, corsConfig, contentTypeValidation, requestIdMiddleware } = require('./middleware/security');
+const { csrfProtection } = require('./middleware/tokenCookies');
+const { resolveTenant } = require('./middleware/tenant');
 
 // App Config
 const app = express();
 
+// Trust the reverse proxy so req.ip (used for rate limiting) is the client IP
+if (process.env.TRUST_PROXY === 'true') {
+  app.set('trust proxy', 1);
+}
+
 // Security headers middleware (must be first)
 app.use(securityMiddleware());
 
@@ -24,8 +32,15 @@ app.use(bodyParser.urlencoded({ limit: '50mb', extended: true }));
 // Content-Type validation middleware
 app.use(contentTypeValidation);
 
+// Tenant from the X-API-Key or Host header; CORS and everything after it are per tenant
+app.use(resolveTenant);
+
 // CORS Middleware with proper configuration
-app.use(cors(corsConfig()));
+app.use(cors((req, callback) => callback(null, corsConfig(req.tenant))));
+
+// Token cookies (TOKEN_DELIVERY=cookie) and the CSRF check for requests that carry them
+app.use(cookieParser());
+app.use(csrfProtection);
 
 // Metrics middleware
 app.use(metricsMiddleware);
@@ -61,6 +76,14 @@ app.use(authPass.session());
 const authRoute = require('./routes/auth/routes.js');
 app.use('/api/auth/', authRoute);
 
+// Admin Routes
+const adminRoute = require('./routes/admin/routes.js');
+app.use('/api/admin/', adminRoute);
+
+// OpenID Connect Provider Routes
+const oauthRoute = require('./routes/oauth/routes.js');
+app.use('/oauth/', oauthRoute);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', service: 'magic-link-demo' });
@@ -69,6 +92,20 @@ app.get('/health', (req, res) => {
 // Metrics endpoint
 app.get('/metrics', metricsEndpoint);
 
+// Public signing keys so other services can verify access tokens
+const tokenService = require('./services/token');
+app.get('/.well-known/jwks.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(tokenService.keyRing.getJwks());
+});
+
+// OpenID Connect discovery metadata
+const oidcService = require('./services/oidc');
+app.get('/.well-known/openid-configuration', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=300');
+  res.json(oidcService.discovery());
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   const statusCode = err.status || 500;
@@ -96,44 +133,79 @@ app.use((err, req, res, next) => {
 // Catch unhandled requests
 app.all('/*', (_, res) => { res.sendStatus(404); });
 
-// Expose app
+// Expose app once the database schema is current
 const PORT = process.env.PORT || 5050;
-var server = app.listen(PORT, () => {
-  console.log(`🚀 Magic Link Demo Server listening on port ${PORT}`);
-  console.log(`💌 Email service: Resend`);
-  console.log(`🔑 Auth: Magic Link + JWT`);
-  console.log(`📊 Metrics available at /metrics`);
-});
-
-server.setTimeout(330000); // 5min 30s
+const { ensureMigrated } = require('./db/migrate');
+const emailQueue = require('./services/emailQueue');
+const cleanupService = require('./services/cleanup');
+var server = null;
+
+// Serve, run the workers and handle shutdown; only when started directly
+// (`npm start`), so tests can import the app without a server
+function start() {
+  ensureMigrated()
+    .then(() => {
+      server = app.listen(PORT, () => {
+        console.log(`🚀 Magic Link Demo Server listening on port ${PORT}`);
+        console.log(`💌 Email transport: ${process.env.EMAIL_TRANSPORT || 'resend'}`);
+        console.log(`🔑 Auth: Magic Link + JWT`);
+        console.log(`📊 Metrics available at /metrics`);
+      });
+
+      server.setTimeout(330000); // 5min 30s
+
+      // Email delivery worker (set EMAIL_WORKER_ENABLED=false on replicas that should only enqueue)
+      if (process.env.EMAIL_WORKER_ENABLED !== 'false') {
+        emailQueue.startWorker();
+      }
+
+      // Expired token cleanup (a Redis lock keeps replicas from sweeping at once)
+      if (process.env.CLEANUP_ENABLED !== 'false') {
+        cleanupService.startScheduler();
+      }
+    })
+    .catch((error) => {
+      console.error('💥 Database migration check failed:', error.message);
+      process.exit(1);
+    });
+
+  // Graceful shutdown
+  async function gracefulShutdown(signal) {
+    console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
+    emailQueue.stopWorker();
+    cleanupService.stopScheduler();
+
+    if (!server) process.exit(0);
+    server.close(() => {
+      console.log('✅ Server closed');
+      process.exit(0);
+    });
+
+    // Force exit after 5 seconds
+    setTimeout(() => {
+      console.error('⏰ Graceful shutdown timed out, forcing exit');
+      process.exit(1);
+    }, 5000);
+  }
+
+  // Register shutdown handlers
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    console.error('💥 Uncaught Exception:', error);
+    gracefulShutdown('uncaughtException');
+  });
 
-// Graceful shutdown
-async function gracefulShutdown(signal) {
-  console.log(`\n🛑 Received ${signal}. Starting graceful shutdown...`);
-  
-  server.close(() => {
-    console.log('✅ Server closed');
-    process.exit(0);
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
+    gracefulShutdown('unhandledRejection');
   });
-  
-  // Force exit after 5 seconds
-  setTimeout(() => {
-    console.error('⏰ Graceful shutdown timed out, forcing exit');
-    process.exit(1);
-  }, 5000);
 }
 
-// Register shutdown handlers
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
-
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  console.error('💥 Uncaught Exception:', error);
-  gracefulShutdown('uncaughtException');
-});
+if (require.main === module) {
+  start();
+}
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('💥 Unhandled Rejection at:', promise, 'reason:', reason);
-  gracefulShutdown('unhandledRejection');
-});
\ No newline at end of file
+module.exports = app;
@@ -1,36 +1,58 @@
 // Dependencies
-const crypto = require('crypto');
 var Passport = require('passport').Passport;
 var LocalStrategy = require('passport-local').Strategy;
-
-// Constants
-const HASH_ITERATIONS = parseInt(process.env.HASH_ITERATIONS);
+const passwordService = require('../services/password');
+const lockoutService = require('../services/lockout');
+const emailAddress = require('../services/emailAddress');
 
 // DB
-const knex = require('knex')(require('../knexfile.js').development);
+const db = require('../db');
 
 // Sign In Logic
-async function db_verifyUser(username, password, cb) {
+async function db_verifyUser(req, username, password, cb) {
   const email = username;
   try {
-    var err_code = null;
-    // Try login consultant
-    const db_resp = await knex('Users_Auth').join('Users', 'Users_Auth.user_id', 'Users.id').where('Users.email', email).select('Users_Auth.salt AS salt', 'Users_Auth.hash AS hash', 'Users_Auth.user_id AS uid', 'Users.is_banned AS is_banned').limit(1).catch(db_err => { if (db_err) err_code = db_err.code; });
-    if (err_code || db_resp.length <= 0) return cb(null, false, { message: 'Misc Login Error' });
+    // Turn away locked out emails and addresses before hashing anything
+    const lockout = await lockoutService.check({ tenantId: req.tenant.id, email, ip: req.ip, attemptType: 'password' });
+    if (lockout.blocked) {
+      return cb(null, false, { message: 'Too many failed attempts.', scope: lockout.scope, retryAfter: lockout.retryAfter });
+    }
+
+    const db_resp = await db.query(
+      'SELECT id, email, role, status, password_hash, password_salt FROM users WHERE tenant_id = $1 AND email_canonical = $2 LIMIT 1',
+      [req.tenant.id, emailAddress.canonicalize(String(email))]
+    );
+    const user = db_resp.rows[0];
+    if (!user) {
+      await passwordService.dummyVerify(password);
+      await lockoutService.recordFailure({ tenantId: req.tenant.id, email, ip: req.ip, attemptType: 'password' });
+      return cb(null, false, { message: 'Incorrect email or password.' });
+    }
 
-    // Check if user is banned
-    if (db_resp[0].is_banned === 1) {
+    const valid = await passwordService.verifyPassword(password, user.password_hash, user.password_salt);
+    if (!valid) {
+      await lockoutService.recordFailure({ tenantId: req.tenant.id, email, ip: req.ip, attemptType: 'password' });
       return cb(null, false, { message: 'Incorrect email or password.' });
     }
 
-    crypto.pbkdf2(password, db_resp[0].salt, HASH_ITERATIONS, 32, 'sha256', async function(err, hashed_input) {
-      if (err) return cb(null, false, { message: 'Misc Authentication Error' });
-      if (db_resp[0].hash !== hashed_input.toString('base64')) return cb(null, false, { message: 'Incorrect email or password.' });
+    // Upgrade the stored hash if it was made with older parameters
+    if (passwordService.needsRehash(user.password_hash)) {
+      const { hash, salt } = await passwordService.hashPassword(password);
+      await db.query('UPDATE users SET password_hash = $1, password_salt = $2 WHERE id = $3', [hash, salt, user.id]);
+    }
+
+    // Right password, but the address hasn't been verified yet or an admin has shut the account
+    if (user.status === 'pending') {
+      return cb(null, false, { message: 'Email not verified.', unverified: true });
+    }
+    if (user.status !== 'active') {
+      return cb(null, false, { message: 'Account disabled.', inactive: true });
+    }
 
-      // Confirmed sign-in
-      return cb(null, { 'id': db_resp[0].uid, 'username': email });
-    });
+    // Confirmed sign-in
+    return cb(null, { 'id': user.id, 'username': user.email, 'email': user.email, 'role': user.role });
   } catch (err) {
+    console.error('Password verification error:', err.message);
     return cb(null, false, {message: "Misc Error"});
   }
 }
@@ -38,7 +60,7 @@ async function db_verifyUser(username, password, cb) {
 // Initialize and export Passport
 var nativePass = new Passport();
 
-nativePass.use(new LocalStrategy(db_verifyUser));
+nativePass.use(new LocalStrategy({ usernameField: 'email', passwordField: 'password', passReqToCallback: true }, db_verifyUser));
 
 nativePass.serializeUser(function(user, cb) {
   process.nextTick(function() {
@@ -22,24 +22,254 @@ const tokenBlacklistClient = new Redis({
     }
 });
 
+// Redis client for the email delivery queue
+const emailQueueClient = new Redis({
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    keyPrefix: 'email-queue:',
+    retryStrategy: (times) => {
+        const delay = Math.min(times * 50, 2000);
+        return delay;
+    }
+});
+
+// Redis client for cross-replica locks
+const lockClient = new Redis({
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    keyPrefix: 'lock:',
+    retryStrategy: (times) => {
+        const delay = Math.min(times * 50, 2000);
+        return delay;
+    }
+});
+
+// Redis client for one-time WebAuthn challenges
+const challengeClient = new Redis({
+    host: process.env.REDIS_HOST || 'localhost',
+    port: process.env.REDIS_PORT || 6379,
+    keyPrefix: 'challenge:',
+    retryStrategy: (times) => {
+        const delay = Math.min(times * 50, 2000);
+        return delay;
+    }
+});
+
+// Sliding window log: drop entries older than the window, then admit the
+// request only if the remaining count is under the limit. Uses the Redis
+// clock so every replica agrees on the window boundaries.
+rateLimitClient.defineCommand('slidingWindowHit', {
+    numberOfKeys: 1,
+    lua: `
+        local time = redis.call('TIME')
+        local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+        local window = tonumber(ARGV[1])
+        local limit = tonumber(ARGV[2])
+
+        redis.call('ZREMRANGEBYSCORE', KEYS[1], 0, now - window)
+        local count = redis.call('ZCARD', KEYS[1])
+        local allowed = 0
+        if count < limit then
+            redis.call('ZADD', KEYS[1], now, now .. '-' .. ARGV[3])
+            count = count + 1
+            allowed = 1
+        end
+        redis.call('PEXPIRE', KEYS[1], window)
+
+        local resetMs = window
+        local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+        if oldest[2] then
+            resetMs = tonumber(oldest[2]) + window - now
+        end
+        return { allowed, count, resetMs }
+    `
+});
+
 // Rate limiting functions
 const rateLimit = {
-    async increment(key, windowSecs) {
-        const multi = rateLimitClient.multi();
-        multi.incr(key);
-        multi.expire(key, windowSecs);
-        const results = await multi.exec();
-        return results[0][1]; // Return incremented value
+    async hit(key, windowSecs, maxRequests) {
+        const [allowed, count, resetMs] = await rateLimitClient.slidingWindowHit(
+            key,
+            windowSecs * 1000,
+            maxRequests,
+            Math.random().toString(36).substr(2, 9)
+        );
+        return {
+            allowed: allowed === 1,
+            count,
+            remaining: Math.max(0, maxRequests - count),
+            resetSecs: Math.max(1, Math.ceil(resetMs / 1000))
+        };
     },
 
-    async isOverLimit(key, limit) {
-        const count = await rateLimitClient.get(key);
-        return count ? parseInt(count) > limit : false;
+    // True only for the first caller per key until it expires
+    async markOnce(key, ttlSecs) {
+        return (await rateLimitClient.set(`once:${key}`, '1', 'EX', ttlSecs, 'NX')) === 'OK';
     },
 
     getKey(type, identifier) {
-        const timestamp = Math.floor(Date.now() / 60000); // Per minute window
-        return `${type}:${identifier}:${timestamp}`;
+        return `${type}:${identifier}`;
+    }
+};
+
+// Move due jobs from the schedule to the processing set, where they stay
+// invisible to other workers until the visibility deadline passes
+emailQueueClient.defineCommand('claimDueJobs', {
+    numberOfKeys: 2,
+    lua: `
+        local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, tonumber(ARGV[3]))
+        for _, id in ipairs(ids) do
+            redis.call('ZREM', KEYS[1], id)
+            redis.call('ZADD', KEYS[2], tonumber(ARGV[1]) + tonumber(ARGV[2]), id)
+        end
+        return ids
+    `
+});
+
+// Put jobs whose worker died mid-send back on the schedule
+emailQueueClient.defineCommand('requeueStaleJobs', {
+    numberOfKeys: 2,
+    lua: `
+        local ids = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+        for _, id in ipairs(ids) do
+            redis.call('ZREM', KEYS[1], id)
+            redis.call('ZADD', KEYS[2], ARGV[1], id)
+        end
+        return #ids
+    `
+});
+
+// Release or extend a lock only while the caller still owns it
+lockClient.defineCommand('releaseLock', {
+    numberOfKeys: 1,
+    lua: `
+        if redis.call('GET', KEYS[1]) == ARGV[1] then
+            return redis.call('DEL', KEYS[1])
+        end
+        return 0
+    `
+});
+
+lockClient.defineCommand('extendLock', {
+    numberOfKeys: 1,
+    lua: `
+        if redis.call('GET', KEYS[1]) == ARGV[1] then
+            return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+        end
+        return 0
+    `
+});
+
+// Lock functions
+// acquire resolves to an owner token to pass to extend/release, or null if held elsewhere
+const locks = {
+    async acquire(name, ttlMs) {
+        const owner = `${process.pid}:${Math.random().toString(36).substr(2, 9)}`;
+        const result = await lockClient.set(name, owner, 'PX', ttlMs, 'NX');
+        return result === 'OK' ? owner : null;
+    },
+
+    async extend(name, owner, ttlMs) {
+        return (await lockClient.extendLock(name, owner, ttlMs)) === 1;
+    },
+
+    async release(name, owner) {
+        return (await lockClient.releaseLock(name, owner)) === 1;
+    }
+};
+
+// Email queue functions
+// jobs: hash of id -> JSON payload, pending: ids by enqueue time,
+// scheduled: ids by next run time, processing: ids by visibility deadline,
+// dead: ids by dead-letter time
+const emailQueue = {
+    async enqueue(job, runAt = Date.now()) {
+        await emailQueueClient.multi()
+            .hset('jobs', job.id, JSON.stringify(job))
+            .zadd('pending', job.enqueuedAt, job.id)
+            .zadd('scheduled', runAt, job.id)
+            .exec();
+    },
+
+    async claimDue(limit, visibilityMs) {
+        const now = Date.now();
+        await emailQueueClient.requeueStaleJobs('processing', 'scheduled', now);
+        return emailQueueClient.claimDueJobs('scheduled', 'processing', now, visibilityMs, limit);
+    },
+
+    async getJob(id) {
+        const raw = await emailQueueClient.hget('jobs', id);
+        return raw ? JSON.parse(raw) : null;
+    },
+
+    async complete(id) {
+        await emailQueueClient.multi()
+            .hdel('jobs', id)
+            .zrem('pending', id)
+            .zrem('processing', id)
+            .exec();
+    },
+
+    async retry(job, runAt) {
+        await emailQueueClient.multi()
+            .hset('jobs', job.id, JSON.stringify(job))
+            .zrem('processing', job.id)
+            .zadd('scheduled', runAt, job.id)
+            .exec();
+    },
+
+    async deadLetter(job) {
+        await emailQueueClient.multi()
+            .hset('jobs', job.id, JSON.stringify(job))
+            .zrem('processing', job.id)
+            .zrem('pending', job.id)
+            .zadd('dead', Date.now(), job.id)
+            .exec();
+    },
+
+    async stats() {
+        const results = await emailQueueClient.multi()
+            .zcard('scheduled')
+            .zcard('processing')
+            .zcard('dead')
+            .zrange('pending', 0, 0, 'WITHSCORES')
+            .exec();
+        const oldest = results[3][1];
+        return {
+            scheduled: results[0][1],
+            processing: results[1][1],
+            dead: results[2][1],
+            oldestEnqueuedAt: oldest.length ? parseInt(oldest[1]) : null
+        };
+    }
+};
+
+// Challenge functions
+// take reads and deletes in one step, so each challenge can be answered once
+const challenges = {
+    async put(key, value, ttlSecs) {
+        await challengeClient.setex(key, ttlSecs, JSON.stringify(value));
+    },
+
+    async get(key) {
+        const raw = await challengeClient.get(key);
+        return raw ? JSON.parse(raw) : null;
+    },
+
+    async take(key) {
+        const [[, raw]] = await challengeClient.multi().get(key).del(key).exec();
+        return raw ? JSON.parse(raw) : null;
+    },
+
+    // Count a wrong answer to a challenge; resolves to the count so far
+    async countAttempt(key, ttlSecs) {
+        const [[, count]] = await challengeClient.multi().incr(`${key}:attempts`).expire(`${key}:attempts`, ttlSecs).exec();
+        return count;
+    },
+
+    // True the first time a key is seen until it expires, for one-time values like DPoP proof jtis
+    async markUsed(key, ttlSecs) {
+        return (await challengeClient.set(key, '1', 'EX', ttlSecs, 'NX')) === 'OK';
     }
 };
 
@@ -55,6 +285,15 @@ const tokenBlacklist = {
 
     async getReason(token) {
         return await tokenBlacklistClient.get(token);
+    },
+
+    // Revoke every access token minted for a session (refresh token family)
+    async revokeSession(sessionId, reason = 'revoked', expiresIn = 900) {
+        await tokenBlacklistClient.setex(`session:${sessionId}`, expiresIn, reason);
+    },
+
+    async isSessionRevoked(sessionId) {
+        return await tokenBlacklistClient.exists(`session:${sessionId}`);
     }
 };
 
@@ -77,7 +316,13 @@ const metrics = {
 module.exports = {
     rateLimitClient,
     tokenBlacklistClient,
+    emailQueueClient,
+    lockClient,
+    challengeClient,
     rateLimit,
     tokenBlacklist,
+    emailQueue,
+    locks,
+    challenges,
     metrics
 }; 
\ No newline at end of file
@@ -1,12 +1,10 @@
 const { Pool } = require('pg');
+const { config } = require('./knex');
 
+// Same connection settings as knex, so the pool follows the knexfile environment
 const pool = new Pool({
-    user: process.env.POSTGRES_USER,
-    host: process.env.POSTGRES_HOST,
-    database: process.env.POSTGRES_DB,
-    password: process.env.POSTGRES_PASSWORD,
-    port: process.env.POSTGRES_PORT,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+    ...config.connection,
+    ssl: config.connection.ssl || false,
     max: 20, // Maximum number of clients in the pool
     idleTimeoutMillis: 30000,
     connectionTimeoutMillis: 2000,
@@ -45,7 +43,24 @@ const query = async (text, params) => {
     }
 };
 
+// Run a callback inside a transaction on a dedicated client
+const transaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+};
+
 module.exports = {
     query,
+    transaction,
     pool,
 }; 
\ No newline at end of file
@@ -0,0 +1,13 @@
+const knexConfig = require('../knexfile');
+
+// Pick the knexfile environment matching NODE_ENV (development by default)
+const environment = process.env.NODE_ENV || 'development';
+if (!knexConfig[environment]) {
+    throw new Error(`No knexfile configuration for NODE_ENV=${environment}`);
+}
+
+const knex = require('knex')(knexConfig[environment]);
+
+module.exports = knex;
+module.exports.environment = environment;
+module.exports.config = knexConfig[environment];
@@ -0,0 +1,35 @@
+const knex = require('./knex');
+
+/**
+ * Migration state for the current knexfile environment
+ * @returns {Promise<{completed: string[], pending: string[]}>}
+ */
+async function migrationStatus() {
+    const [completed, pending] = await knex.migrate.list();
+    return {
+        completed: completed.map(migration => migration.name),
+        pending: pending.map(migration => migration.file)
+    };
+}
+
+/**
+ * Make sure the database schema is current before the app serves requests.
+ * With MIGRATE_ON_START=true pending migrations are applied; otherwise
+ * startup fails and the migrations have to be run with `npm run migrate:latest`.
+ */
+async function ensureMigrated() {
+    const { pending } = await migrationStatus();
+    if (!pending.length) return;
+
+    if (process.env.MIGRATE_ON_START !== 'true') {
+        throw new Error(`Database has ${pending.length} pending migration(s): ${pending.join(', ')}. Run \`npm run migrate:latest\``);
+    }
+
+    const [batch, applied] = await knex.migrate.latest();
+    console.log(`🗄️  Applied migration batch ${batch}:`, applied);
+}
+
+module.exports = {
+    migrationStatus,
+    ensureMigrated
+};
@@ -0,0 +1,26 @@
+const { createResendTransport } = require('./resend');
+const { createSmtpTransport } = require('./smtp');
+const { createOutboxTransport } = require('./outbox');
+
+const TRANSPORTS = {
+    resend: createResendTransport,
+    smtp: createSmtpTransport,
+    outbox: createOutboxTransport,
+};
+
+/**
+ * Create the transport named by EMAIL_TRANSPORT (resend, smtp or outbox).
+ * Every transport exposes `name` and `send({ from, replyTo, to, subject, html, text })`,
+ * which resolves to `{ id }` and throws when the message was not accepted.
+ */
+function createEmailTransport(name = process.env.EMAIL_TRANSPORT || 'resend') {
+    const create = TRANSPORTS[name];
+    if (!create) {
+        throw new Error(`Unknown EMAIL_TRANSPORT "${name}"; use one of ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    return create();
+}
+
+module.exports = {
+    createEmailTransport,
+};
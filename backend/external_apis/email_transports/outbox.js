@@ -0,0 +1,58 @@
+// Dependencies
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Local outbox transport for development and tests.
+ * Messages are kept in memory (see `messages`) and, when EMAIL_OUTBOX_DIR
+ * is set, also written there as one JSON file per message.
+ */
+function createOutboxTransport({ dir = process.env.EMAIL_OUTBOX_DIR } = {}) {
+    const messages = [];
+
+    if (dir) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    return {
+        name: 'outbox',
+        messages,
+
+        async send({ from, replyTo, to, subject, html, text }) {
+            const message = {
+                id: crypto.randomUUID(),
+                from,
+                replyTo,
+                to,
+                subject,
+                html,
+                text,
+                sentAt: new Date().toISOString()
+            };
+            messages.push(message);
+
+            if (dir) {
+                const file = path.join(dir, `${message.sentAt.replace(/[:.]/g, '-')}_${message.id}.json`);
+                await fs.promises.writeFile(file, JSON.stringify(message, null, 2));
+            }
+
+            console.log('📬 Email written to outbox:', { to, subject });
+            return { id: message.id };
+        },
+
+        // Most recent message, optionally for one recipient
+        last(recipient) {
+            const matching = recipient ? messages.filter(message => message.to === recipient) : messages;
+            return matching[matching.length - 1] || null;
+        },
+
+        clear() {
+            messages.length = 0;
+        }
+    };
+}
+
+module.exports = {
+    createOutboxTransport,
+};
@@ -0,0 +1,28 @@
+// Dependencies
+const { Resend } = require('resend');
+
+/**
+ * Resend API transport
+ */
+function createResendTransport() {
+    console.log('🔑 Resend API Key:', process.env.RESEND_API_KEY ? '✅ Present' : '❌ Missing');
+    const resend = new Resend(process.env.RESEND_API_KEY);
+
+    return {
+        name: 'resend',
+
+        async send({ from, replyTo, to, subject, html, text }) {
+            const { data, error } = await resend.emails.send({ from, replyTo, to, subject, html, text });
+            if (error) {
+                const sendError = new Error(`Resend delivery failed: ${error.message || error.name}`);
+                sendError.cause = error;
+                throw sendError;
+            }
+            return { id: data?.id };
+        }
+    };
+}
+
+module.exports = {
+    createResendTransport,
+};
@@ -0,0 +1,37 @@
+// Dependencies
+const nodemailer = require('nodemailer');
+
+/**
+ * SMTP transport via nodemailer
+ */
+function createSmtpTransport() {
+    if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is required when EMAIL_TRANSPORT=smtp');
+    }
+
+    const port = parseInt(process.env.SMTP_PORT) || 587;
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port,
+        secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+            : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send({ from, replyTo, to, subject, html, text }) {
+            const info = await transporter.sendMail({ from, replyTo, to, subject, html, text });
+            if (info.rejected && info.rejected.length) {
+                throw new Error(`SMTP delivery rejected for: ${info.rejected.join(', ')}`);
+            }
+            return { id: info.messageId };
+        }
+    };
+}
+
+module.exports = {
+    createSmtpTransport,
+};
@@ -1,58 +1,87 @@
 // Dependencies
-const { Resend } = require('resend');
-console.log('🔑 Resend API Key:', process.env.RESEND_API_KEY ? '✅ Present' : '❌ Missing');
-const resend = new Resend(process.env.RESEND_API_KEY);
+const { createEmailTransport } = require('./email_transports');
+
+// Transport is picked by EMAIL_TRANSPORT (resend, smtp or outbox)
+const transport = createEmailTransport();
 
 // Template Imports
 const {
   resend_template_OtpLogin,
+  resend_template_EmailVerification,
 } = require('./resend_utils/templates/index');
+const { DEFAULT_BRAND } = require('./resend_utils/templates/brand');
 
 // Sender Constants
-const FROM_EMAIL = 'Magic Link Demo <onboarding@resend.dev>';
-const REPLY_TO_EMAIL = 'Magic Link Demo <onboarding@resend.dev>';
+const FROM_EMAIL = process.env.EMAIL_FROM || 'Magic Link Demo <onboarding@resend.dev>';
+const REPLY_TO_EMAIL = process.env.EMAIL_REPLY_TO || FROM_EMAIL;
 
 // Helper Functions
-async function resend_sendEmail(recipient_email, subject, html) {
+// sender ({ from, replyTo }) overrides the EMAIL_FROM / EMAIL_REPLY_TO defaults, e.g. per tenant
+async function resend_sendEmail(recipient_email, subject, html, sender = {}) {
     try {
         console.log('📧 Attempting to send email to:', recipient_email);
-        const { data, error } = await resend.emails.send({
-            from: FROM_EMAIL,
-            replyTo: REPLY_TO_EMAIL,
+        const from = sender.from || FROM_EMAIL;
+        const data = await transport.send({
+            from,
+            replyTo: sender.replyTo || (sender.from ? from : REPLY_TO_EMAIL),
             to: recipient_email,
             subject,
             html,
         });
-        if (error) {
-            console.error('❌ Email send error:', error);
-            return { error };
-        }
         console.log('✅ Email sent successfully:', data);
         return data;
     } catch (error) {
-        console.error('❌ Email send exception:', error);
-        return { error };
+        console.error('❌ Email send error:', error);
+        throw error;
     }
 }
 
+/**
+ * Build OTP email content
+ * @param {string} otp_link - The OTP link
+ * @param {string|null} otp_code - Optional numeric code to enter instead of clicking
+ * @param {Object} options - { ttlMinutes, brand: { productName, brandColor, logoUrl, signInSubject } }
+ * @returns {{subject: string, html: string}}
+*/
+function resend_buildOtpEmail(otp_link, otp_code = null, { ttlMinutes = 15, brand = {} } = {}) {
+  return {
+    subject: brand.signInSubject || `Sign In to ${brand.productName || DEFAULT_BRAND.productName}`,
+    html: resend_template_OtpLogin(otp_link, otp_code, ttlMinutes, brand),
+  };
+}
+
+/**
+ * Build email verification content
+ * @param {string} verify_link - The verification link
+ * @param {number} ttl_hours - How long the link stays valid
+ * @param {Object} brand - { productName, brandColor, logoUrl, verificationSubject }
+ * @returns {{subject: string, html: string}}
+*/
+function resend_buildVerificationEmail(verify_link, ttl_hours, brand = {}) {
+  return {
+    subject: brand.verificationSubject || `Verify your email for ${brand.productName || DEFAULT_BRAND.productName}`,
+    html: resend_template_EmailVerification(verify_link, ttl_hours, brand),
+  };
+}
+
 /**
  * Send OTP email
  * @param {string} recipient_email - The email address of the recipient
  * @param {string} otp_link - The OTP link
- * @returns {Promise<object>}
+ * @param {string|null} otp_code - Optional numeric code to enter instead of clicking
+ * @returns {Promise<object>} Transport result; throws if delivery failed
 */
-async function resend_sendOtpEmail(recipient_email, otp_link) {
-  try {
-    console.log('🔗 Generating OTP email with link:', otp_link);
-    const html = resend_template_OtpLogin(otp_link);
-    return await resend_sendEmail(recipient_email, 'Sign In to Magic Link Demo', html);
-  } catch (error) {
-    console.error('❌ OTP email error:', error);
-    return { error };
-  }
+async function resend_sendOtpEmail(recipient_email, otp_link, otp_code = null) {
+  console.log('🔗 Generating OTP email with link:', otp_link);
+  const { subject, html } = resend_buildOtpEmail(otp_link, otp_code);
+  return await resend_sendEmail(recipient_email, subject, html);
 }
 
 // Export
 module.exports = {
+    resend_sendEmail,
+    resend_buildOtpEmail,
+    resend_buildVerificationEmail,
     resend_sendOtpEmail,
-};
\ No newline at end of file
+    emailTransport: transport,
+};
@@ -0,0 +1,30 @@
+// Per-tenant branding shared by the templates. Tenant settings end up in
+// HTML, so every value is escaped and the colour must be a hex code.
+const DEFAULT_BRAND = {
+    productName: 'Magic Link Demo',
+    brandColor: '#1a73e8',
+    logoUrl: null
+};
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Fill in and escape branding for a template
+ * @param {Object} brand - { productName, brandColor, logoUrl }, any of them optional
+ * @returns {{productName: string, brandColor: string, logoImg: string}} logoImg is an <img> tag or ''
+ */
+function resolveBrand(brand = {}) {
+    const logoUrl = brand.logoUrl && /^https:\/\//.test(brand.logoUrl) ? brand.logoUrl : DEFAULT_BRAND.logoUrl;
+    return {
+        productName: escapeHtml(brand.productName || DEFAULT_BRAND.productName),
+        brandColor: /^#[0-9a-fA-F]{6}$/.test(brand.brandColor || '') ? brand.brandColor : DEFAULT_BRAND.brandColor,
+        logoImg: logoUrl ? `<img src="${escapeHtml(logoUrl)}" alt="" height="48" style="margin-bottom: 12px;">` : ''
+    };
+}
+
+module.exports = {
+    DEFAULT_BRAND,
+    resolveBrand,
+};
@@ -0,0 +1,92 @@
+const { resolveBrand } = require('./brand');
+
+function resend_template_EmailVerification(verify_link, ttl_hours, brand = {}) {
+    const { productName, brandColor, logoImg } = resolveBrand(brand);
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <title>Verify Your Email</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <style>
+            body {
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
+                line-height: 1.6;
+                color: #333;
+                max-width: 600px;
+                margin: 0 auto;
+                padding: 20px;
+            }
+            .container {
+                background-color: #ffffff;
+                border-radius: 8px;
+                box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+                padding: 30px;
+                margin-top: 20px;
+            }
+            .header {
+                text-align: center;
+                margin-bottom: 30px;
+            }
+            .title {
+                color: ${brandColor};
+                font-size: 24px;
+                font-weight: bold;
+                margin: 0;
+            }
+            .button {
+                display: inline-block;
+                background-color: ${brandColor};
+                color: white;
+                text-decoration: none;
+                padding: 12px 24px;
+                border-radius: 4px;
+                font-weight: 500;
+                margin: 20px 0;
+                text-align: center;
+            }
+            .button:hover {
+                filter: brightness(0.85);
+            }
+            .footer {
+                text-align: center;
+                font-size: 14px;
+                color: #666;
+                margin-top: 30px;
+            }
+            .note {
+                font-size: 14px;
+                color: #666;
+                margin-top: 20px;
+            }
+        </style>
+    </head>
+    <body>
+        <div class="container">
+            <div class="header">
+                ${logoImg}
+                <h1 class="title">Verify Your Email</h1>
+            </div>
+            
+            <p>Welcome!</p>
+            
+            <p>Please confirm this is your email address to finish creating your ${productName} account. This link will expire in ${ttl_hours} hours.</p>
+            
+            <div style="text-align: center;">
+                <a href="${verify_link}" class="button">Verify Email Address</a>
+            </div>
+            
+            <p class="note">If you didn't create an account, you can safely ignore this email and no account will be activated.</p>
+            
+            <div class="footer">
+                <p>This is an automated message, please do not reply to this email.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+}
+
+module.exports = {
+    resend_template_EmailVerification,
+};
\ No newline at end of file
@@ -1,5 +1,7 @@
 const { resend_template_OtpLogin } = require('./otp_login');
+const { resend_template_EmailVerification } = require('./email_verification');
 
 module.exports = {
     resend_template_OtpLogin,
+    resend_template_EmailVerification,
 };
@@ -1,4 +1,7 @@
-function resend_template_OtpLogin(otp_link) {
+const { resolveBrand } = require('./brand');
+
+function resend_template_OtpLogin(otp_link, otp_code = null, ttl_minutes = 15, brand = {}) {
+    const { productName, brandColor, logoImg } = resolveBrand(brand);
     return `
     <!DOCTYPE html>
     <html>
@@ -26,14 +29,14 @@ function resend_template_OtpLogin(otp_link) {
                 margin-bottom: 30px;
             }
             .title {
-                color: #1a73e8;
+                color: ${brandColor};
                 font-size: 24px;
                 font-weight: bold;
                 margin: 0;
             }
             .button {
                 display: inline-block;
-                background-color: #1a73e8;
+                background-color: ${brandColor};
                 color: white;
                 text-decoration: none;
                 padding: 12px 24px;
@@ -43,7 +46,7 @@ function resend_template_OtpLogin(otp_link) {
                 text-align: center;
             }
             .button:hover {
-                background-color: #1557b0;
+                filter: brightness(0.85);
             }
             .footer {
                 text-align: center;
@@ -51,6 +54,17 @@ function resend_template_OtpLogin(otp_link) {
                 color: #666;
                 margin-top: 30px;
             }
+            .code {
+                font-family: 'SFMono-Regular', Consolas, 'Liberation Mono', Menlo, monospace;
+                font-size: 32px;
+                font-weight: bold;
+                letter-spacing: 8px;
+                color: #333;
+                background-color: #f1f3f4;
+                border-radius: 4px;
+                padding: 12px 24px;
+                display: inline-block;
+            }
             .note {
                 font-size: 14px;
                 color: #666;
@@ -61,17 +75,25 @@ function resend_template_OtpLogin(otp_link) {
     <body>
         <div class="container">
             <div class="header">
+                ${logoImg}
                 <h1 class="title">Magic Link Sign In</h1>
             </div>
             
             <p>Hello!</p>
             
-            <p>Click the button below to sign in to your account. This link will expire in 15 minutes for security.</p>
+            <p>Click the button below to sign in to your ${productName} account. This link will expire in ${ttl_minutes} minutes for security.</p>
             
             <div style="text-align: center;">
                 <a href="${otp_link}" class="button">Sign In to Your Account</a>
             </div>
             
+            ${otp_code ? `
+            <p>Signing in on another device? Enter this code instead:</p>
+            
+            <div style="text-align: center;">
+                <span class="code">${otp_code}</span>
+            </div>
+            ` : ''}
             <p class="note">If you didn't request this sign-in link, you can safely ignore this email.</p>
             
             <div class="footer">
@@ -1,11 +1,46 @@
+// Database settings shared by knex (migrations, funs_db) and the pg pool in db/index.js.
+// Loads .env itself so the migration scripts see the same settings as the app.
+require('dotenv').config();
+
+const path = require('path');
+
+const connection = {
+  host: process.env.POSTGRES_HOST || 'db',
+  port: parseInt(process.env.POSTGRES_PORT) || 5432,
+  user: process.env.POSTGRES_USER,
+  password: process.env.POSTGRES_PASSWORD,
+  database: process.env.POSTGRES_DB
+};
+
+const migrations = {
+  directory: path.join(__dirname, 'migrations'),
+  tableName: 'knex_migrations'
+};
+
 module.exports = {
   development: {
+    client: 'pg',
+    connection,
+    migrations
+  },
+
+  // Tests get their own database so migrations and fixtures never touch dev data
+  test: {
+    client: 'pg',
+    connection: {
+      ...connection,
+      database: process.env.POSTGRES_TEST_DB || `${process.env.POSTGRES_DB}_test`
+    },
+    migrations
+  },
+
+  production: {
     client: 'pg',
     connection: {
-      host: process.env.POSTGRES_HOST || 'db',
-      user: process.env.POSTGRES_USER,
-      password: process.env.POSTGRES_PASSWORD,
-      database: process.env.POSTGRES_DB
-    }
+      ...connection,
+      ssl: { rejectUnauthorized: false }
+    },
+    pool: { min: 2, max: 10 },
+    migrations
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,165 @@
+const tokenService = require('../services/token');
+const dpopService = require('../services/dpop');
+const tenantService = require('../services/tenants');
+const HttpStatus = require('../types/HttpStatus');
+const { metrics } = require('./metrics');
+const { COOKIE_CONFIG, readAccessTokenCookie } = require('./tokenCookies');
+
+// Map verification failures to RFC 6750 error responses
+const ACCESS_TOKEN_ERRORS = {
+    'Access token expired': { code: 'token_expired', description: 'The access token expired' },
+    'Token is blacklisted': { code: 'token_revoked', description: 'The access token has been revoked' },
+    'Invalid access token': { code: 'token_invalid', description: 'The access token is malformed or has an invalid signature' }
+};
+
+/**
+ * Send a 401 with a WWW-Authenticate challenge
+ */
+function sendUnauthorized(res, code, description) {
+    const error = code === 'token_missing' ? 'invalid_request' : 'invalid_token';
+    res.set('WWW-Authenticate', `Bearer error="${error}", error_description="${description}"`);
+    return res.status(HttpStatus.UNAUTHORIZED_STATUS).json({
+        error: description,
+        code,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Send a 401 for a missing or bad DPoP proof (RFC 9449 section 7.1)
+ */
+function sendInvalidDpopProof(res, description) {
+    res.set('WWW-Authenticate', `DPoP error="invalid_dpop_proof", error_description="${description}", algs="${dpopService.config.algorithms.join(' ')}"`);
+    return res.status(HttpStatus.UNAUTHORIZED_STATUS).json({
+        error: description,
+        code: 'dpop_invalid',
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Build middleware that requires a valid JWT access token in the
+ * Authorization header (or, failing that, the access_token cookie set in
+ * cookie delivery mode), accepting only tokens for which accepts(claims, req)
+ * is true. Sets req.user from the token claims and req.accessToken to the raw token.
+ *
+ * A DPoP-bound token (cnf.jkt claim) must come with the DPoP scheme and a
+ * DPoP proof signed by the key it is bound to.
+ */
+function bearerAuth(accepts) {
+    return async (req, res, next) => {
+        const [scheme, token] = req.headers.authorization
+            ? req.headers.authorization.split(' ')
+            : ['Bearer', readAccessTokenCookie(req)];
+        const tokenScheme = scheme?.toLowerCase();
+        if (!['bearer', 'dpop'].includes(tokenScheme) || !token) {
+            return sendUnauthorized(res, 'token_missing', 'Bearer access token required');
+        }
+
+        try {
+            const claims = await tokenService.verifyAccessToken(token);
+            if (!accepts(claims, req)) {
+                return sendUnauthorized(res, 'token_invalid', 'The access token is not valid for this API');
+            }
+
+            const jkt = claims.cnf?.jkt;
+            if (Boolean(jkt) !== (tokenScheme === 'dpop')) {
+                return sendUnauthorized(res, 'token_invalid', jkt
+                    ? 'The access token is DPoP-bound and must use the DPoP scheme'
+                    : 'The access token is not DPoP-bound');
+            }
+            if (jkt) {
+                const proof = await dpopService.verifyProof(req.headers.dpop, {
+                    method: req.method,
+                    url: dpopService.requestUrl(req),
+                    accessToken: token
+                });
+                if (proof.failure || proof.jkt !== jkt) {
+                    metrics.dpopProofFailuresTotal.inc({ reason: proof.failure || 'key_mismatch' });
+                    return sendInvalidDpopProof(res, 'Missing or invalid DPoP proof');
+                }
+            }
+
+            req.user = {
+                id: claims.sub,
+                email: claims.email,
+                role: claims.role || 'user',
+                tenantId: tenantService.tenantOf(claims)
+            };
+            req.tokenClaims = claims;
+            req.accessToken = token;
+            return next();
+        } catch (error) {
+            const known = ACCESS_TOKEN_ERRORS[error.message];
+            if (known) {
+                return sendUnauthorized(res, known.code, known.description);
+            }
+            return next(error);
+        }
+    };
+}
+
+// First-party tokens only: a token handed to an OIDC client (client_id claim)
+// must not reach this app's own APIs, admin routes included. Nor may a token
+// issued for one tenant (tid claim) be used with another.
+const requireAccessToken = bearerAuth((claims, req) =>
+    !claims.client_id && tenantService.tenantOf(claims) === req.tenant?.id);
+
+// Tokens issued to OIDC clients, for /oauth/userinfo
+const requireClientAccessToken = bearerAuth(claims => Boolean(claims.client_id));
+
+/**
+ * For routes that issue tokens: if the client sent a DPoP proof, check it and
+ * set req.dpopJkt so the tokens are bound to its key. Without one the tokens
+ * are plain bearer tokens. Cookie delivery mode never binds, since the
+ * browser can't compute a proof's ath for a cookie it can't read.
+ */
+async function readDpopProof(req, res, next) {
+    if (!req.headers.dpop || COOKIE_CONFIG.mode === 'cookie') {
+        return next();
+    }
+
+    try {
+        const proof = await dpopService.verifyProof(req.headers.dpop, { method: req.method, url: dpopService.requestUrl(req) });
+        if (proof.failure) {
+            metrics.dpopProofFailuresTotal.inc({ reason: proof.failure });
+            console.error(`[${HttpStatus.BAD_REQUEST_STATUS}] DPoP proof rejected: ${proof.failure}`, { path: req.path, requestId: req.requestId });
+            return res.status(HttpStatus.BAD_REQUEST_STATUS).json({
+                error: 'Invalid DPoP proof',
+                code: 'dpop_invalid',
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        req.dpopJkt = proof.jkt;
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+}
+
+/**
+ * Require the authenticated user to hold one of the given roles, taken from
+ * the access token's role claim. Use after requireAccessToken.
+ *
+ *   router.use(requireAccessToken, requireRole('admin'));
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            return res.status(HttpStatus.FORBIDDEN_STATUS).json({
+                error: 'Insufficient role',
+                code: 'forbidden',
+                timestamp: new Date().toISOString()
+            });
+        }
+        return next();
+    };
+}
+
+module.exports = {
+    requireAccessToken,
+    requireClientAccessToken,
+    requireRole,
+    readDpopProof
+};
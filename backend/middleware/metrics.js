@@ -17,6 +17,12 @@ const magicLinkRequestsTotal = new client.Counter({
     help: 'Total number of magic link requests'
 });
 
+const magicLinkRequestsSuppressedTotal = new client.Counter({
+    name: 'magic_link_requests_suppressed_total',
+    help: 'Total number of magic link requests answered without sending a new link',
+    labelNames: ['reason']
+});
+
 const magicLinkVerificationAttemptsTotal = new client.Counter({
     name: 'magic_link_verification_attempts_total',
     help: 'Total number of magic link verification attempts'
@@ -61,9 +67,126 @@ const emailDeliveryLatency = new client.Histogram({
     buckets: [0.1, 0.5, 1, 2, 5, 10, 30]
 });
 
+// Email delivery queue
+const emailQueueDepth = new client.Gauge({
+    name: 'email_queue_depth',
+    help: 'Number of email jobs in the delivery queue by state',
+    labelNames: ['state']
+});
+
+const emailQueueOldestJobAge = new client.Gauge({
+    name: 'email_queue_oldest_job_age_seconds',
+    help: 'Age of the oldest email job not yet delivered or dead-lettered'
+});
+
+const emailQueueJobsTotal = new client.Counter({
+    name: 'email_queue_jobs_total',
+    help: 'Total number of email job outcomes',
+    labelNames: ['outcome']
+});
+
+// Login code outcomes
+const otpVerificationsTotal = new client.Counter({
+    name: 'otp_verifications_total',
+    help: 'Total number of login code verifications by result',
+    labelNames: ['result']
+});
+
+// Password login outcomes
+const passwordLoginTotal = new client.Counter({
+    name: 'password_login_total',
+    help: 'Total number of password login attempts',
+    labelNames: ['result']
+});
+
+// Passkey ceremonies
+const passkeyRegistrationsTotal = new client.Counter({
+    name: 'passkey_registrations_total',
+    help: 'Total number of passkey registrations by result',
+    labelNames: ['result']
+});
+
+const passkeyLoginTotal = new client.Counter({
+    name: 'passkey_login_total',
+    help: 'Total number of passkey login attempts',
+    labelNames: ['result']
+});
+
+// Second factor checks at /mfa/verify
+const mfaVerificationsTotal = new client.Counter({
+    name: 'mfa_verifications_total',
+    help: 'Total number of second factor verifications by result',
+    labelNames: ['result']
+});
+
+// DPoP proofs rejected (missing, malformed, replayed or for another key)
+const dpopProofFailuresTotal = new client.Counter({
+    name: 'dpop_proof_failures_total',
+    help: 'Total number of rejected DPoP proofs by reason',
+    labelNames: ['reason']
+});
+
+// Risk engine decisions on magic link clicks (what the score called for, whatever the policy)
+const riskDecisionsTotal = new client.Counter({
+    name: 'risk_decisions_total',
+    help: 'Total number of magic link risk decisions by decision',
+    labelNames: ['decision']
+});
+
+// Refresh token reuse (stolen token replayed after rotation)
+const refreshTokenReuseDetectedTotal = new client.Counter({
+    name: 'refresh_token_reuse_detected_total',
+    help: 'Total number of rotated refresh tokens presented again'
+});
+
+// Rate limiting
+const rateLimitExceededTotal = new client.Counter({
+    name: 'rate_limit_exceeded_total',
+    help: 'Total number of requests rejected by the rate limiter',
+    labelNames: ['limit', 'scope']
+});
+
+const rateLimitErrorsTotal = new client.Counter({
+    name: 'rate_limit_errors_total',
+    help: 'Total number of requests the rate limiter could not check (Redis errors), by outcome',
+    labelNames: ['limit', 'outcome']
+});
+
+// Brute-force protection
+const failedAttemptsTotal = new client.Counter({
+    name: 'auth_failed_attempts_total',
+    help: 'Total number of failed sign in attempts recorded for lockouts',
+    labelNames: ['attempt_type']
+});
+
+const authLockoutRejectedTotal = new client.Counter({
+    name: 'auth_lockout_rejected_total',
+    help: 'Total number of sign in attempts rejected by a delay or lockout',
+    labelNames: ['attempt_type', 'scope']
+});
+
+// Expired row cleanup
+const cleanupRowsDeletedTotal = new client.Counter({
+    name: 'cleanup_rows_deleted_total',
+    help: 'Total number of expired rows removed by the cleanup job',
+    labelNames: ['table', 'mode']
+});
+
+const cleanupRunsTotal = new client.Counter({
+    name: 'cleanup_runs_total',
+    help: 'Total number of cleanup runs by outcome',
+    labelNames: ['outcome']
+});
+
+const cleanupLastSuccessTimestamp = new client.Gauge({
+    name: 'cleanup_last_success_timestamp_seconds',
+    help: 'Unix time of the last cleanup run that finished on this replica'
+});
+
 // Register metrics
 register.registerMetric(httpRequestDurationMicroseconds);
 register.registerMetric(magicLinkRequestsTotal);
+register.registerMetric(magicLinkRequestsSuppressedTotal);
 register.registerMetric(magicLinkVerificationAttemptsTotal);
 register.registerMetric(magicLinkVerificationFailuresTotal);
 register.registerMetric(magicLinkDeliveryFailuresTotal);
@@ -72,6 +195,24 @@ register.registerMetric(magicLinkClickedTotal);
 register.registerMetric(magicLinkVerifiedTotal);
 register.registerMetric(magicLinkSuccessRate);
 register.registerMetric(emailDeliveryLatency);
+register.registerMetric(emailQueueDepth);
+register.registerMetric(emailQueueOldestJobAge);
+register.registerMetric(emailQueueJobsTotal);
+register.registerMetric(otpVerificationsTotal);
+register.registerMetric(passwordLoginTotal);
+register.registerMetric(passkeyRegistrationsTotal);
+register.registerMetric(passkeyLoginTotal);
+register.registerMetric(mfaVerificationsTotal);
+register.registerMetric(dpopProofFailuresTotal);
+register.registerMetric(riskDecisionsTotal);
+register.registerMetric(refreshTokenReuseDetectedTotal);
+register.registerMetric(rateLimitExceededTotal);
+register.registerMetric(rateLimitErrorsTotal);
+register.registerMetric(failedAttemptsTotal);
+register.registerMetric(authLockoutRejectedTotal);
+register.registerMetric(cleanupRowsDeletedTotal);
+register.registerMetric(cleanupRunsTotal);
+register.registerMetric(cleanupLastSuccessTimestamp);
 
 // Middleware to track request duration
 function metricsMiddleware(req, res, next) {
@@ -114,14 +255,15 @@ function calculateSuccessRate() {
     }
 }
 
-// Update success rate every 30 seconds
-setInterval(calculateSuccessRate, 30000);
+// Update success rate every 30 seconds; the timer alone doesn't keep the process alive
+setInterval(calculateSuccessRate, 30000).unref();
 
 module.exports = {
     metricsMiddleware,
     metricsEndpoint,
     metrics: {
         magicLinkRequestsTotal,
+        magicLinkRequestsSuppressedTotal,
         magicLinkVerificationAttemptsTotal,
         magicLinkVerificationFailuresTotal,
         magicLinkDeliveryFailuresTotal,
@@ -129,6 +271,24 @@ module.exports = {
         magicLinkClickedTotal,
         magicLinkVerifiedTotal,
         magicLinkSuccessRate,
-        emailDeliveryLatency
+        emailDeliveryLatency,
+        emailQueueDepth,
+        emailQueueOldestJobAge,
+        emailQueueJobsTotal,
+        otpVerificationsTotal,
+        passwordLoginTotal,
+        passkeyRegistrationsTotal,
+        passkeyLoginTotal,
+        mfaVerificationsTotal,
+        dpopProofFailuresTotal,
+        riskDecisionsTotal,
+        refreshTokenReuseDetectedTotal,
+        rateLimitExceededTotal,
+        rateLimitErrorsTotal,
+        failedAttemptsTotal,
+        authLockoutRejectedTotal,
+        cleanupRowsDeletedTotal,
+        cleanupRunsTotal,
+        cleanupLastSuccessTimestamp
     }
 }; 
\ No newline at end of file
@@ -1,57 +1,117 @@
 const { rateLimit, metrics } = require('../config/redis');
+const { metrics: promMetrics } = require('./metrics');
+const HttpStatus = require('../types/HttpStatus');
+const auditService = require('../services/audit');
+
+/**
+ * Read a limit from env, e.g. RATE_LIMIT_MAGIC_LINK_WINDOW_SECS and
+ * RATE_LIMIT_MAGIC_LINK_MAX_REQUESTS, falling back to the given defaults
+ */
+function limitFromEnv(name, defaults) {
+    const windowSecs = parseInt(process.env[`RATE_LIMIT_${name}_WINDOW_SECS`]);
+    const maxRequests = parseInt(process.env[`RATE_LIMIT_${name}_MAX_REQUESTS`]);
+    return {
+        windowSecs: windowSecs > 0 ? windowSecs : defaults.windowSecs,
+        maxRequests: maxRequests > 0 ? maxRequests : defaults.maxRequests
+    };
+}
+
+// A request that can't be counted is turned away unless RATE_LIMIT_FAIL_OPEN=true:
+// with Redis down, failing open would take every limit off the sign in endpoints
+const FAIL_OPEN = process.env.RATE_LIMIT_FAIL_OPEN === 'true';
+const UNAVAILABLE_RETRY_AFTER_SECS = 5;
 
 const RATE_LIMITS = {
-    'magic-link': {
-        windowSecs: 60,
-        maxRequests: 5
-    },
-    'verify': {
-        windowSecs: 60,
-        maxRequests: 10
-    },
-    'refresh': {
-        windowSecs: 60,
-        maxRequests: 20
-    }
+    'magic-link': limitFromEnv('MAGIC_LINK', { windowSecs: 60, maxRequests: 5 }),
+    'verify': limitFromEnv('VERIFY', { windowSecs: 60, maxRequests: 10 }),
+    'poll': limitFromEnv('POLL', { windowSecs: 60, maxRequests: 60 }),
+    'otp': limitFromEnv('OTP', { windowSecs: 60, maxRequests: 10 }),
+    'login': limitFromEnv('LOGIN', { windowSecs: 60, maxRequests: 5 }),
+    'refresh': limitFromEnv('REFRESH', { windowSecs: 60, maxRequests: 20 }),
+    'oauth': limitFromEnv('OAUTH', { windowSecs: 60, maxRequests: 30 }),
+    'mfa': limitFromEnv('MFA', { windowSecs: 60, maxRequests: 10 })
 };
 
-async function rateLimitMiddleware(type) {
+/**
+ * Set the standard RateLimit-* headers from the most restrictive result
+ */
+function setRateLimitHeaders(res, limits, result) {
+    res.set('RateLimit-Policy', `${limits.maxRequests};w=${limits.windowSecs}`);
+    res.set('RateLimit-Limit', String(limits.maxRequests));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(result.resetSecs));
+}
+
+// Tenants may set their own limits; each tenant counts its traffic separately
+function rateLimitMiddleware(type) {
+    if (!RATE_LIMITS[type]) {
+        throw new Error(`Unknown rate limit type: ${type}`);
+    }
+
     return async (req, res, next) => {
         try {
-            const identifier = req.ip;
-            const emailIdentifier = req.body.email;
-            
-            const limits = RATE_LIMITS[type];
-            if (!limits) {
-                return next();
-            }
+            const limits = req.tenant?.rateLimits[type] || RATE_LIMITS[type];
+            const scopedType = req.tenant ? `${req.tenant.id}:${type}` : type;
+            const emailIdentifier = typeof req.body?.email === 'string'
+                ? req.body.email.trim().toLowerCase()
+                : null;
 
             // Check IP-based rate limit
-            const ipKey = rateLimit.getKey(type, identifier);
-            const ipCount = await rateLimit.increment(ipKey, limits.windowSecs);
-            
+            const checks = [{ scope: 'ip', key: rateLimit.getKey(scopedType, req.ip) }];
+
             // Check email-based rate limit if email is provided
-            let emailCount = 0;
             if (emailIdentifier) {
-                const emailKey = rateLimit.getKey(`${type}:email`, emailIdentifier);
-                emailCount = await rateLimit.increment(emailKey, limits.windowSecs);
+                checks.push({ scope: 'email', key: rateLimit.getKey(`${scopedType}:email`, emailIdentifier) });
             }
 
+            const results = await Promise.all(checks.map(check =>
+                rateLimit.hit(check.key, limits.windowSecs, limits.maxRequests)
+            ));
+
+            const blocked = results.find(result => !result.allowed);
+            const mostRestrictive = blocked || results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+            setRateLimitHeaders(res, limits, mostRestrictive);
+
             // Check if either limit is exceeded
-            if (ipCount > limits.maxRequests || (emailIdentifier && emailCount > limits.maxRequests)) {
+            if (blocked) {
+                const scope = checks[results.indexOf(blocked)].scope;
+                promMetrics.rateLimitExceededTotal.inc({ limit: type, scope });
                 await metrics.incrementCounter('rate_limit_exceeded');
-                return res.status(429).json({
+
+                // One audit row per key per window, so a flood can't flood the table too
+                const blockedKey = checks[results.indexOf(blocked)].key;
+                if (await rateLimit.markOnce(`audit:${blockedKey}`, limits.windowSecs)) {
+                    await auditService.recordSafely('rate_limited', {
+                        req,
+                        metadata: { limit: type, scope, ...(scope === 'email' && { email: emailIdentifier }) }
+                    });
+                }
+
+                res.set('Retry-After', String(blocked.resetSecs));
+                return res.status(HttpStatus.TOO_MANY_REQUESTS_STATUS).json({
                     error: 'Too many requests',
-                    retryAfter: limits.windowSecs
+                    retryAfter: blocked.resetSecs,
+                    timestamp: new Date().toISOString()
                 });
             }
 
             next();
         } catch (error) {
-            console.error('Rate limit error:', error);
-            next(); // Fail open to prevent rate limiting from breaking the app
+            console.error('Rate limit error:', { limit: type, error: error.message });
+            promMetrics.rateLimitErrorsTotal.inc({ limit: type, outcome: FAIL_OPEN ? 'allowed' : 'rejected' });
+            if (FAIL_OPEN) {
+                return next();
+            }
+
+            res.set('Retry-After', String(UNAVAILABLE_RETRY_AFTER_SECS));
+            return res.status(HttpStatus.SERVICE_UNAVAILABLE_STATUS).json({
+                error: 'Service temporarily unavailable',
+                retryAfter: UNAVAILABLE_RETRY_AFTER_SECS,
+                timestamp: new Date().toISOString()
+            });
         }
     };
 }
 
-module.exports = rateLimitMiddleware; 
\ No newline at end of file
+module.exports = rateLimitMiddleware;
+module.exports.RATE_LIMITS = RATE_LIMITS;
@@ -70,13 +70,21 @@ function securityMiddleware() {
 }
 
 /**
- * CORS configuration for production vs development
+ * Origins whose pages may call the API. A tenant with its own allowed
+ * origins (or frontend URL) only admits those.
  */
-function corsConfig() {
+function allowedOriginsFor(tenant = null) {
     const isProduction = process.env.NODE_ENV === 'production';
-    const allowedOrigins = isProduction 
+    return tenant?.allowedOrigins || (isProduction
         ? [process.env.FRONTEND_URL || 'https://yourdomain.com']
-        : ['http://localhost:5173', 'http://localhost:3000', 'http://127.0.0.1:5173'];
+        : ['http://localhost:5173', 'http://localhost:3000', 'http://127.0.0.1:5173']);
+}
+
+/**
+ * CORS configuration for production vs development
+ */
+function corsConfig(tenant = null) {
+    const allowedOrigins = allowedOriginsFor(tenant);
     
     return {
         origin: function (origin, callback) {
@@ -93,18 +101,35 @@ function corsConfig() {
         allowedHeaders: [
             'Content-Type', 
             'Authorization', 
+            'X-CSRF-Token',
+            'DPoP',
+            'X-API-Key',
             'X-Requested-With',
+            'Idempotency-Key',
             'X-Idempotency-Key',
             'Accept',
             'Origin'
         ],
-        exposedHeaders: ['X-Request-ID'],
+        exposedHeaders: [
+            'X-Request-ID',
+            'WWW-Authenticate',
+            'RateLimit-Policy',
+            'RateLimit-Limit',
+            'RateLimit-Remaining',
+            'RateLimit-Reset',
+            'Retry-After'
+        ],
         credentials: true,
         optionsSuccessStatus: 200,
         maxAge: 86400 // 24 hours
     };
 }
 
+// Whether the request says it carries a body (a length above zero, or chunked)
+function hasBody(req) {
+    return Number(req.headers['content-length']) > 0 || req.headers['transfer-encoding'] !== undefined;
+}
+
 /**
  * Content-Type validation middleware
  */
@@ -113,6 +138,11 @@ function contentTypeValidation(req, res, next) {
     if (req.method === 'GET' || req.method === 'OPTIONS') {
         return next();
     }
+
+    // DELETE usually has no body, and so nothing to describe
+    if (req.method === 'DELETE' && !req.headers['content-type'] && !hasBody(req)) {
+        return next();
+    }
     
     // For POST/PUT/PATCH requests, require proper Content-Type
     const contentType = req.headers['content-type'];
@@ -150,6 +180,7 @@ function requestIdMiddleware(req, res, next) {
 
 module.exports = {
     securityMiddleware,
+    allowedOriginsFor,
     corsConfig,
     contentTypeValidation,
     requestIdMiddleware
@@ -0,0 +1,41 @@
+const tenantService = require('../services/tenants');
+const HttpStatus = require('../types/HttpStatus');
+
+// Probes and scrapes that belong to no tenant; they skip resolution entirely
+const INFRASTRUCTURE_PATHS = new Set(['/health', '/metrics']);
+
+/**
+ * Set req.tenant for everything after it: the tenant named by the X-API-Key
+ * header, or the one serving the Host header, or the default tenant. A key
+ * that matches no tenant is refused rather than falling back, so a typo
+ * can't quietly sign users into the wrong product. Lookups are cached by
+ * the tenant service, and infrastructure routes don't look up at all.
+ */
+async function resolveTenant(req, res, next) {
+    if (INFRASTRUCTURE_PATHS.has(req.path)) {
+        return next();
+    }
+    try {
+        const apiKey = req.get('X-API-Key');
+        if (apiKey) {
+            req.tenant = await tenantService.findByApiKey(apiKey);
+            if (!req.tenant) {
+                console.error(`[${HttpStatus.UNAUTHORIZED_STATUS}] Unknown tenant API key`, { path: req.path, requestId: req.requestId });
+                return res.status(HttpStatus.UNAUTHORIZED_STATUS).json({
+                    error: 'Invalid API key',
+                    code: 'tenant_invalid',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        } else {
+            req.tenant = await tenantService.findByHost(req.hostname);
+        }
+        return next();
+    } catch (error) {
+        return next(error);
+    }
+}
+
+module.exports = {
+    resolveTenant
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const HttpStatus = require('../types/HttpStatus');
+const { allowedOriginsFor } = require('./security');
+
+/**
+ * Token delivery. In the default `body` mode sign ins and refreshes return
+ * the token pair as JSON for the client to keep. In `cookie` mode they set
+ * HttpOnly cookies instead, so page scripts (and any XSS) never see a token,
+ * and state-changing requests are checked for CSRF (see csrfProtection).
+ */
+const COOKIE_CONFIG = {
+    mode: process.env.TOKEN_DELIVERY === 'cookie' ? 'cookie' : 'body',
+    // Browsers accept Secure cookies from http://localhost, so this only needs turning off for other plain-HTTP hosts
+    secure: process.env.COOKIE_SECURE !== 'false',
+    sameSite: process.env.COOKIE_SAME_SITE || 'strict',
+    domain: process.env.COOKIE_DOMAIN || undefined,
+    names: {
+        access: 'access_token',
+        refresh: 'refresh_token',
+        csrf: 'csrf_token'
+    },
+    // The refresh token is only ever sent to /refresh and /logout
+    refreshPath: '/api/auth',
+    csrfHeader: 'x-csrf-token'
+};
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function cookieOptions(path, token, httpOnly = true) {
+    return {
+        httpOnly,
+        secure: COOKIE_CONFIG.secure,
+        sameSite: COOKIE_CONFIG.sameSite,
+        domain: COOKIE_CONFIG.domain,
+        path,
+        expires: new Date(jwt.decode(token).exp * 1000)
+    };
+}
+
+/**
+ * Hand a freshly issued token pair to the client
+ * @param {Object} req - Express request (an existing CSRF token is kept across refreshes)
+ * @param {Object} res - Express response
+ * @param {{accessToken: string, refreshToken: string}} tokens
+ * @returns {Object} fields for the JSON response body
+ */
+function deliverTokens(req, res, tokens) {
+    if (COOKIE_CONFIG.mode !== 'cookie') {
+        // DPoP-bound tokens (cnf claim) go in the Authorization header with the DPoP scheme
+        return { ...tokens, tokenType: jwt.decode(tokens.accessToken).cnf ? 'DPoP' : 'Bearer' };
+    }
+
+    const csrfToken = req.cookies?.[COOKIE_CONFIG.names.csrf] || crypto.randomBytes(32).toString('base64url');
+    res.cookie(COOKIE_CONFIG.names.access, tokens.accessToken, cookieOptions('/', tokens.accessToken));
+    res.cookie(COOKIE_CONFIG.names.refresh, tokens.refreshToken, cookieOptions(COOKIE_CONFIG.refreshPath, tokens.refreshToken));
+    // Readable by the frontend, which echoes it in the X-CSRF-Token header
+    res.cookie(COOKIE_CONFIG.names.csrf, csrfToken, cookieOptions('/', tokens.refreshToken, false));
+
+    return { tokenDelivery: 'cookie', csrfToken };
+}
+
+// Remove the token cookies, e.g. on logout
+function clearTokenCookies(res) {
+    const { secure, sameSite, domain } = COOKIE_CONFIG;
+    res.clearCookie(COOKIE_CONFIG.names.access, { httpOnly: true, secure, sameSite, domain, path: '/' });
+    res.clearCookie(COOKIE_CONFIG.names.refresh, { httpOnly: true, secure, sameSite, domain, path: COOKIE_CONFIG.refreshPath });
+    res.clearCookie(COOKIE_CONFIG.names.csrf, { secure, sameSite, domain, path: '/' });
+}
+
+function readAccessTokenCookie(req) {
+    return req.cookies?.[COOKIE_CONFIG.names.access] || null;
+}
+
+function readRefreshTokenCookie(req) {
+    return req.cookies?.[COOKIE_CONFIG.names.refresh] || null;
+}
+
+// Whether the request repeats the csrf_token cookie in the X-CSRF-Token header
+function hasCsrfToken(req) {
+    const cookieToken = Buffer.from(String(req.cookies?.[COOKIE_CONFIG.names.csrf] || ''));
+    const headerToken = Buffer.from(String(req.headers[COOKIE_CONFIG.csrfHeader] || ''));
+    return cookieToken.length > 0 && cookieToken.length === headerToken.length && crypto.timingSafeEqual(cookieToken, headerToken);
+}
+
+// The origin a browser says the request came from: Origin, else the Referer's origin
+function requestOrigin(req) {
+    if (req.headers.origin) return req.headers.origin;
+    try {
+        return req.headers.referer ? new URL(req.headers.referer).origin : null;
+    } catch {
+        return 'null';
+    }
+}
+
+/**
+ * CSRF check for unsafe methods.
+ *
+ * A request carrying a token cookie was possibly sent by another site, so it
+ * must repeat the csrf_token cookie in the X-CSRF-Token header, which only
+ * our own pages can read. In cookie mode the requests that sign in (login,
+ * magic link, code) carry no token yet but would plant a session in the
+ * browser, so they need that header or an Origin (or Referer) from one of
+ * the tenant's allowed origins. Calls with neither header and no token
+ * cookie don't come from a browser and pass.
+ */
+function csrfProtection(req, res, next) {
+    if (SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    const withTokenCookie = Boolean(readAccessTokenCookie(req) || readRefreshTokenCookie(req));
+    if (!withTokenCookie && COOKIE_CONFIG.mode !== 'cookie') {
+        return next();
+    }
+
+    const origin = requestOrigin(req);
+    const allowed = hasCsrfToken(req)
+        || (!withTokenCookie && (origin === null || allowedOriginsFor(req.tenant).includes(origin)));
+    if (!allowed) {
+        console.error(`[${HttpStatus.FORBIDDEN_STATUS}] CSRF check failed`, {
+            method: req.method,
+            path: req.path,
+            cookie: Boolean(req.cookies?.[COOKIE_CONFIG.names.csrf]),
+            header: Boolean(req.headers[COOKIE_CONFIG.csrfHeader]),
+            origin,
+            requestId: req.requestId
+        });
+        return res.status(HttpStatus.FORBIDDEN_STATUS).json({
+            error: 'Invalid CSRF token',
+            code: 'csrf_failed',
+            timestamp: new Date().toISOString()
+        });
+    }
+    return next();
+}
+
+module.exports = {
+    COOKIE_CONFIG,
+    deliverTokens,
+    clearTokenCookies,
+    readAccessTokenCookie,
+    readRefreshTokenCookie,
+    csrfProtection
+};
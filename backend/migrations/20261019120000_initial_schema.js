@@ -0,0 +1,114 @@
+// Initial schema: the original db/schema.sql, minus its DROP TABLEs.
+//
+// Databases created from schema.sql already have all of it, so every
+// statement here is idempotent and leaves what is in place alone. Columns
+// and tables added to schema.sql later come in the migrations that follow.
+
+exports.up = async function (knex) {
+    await knex.raw('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
+
+    await knex.raw(`
+        CREATE TABLE IF NOT EXISTS users (
+            id SERIAL PRIMARY KEY,
+            email VARCHAR(255) NOT NULL UNIQUE,
+            password_hash VARCHAR(255) NOT NULL,
+            password_salt VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await knex.raw(`
+        CREATE TABLE IF NOT EXISTS magic_tokens (
+            id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            token_hash VARCHAR(255) NOT NULL,
+            token_salt VARCHAR(255) NOT NULL,
+            used BOOLEAN DEFAULT FALSE,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            idempotency_key VARCHAR(255),
+            device_fingerprint VARCHAR(255),
+            ip_address INET,
+            user_agent TEXT,
+            nonce VARCHAR(255),
+            CONSTRAINT valid_expiry CHECK (expires_at > created_at)
+        )
+    `);
+
+    await knex.raw(`
+        CREATE TABLE IF NOT EXISTS refresh_tokens (
+            id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            token_hash VARCHAR(255) NOT NULL,
+            token_salt VARCHAR(255) NOT NULL,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            revoked BOOLEAN DEFAULT FALSE,
+            revoked_reason VARCHAR(50),
+            device_fingerprint VARCHAR(255),
+            ip_address INET,
+            user_agent TEXT,
+            CONSTRAINT valid_expiry CHECK (expires_at > created_at)
+        )
+    `);
+
+    await knex.raw(`
+        CREATE TABLE IF NOT EXISTS failed_attempts (
+            id SERIAL PRIMARY KEY,
+            email VARCHAR(255) NOT NULL,
+            ip_address INET NOT NULL,
+            attempt_type VARCHAR(50) NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await knex.raw(`
+        CREATE TABLE IF NOT EXISTS audit_logs (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            event_type VARCHAR(50) NOT NULL,
+            ip_address INET,
+            user_agent TEXT,
+            metadata JSONB,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await knex.raw(`
+        CREATE INDEX IF NOT EXISTS idx_magic_tokens_user ON magic_tokens(user_id);
+        CREATE INDEX IF NOT EXISTS idx_magic_tokens_expires ON magic_tokens(expires_at);
+        CREATE INDEX IF NOT EXISTS idx_magic_tokens_idempotency ON magic_tokens(idempotency_key);
+        CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+        CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+        CREATE INDEX IF NOT EXISTS idx_failed_attempts_email ON failed_attempts(email, created_at);
+        CREATE INDEX IF NOT EXISTS idx_failed_attempts_ip ON failed_attempts(ip_address, created_at);
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_user ON audit_logs(user_id);
+        CREATE INDEX IF NOT EXISTS idx_audit_logs_type ON audit_logs(event_type);
+    `);
+
+    await knex.raw(`
+        CREATE OR REPLACE FUNCTION update_updated_at()
+        RETURNS TRIGGER AS $$
+        BEGIN
+            NEW.updated_at = CURRENT_TIMESTAMP;
+            RETURN NEW;
+        END;
+        $$ language 'plpgsql'
+    `);
+
+    await knex.raw('DROP TRIGGER IF EXISTS update_users_updated_at ON users');
+    await knex.raw(`
+        CREATE TRIGGER update_users_updated_at
+            BEFORE UPDATE ON users
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at()
+    `);
+};
+
+exports.down = async function (knex) {
+    for (const table of ['audit_logs', 'failed_attempts', 'refresh_tokens', 'magic_tokens', 'users']) {
+        await knex.schema.dropTableIfExists(table);
+    }
+    await knex.raw('DROP FUNCTION IF EXISTS update_updated_at()');
+};
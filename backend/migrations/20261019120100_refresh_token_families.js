@@ -0,0 +1,24 @@
+// Refresh token rotation: tokens rotated from one sign in share a
+// family, so reuse of a rotated token can revoke the whole family.
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        ALTER TABLE refresh_tokens
+            ADD COLUMN IF NOT EXISTS family_id UUID,
+            ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE,
+            ADD COLUMN IF NOT EXISTS replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL
+    `);
+    // Tokens issued before rotation each start their own family
+    await knex.raw('UPDATE refresh_tokens SET family_id = id WHERE family_id IS NULL');
+    await knex.raw('ALTER TABLE refresh_tokens ALTER COLUMN family_id SET NOT NULL');
+    await knex.raw('CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id)');
+};
+
+exports.down = async function (knex) {
+    await knex.raw(`
+        ALTER TABLE refresh_tokens
+            DROP COLUMN IF EXISTS family_id,
+            DROP COLUMN IF EXISTS revoked_at,
+            DROP COLUMN IF EXISTS replaced_by
+    `);
+};
@@ -0,0 +1,23 @@
+// One-time login codes sent alongside magic links
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        CREATE TABLE IF NOT EXISTS otp_codes (
+            id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+            magic_token_id UUID REFERENCES magic_tokens(id) ON DELETE SET NULL,
+            code_hash VARCHAR(255) NOT NULL,
+            code_salt VARCHAR(255) NOT NULL,
+            attempts INTEGER NOT NULL DEFAULT 0,
+            used BOOLEAN DEFAULT FALSE,
+            locked_until TIMESTAMP WITH TIME ZONE,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await knex.raw('CREATE INDEX IF NOT EXISTS idx_otp_codes_magic_token ON otp_codes(magic_token_id)');
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('otp_codes');
+};
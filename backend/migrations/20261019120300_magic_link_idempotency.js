@@ -0,0 +1,19 @@
+// Idempotent magic link requests: an Idempotency-Key is unique per
+// user, and a newer link invalidates the older ones.
+
+exports.up = async function (knex) {
+    await knex.raw('ALTER TABLE magic_tokens ADD COLUMN IF NOT EXISTS invalidated_at TIMESTAMP WITH TIME ZONE');
+
+    // Replaces the plain index on idempotency_key from the initial schema
+    await knex.raw('DROP INDEX IF EXISTS idx_magic_tokens_idempotency');
+    await knex.raw(`
+        CREATE UNIQUE INDEX idx_magic_tokens_idempotency ON magic_tokens(user_id, idempotency_key)
+            WHERE idempotency_key IS NOT NULL
+    `);
+};
+
+exports.down = async function (knex) {
+    await knex.raw('DROP INDEX IF EXISTS idx_magic_tokens_idempotency');
+    await knex.raw('CREATE INDEX idx_magic_tokens_idempotency ON magic_tokens(idempotency_key)');
+    await knex.raw('ALTER TABLE magic_tokens DROP COLUMN IF EXISTS invalidated_at');
+};
@@ -0,0 +1,20 @@
+// Cross-device sign in: a link can be approved on one device for
+// the browser that requested it.
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        ALTER TABLE magic_tokens
+            ADD COLUMN IF NOT EXISTS cross_device BOOLEAN DEFAULT FALSE,
+            ADD COLUMN IF NOT EXISTS approval_status VARCHAR(20),
+            ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP WITH TIME ZONE
+    `);
+};
+
+exports.down = async function (knex) {
+    await knex.raw(`
+        ALTER TABLE magic_tokens
+            DROP COLUMN IF EXISTS cross_device,
+            DROP COLUMN IF EXISTS approval_status,
+            DROP COLUMN IF EXISTS approved_at
+    `);
+};
@@ -0,0 +1,12 @@
+// Audit log queries: events carry the request id, and are
+// listed and exported by time.
+
+exports.up = async function (knex) {
+    await knex.raw('ALTER TABLE audit_logs ADD COLUMN IF NOT EXISTS request_id VARCHAR(128)');
+    await knex.raw('CREATE INDEX IF NOT EXISTS idx_audit_logs_created ON audit_logs(created_at)');
+};
+
+exports.down = async function (knex) {
+    await knex.raw('DROP INDEX IF EXISTS idx_audit_logs_created');
+    await knex.raw('ALTER TABLE audit_logs DROP COLUMN IF EXISTS request_id');
+};
@@ -0,0 +1,13 @@
+// Lockouts: the email is unknown when a magic link doesn't match
+// any token, and failures are counted within a time window.
+
+exports.up = async function (knex) {
+    await knex.raw('ALTER TABLE failed_attempts ALTER COLUMN email DROP NOT NULL');
+    await knex.raw('CREATE INDEX IF NOT EXISTS idx_failed_attempts_created ON failed_attempts(created_at)');
+};
+
+exports.down = async function (knex) {
+    await knex.raw('DROP INDEX IF EXISTS idx_failed_attempts_created');
+    await knex.raw('DELETE FROM failed_attempts WHERE email IS NULL');
+    await knex.raw('ALTER TABLE failed_attempts ALTER COLUMN email SET NOT NULL');
+};
@@ -0,0 +1,14 @@
+// Archives for the cleanup job when CLEANUP_ARCHIVE=true: same
+// columns as the live tables, no constraints.
+
+exports.up = async function (knex) {
+    await knex.raw('CREATE TABLE IF NOT EXISTS magic_tokens_archive (LIKE magic_tokens)');
+    await knex.raw('CREATE TABLE IF NOT EXISTS refresh_tokens_archive (LIKE refresh_tokens)');
+    await knex.raw('CREATE TABLE IF NOT EXISTS audit_logs_archive (LIKE audit_logs)');
+};
+
+exports.down = async function (knex) {
+    for (const table of ['audit_logs_archive', 'refresh_tokens_archive', 'magic_tokens_archive']) {
+        await knex.schema.dropTableIfExists(table);
+    }
+};
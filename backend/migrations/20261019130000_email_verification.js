@@ -0,0 +1,56 @@
+// Double opt-in: new accounts start as `pending` until their email address
+// is verified. Accounts that predate verification stay active.
+//
+// email_canonical is the address folded by EMAIL_DUPLICATE_POLICY and keeps
+// registrations that differ only by case (or plus-address) from duplicating
+// an account. Existing rows are backfilled with the same folding the app
+// uses, so this migration fails if the table already holds such duplicates.
+
+const emailAddress = require('../services/emailAddress');
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        ALTER TABLE users
+            ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'active',
+            ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE,
+            ADD COLUMN email_canonical VARCHAR(255)
+    `);
+    await knex.raw(`ALTER TABLE users ALTER COLUMN status SET DEFAULT 'pending'`);
+    const users = await knex('users').select('id', 'email');
+    if (users.length) {
+        await knex.raw(`
+            UPDATE users SET email_canonical = folded.canonical
+            FROM unnest(?::int[], ?::text[]) AS folded(id, canonical)
+            WHERE users.id = folded.id
+        `, [users.map(user => user.id), users.map(user => emailAddress.canonicalize(user.email))]);
+    }
+    await knex.raw('ALTER TABLE users ALTER COLUMN email_canonical SET NOT NULL');
+    await knex.raw('CREATE UNIQUE INDEX idx_users_email_canonical ON users(email_canonical)');
+    await knex.raw('CREATE INDEX idx_users_email_lower ON users(lower(email))');
+
+    await knex.raw(`
+        CREATE TABLE email_verifications (
+            id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            token_hash VARCHAR(255) NOT NULL,
+            token_salt VARCHAR(255) NOT NULL,
+            used_at TIMESTAMP WITH TIME ZONE,
+            invalidated_at TIMESTAMP WITH TIME ZONE,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT valid_expiry CHECK (expires_at > created_at)
+        )
+    `);
+    await knex.raw('CREATE INDEX idx_email_verifications_user ON email_verifications(user_id)');
+    await knex.raw('CREATE INDEX idx_email_verifications_expires ON email_verifications(expires_at)');
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('email_verifications');
+    await knex.raw(`
+        ALTER TABLE users
+            DROP COLUMN IF EXISTS status,
+            DROP COLUMN IF EXISTS email_verified_at,
+            DROP COLUMN IF EXISTS email_canonical
+    `);
+};
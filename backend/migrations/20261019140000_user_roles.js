@@ -0,0 +1,26 @@
+// Roles for authorization and the statuses an admin can put an account in.
+// status: pending (email not verified), active, banned or disabled.
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        ALTER TABLE users
+            ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'user',
+            ADD COLUMN status_reason TEXT,
+            ADD COLUMN status_changed_at TIMESTAMP WITH TIME ZONE,
+            ADD CONSTRAINT users_role_check CHECK (role IN ('user', 'admin')),
+            ADD CONSTRAINT users_status_check CHECK (status IN ('pending', 'active', 'banned', 'disabled'))
+    `);
+    await knex.raw('CREATE INDEX idx_users_role ON users(role)');
+    await knex.raw('CREATE INDEX idx_users_status ON users(status)');
+};
+
+exports.down = async function (knex) {
+    await knex.raw(`
+        ALTER TABLE users
+            DROP CONSTRAINT IF EXISTS users_status_check,
+            DROP CONSTRAINT IF EXISTS users_role_check,
+            DROP COLUMN IF EXISTS status_changed_at,
+            DROP COLUMN IF EXISTS status_reason,
+            DROP COLUMN IF EXISTS role
+    `);
+};
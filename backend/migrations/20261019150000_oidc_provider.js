@@ -0,0 +1,55 @@
+// OpenID Connect provider: registered relying parties, and authorization
+// requests that wait for the magic link sign in and then hold the one-time code.
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        CREATE TABLE oauth_clients (
+            id SERIAL PRIMARY KEY,
+            client_id VARCHAR(255) NOT NULL UNIQUE,
+            client_secret_hash VARCHAR(255),
+            client_secret_salt VARCHAR(255),
+            name VARCHAR(255) NOT NULL,
+            redirect_uris TEXT[] NOT NULL,
+            allowed_scopes TEXT[] NOT NULL DEFAULT '{openid,email,offline_access}',
+            disabled_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await knex.raw(`
+        CREATE TABLE oauth_authorization_requests (
+            id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+            client_id VARCHAR(255) NOT NULL REFERENCES oauth_clients(client_id) ON DELETE CASCADE,
+            redirect_uri TEXT NOT NULL,
+            scope TEXT NOT NULL,
+            state TEXT,
+            nonce TEXT,
+            code_challenge VARCHAR(128) NOT NULL,
+            code_challenge_method VARCHAR(10) NOT NULL,
+            user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+            auth_time TIMESTAMP WITH TIME ZONE,
+            code_hash VARCHAR(255),
+            code_salt VARCHAR(255),
+            code_expires_at TIMESTAMP WITH TIME ZONE,
+            code_used_at TIMESTAMP WITH TIME ZONE,
+            family_id UUID,
+            expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await knex.raw('CREATE INDEX idx_oauth_requests_expires ON oauth_authorization_requests(expires_at)');
+
+    // Magic links sent to finish an authorization request
+    await knex.raw(`
+        ALTER TABLE magic_tokens
+            ADD COLUMN oidc_request_id UUID REFERENCES oauth_authorization_requests(id) ON DELETE SET NULL
+    `);
+    await knex.raw('ALTER TABLE magic_tokens_archive ADD COLUMN oidc_request_id UUID');
+};
+
+exports.down = async function (knex) {
+    await knex.raw('ALTER TABLE magic_tokens_archive DROP COLUMN IF EXISTS oidc_request_id');
+    await knex.raw('ALTER TABLE magic_tokens DROP COLUMN IF EXISTS oidc_request_id');
+    await knex.schema.dropTableIfExists('oauth_authorization_requests');
+    await knex.schema.dropTableIfExists('oauth_clients');
+};
@@ -0,0 +1,24 @@
+// Passkeys (WebAuthn credentials) registered by signed in users
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        CREATE TABLE webauthn_credentials (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            credential_id TEXT NOT NULL UNIQUE,
+            public_key BYTEA NOT NULL,
+            sign_count BIGINT NOT NULL DEFAULT 0,
+            transports TEXT[] NOT NULL DEFAULT '{}',
+            device_type VARCHAR(32) NOT NULL,
+            backed_up BOOLEAN NOT NULL DEFAULT false,
+            name VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            last_used_at TIMESTAMP WITH TIME ZONE
+        )
+    `);
+    await knex.raw('CREATE INDEX idx_webauthn_credentials_user ON webauthn_credentials(user_id)');
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('webauthn_credentials');
+};
@@ -0,0 +1,31 @@
+// Optional TOTP second factor: one encrypted secret per user (confirmed once
+// the authenticator app proves it has it) and hashed single-use recovery codes.
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        CREATE TABLE mfa_totp (
+            user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+            secret_encrypted TEXT NOT NULL,
+            confirmed_at TIMESTAMP WITH TIME ZONE,
+            last_used_step BIGINT,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await knex.raw(`
+        CREATE TABLE mfa_recovery_codes (
+            id SERIAL PRIMARY KEY,
+            user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+            code_hash VARCHAR(255) NOT NULL,
+            code_salt VARCHAR(255) NOT NULL,
+            used_at TIMESTAMP WITH TIME ZONE,
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    await knex.raw('CREATE INDEX idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id)');
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('mfa_recovery_codes');
+    await knex.schema.dropTableIfExists('mfa_totp');
+};
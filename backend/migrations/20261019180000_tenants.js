@@ -0,0 +1,68 @@
+// Tenants: each product served by this deployment gets its own hosts, API
+// key, frontend, allowed origins, sender address, email branding and limits.
+// Existing users, and requests that match no tenant, belong to `default`,
+// whose unset settings fall back to the environment.
+//
+// Users are scoped per tenant, so the same address can hold one account in
+// each; email uniqueness moves from the whole table to (tenant_id, email).
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        CREATE TABLE tenants (
+            id VARCHAR(63) PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            hosts TEXT[] NOT NULL DEFAULT '{}',
+            api_key_hash VARCHAR(64) UNIQUE,
+            frontend_url TEXT,
+            allowed_origins TEXT[] NOT NULL DEFAULT '{}',
+            email_from VARCHAR(255),
+            email_reply_to VARCHAR(255),
+            email_template JSONB NOT NULL DEFAULT '{}',
+            settings JSONB NOT NULL DEFAULT '{}',
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            CONSTRAINT tenants_id_check CHECK (id ~ '^[a-z0-9][a-z0-9-]*$')
+        )
+    `);
+    await knex.raw('CREATE INDEX idx_tenants_hosts ON tenants USING GIN (hosts)');
+    await knex.raw(`
+        CREATE TRIGGER update_tenants_updated_at
+            BEFORE UPDATE ON tenants
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at()
+    `);
+    await knex.raw(`INSERT INTO tenants (id, name) VALUES ('default', 'Default')`);
+
+    await knex.raw(`
+        ALTER TABLE users
+            ADD COLUMN tenant_id VARCHAR(63) NOT NULL DEFAULT 'default' REFERENCES tenants(id)
+    `);
+    await knex.raw('ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_key');
+    await knex.raw('DROP INDEX IF EXISTS idx_users_email_canonical');
+    await knex.raw('DROP INDEX IF EXISTS idx_users_email_lower');
+    await knex.raw('CREATE UNIQUE INDEX idx_users_tenant_email ON users(tenant_id, email)');
+    await knex.raw('CREATE UNIQUE INDEX idx_users_tenant_email_canonical ON users(tenant_id, email_canonical)');
+    await knex.raw('CREATE INDEX idx_users_tenant_email_lower ON users(tenant_id, lower(email))');
+
+    // Nullable: some events (a rate limit hit before tenant resolution) belong to none
+    await knex.raw('ALTER TABLE audit_logs ADD COLUMN tenant_id VARCHAR(63)');
+    await knex.raw(`UPDATE audit_logs SET tenant_id = 'default'`);
+    await knex.raw('CREATE INDEX idx_audit_logs_tenant ON audit_logs(tenant_id, id)');
+    await knex.raw('ALTER TABLE audit_logs_archive ADD COLUMN tenant_id VARCHAR(63)');
+};
+
+exports.down = async function (knex) {
+    await knex.raw('ALTER TABLE audit_logs_archive DROP COLUMN IF EXISTS tenant_id');
+    await knex.raw('ALTER TABLE audit_logs DROP COLUMN IF EXISTS tenant_id');
+
+    // Fails if the same address now has accounts in more than one tenant
+    await knex.raw('DROP INDEX IF EXISTS idx_users_tenant_email_lower');
+    await knex.raw('DROP INDEX IF EXISTS idx_users_tenant_email_canonical');
+    await knex.raw('DROP INDEX IF EXISTS idx_users_tenant_email');
+    await knex.raw('ALTER TABLE users DROP COLUMN IF EXISTS tenant_id');
+    await knex.raw('ALTER TABLE users ADD CONSTRAINT users_email_key UNIQUE (email)');
+    await knex.raw('CREATE UNIQUE INDEX idx_users_email_canonical ON users(email_canonical)');
+    await knex.raw('CREATE INDEX idx_users_email_lower ON users(lower(email))');
+
+    await knex.schema.dropTableIfExists('tenants');
+};
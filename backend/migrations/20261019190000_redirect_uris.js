@@ -0,0 +1,16 @@
+// Post-login redirects: each tenant registers the URIs a magic link may send
+// the user back to, and a link remembers the one (plus the client's opaque
+// state) it was requested with.
+
+exports.up = async function (knex) {
+    await knex.raw(`ALTER TABLE tenants ADD COLUMN redirect_uris TEXT[] NOT NULL DEFAULT '{}'`);
+
+    await knex.raw('ALTER TABLE magic_tokens ADD COLUMN redirect_uri TEXT, ADD COLUMN state TEXT');
+    await knex.raw('ALTER TABLE magic_tokens_archive ADD COLUMN redirect_uri TEXT, ADD COLUMN state TEXT');
+};
+
+exports.down = async function (knex) {
+    await knex.raw('ALTER TABLE magic_tokens_archive DROP COLUMN IF EXISTS redirect_uri, DROP COLUMN IF EXISTS state');
+    await knex.raw('ALTER TABLE magic_tokens DROP COLUMN IF EXISTS redirect_uri, DROP COLUMN IF EXISTS state');
+    await knex.raw('ALTER TABLE tenants DROP COLUMN IF EXISTS redirect_uris');
+};
@@ -0,0 +1,23 @@
+// Lockouts per tenant: failed attempts record the tenant they were made
+// against and only count towards that tenant's lockouts, so one tenant's
+// admins can see and clear them without touching another's. Attempts made
+// before this belong to `default`.
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        ALTER TABLE failed_attempts
+            ADD COLUMN tenant_id VARCHAR(63) NOT NULL DEFAULT 'default' REFERENCES tenants(id)
+    `);
+    await knex.raw('DROP INDEX IF EXISTS idx_failed_attempts_email');
+    await knex.raw('DROP INDEX IF EXISTS idx_failed_attempts_ip');
+    await knex.raw('CREATE INDEX idx_failed_attempts_tenant_email ON failed_attempts(tenant_id, email, created_at)');
+    await knex.raw('CREATE INDEX idx_failed_attempts_tenant_ip ON failed_attempts(tenant_id, ip_address, created_at)');
+};
+
+exports.down = async function (knex) {
+    await knex.raw('DROP INDEX IF EXISTS idx_failed_attempts_tenant_ip');
+    await knex.raw('DROP INDEX IF EXISTS idx_failed_attempts_tenant_email');
+    await knex.raw('ALTER TABLE failed_attempts DROP COLUMN IF EXISTS tenant_id');
+    await knex.raw('CREATE INDEX IF NOT EXISTS idx_failed_attempts_email ON failed_attempts(email, created_at)');
+    await knex.raw('CREATE INDEX IF NOT EXISTS idx_failed_attempts_ip ON failed_attempts(ip_address, created_at)');
+};
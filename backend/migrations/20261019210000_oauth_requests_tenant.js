@@ -0,0 +1,15 @@
+// OIDC clients stay shared by all tenants, but each authorization request
+// records the tenant /authorize was called on. Only a user of that tenant can
+// finish it, and its code only exchanges for that user. Requests made before
+// this belong to `default`.
+
+exports.up = async function (knex) {
+    await knex.raw(`
+        ALTER TABLE oauth_authorization_requests
+            ADD COLUMN tenant_id VARCHAR(63) NOT NULL DEFAULT 'default' REFERENCES tenants(id)
+    `);
+};
+
+exports.down = async function (knex) {
+    await knex.raw('ALTER TABLE oauth_authorization_requests DROP COLUMN IF EXISTS tenant_id');
+};
@@ -0,0 +1,560 @@
+// Dependencies
+const auditService = require('../../services/audit');
+const lockoutService = require('../../services/lockout');
+const mfaService = require('../../services/mfa');
+const sessionService = require('../../services/session');
+const userService = require('../../services/users');
+const HttpStatus = require('../../types/HttpStatus');
+
+// Constants
+const EXPORT_FORMATS = ['json', 'csv', 'ndjson'];
+const CSV_COLUMNS = ['id', 'createdAt', 'eventType', 'userId', 'ipAddress', 'userAgent', 'requestId', 'metadata'];
+
+/**
+ * Helper function to send error responses
+ * Logs detailed error server-side but sends opaque message to client
+ */
+function sendErrorResponse(res, statusCode, clientMessage, logMessage, logData = {}) {
+    // Log detailed error information
+    console.error(`[${statusCode}] ${logMessage}`, logData);
+
+    // Send opaque error to client
+    res.status(statusCode).json({
+        error: clientMessage,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Parse audit filters from the query string, confined to one tenant
+ * @returns {[object|null, string|null]} [filters, error]
+ */
+function parseAuditFilters(query, tenantId) {
+    const filters = { tenantId };
+
+    if (query.user_id !== undefined) {
+        const userId = Number(query.user_id);
+        if (!Number.isInteger(userId) || userId < 1) return [null, 'user_id must be a positive integer'];
+        filters.userId = userId;
+    }
+
+    if (query.event_type !== undefined) {
+        filters.eventTypes = String(query.event_type).split(',').map(type => type.trim()).filter(Boolean);
+    }
+
+    for (const bound of ['from', 'to']) {
+        if (query[bound] !== undefined) {
+            const date = new Date(String(query[bound]));
+            if (Number.isNaN(date.getTime())) return [null, `${bound} must be an ISO 8601 date`];
+            filters[bound] = date;
+        }
+    }
+
+    return [filters, null];
+}
+
+// Quote a CSV field, neutralising leading characters spreadsheets treat as formulas
+function csvField(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write a chunk, waiting for the socket to drain if its buffer is full
+function writeChunk(res, chunk) {
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+/**
+ * Stream every matching event as CSV or NDJSON
+ */
+async function exportAuditEvents(req, res, filters, format) {
+    const filename = `audit-${new Date().toISOString().replace(/[:.]/g, '-')}.${format}`;
+    res.status(HttpStatus.SUCCESS_STATUS);
+    res.set('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('Cache-Control', 'no-store');
+
+    let count = 0;
+    try {
+        if (format === 'csv') {
+            await writeChunk(res, CSV_COLUMNS.join(',') + '\r\n');
+        }
+        for await (const event of auditService.iterate(filters)) {
+            if (res.destroyed) break;
+            const line = format === 'csv'
+                ? CSV_COLUMNS.map(column => csvField(event[column])).join(',') + '\r\n'
+                : JSON.stringify(event) + '\n';
+            await writeChunk(res, line);
+            count += 1;
+        }
+        res.end();
+    } catch (error) {
+        // Headers are gone; abort so the client sees a truncated download, not a short file
+        console.error('[500] Audit export error', { filters, count, error: error.message, stack: error.stack });
+        res.destroy(error);
+        return;
+    }
+
+    await auditService.recordSafely('audit_log_exported', {
+        req,
+        userId: req.user.id,
+        metadata: { format, count, filters }
+    });
+}
+
+/**
+ * Query the tenant's audit events, newest first, with cursor pagination or as an export
+ */
+async function getAuditEvents(req, res) {
+    try {
+        const [filters, filterError] = parseAuditFilters(req.query, req.tenant.id);
+        if (filterError) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                filterError,
+                'Audit query failed: Invalid filter',
+                { query: req.query }
+            );
+        }
+
+        const format = String(req.query.format || 'json').toLowerCase();
+        if (!EXPORT_FORMATS.includes(format)) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                `format must be one of ${EXPORT_FORMATS.join(', ')}`,
+                'Audit query failed: Unknown format',
+                { format }
+            );
+        }
+
+        if (format !== 'json') {
+            return await exportAuditEvents(req, res, filters, format);
+        }
+
+        let cursor = null;
+        if (req.query.cursor !== undefined) {
+            cursor = auditService.decodeCursor(String(req.query.cursor));
+            if (cursor === null) {
+                return sendErrorResponse(
+                    res,
+                    HttpStatus.BAD_REQUEST_STATUS,
+                    'Invalid cursor',
+                    'Audit query failed: Malformed cursor',
+                    { cursor: req.query.cursor }
+                );
+            }
+        }
+
+        const limit = parseInt(req.query.limit) || undefined;
+        const page = await auditService.query(filters, { cursor, limit });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            ...page,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to load audit events',
+            'Audit query error',
+            { query: req.query, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * List every email, IP and subnet currently delayed or locked out in the admin's tenant
+ */
+async function listLockouts(req, res) {
+    try {
+        const lockouts = await lockoutService.listLockouts(req.tenant.id);
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            lockouts: lockouts.map(lockout => ({
+                ...lockout,
+                retryAfter: Math.max(1, Math.ceil((lockout.blockedUntil.getTime() - Date.now()) / 1000))
+            })),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to load lockouts',
+            'Lockout list error',
+            { error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Clear a lockout by forgetting the failed attempts behind it
+ */
+async function clearLockout(req, res) {
+    const scope = String(req.query.scope || '');
+    const key = String(req.query.key || '');
+    try {
+        if (!lockoutService.SCOPES.includes(scope) || !lockoutService.isValidKey(scope, key)) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                `scope must be one of ${lockoutService.SCOPES.join(', ')} with a matching key`,
+                'Lockout clear failed: Invalid scope or key',
+                { scope, key }
+            );
+        }
+
+        const cleared = await lockoutService.clearLockout(req.tenant.id, scope, key);
+
+        await auditService.record('lockout_cleared', {
+            req,
+            userId: req.user.id,
+            metadata: { scope, key, cleared_attempts: cleared }
+        });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            message: 'Lockout cleared',
+            clearedAttempts: cleared,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to clear lockout',
+            'Lockout clear error',
+            { scope, key, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Parse the :id route parameter
+ * @returns {number|null}
+ */
+function parseUserId(req) {
+    const userId = Number(req.params.id);
+    return Number.isInteger(userId) && userId > 0 ? userId : null;
+}
+
+/**
+ * Search users by email, role and status, newest first
+ */
+async function listUsers(req, res) {
+    try {
+        const filters = {};
+        if (req.query.q !== undefined) filters.query = String(req.query.q).trim();
+
+        for (const [param, allowed] of [['role', userService.ROLES], ['status', userService.STATUSES]]) {
+            if (req.query[param] === undefined) continue;
+            const value = String(req.query[param]);
+            if (!allowed.includes(value)) {
+                return sendErrorResponse(
+                    res,
+                    HttpStatus.BAD_REQUEST_STATUS,
+                    `${param} must be one of ${allowed.join(', ')}`,
+                    'User search failed: Invalid filter',
+                    { query: req.query }
+                );
+            }
+            filters[param] = value;
+        }
+
+        let cursor = null;
+        if (req.query.cursor !== undefined) {
+            cursor = userService.decodeCursor(String(req.query.cursor));
+            if (cursor === null) {
+                return sendErrorResponse(
+                    res,
+                    HttpStatus.BAD_REQUEST_STATUS,
+                    'Invalid cursor',
+                    'User search failed: Malformed cursor',
+                    { cursor: req.query.cursor }
+                );
+            }
+        }
+
+        const limit = parseInt(req.query.limit) || undefined;
+        const page = await userService.search(req.tenant.id, filters, { cursor, limit });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            ...page,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to load users',
+            'User search error',
+            { query: req.query, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Look up one user
+ */
+async function getUser(req, res) {
+    const userId = parseUserId(req);
+    try {
+        if (!userId) {
+            return sendErrorResponse(res, HttpStatus.BAD_REQUEST_STATUS, 'Invalid user id', 'User lookup failed: Invalid id', { id: req.params.id });
+        }
+
+        const user = await userService.findById(userId, req.tenant.id);
+        if (!user) {
+            return sendErrorResponse(res, HttpStatus.NOT_FOUND_STATUS, 'User not found', 'User lookup failed: No such user', { user_id: userId });
+        }
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            user,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to load user',
+            'User lookup error',
+            { user_id: userId, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Build a handler that moves a user to `status`. Banning or disabling also
+ * signs the user out everywhere; their access tokens stop working at once.
+ * With `fromStatuses`, users in any other status get 409.
+ */
+function setUserStatus(status, eventType, fromStatuses = null) {
+    return async function (req, res) {
+        const userId = parseUserId(req);
+        const reason = req.body && req.body.reason !== undefined ? String(req.body.reason).slice(0, 500) : null;
+        try {
+            if (!userId) {
+                return sendErrorResponse(res, HttpStatus.BAD_REQUEST_STATUS, 'Invalid user id', `User ${status} failed: Invalid id`, { id: req.params.id });
+            }
+            if (userId === Number(req.user.id) && status !== 'active') {
+                return sendErrorResponse(
+                    res,
+                    HttpStatus.BAD_REQUEST_STATUS,
+                    'You cannot do this to your own account',
+                    `User ${status} failed: Admin targeted themselves`,
+                    { user_id: userId }
+                );
+            }
+
+            const updated = await userService.setStatus(userId, req.tenant.id, status, status === 'active' ? null : reason, fromStatuses);
+            if (!updated) {
+                return sendErrorResponse(res, HttpStatus.NOT_FOUND_STATUS, 'User not found', `User ${status} failed: No such user`, { user_id: userId });
+            }
+            if (updated.failure) {
+                return sendErrorResponse(
+                    res,
+                    HttpStatus.CONFLICT_STATUS,
+                    `User is ${updated.previousStatus}`,
+                    `User ${status} failed: User is ${updated.previousStatus}`,
+                    { user_id: userId, previous_status: updated.previousStatus }
+                );
+            }
+
+            const revoked = status === 'active' ? [] : await sessionService.revokeAllSessions(userId, `account_${status}`);
+
+            await auditService.record(eventType, {
+                req,
+                userId: req.user.id,
+                metadata: {
+                    target_user_id: userId,
+                    previous_status: updated.previousStatus,
+                    reason,
+                    revoked_sessions: revoked.length
+                }
+            });
+
+            return res.status(HttpStatus.SUCCESS_STATUS).json({
+                user: updated.user,
+                revokedSessions: revoked.length,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.MISC_ERROR_STATUS,
+                'Failed to update user',
+                `User ${status} error`,
+                { user_id: userId, error: error.message, stack: error.stack }
+            );
+        }
+    };
+}
+
+const banUser = setUserStatus('banned', 'user_banned');
+const disableUser = setUserStatus('disabled', 'user_disabled');
+// Pending users are unverified, so only a ban or disable can be lifted this way
+const unbanUser = setUserStatus('active', 'user_unbanned', ['banned', 'disabled']);
+
+/**
+ * Sign a user out of every session
+ */
+async function logoutUser(req, res) {
+    const userId = parseUserId(req);
+    try {
+        if (!userId) {
+            return sendErrorResponse(res, HttpStatus.BAD_REQUEST_STATUS, 'Invalid user id', 'Force logout failed: Invalid id', { id: req.params.id });
+        }
+        if (!await userService.findById(userId, req.tenant.id)) {
+            return sendErrorResponse(res, HttpStatus.NOT_FOUND_STATUS, 'User not found', 'Force logout failed: No such user', { user_id: userId });
+        }
+
+        const revoked = await sessionService.revokeAllSessions(userId, 'admin_logout');
+
+        await auditService.record('user_sessions_revoked', {
+            req,
+            userId: req.user.id,
+            metadata: { target_user_id: userId, revoked_sessions: revoked.length }
+        });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            message: 'User signed out',
+            revokedSessions: revoked.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to sign out user',
+            'Force logout error',
+            { user_id: userId, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Turn off a user's two-factor authentication, for someone who lost both
+ * their authenticator and recovery codes. Their next sign in needs only the
+ * first factor, so confirm who is asking before doing this.
+ */
+async function resetUserMfa(req, res) {
+    const userId = parseUserId(req);
+    try {
+        if (!userId) {
+            return sendErrorResponse(res, HttpStatus.BAD_REQUEST_STATUS, 'Invalid user id', 'MFA reset failed: Invalid id', { id: req.params.id });
+        }
+        if (!await userService.findById(userId, req.tenant.id)) {
+            return sendErrorResponse(res, HttpStatus.NOT_FOUND_STATUS, 'User not found', 'MFA reset failed: No such user', { user_id: userId });
+        }
+
+        if (!await mfaService.isEnabled(userId)) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.NOT_FOUND_STATUS,
+                'Two-factor authentication is not enabled for this user',
+                'MFA reset failed: Not enabled',
+                { user_id: userId }
+            );
+        }
+
+        await mfaService.disable(userId);
+        await auditService.record('user_mfa_reset', {
+            req,
+            userId: req.user.id,
+            metadata: { target_user_id: userId }
+        });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            message: 'Two-factor authentication disabled',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to reset two-factor authentication',
+            'MFA reset error',
+            { user_id: userId, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Delete a user. Their sessions are revoked first so outstanding access
+ * tokens stop working; audit events keep their rows with user_id cleared.
+ */
+async function deleteUser(req, res) {
+    const userId = parseUserId(req);
+    try {
+        if (!userId) {
+            return sendErrorResponse(res, HttpStatus.BAD_REQUEST_STATUS, 'Invalid user id', 'User delete failed: Invalid id', { id: req.params.id });
+        }
+        if (userId === Number(req.user.id)) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'You cannot do this to your own account',
+                'User delete failed: Admin targeted themselves',
+                { user_id: userId }
+            );
+        }
+
+        if (!await userService.findById(userId, req.tenant.id)) {
+            return sendErrorResponse(res, HttpStatus.NOT_FOUND_STATUS, 'User not found', 'User delete failed: No such user', { user_id: userId });
+        }
+
+        const revoked = await sessionService.revokeAllSessions(userId, 'account_deleted');
+        const deleted = await userService.delete(userId, req.tenant.id);
+        if (!deleted) {
+            return sendErrorResponse(res, HttpStatus.NOT_FOUND_STATUS, 'User not found', 'User delete failed: No such user', { user_id: userId });
+        }
+
+        await auditService.record('user_deleted', {
+            req,
+            userId: req.user.id,
+            metadata: { target_user_id: userId, email: deleted.email, revoked_sessions: revoked.length }
+        });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            message: 'User deleted',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to delete user',
+            'User delete error',
+            { user_id: userId, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+module.exports = {
+    getAuditEvents,
+    listLockouts,
+    clearLockout,
+    listUsers,
+    getUser,
+    banUser,
+    disableUser,
+    unbanUser,
+    logoutUser,
+    resetUserMfa,
+    deleteUser
+};
@@ -0,0 +1,53 @@
+// Dependencies
+const express = require('express');
+const adminRouter = express.Router();
+
+// Middleware
+const { requireAccessToken, requireRole } = require('../../middleware/auth.js');
+
+// Controller Imports
+const {
+    getAuditEvents,
+    listLockouts,
+    clearLockout,
+    listUsers,
+    getUser,
+    banUser,
+    disableUser,
+    unbanUser,
+    logoutUser,
+    resetUserMfa,
+    deleteUser,
+} = require('./controller.js');
+
+// Async handler wrapper
+const asyncHandler = fn => (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// Every admin route needs an admin's access token, and only sees that admin's tenant
+adminRouter.use(requireAccessToken, requireRole('admin'));
+
+// -------------
+// Admin Routes
+// -------------
+
+// Audit Log (JSON pages, or ?format=csv|ndjson for an export)
+adminRouter.get('/audit', asyncHandler(getAuditEvents));
+
+// Lockouts (DELETE takes ?scope=email|ip|subnet&key=...)
+adminRouter.get('/lockouts', asyncHandler(listLockouts));
+adminRouter.delete('/lockouts', asyncHandler(clearLockout));
+
+// Users (GET takes ?q=&role=&status=&limit=&cursor=)
+adminRouter.get('/users', asyncHandler(listUsers));
+adminRouter.get('/users/:id', asyncHandler(getUser));
+adminRouter.post('/users/:id/ban', asyncHandler(banUser));
+adminRouter.post('/users/:id/disable', asyncHandler(disableUser));
+adminRouter.post('/users/:id/unban', asyncHandler(unbanUser));
+adminRouter.post('/users/:id/logout', asyncHandler(logoutUser));
+adminRouter.post('/users/:id/mfa/reset', asyncHandler(resetUserMfa));
+adminRouter.delete('/users/:id', asyncHandler(deleteUser));
+
+// Export routes
+module.exports = adminRouter;
@@ -1,11 +1,35 @@
 // Dependencies
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
 const { metrics } = require('../../middleware/metrics');
+const { deliverTokens, clearTokenCookies, readRefreshTokenCookie } = require('../../middleware/tokenCookies');
 const tokenService = require('../../services/token');
+const passwordService = require('../../services/password');
+const sessionService = require('../../services/session');
+const auditService = require('../../services/audit');
+const lockoutService = require('../../services/lockout');
+const emailAddress = require('../../services/emailAddress');
+const emailVerification = require('../../services/emailVerification');
+const webauthnService = require('../../services/webauthn');
+const mfaService = require('../../services/mfa');
+const riskService = require('../../services/risk');
+const oidcService = require('../../services/oidc');
+const { buildRedirect } = require('../../services/oidc');
+const tenantService = require('../../services/tenants');
+const authPass = require('../../auth_pass/native');
 const db = require('../../db');
-const { resend_sendOtpEmail } = require('../../external_apis/resend');
+const emailQueue = require('../../services/emailQueue');
+const { resend_buildOtpEmail } = require('../../external_apis/resend');
+const { db_createOtpCode, db_validateOtpCode, db_consumeOtpCode, db_consumeOtpCodeForMagicToken } = require('./funs_db');
 const HttpStatus = require('../../types/HttpStatus');
 
-const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+const MAGIC_LINK_RESEND_COOLDOWN_SECS = parseInt(process.env.MAGIC_LINK_RESEND_COOLDOWN_SECS) || 60;
+const POLL_INTERVAL_SECS = 2;
+
+// Same response whether or not a link went out, so the endpoint can't be used to probe accounts
+const MAGIC_LINK_SENT_MESSAGE = 'If an account exists, a magic link has been sent';
+
+// Magic link failures that say nothing about guessing, so don't count towards lockouts
+const UNCOUNTED_FAILURES = ['locked', 'account_inactive'];
 
 /**
  * Send standardized error response
@@ -27,31 +51,165 @@ function sendErrorResponse(res, statusCode, clientMessage, logMessage, logData =
 }
 
 /**
- * Register new user
+ * The handle a requesting browser polls with: for the approval of a
+ * cross-device link, or for the code to show when a click on its link is
+ * stepped up. Requests that sent no link get one for a random id.
+ */
+function pollFields(tokenId = uuidv4()) {
+    return { pollToken: tokenService.createPollToken(tokenId), pollInterval: POLL_INTERVAL_SECS };
+}
+
+/**
+ * Email a verification link, recording the outcome. Registration and
+ * magic link requests succeed even if this fails; asking for a magic link
+ * again sends a fresh verification email.
+ */
+async function sendVerificationEmail(req, user) {
+    try {
+        const sent = await emailVerification.send(user, req.tenant, req.requestId);
+        await auditService.record('email_verification_sent', {
+            req,
+            userId: user.id,
+            metadata: sent.suppressed
+                ? { outcome: sent.suppressed }
+                : { outcome: 'issued', verification_id: sent.verificationId }
+        });
+    } catch (error) {
+        console.error('Verification email error:', { user_id: user.id, error: error.message });
+        await auditService.recordSafely('email_delivery_failed', {
+            req,
+            userId: user.id,
+            metadata: { kind: 'email_verification', reason: 'enqueue_failed', error: error.message }
+        });
+    }
+}
+
+/**
+ * Respond to a sign in that passed its first factor. Users with TOTP enabled
+ * get a short-lived mfa_pending token to exchange at /mfa/verify; everyone
+ * else is signed in straight away.
+ * @param {Object} user - { id, email, role }, found within req.tenant
+ * @param {string|null} oidcRequestId - the authorization request the login was started for
+ * @param {Object} body - extra fields for the response; a returnTo waits for the second factor
+ */
+async function sendSignInResponse(req, res, user, oidcRequestId, body = {}) {
+    if (await mfaService.isEnabled(user.id)) {
+        const { returnTo, ...challengeBody } = body;
+        const mfaToken = await mfaService.createPendingToken({ ...user, tenantId: req.tenant.id }, oidcRequestId, returnTo);
+        await auditService.record('mfa_challenge_issued', { req, userId: user.id });
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            ...challengeBody,
+            mfaRequired: true,
+            mfaToken,
+            expiresIn: mfaService.config.pendingTtlSecs,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    return completeSignIn(req, res, user, oidcRequestId, body);
+}
+
+/**
+ * Finish a sign in. A login started by an OIDC client goes back to it with an
+ * authorization code ({ redirectTo }); any other login gets a token pair, plus
+ * the returnTo from body when the magic link asked for one.
+ */
+async function completeSignIn(req, res, user, oidcRequestId, body = {}) {
+    if (oidcRequestId) {
+        try {
+            if (!uuidValidate(oidcRequestId)) throw new Error('Invalid authorization request');
+            const redirectTo = await oidcService.completeAuthorization(oidcRequestId, user, {
+                ipAddress: req.ip,
+                userAgent: req.headers['user-agent'],
+                requestId: req.requestId
+            });
+            return res.status(HttpStatus.SUCCESS_STATUS).json({
+                ...body,
+                redirectTo,
+                timestamp: new Date().toISOString()
+            });
+        } catch (error) {
+            if (error.message !== 'Invalid authorization request') throw error;
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'This sign in request has expired, please return to the application and try again',
+                'Sign in failed: OIDC authorization request is not pending',
+                { oidc_request_id: oidcRequestId, user_id: user.id }
+            );
+        }
+    }
+
+    // Generate token pair and store the refresh token with device fingerprint
+    const { tokens } = await tokenService.issueTokenPair({ ...user, tenantId: req.tenant.id }, {
+        deviceFingerprint: tokenService.generateDeviceFingerprint(req),
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        // Set by readDpopProof when the client sent a DPoP proof
+        dpopJkt: req.dpopJkt
+    });
+    return res.status(HttpStatus.SUCCESS_STATUS).json({
+        ...body,
+        ...deliverTokens(req, res, tokens),
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Register new user. The account stays pending until its email is verified.
  */
 async function registerUser(req, res) {
+    const { password } = req.body;
+    const email = emailAddress.normalize(req.body.email);
     try {
-        const { email, password } = req.body;
-        
         // Validate input
-        if (!email || !password) {
+        if (!req.body.email || !password) {
             return sendErrorResponse(
                 res, 
                 HttpStatus.BAD_REQUEST_STATUS, 
                 'Invalid request', 
                 'Registration failed: Missing email or password',
-                { email: !!email, password: !!password }
+                { email: !!req.body.email, password: !!password }
+            );
+        }
+
+        if (!email) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid email address',
+                'Registration failed: Malformed email',
+                { email: String(req.body.email).slice(0, 254) }
             );
         }
         
-        // Create user
+        if (typeof password !== 'string' || password.length < passwordService.minLength) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                `Password must be at least ${passwordService.minLength} characters`,
+                'Registration failed: Password too short',
+                { email }
+            );
+        }
+
+        // Create user; email_canonical is unique per tenant, so case (and plus-address) variants are duplicates
+        const { hash, salt } = await passwordService.hashPassword(password);
         const result = await db.query(
-            'INSERT INTO users (email, password_hash, password_salt) VALUES ($1, $2, $3) RETURNING id',
-            [email, 'hash', 'salt'] // You should properly hash the password
+            `INSERT INTO users (tenant_id, email, email_canonical, password_hash, password_salt, status) VALUES ($1, $2, $3, $4, $5, 'pending') RETURNING id`,
+            [req.tenant.id, email, emailAddress.canonicalize(email), hash, salt]
         );
+        const user = { id: result.rows[0].id, email };
+
+        await auditService.record('user_registered', {
+            req,
+            userId: user.id,
+            metadata: { duplicate_policy: emailAddress.duplicatePolicy }
+        });
+        await sendVerificationEmail(req, user);
         
         return res.status(HttpStatus.SUCCESS_STATUS).json({ 
-            message: "Registration successful",
+            message: 'Registration successful. Check your email to verify your address.',
             timestamp: new Date().toISOString()
         });
 
@@ -63,7 +221,7 @@ async function registerUser(req, res) {
                 HttpStatus.BAD_REQUEST_STATUS,
                 'Email already exists',
                 'Registration failed: Duplicate email',
-                { email, error: error.message }
+                { email, policy: emailAddress.duplicatePolicy, error: error.message }
             );
         }
         
@@ -77,12 +235,67 @@ async function registerUser(req, res) {
     }
 }
 
+/**
+ * Verify a registered email address from the link in the verification email
+ */
+async function verifyEmail(req, res) {
+    const { token_id, token } = req.body;
+    try {
+        if (!token_id || !token || !uuidValidate(String(token_id))) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid request',
+                'Email verification failed: Missing or malformed token',
+                { token_id: !!token_id, token: !!token }
+            );
+        }
+
+        const outcome = await emailVerification.verify(String(token_id), String(token), req.tenant.id);
+        if (outcome.failure) {
+            await auditService.recordSafely('email_verify_failed', {
+                req,
+                userId: outcome.userId || null,
+                metadata: { verification_id: token_id, reason: outcome.failure }
+            });
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                outcome.failure === 'expired' ? 'Verification link expired' : 'Invalid or expired verification link',
+                `Email verification failed: ${outcome.failure}`,
+                { token_id, user_id: outcome.userId }
+            );
+        }
+
+        await auditService.record('email_verified', {
+            req,
+            userId: outcome.userId,
+            metadata: { verification_id: token_id }
+        });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            message: 'Email verified. You can now sign in.',
+            email: outcome.email,
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Email verification failed',
+            'Email verification error',
+            { token_id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
 /**
  * Request magic link
  */
 async function requestMagicLink(req, res) {
+    const { email, includeCode, crossDevice, oidcRequest, redirect_uri: redirectUri = null, state = null } = req.body;
     try {
-        const { email } = req.body;
         metrics.magicLinkRequestsTotal.inc();
 
         // Validate input
@@ -96,34 +309,98 @@ async function requestMagicLink(req, res) {
             );
         }
 
+        const idempotencyKey = req.get('Idempotency-Key') || req.get('X-Idempotency-Key') || null;
+        if (idempotencyKey !== null && (idempotencyKey.length < 1 || idempotencyKey.length > 255)) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid Idempotency-Key',
+                'Magic link request failed: Idempotency-Key must be 1-255 characters',
+                { length: idempotencyKey.length }
+            );
+        }
+
+        // Signing in for an OIDC client: the link finishes its authorization request
+        const oidcRequestId = oidcRequest === undefined || oidcRequest === null ? null : String(oidcRequest);
+        if (oidcRequestId !== null && (!uuidValidate(oidcRequestId) || !await oidcService.findPendingRequest(oidcRequestId, req.tenant.id))) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'This sign in request has expired, please return to the application and try again',
+                'Magic link request failed: Unknown or expired OIDC authorization request',
+                { oidc_request_id: oidcRequestId }
+            );
+        }
+
+        // Where to go after sign in: only a URI registered for the tenant, so
+        // the link can't be turned into an open redirect
+        if (redirectUri !== null && (oidcRequestId !== null || !tenantService.isRedirectUriAllowed(req.tenant, redirectUri))) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid redirect_uri',
+                oidcRequestId !== null
+                    ? 'Magic link request failed: redirect_uri sent with an OIDC authorization request'
+                    : 'Magic link request failed: redirect_uri is not registered for this tenant',
+                { redirect_uri: redirectUri, tenant_id: req.tenant.id }
+            );
+        }
+        if (state !== null && (typeof state !== 'string' || !state || state.length > tenantService.config.maxStateLength)) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid state',
+                `Magic link request failed: state must be a string of 1-${tenantService.config.maxStateLength} characters`,
+                { length: typeof state === 'string' ? state.length : null }
+            );
+        }
+
         // Find user
-        const user = await db.query('SELECT id FROM users WHERE email = $1', [email]);
+        const user = await db.query('SELECT id, email, status FROM users WHERE tenant_id = $1 AND email_canonical = $2', [req.tenant.id, emailAddress.canonicalize(String(email))]);
         if (!user.rows[0]) {
+            await auditService.record('magic_link_requested', {
+                req,
+                metadata: { email, outcome: 'unknown_email', cross_device: crossDevice === true }
+            });
+
             // Return success to prevent email enumeration
             return res.status(HttpStatus.SUCCESS_STATUS).json({ 
-                message: 'If an account exists, a magic link has been sent',
+                message: MAGIC_LINK_SENT_MESSAGE,
+                ...pollFields(),
+                timestamp: new Date().toISOString()
+            });
+        }
+        const userId = user.rows[0].id;
+
+        // Banned and disabled accounts get nothing, with the same response as an unknown email
+        if (!['active', 'pending'].includes(user.rows[0].status)) {
+            await auditService.record('magic_link_requested', {
+                req,
+                userId,
+                metadata: { outcome: 'account_inactive', cross_device: crossDevice === true }
+            });
+            return res.status(HttpStatus.SUCCESS_STATUS).json({
+                message: MAGIC_LINK_SENT_MESSAGE,
+                ...pollFields(),
                 timestamp: new Date().toISOString()
             });
         }
 
-        // TEMPORARILY DISABLED: Check for recent valid magic tokens
-        // const recentToken = await db.query(`
-        //     SELECT token_hash 
-        //     FROM magic_tokens 
-        //     WHERE user_id = $1 
-        //     AND expires_at > NOW() 
-        //     AND used = false
-        //     AND created_at > NOW() - INTERVAL '5 minutes'
-        //     ORDER BY created_at DESC 
-        //     LIMIT 1
-        // `, [user.rows[0].id]);
-
-        // // If recent token exists, don't create a new one
-        // if (recentToken.rows[0]) {
-        //     return res.status(200).json({ 
-        //         message: 'If an account exists, a magic link has been sent'
-        //     });
-        // }
+        // No login links until the address is verified; send (or re-send) the verification email instead
+        if (user.rows[0].status === 'pending') {
+            await auditService.record('magic_link_requested', {
+                req,
+                userId,
+                metadata: { outcome: 'unverified', cross_device: crossDevice === true }
+            });
+            await sendVerificationEmail(req, user.rows[0]);
+
+            return res.status(HttpStatus.SUCCESS_STATUS).json({
+                message: MAGIC_LINK_SENT_MESSAGE,
+                ...pollFields(),
+                timestamp: new Date().toISOString()
+            });
+        }
 
         // Generate magic token and replay protection data
         const token = await tokenService.generateMagicToken();
@@ -131,12 +408,67 @@ async function requestMagicLink(req, res) {
         const nonce = tokenService.generateNonce();
         const deviceFingerprint = tokenService.generateDeviceFingerprint(req);
 
-        // Store token with replay protection data
-        const tokenResult = await db.query(
-            'INSERT INTO magic_tokens (user_id, token_hash, token_salt, expires_at, nonce, device_fingerprint, ip_address, user_agent) VALUES ($1, $2, $3, NOW() + INTERVAL \'15 minutes\', $4, $5, $6, $7) RETURNING id',
-            [user.rows[0].id, tokenHash, tokenSalt, nonce, deviceFingerprint, req.ip, req.headers['user-agent']]
-        );
-        const tokenId = tokenResult.rows[0].id;
+        // Decide and issue under a lock on the user row, so concurrent requests
+        // (double clicks, client retries) see each other's tokens
+        const issued = await db.transaction(async (client) => {
+            await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+            // Same Idempotency-Key as an earlier request: that request already sent the link
+            if (idempotencyKey) {
+                const existing = await client.query(
+                    'SELECT id, cross_device FROM magic_tokens WHERE user_id = $1 AND idempotency_key = $2',
+                    [userId, idempotencyKey]
+                );
+                if (existing.rows[0]) return { suppressed: 'idempotent', token: existing.rows[0] };
+            }
+
+            // A link sent moments ago is still valid: don't send another one
+            const recentToken = await client.query(`
+                SELECT id, cross_device
+                FROM magic_tokens
+                WHERE user_id = $1
+                AND expires_at > NOW()
+                AND used = false
+                AND invalidated_at IS NULL
+                AND created_at > NOW() - make_interval(secs => $2)
+                AND cross_device = $3
+                AND oidc_request_id IS NOT DISTINCT FROM $4
+                AND redirect_uri IS NOT DISTINCT FROM $5
+                AND state IS NOT DISTINCT FROM $6
+                LIMIT 1
+            `, [userId, MAGIC_LINK_RESEND_COOLDOWN_SECS, crossDevice === true, oidcRequestId, redirectUri, state]);
+            if (recentToken.rows[0]) return { suppressed: 'cooldown', token: recentToken.rows[0] };
+
+            // Only the newest link (and code) for a user can be used
+            await client.query(
+                'UPDATE magic_tokens SET invalidated_at = NOW() WHERE user_id = $1 AND used = false AND invalidated_at IS NULL',
+                [userId]
+            );
+            await client.query('UPDATE otp_codes SET used = true WHERE user_id = $1 AND used = false', [userId]);
+
+            // Store token with replay protection data
+            const tokenResult = await client.query(
+                'INSERT INTO magic_tokens (user_id, token_hash, token_salt, expires_at, nonce, device_fingerprint, ip_address, user_agent, idempotency_key, cross_device, approval_status, oidc_request_id, redirect_uri, state) VALUES ($1, $2, $3, NOW() + make_interval(mins => $14), $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING id',
+                [userId, tokenHash, tokenSalt, nonce, deviceFingerprint, req.ip, req.headers['user-agent'], idempotencyKey,
+                 crossDevice === true, crossDevice === true ? 'pending' : null, oidcRequestId, redirectUri, state, req.tenant.magicLinkTtlMinutes]
+            );
+            return { tokenId: tokenResult.rows[0].id };
+        });
+
+        if (issued.suppressed) {
+            metrics.magicLinkRequestsSuppressedTotal.inc({ reason: issued.suppressed });
+            await auditService.record('magic_link_requested', {
+                req,
+                userId,
+                metadata: { token_id: issued.token.id, outcome: issued.suppressed, cross_device: issued.token.cross_device }
+            });
+            return res.status(HttpStatus.SUCCESS_STATUS).json({
+                message: MAGIC_LINK_SENT_MESSAGE,
+                ...pollFields(issued.token.id),
+                timestamp: new Date().toISOString()
+            });
+        }
+        const tokenId = issued.tokenId;
 
         // Debug logging
         if (process.env.NODE_ENV !== 'production') {
@@ -144,25 +476,64 @@ async function requestMagicLink(req, res) {
             console.log('Generated token:', token);
         }
 
-        // Create signed magic link with token_id
-        const baseUrl = `${FRONTEND_URL}/index.html?token_id=${tokenId}&token=${token}`;
+        // Create signed magic link with token_id; the signature also covers where it sends the user
+        const returnParams = new URLSearchParams();
+        if (redirectUri !== null) returnParams.set('redirect_uri', redirectUri);
+        if (state !== null) returnParams.set('state', state);
+        const returnQuery = returnParams.toString();
+        const baseUrl = `${req.tenant.frontendUrl}/index.html?token_id=${tokenId}&token=${token}${crossDevice === true ? '&mode=approve' : ''}${returnQuery ? `&${returnQuery}` : ''}`;
         const signedMagicLink = tokenService.signUrl(baseUrl);
         
         // Note: Never log raw tokens or links in production
         if (process.env.NODE_ENV !== 'production') {
             console.log('Generated signed magic link for:', email);
         }
-        // Track email delivery latency
-        const emailStartTime = Date.now();
-        await resend_sendOtpEmail(email, signedMagicLink);
-        const emailLatency = (Date.now() - emailStartTime) / 1000;
-        
-        // Record delivery metrics
-        metrics.emailDeliveryLatency.observe({ provider: 'resend' }, emailLatency);
-        metrics.magicLinkDeliveredTotal.inc();
+
+        // Optionally send a numeric code alongside the link for cross-device sign in
+        let otpCode = null;
+        if (includeCode === true) {
+            const [codeCreated, code] = await db_createOtpCode(user.rows[0].id, tokenId);
+            if (codeCreated) otpCode = code;
+        }
+
+        await auditService.record('magic_link_requested', {
+            req,
+            userId,
+            metadata: {
+                token_id: tokenId,
+                outcome: 'issued',
+                cross_device: crossDevice === true,
+                include_code: otpCode !== null,
+                ...(oidcRequestId && { oidc_request_id: oidcRequestId }),
+                ...(redirectUri && { redirect_uri: redirectUri })
+            }
+        });
+
+        // Queue the email; the worker records delivery latency and outcome
+        try {
+            await emailQueue.enqueue(
+                {
+                    to: user.rows[0].email,
+                    ...req.tenant.email,
+                    ...resend_buildOtpEmail(signedMagicLink, otpCode, { ttlMinutes: req.tenant.magicLinkTtlMinutes, brand: req.tenant.brand })
+                },
+                { kind: 'magic_link', userId, requestId: req.requestId, tenantId: req.tenant.id }
+            );
+        } catch (error) {
+            // Nothing was sent, so don't let this token block a retry
+            await db.query('UPDATE magic_tokens SET invalidated_at = NOW() WHERE id = $1', [tokenId]);
+            await db_consumeOtpCodeForMagicToken(tokenId);
+            await auditService.recordSafely('email_delivery_failed', {
+                req,
+                userId,
+                metadata: { kind: 'magic_link', token_id: tokenId, reason: 'enqueue_failed', error: error.message }
+            });
+            throw error;
+        }
 
         return res.status(HttpStatus.SUCCESS_STATUS).json({ 
-            message: 'Magic link sent successfully',
+            message: MAGIC_LINK_SENT_MESSAGE,
+            ...pollFields(tokenId),
             timestamp: new Date().toISOString()
         });
 
@@ -178,12 +549,335 @@ async function requestMagicLink(req, res) {
     }
 }
 
+/**
+ * Check a magic link's signature and token against the stored row.
+ * Failures count towards lockouts; locked out callers are turned away
+ * before the token is checked.
+ * @param {Object} params - { token_id, token, signature, url } from the request body, plus the
+ *   caller's ip and tenantId; links sent for another tenant's users are not found, and
+ *   failures count towards that tenant's lockouts
+ * @returns {Promise<Object>} { tokenData } when the link is usable, otherwise
+ *   { failure: { reason, status, clientMessage, logMessage, logData, retryAfter? } }
+ */
+async function checkMagicLinkToken({ token_id, token, signature, url, ip, tenantId }) {
+    const ipLockout = await lockoutService.check({ tenantId, ip, attemptType: 'magic_link' });
+    if (ipLockout.blocked) {
+        return { failure: lockoutFailure(ipLockout, { token_id, ip }) };
+    }
+
+    const outcome = await inspectMagicLinkToken({ token_id, token, signature, url, tenantId });
+    if (outcome.failure && !UNCOUNTED_FAILURES.includes(outcome.failure.reason)) {
+        await lockoutService.recordFailure({ tenantId, email: outcome.failure.email, ip, attemptType: 'magic_link' });
+    }
+    return outcome;
+}
+
+/**
+ * Build the failure returned when a lockout turns an attempt away
+ */
+function lockoutFailure(lockout, logData) {
+    return {
+        reason: 'locked',
+        status: HttpStatus.TOO_MANY_REQUESTS_STATUS,
+        clientMessage: 'Too many failed attempts, please try again later',
+        logMessage: `Attempt rejected: ${lockout.scope} locked out`,
+        logData: { ...logData, scope: lockout.scope, retry_after: lockout.retryAfter },
+        retryAfter: lockout.retryAfter
+    };
+}
+
+/**
+ * Send a failure from checkMagicLinkToken, with Retry-After for lockouts
+ */
+function sendMagicLinkFailure(res, failure) {
+    if (failure.retryAfter) {
+        res.set('Retry-After', String(failure.retryAfter));
+    }
+    return sendErrorResponse(res, failure.status, failure.clientMessage, failure.logMessage, failure.logData);
+}
+
+/**
+ * The { returnTo } for a sign in finished with a magic link: the redirect URI
+ * it was requested with, plus the client's state. Built here from the stored
+ * row, never from the link, and dropped if the tenant has since unregistered
+ * the URI.
+ */
+function magicLinkReturnTo(tenant, tokenData) {
+    if (!tokenData.redirect_uri || !tenantService.isRedirectUriAllowed(tenant, tokenData.redirect_uri)) {
+        return {};
+    }
+    return { returnTo: buildRedirect(tokenData.redirect_uri, { state: tokenData.state }) };
+}
+
+/**
+ * The checks behind checkMagicLinkToken, without lockout bookkeeping
+ */
+async function inspectMagicLinkToken({ token_id, token, signature, url, tenantId }) {
+    // Verify HMAC signature first
+    let signedParams = null;
+    if (signature && url) {
+        if (process.env.NODE_ENV !== 'production') {
+            console.log('Verifying signature for URL:', url);
+            console.log('Signature provided:', signature);
+        }
+        
+        // Try to fix double question mark issue
+        let urlToVerify = url;
+        if (url.includes('??')) {
+            urlToVerify = url.replace('??', '?');
+            if (process.env.NODE_ENV !== 'production') {
+                console.log('Fixed double question mark, verifying:', urlToVerify);
+            }
+        }
+        
+        if (!tokenService.verifySignature(urlToVerify, signature)) {
+            if (process.env.NODE_ENV !== 'production') {
+                console.log('Signature verification failed');
+            }
+            return {
+                failure: {
+                    status: HttpStatus.UNAUTHORIZED_STATUS,
+                    clientMessage: 'Invalid signature',
+                    reason: 'invalid_signature',
+                    logMessage: 'Signature verification failed',
+                    logData: { token_id }
+                }
+            };
+        }
+        if (process.env.NODE_ENV !== 'production') {
+            console.log('Signature verification successful');
+        }
+        signedParams = new URL(urlToVerify).searchParams;
+    }
+
+    // Get token by ID with replay protection data
+    if (process.env.NODE_ENV !== 'production') {
+        console.log('Looking for token_id:', token_id);
+    }
+    
+    const result = await db.query(`
+        SELECT mt.id, mt.user_id, u.email, u.role, u.status, mt.token_hash, mt.token_salt, mt.device_fingerprint, mt.ip_address, mt.user_agent, mt.nonce, mt.used, mt.invalidated_at, mt.expires_at, mt.created_at, mt.cross_device, mt.approval_status, mt.oidc_request_id, mt.redirect_uri, mt.state
+        FROM magic_tokens mt 
+        JOIN users u ON u.id = mt.user_id 
+        WHERE mt.id = $1 AND u.tenant_id = $2
+    `, [token_id, tenantId]);
+    
+    if (process.env.NODE_ENV !== 'production' && result.rows.length > 0) {
+        const tokenData = result.rows[0];
+        console.log('Token found:', {
+            used: tokenData.used,
+            expires_at: tokenData.expires_at,
+            now: new Date().toISOString()
+        });
+    }
+
+    if (!result.rows[0]) {
+        return {
+            failure: {
+                status: HttpStatus.UNAUTHORIZED_STATUS,
+                clientMessage: 'Invalid or expired token',
+                reason: 'not_found',
+                logMessage: 'Token not found in database',
+                logData: { token_id, token: token?.substring(0, 8) + '...' }
+            }
+        };
+    }
+
+    const tokenData = result.rows[0];
+
+    // The account is known now; check its lockout before touching the token
+    const emailLockout = await lockoutService.check({ tenantId, email: tokenData.email, attemptType: 'magic_link' });
+    if (emailLockout.blocked) {
+        return { failure: lockoutFailure(emailLockout, { token_id, user_id: tokenData.user_id }) };
+    }
+    
+    // Check if token is already used
+    if (tokenData.used) {
+        return {
+            failure: {
+                status: HttpStatus.UNAUTHORIZED_STATUS,
+                clientMessage: 'Token already used',
+                reason: 'already_used',
+                logMessage: 'Token already used',
+                logData: { token_id, user_id: tokenData.user_id },
+                email: tokenData.email
+            }
+        };
+    }
+    
+    // Check if a newer link has replaced this one
+    if (tokenData.invalidated_at) {
+        return {
+            failure: {
+                status: HttpStatus.UNAUTHORIZED_STATUS,
+                clientMessage: 'Invalid or expired token',
+                reason: 'superseded',
+                logMessage: 'Token superseded by a newer magic link',
+                logData: { token_id, user_id: tokenData.user_id, invalidated_at: tokenData.invalidated_at },
+                email: tokenData.email
+            }
+        };
+    }
+
+    // Check if token is expired
+    if (new Date(tokenData.expires_at) < new Date()) {
+        return {
+            failure: {
+                status: HttpStatus.UNAUTHORIZED_STATUS,
+                clientMessage: 'Token expired',
+                reason: 'expired',
+                logMessage: 'Token expired',
+                logData: { token_id, expires_at: tokenData.expires_at, user_id: tokenData.user_id },
+                email: tokenData.email
+            }
+        };
+    }
+
+    // Verify the token matches the stored hash
+    if (!tokenService.verifyTokenHash(token, tokenData.token_hash, tokenData.token_salt)) {
+        return {
+            failure: {
+                status: HttpStatus.UNAUTHORIZED_STATUS,
+                clientMessage: 'Invalid token',
+                reason: 'hash_mismatch',
+                logMessage: 'Token hash verification failed',
+                logData: { token_id, user_id: tokenData.user_id },
+                email: tokenData.email
+            }
+        };
+    }
+
+    // A signed link must be the one issued for this token, redirect and state included
+    if (signedParams && (signedParams.get('token_id') !== String(token_id)
+        || signedParams.get('redirect_uri') !== tokenData.redirect_uri
+        || signedParams.get('state') !== tokenData.state)) {
+        return {
+            failure: {
+                status: HttpStatus.UNAUTHORIZED_STATUS,
+                clientMessage: 'Invalid signature',
+                reason: 'link_mismatch',
+                logMessage: 'Signed link does not match the stored token',
+                logData: { token_id, user_id: tokenData.user_id },
+                email: tokenData.email
+            }
+        };
+    }
+
+    // Banned or disabled after the link was sent
+    if (tokenData.status !== 'active') {
+        return {
+            failure: {
+                status: HttpStatus.FORBIDDEN_STATUS,
+                clientMessage: 'Account disabled',
+                reason: 'account_inactive',
+                logMessage: 'Token belongs to an inactive account',
+                logData: { token_id, user_id: tokenData.user_id, status: tokenData.status },
+                email: tokenData.email
+            }
+        };
+    }
+
+    return { tokenData };
+}
+
+/**
+ * Score a magic link click against the request that sent the link and the
+ * user's sign in history, and act on the decision. Every decision is
+ * audited. A stepped up click is held until the code shown on the
+ * requesting device is sent back with the link.
+ * @param {Object} tokenData - the link, as checkMagicLinkToken found it; at least
+ *   its id, user_id, email and the requester's ip_address and user_agent
+ * @param {string} [confirmationCode] - the code, when answering a step up
+ * @returns {Promise<Object>} {} or { confirmed: true } to go ahead,
+ *   { confirmation: { expiresIn } } to ask for the code, or { failure } as checkMagicLinkToken returns it
+ */
+async function checkMagicLinkRisk(req, tokenData, confirmationCode) {
+    const token_id = tokenData.id;
+    const user_id = tokenData.user_id;
+
+    if (confirmationCode !== undefined) {
+        const { failure } = await riskService.confirm(token_id, confirmationCode);
+        if (failure) {
+            await lockoutService.recordFailure({ tenantId: req.tenant.id, email: tokenData.email, ip: req.ip, attemptType: 'magic_link' });
+            if (failure === 'too_many_attempts') {
+                // The requesting device has to ask for a new link; the code sent with it goes too
+                await db.query('UPDATE magic_tokens SET invalidated_at = NOW() WHERE id = $1', [token_id]);
+                await db_consumeOtpCodeForMagicToken(token_id);
+            }
+            return {
+                failure: {
+                    status: HttpStatus.UNAUTHORIZED_STATUS,
+                    clientMessage: failure === 'too_many_attempts'
+                        ? 'Too many incorrect codes, please request a new link'
+                        : 'Invalid or expired confirmation code',
+                    reason: `confirmation_${failure}`,
+                    logMessage: 'Risk step up confirmation failed',
+                    logData: { token_id, user_id, failure }
+                }
+            };
+        }
+        await auditService.record('risk_step_up_confirmed', { req, userId: user_id, metadata: { token_id } });
+        return { confirmed: true };
+    }
+
+    if (!riskService.enabled) {
+        return {};
+    }
+
+    const assessment = await riskService.assess({
+        userId: user_id,
+        requester: { ip: tokenData.ip_address, userAgent: tokenData.user_agent },
+        verifier: { ip: req.ip, userAgent: req.headers['user-agent'] }
+    });
+    metrics.riskDecisionsTotal.inc({ decision: assessment.decision });
+    await auditService.record('risk_decision', {
+        req,
+        userId: user_id,
+        metadata: {
+            token_id,
+            decision: assessment.decision,
+            action: assessment.action,
+            score: assessment.score,
+            policy: assessment.policy,
+            signals: assessment.signals
+        }
+    });
+
+    if (assessment.action === 'block') {
+        // Spend the link, and the code sent with it, so neither can be retried from elsewhere
+        await db.query('UPDATE magic_tokens SET invalidated_at = NOW() WHERE id = $1', [token_id]);
+        await db_consumeOtpCodeForMagicToken(token_id);
+        return {
+            failure: {
+                status: HttpStatus.FORBIDDEN_STATUS,
+                clientMessage: 'This sign in was blocked because it looks unusual. Please request a new link from the device you want to use',
+                reason: 'risk_blocked',
+                logMessage: 'Magic link click blocked by risk policy',
+                logData: { token_id, user_id, score: assessment.score }
+            }
+        };
+    }
+
+    if (assessment.action === 'step_up') {
+        const { browser, os } = sessionService.parseUserAgent(req.headers['user-agent']);
+        const confirmation = await riskService.startConfirmation(token_id, {
+            ipAddress: req.ip,
+            browser: browser.name,
+            os: os.name,
+            country: assessment.signals.geo?.verifier_country || null
+        });
+        return { confirmation };
+    }
+
+    return {};
+}
+
 /**
  * Verify magic link and issue tokens
  */
 async function verifyMagicLink(req, res) {
     try {
-        const { token_id, token, signature, url } = req.body;
+        const { token_id, token, signature, url, confirmationCode } = req.body;
         
         // Debug logging
         if (process.env.NODE_ENV !== 'production') {
@@ -197,100 +891,30 @@ async function verifyMagicLink(req, res) {
         metrics.magicLinkVerificationAttemptsTotal.inc();
         metrics.magicLinkClickedTotal.inc();
 
-        // Verify HMAC signature first
-        if (signature && url) {
-            if (process.env.NODE_ENV !== 'production') {
-                console.log('Verifying signature for URL:', url);
-                console.log('Signature provided:', signature);
-            }
-            
-            // Try to fix double question mark issue
-            let urlToVerify = url;
-            if (url.includes('??')) {
-                urlToVerify = url.replace('??', '?');
-                if (process.env.NODE_ENV !== 'production') {
-                    console.log('Fixed double question mark, verifying:', urlToVerify);
-                }
-            }
-            
-            if (!tokenService.verifySignature(urlToVerify, signature)) {
-                if (process.env.NODE_ENV !== 'production') {
-                    console.log('Signature verification failed');
-                }
-                metrics.magicLinkVerificationFailuresTotal.inc();
-                return res.status(401).json({ error: 'Invalid signature' });
-            }
-            if (process.env.NODE_ENV !== 'production') {
-                console.log('Signature verification successful');
-            }
-        }
-
-        // Get token by ID with replay protection data
-        if (process.env.NODE_ENV !== 'production') {
-            console.log('Looking for token_id:', token_id);
-        }
-        
-        const result = await db.query(`
-            SELECT mt.user_id, u.email, mt.token_hash, mt.token_salt, mt.device_fingerprint, mt.ip_address, mt.user_agent, mt.nonce, mt.used, mt.expires_at
-            FROM magic_tokens mt 
-            JOIN users u ON u.id = mt.user_id 
-            WHERE mt.id = $1
-        `, [token_id]);
-        
-        if (process.env.NODE_ENV !== 'production' && result.rows.length > 0) {
-            const tokenData = result.rows[0];
-            console.log('Token found:', {
-                used: tokenData.used,
-                expires_at: tokenData.expires_at,
-                now: new Date().toISOString()
-            });
-        }
-
-        if (!result.rows[0]) {
-            metrics.magicLinkVerificationFailuresTotal.inc();
-            return sendErrorResponse(
-                res,
-                HttpStatus.UNAUTHORIZED_STATUS,
-                'Invalid or expired token',
-                'Token not found in database',
-                { token_id, token: token?.substring(0, 8) + '...' }
-            );
-        }
-
-        const tokenData = result.rows[0];
-        
-        // Check if token is already used
-        if (tokenData.used) {
-            metrics.magicLinkVerificationFailuresTotal.inc();
-            return sendErrorResponse(
-                res,
-                HttpStatus.UNAUTHORIZED_STATUS,
-                'Token already used',
-                'Token already used',
-                { token_id, user_id: tokenData.user_id }
-            );
-        }
-        
-        // Check if token is expired
-        if (new Date(tokenData.expires_at) < new Date()) {
+        const { tokenData, failure } = await checkMagicLinkToken({ token_id, token, signature, url, ip: req.ip, tenantId: req.tenant.id });
+        if (failure) {
             metrics.magicLinkVerificationFailuresTotal.inc();
-            return sendErrorResponse(
-                res,
-                HttpStatus.UNAUTHORIZED_STATUS,
-                'Token expired',
-                'Token expired',
-                { token_id, expires_at: tokenData.expires_at, user_id: tokenData.user_id }
-            );
+            await auditService.recordSafely('magic_link_verify_failed', {
+                req,
+                userId: failure.logData.user_id || null,
+                metadata: { token_id, reason: failure.reason }
+            });
+            return sendMagicLinkFailure(res, failure);
         }
 
-        // Verify the token matches the stored hash
-        if (!tokenService.verifyTokenHash(token, tokenData.token_hash, tokenData.token_salt)) {
+        // Cross-device links are approved on this device and redeemed by the requester
+        if (tokenData.cross_device) {
             metrics.magicLinkVerificationFailuresTotal.inc();
+            await auditService.recordSafely('magic_link_verify_failed', {
+                req,
+                userId: tokenData.user_id,
+                metadata: { token_id, reason: 'cross_device' }
+            });
             return sendErrorResponse(
                 res,
-                HttpStatus.UNAUTHORIZED_STATUS,
-                'Invalid token',
-                'Token hash verification failed',
+                HttpStatus.BAD_REQUEST_STATUS,
+                'This link must be approved, not used to sign in here',
+                'Cross-device token presented to verify',
                 { token_id, user_id: tokenData.user_id }
             );
         }
@@ -312,17 +936,18 @@ async function verifyMagicLink(req, res) {
             }
             
             // Log security event
-            await db.query(
-                'INSERT INTO audit_logs (user_id, event_type, ip_address, user_agent, metadata) VALUES ($1, $2, $3, $4, $5)',
-                [tokenData.user_id, 'replay_attack_detected', req.ip, req.headers['user-agent'], 
-                 JSON.stringify({ 
-                     device_fingerprint: currentFingerprint,
-                     token_id: token_id,
-                     reason: 'same_device_reuse'
-                 })]
-            );
+            await auditService.record('replay_attack_detected', {
+                req,
+                userId: tokenData.user_id,
+                metadata: {
+                    device_fingerprint: currentFingerprint,
+                    token_id: token_id,
+                    reason: 'same_device_reuse'
+                }
+            });
             
             metrics.magicLinkVerificationFailuresTotal.inc();
+            await lockoutService.recordFailure({ tenantId: req.tenant.id, email: tokenData.email, ip: req.ip, attemptType: 'magic_link' });
             return sendErrorResponse(
                 res,
                 HttpStatus.UNAUTHORIZED_STATUS,
@@ -336,142 +961,1392 @@ async function verifyMagicLink(req, res) {
             );
         }
 
+        // Compare this device with the one that asked for the link
+        const risk = await checkMagicLinkRisk(req, tokenData, confirmationCode);
+        if (risk.failure) {
+            metrics.magicLinkVerificationFailuresTotal.inc();
+            await auditService.recordSafely('magic_link_verify_failed', {
+                req,
+                userId: tokenData.user_id,
+                metadata: { token_id, reason: risk.failure.reason }
+            });
+            return sendMagicLinkFailure(res, risk.failure);
+        }
+        if (risk.confirmation) {
+            return res.status(HttpStatus.SUCCESS_STATUS).json({
+                confirmationRequired: true,
+                expiresIn: risk.confirmation.expiresIn,
+                timestamp: new Date().toISOString()
+            });
+        }
+
         const user = {
             id: tokenData.user_id,
-            email: tokenData.email
+            email: tokenData.email,
+            role: tokenData.role
         };
 
-        // Mark token as used
-        await db.query('UPDATE magic_tokens SET used = true WHERE id = $1', [token_id]);
+        // Mark token as used, along with any code sent with it; only one
+        // concurrent redemption (of the link or its code) can win
+        const consumed = await db.query(
+            'UPDATE magic_tokens SET used = true WHERE id = $1 AND used = false AND invalidated_at IS NULL RETURNING id',
+            [token_id]
+        );
+        if (!consumed.rows[0]) {
+            metrics.magicLinkVerificationFailuresTotal.inc();
+            await auditService.recordSafely('magic_link_verify_failed', {
+                req,
+                userId: tokenData.user_id,
+                metadata: { token_id, reason: 'already_used' }
+            });
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                'Token already used',
+                'Token used by a concurrent request',
+                { token_id, user_id: tokenData.user_id }
+            );
+        }
+        await db_consumeOtpCodeForMagicToken(token_id);
         
         // Log successful magic link usage for replay protection
-        await db.query(
-            'INSERT INTO audit_logs (user_id, event_type, ip_address, user_agent, metadata) VALUES ($1, $2, $3, $4, $5)',
-            [user.id, 'magic_link_used', req.ip, req.headers['user-agent'], 
-             JSON.stringify({ 
-                 token_id: token_id,
-                 device_fingerprint: currentFingerprint
-             })]
-        );
+        await auditService.record('magic_link_used', {
+            req,
+            userId: user.id,
+            metadata: {
+                token_id: token_id,
+                device_fingerprint: currentFingerprint,
+                ...(risk.confirmed && { risk_step_up: true })
+            }
+        });
+
+        // Record successful verification
+        metrics.magicLinkVerifiedTotal.inc();
 
-        // Generate token pair
-        const tokens = await tokenService.generateTokenPair(user);
+        return sendSignInResponse(req, res, user, tokenData.oidc_request_id, magicLinkReturnTo(req.tenant, tokenData));
 
-        // Store refresh token with device fingerprint
-        const { hash: refreshTokenHash, salt: refreshTokenSalt } = tokenService.hashToken(tokens.refreshToken);
-        const refreshFingerprint = tokenService.generateDeviceFingerprint(req);
-        await db.query(
-            'INSERT INTO refresh_tokens (user_id, token_hash, token_salt, expires_at, device_fingerprint, ip_address, user_agent) VALUES ($1, $2, $3, NOW() + INTERVAL \'7 days\', $4, $5, $6)',
-            [user.id, refreshTokenHash, refreshTokenSalt, refreshFingerprint, req.ip, req.headers['user-agent']]
+    } catch (error) {
+        metrics.magicLinkVerificationFailuresTotal.inc();
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Verification failed',
+            'Magic link verification error',
+            { token_id, error: error.message, stack: error.stack }
         );
+    }
+}
 
-        // Record successful verification
-        metrics.magicLinkVerifiedTotal.inc();
+/**
+ * Load a cross-device link for the approve/deny screen on the clicking device
+ */
+async function getMagicLinkApproval(req, res) {
+    const { token_id, token, signature, url } = req.body;
+    try {
+        const { tokenData, failure } = await checkMagicLinkToken({ token_id, token, signature, url, ip: req.ip, tenantId: req.tenant.id });
+        if (failure) {
+            return sendMagicLinkFailure(res, failure);
+        }
+
+        if (!tokenData.cross_device || tokenData.approval_status !== 'pending') {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'This link does not need approval',
+                'Approval lookup for a token that is not pending cross-device approval',
+                { token_id, approval_status: tokenData.approval_status }
+            );
+        }
 
+        // Show where the sign in was requested from so the user can spot a stranger
         return res.status(HttpStatus.SUCCESS_STATUS).json({
-            ...tokens,
+            email: tokenData.email,
+            requester: {
+                ipAddress: tokenData.ip_address,
+                userAgent: tokenData.user_agent,
+                requestedAt: tokenData.created_at
+            },
+            expiresAt: tokenData.expires_at,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        metrics.magicLinkVerificationFailuresTotal.inc();
         return sendErrorResponse(
             res,
             HttpStatus.MISC_ERROR_STATUS,
-            'Verification failed',
-            'Magic link verification error',
+            'Failed to load sign in request',
+            'Magic link approval lookup error',
             { token_id, error: error.message, stack: error.stack }
         );
     }
 }
 
 /**
- * Refresh access token
+ * Approve or deny a cross-device sign in from the device that opened the link
  */
-async function refreshToken(req, res) {
+async function decideMagicLinkApproval(req, res) {
+    const { token_id, token, signature, url, approve } = req.body;
     try {
-        console.log('Refresh token request received');
-        const { refreshToken } = req.body;
-        
-        if (!refreshToken) {
+        if (typeof approve !== 'boolean') {
             return sendErrorResponse(
                 res,
                 HttpStatus.BAD_REQUEST_STATUS,
                 'Invalid request',
-                'Refresh token request failed: Missing refresh token',
-                { refreshToken: !!refreshToken }
+                'Magic link approval failed: Missing approve decision',
+                { token_id }
             );
         }
 
-        // This will verify, rotate, and generate new tokens
-        const tokens = await tokenService.rotateRefreshToken(refreshToken);
+        metrics.magicLinkClickedTotal.inc();
 
-        // Get user info from the old token
-        const decoded = await tokenService.verifyRefreshToken(tokens.refreshToken, true);
-        
-        // Store new refresh token
-        const { hash: refreshTokenHash, salt: refreshTokenSalt } = tokenService.hashToken(tokens.refreshToken);
-        await db.query(
-            'INSERT INTO refresh_tokens (user_id, token_hash, token_salt, expires_at) VALUES ($1, $2, $3, NOW() + INTERVAL \'7 days\')',
-            [decoded.sub, refreshTokenHash, refreshTokenSalt]
-        );
+        const { tokenData, failure } = await checkMagicLinkToken({ token_id, token, signature, url, ip: req.ip, tenantId: req.tenant.id });
+        if (failure) {
+            metrics.magicLinkVerificationFailuresTotal.inc();
+            await auditService.recordSafely('magic_link_verify_failed', {
+                req,
+                userId: failure.logData.user_id || null,
+                metadata: { token_id, reason: failure.reason, cross_device: true }
+            });
+            return sendMagicLinkFailure(res, failure);
+        }
+
+        // The link is spent either way; only the requesting browser can redeem an approval
+        const decision = approve ? 'approved' : 'denied';
+        const updated = await db.query(`
+            UPDATE magic_tokens mt SET used = true, approval_status = $2, approved_at = NOW()
+            FROM users u
+            WHERE mt.id = $1 AND u.id = mt.user_id AND u.tenant_id = $3
+            AND mt.cross_device = true AND mt.approval_status = 'pending' AND mt.used = false
+            RETURNING mt.id
+        `, [token_id, decision, req.tenant.id]);
+        if (!updated.rows[0]) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'This link does not need approval',
+                'Approval decision for a token that is not pending cross-device approval',
+                { token_id, approval_status: tokenData.approval_status }
+            );
+        }
+
+        await auditService.record(`magic_link_${decision}`, {
+            req,
+            userId: tokenData.user_id,
+            metadata: {
+                token_id,
+                device_fingerprint: tokenService.generateDeviceFingerprint(req),
+                requester_ip: tokenData.ip_address,
+                requester_user_agent: tokenData.user_agent
+            }
+        });
 
         return res.status(HttpStatus.SUCCESS_STATUS).json({
-            ...tokens,
+            status: decision,
             timestamp: new Date().toISOString()
         });
 
     } catch (error) {
-        if (error.message === 'Invalid refresh token' || error.message === 'Token is blacklisted') {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to record decision',
+            'Magic link approval error',
+            { token_id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Poll a cross-device sign in from the requesting browser; hands over the
+ * token pair exactly once after the link has been approved
+ */
+async function pollMagicLink(req, res) {
+    try {
+        const tokenId = tokenService.parsePollToken(req.body.pollToken);
+        if (!tokenId) {
             return sendErrorResponse(
                 res,
-                HttpStatus.UNAUTHORIZED_STATUS,
-                'Invalid refresh token',
-                'Token refresh failed: Invalid or blacklisted token',
-                { error: error.message }
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid request',
+                'Magic link poll failed: Invalid poll token',
+                {}
             );
         }
-        
+
+        const result = await db.query(`
+            SELECT mt.user_id, u.email, u.role, u.status, mt.approval_status, mt.expires_at, mt.oidc_request_id, mt.redirect_uri, mt.state
+            FROM magic_tokens mt
+            JOIN users u ON u.id = mt.user_id
+            WHERE mt.id = $1 AND mt.cross_device = true AND u.tenant_id = $2
+        `, [tokenId, req.tenant.id]);
+        const tokenData = result.rows[0];
+
+        // Unknown ids look pending so the handle can't be used to probe accounts
+        if (!tokenData || (tokenData.approval_status === 'pending' && new Date(tokenData.expires_at) > new Date())) {
+            return res.status(HttpStatus.SUCCESS_STATUS).json({ status: 'pending', timestamp: new Date().toISOString() });
+        }
+
+        // An account banned or disabled while waiting is reported as denied
+        if (tokenData.approval_status === 'denied' || tokenData.status !== 'active') {
+            return res.status(HttpStatus.SUCCESS_STATUS).json({ status: 'denied', timestamp: new Date().toISOString() });
+        }
+
+        // Claim the approval; only one poll can win
+        const claimed = await db.query(`
+            UPDATE magic_tokens mt SET approval_status = 'claimed'
+            FROM users u
+            WHERE mt.id = $1 AND u.id = mt.user_id AND u.tenant_id = $2
+            AND mt.approval_status = 'approved' AND mt.approved_at > NOW() - INTERVAL '15 minutes'
+            RETURNING mt.id
+        `, [tokenId, req.tenant.id]);
+        if (!claimed.rows[0]) {
+            return res.status(HttpStatus.SUCCESS_STATUS).json({ status: 'expired', timestamp: new Date().toISOString() });
+        }
+
+        const user = {
+            id: tokenData.user_id,
+            email: tokenData.email,
+            role: tokenData.role
+        };
+        const currentFingerprint = tokenService.generateDeviceFingerprint(req);
+
+        await auditService.record('magic_link_used', {
+            req,
+            userId: user.id,
+            metadata: {
+                token_id: tokenId,
+                device_fingerprint: currentFingerprint,
+                cross_device: true
+            }
+        });
+
+        metrics.magicLinkVerifiedTotal.inc();
+
+        // Tokens (or the OIDC redirect) go to the browser that asked for the link, not the one that clicked it
+        return sendSignInResponse(req, res, user, tokenData.oidc_request_id, {
+            status: 'approved',
+            ...magicLinkReturnTo(req.tenant, tokenData)
+        });
+
+    } catch (error) {
         return sendErrorResponse(
             res,
             HttpStatus.MISC_ERROR_STATUS,
-            'Failed to refresh token',
-            'Token refresh error',
+            'Failed to check sign in status',
+            'Magic link poll error',
             { error: error.message, stack: error.stack }
         );
     }
 }
 
 /**
- * Logout user
+ * Poll from the requesting browser for a stepped up click on its link; while
+ * one is held, returns the code to type in on the clicking device
  */
-async function logoutUser(req, res) {
+async function getMagicLinkConfirmation(req, res) {
     try {
-        const accessToken = req.headers.authorization?.split(' ')[1];
-        const { refreshToken } = req.body;
+        const tokenId = tokenService.parsePollToken(req.body.pollToken);
+        if (!tokenId) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid request',
+                'Magic link confirmation lookup failed: Invalid poll token',
+                {}
+            );
+        }
 
-        // Invalidate tokens
-        await tokenService.invalidateTokens(accessToken, refreshToken);
+        // Another tenant's links look like ones with nothing held
+        const link = await db.query(
+            'SELECT mt.id FROM magic_tokens mt JOIN users u ON u.id = mt.user_id WHERE mt.id = $1 AND u.tenant_id = $2',
+            [tokenId, req.tenant.id]
+        );
+        const pending = link.rows[0] ? await riskService.pendingConfirmation(tokenId) : null;
+        if (!pending) {
+            return res.status(HttpStatus.SUCCESS_STATUS).json({ status: 'none', timestamp: new Date().toISOString() });
+        }
 
-        return res.status(HttpStatus.SUCCESS_STATUS).json({ 
-            message: 'Logged out successfully',
+        // Say where the click came from, so a stranger's attempt is easy to spot
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            status: 'confirmation_required',
+            code: pending.code,
+            verifier: pending.verifier,
+            expiresAt: pending.expiresAt,
             timestamp: new Date().toISOString()
         });
+
     } catch (error) {
         return sendErrorResponse(
             res,
             HttpStatus.MISC_ERROR_STATUS,
-            'Logout failed',
-            'Logout error',
+            'Failed to check sign in status',
+            'Magic link confirmation lookup error',
             { error: error.message, stack: error.stack }
         );
     }
 }
 
+/**
+ * Verify a numeric login code and issue tokens. A code stands in for a click
+ * on the link it was sent with, so it goes through the same risk check.
+ */
+async function verifyOtpCode(req, res) {
+    const { email, code, confirmationCode } = req.body;
+    try {
+        metrics.otpVerificationsTotal.inc({ result: 'attempt' });
+
+        // Validate input
+        if (!email || typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid request',
+                'OTP verification failed: Missing email or malformed code',
+                { email: !!email, code: !!code }
+            );
+        }
+
+        const lockout = await lockoutService.check({ tenantId: req.tenant.id, email, ip: req.ip, attemptType: 'otp' });
+        if (lockout.blocked) {
+            metrics.otpVerificationsTotal.inc({ result: 'locked' });
+            res.set('Retry-After', String(lockout.retryAfter));
+            return sendErrorResponse(
+                res,
+                HttpStatus.TOO_MANY_REQUESTS_STATUS,
+                'Too many failed attempts, please try again later',
+                `OTP verification rejected: ${lockout.scope} locked out`,
+                { email, scope: lockout.scope, retry_after: lockout.retryAfter }
+            );
+        }
+
+        const [status, data] = await db_validateOtpCode(email, code, req.tenant.id);
+        if (status === 'error') {
+            return sendErrorResponse(
+                res,
+                HttpStatus.MISC_ERROR_STATUS,
+                'Failed to verify code',
+                'OTP verification error: Code lookup failed',
+                { email }
+            );
+        }
+        if (status !== 'ok') {
+            await lockoutService.recordFailure({ tenantId: req.tenant.id, email, ip: req.ip, attemptType: 'otp' });
+        }
+
+        if (status === 'locked') {
+            metrics.otpVerificationsTotal.inc({ result: 'locked' });
+            await auditService.recordSafely('otp_verify_failed', { req, metadata: { email, reason: 'locked' } });
+            res.set('Retry-After', String(data.retry_after));
+            return sendErrorResponse(
+                res,
+                HttpStatus.TOO_MANY_REQUESTS_STATUS,
+                'Too many attempts, please request a new code later',
+                'OTP verification failed: Locked out',
+                { email, retry_after: data.retry_after }
+            );
+        }
+
+        if (status !== 'ok') {
+            metrics.otpVerificationsTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('otp_verify_failed', { req, metadata: { email, reason: 'invalid_code' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                'Invalid or expired code',
+                'OTP verification failed: Invalid or expired code',
+                { email }
+            );
+        }
+
+        const user = data.user;
+        if (user.status !== 'active') {
+            metrics.otpVerificationsTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('otp_verify_failed', { req, userId: user.id, metadata: { email, reason: 'account_inactive' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.FORBIDDEN_STATUS,
+                'Account disabled',
+                'OTP verification failed: Account inactive',
+                { email, user_id: user.id, status: user.status }
+            );
+        }
+
+        // Compare this device with the one that asked for the link and code
+        let risk = {};
+        if (data.magic_token_id) {
+            const link = await db.query('SELECT id, user_id, ip_address, user_agent FROM magic_tokens WHERE id = $1', [data.magic_token_id]);
+            risk = await checkMagicLinkRisk(req, { ...link.rows[0], email: user.email }, confirmationCode);
+            if (risk.failure) {
+                metrics.otpVerificationsTotal.inc({ result: 'failure' });
+                await auditService.recordSafely('otp_verify_failed', { req, userId: user.id, metadata: { email, reason: risk.failure.reason } });
+                return sendMagicLinkFailure(res, risk.failure);
+            }
+            if (risk.confirmation) {
+                return res.status(HttpStatus.SUCCESS_STATUS).json({
+                    confirmationRequired: true,
+                    expiresIn: risk.confirmation.expiresIn,
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        if (!await db_consumeOtpCode(data.otp_code_id)) {
+            metrics.otpVerificationsTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('otp_verify_failed', { req, userId: user.id, metadata: { email, reason: 'code_used' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                'Invalid or expired code',
+                'OTP verification failed: Code used by a concurrent request',
+                { email, user_id: user.id }
+            );
+        }
+
+        // The link sent with the code can no longer be used; if it was redeemed
+        // (or invalidated) since the code was checked, the code loses the race
+        let magicToken = null;
+        if (data.magic_token_id) {
+            const consumed = await db.query(
+                'UPDATE magic_tokens SET used = true WHERE id = $1 AND used = false AND invalidated_at IS NULL RETURNING oidc_request_id, redirect_uri, state',
+                [data.magic_token_id]
+            );
+            magicToken = consumed.rows[0] || null;
+            if (!magicToken) {
+                metrics.otpVerificationsTotal.inc({ result: 'failure' });
+                await auditService.recordSafely('otp_verify_failed', { req, userId: user.id, metadata: { email, reason: 'link_used' } });
+                return sendErrorResponse(
+                    res,
+                    HttpStatus.UNAUTHORIZED_STATUS,
+                    'Invalid or expired code',
+                    'OTP verification failed: Magic link already used',
+                    { email, user_id: user.id, token_id: data.magic_token_id }
+                );
+            }
+        }
+
+        await auditService.record('otp_code_used', {
+            req,
+            userId: user.id,
+            metadata: {
+                token_id: data.magic_token_id,
+                device_fingerprint: tokenService.generateDeviceFingerprint(req),
+                ...(risk.confirmed && { risk_step_up: true })
+            }
+        });
+
+        metrics.otpVerificationsTotal.inc({ result: 'success' });
+
+        return sendSignInResponse(req, res, user, magicToken?.oidc_request_id || null,
+            magicToken ? magicLinkReturnTo(req.tenant, magicToken) : {});
+
+    } catch (error) {
+        metrics.otpVerificationsTotal.inc({ result: 'failure' });
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Verification failed',
+            'OTP verification error',
+            { email, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Log in with email and password and issue tokens
+ */
+async function loginWithPassword(req, res, next) {
+    const { email, password } = req.body;
+    try {
+        // Validate input
+        if (!email || !password) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid request',
+                'Password login failed: Missing email or password',
+                { email: !!email, password: !!password }
+            );
+        }
+
+        // Verify credentials through the Passport local strategy
+        const [user, info] = await new Promise((resolve, reject) => {
+            authPass.authenticate('local', { session: false }, (err, authedUser, authInfo) => {
+                if (err) return reject(err);
+                return resolve([authedUser, authInfo]);
+            })(req, res, next);
+        });
+
+        if (!user && info?.retryAfter) {
+            metrics.passwordLoginTotal.inc({ result: 'locked' });
+            res.set('Retry-After', String(info.retryAfter));
+            return sendErrorResponse(
+                res,
+                HttpStatus.TOO_MANY_REQUESTS_STATUS,
+                'Too many failed attempts, please try again later',
+                `Password login rejected: ${info.scope} locked out`,
+                { email, scope: info.scope, retry_after: info.retryAfter }
+            );
+        }
+
+        if (!user && info?.inactive) {
+            metrics.passwordLoginTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('password_login_failed', { req, metadata: { email, reason: 'account_inactive' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.FORBIDDEN_STATUS,
+                'Account disabled',
+                'Password login rejected: Account inactive',
+                { email }
+            );
+        }
+
+        if (!user && info?.unverified) {
+            metrics.passwordLoginTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('password_login_failed', { req, metadata: { email, reason: 'unverified' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.FORBIDDEN_STATUS,
+                'Please verify your email address before signing in',
+                'Password login rejected: Email not verified',
+                { email }
+            );
+        }
+
+        if (!user) {
+            metrics.passwordLoginTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('password_login_failed', { req, metadata: { email, reason: 'invalid_credentials' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                'Incorrect email or password',
+                'Password login failed: Invalid credentials',
+                { email }
+            );
+        }
+
+        await auditService.record('password_login', {
+            req,
+            userId: user.id,
+            metadata: { device_fingerprint: tokenService.generateDeviceFingerprint(req) }
+        });
+
+        metrics.passwordLoginTotal.inc({ result: 'success' });
+
+        // oidcRequest: the OIDC authorization request this login was started for, if any
+        return sendSignInResponse(req, res, { id: user.id, email: user.email, role: user.role }, req.body.oidcRequest || null);
+
+    } catch (error) {
+        metrics.passwordLoginTotal.inc({ result: 'failure' });
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Login failed',
+            'Password login error',
+            { email, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Refresh access token
+ */
+async function refreshToken(req, res) {
+    try {
+        console.log('Refresh token request received');
+        // Cookie delivery mode keeps the refresh token in a cookie scoped to /api/auth
+        const refreshToken = req.body.refreshToken || readRefreshTokenCookie(req);
+        
+        if (!refreshToken) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid request',
+                'Refresh token request failed: Missing refresh token',
+                { refreshToken: !!refreshToken }
+            );
+        }
+
+        // This will verify, rotate, and store the new refresh token in the same family
+        const tokens = await tokenService.rotateRefreshToken(refreshToken, {
+            deviceFingerprint: tokenService.generateDeviceFingerprint(req),
+            ipAddress: req.ip,
+            userAgent: req.headers['user-agent'],
+            requestId: req.requestId,
+            tenantId: req.tenant.id,
+            dpopJkt: req.dpopJkt
+        });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            ...deliverTokens(req, res, tokens),
+            timestamp: new Date().toISOString()
+        });
+
+    } catch (error) {
+        if (error.message === 'Refresh token reuse detected') {
+            metrics.refreshTokenReuseDetectedTotal.inc();
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                'Invalid refresh token',
+                'Token refresh failed: Reuse of rotated token, family revoked',
+                { error: error.message }
+            );
+        }
+
+        if (error.message === 'DPoP proof required') {
+            metrics.dpopProofFailuresTotal.inc({ reason: req.dpopJkt ? 'key_mismatch' : 'missing' });
+            await auditService.recordSafely('token_refresh_failed', { req, metadata: { reason: 'dpop_proof' } });
+            res.set('WWW-Authenticate', 'DPoP error="invalid_dpop_proof", error_description="Proof from the bound key required"');
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                'Invalid DPoP proof',
+                'Token refresh failed: DPoP-bound refresh token without a proof from its key',
+                { dpop: Boolean(req.dpopJkt) }
+            );
+        }
+
+        if (error.message === 'Account disabled') {
+            await auditService.recordSafely('token_refresh_failed', { req, metadata: { reason: 'account_inactive' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.FORBIDDEN_STATUS,
+                'Account disabled',
+                'Token refresh failed: Account banned or disabled',
+                { error: error.message }
+            );
+        }
+
+        if (error.message === 'Invalid refresh token' || error.message === 'Token is blacklisted') {
+            await auditService.recordSafely('token_refresh_failed', {
+                req,
+                metadata: { reason: error.message === 'Token is blacklisted' ? 'revoked' : 'invalid' }
+            });
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                'Invalid refresh token',
+                'Token refresh failed: Invalid or blacklisted token',
+                { error: error.message }
+            );
+        }
+        
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to refresh token',
+            'Token refresh error',
+            { error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Logout user
+ */
+async function logoutUser(req, res) {
+    try {
+        const accessToken = req.accessToken;
+        const refreshToken = req.body.refreshToken || readRefreshTokenCookie(req);
+
+        // Invalidate tokens
+        await tokenService.invalidateTokens(accessToken, refreshToken);
+        clearTokenCookies(res);
+
+        await auditService.record('logout', {
+            req,
+            userId: req.user.id,
+            metadata: { session_id: req.tokenClaims.sid }
+        });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({ 
+            message: 'Logged out successfully',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Logout failed',
+            'Logout error',
+            { error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Get the currently authenticated user
+ */
+async function getCurrentUser(req, res) {
+    try {
+        const result = await db.query(
+            'SELECT id, email, role, email_verified_at, created_at, updated_at FROM users WHERE id = $1',
+            [req.user.id]
+        );
+
+        if (!result.rows[0]) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.NOT_FOUND_STATUS,
+                'User not found',
+                'Current user lookup failed: User no longer exists',
+                { user_id: req.user.id }
+            );
+        }
+
+        const user = result.rows[0];
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            user: {
+                id: user.id,
+                email: user.email,
+                role: user.role,
+                emailVerifiedAt: user.email_verified_at,
+                createdAt: user.created_at,
+                updatedAt: user.updated_at
+            },
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to load user',
+            'Current user lookup error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * List the current user's active sessions
+ */
+async function listSessions(req, res) {
+    try {
+        const sessions = await sessionService.listSessions(req.user.id, req.tokenClaims.sid);
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            sessions,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to load sessions',
+            'Session list error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Sign out one of the current user's sessions
+ */
+async function revokeSession(req, res) {
+    const sessionId = req.params.id;
+    try {
+        const revoked = uuidValidate(sessionId) && await sessionService.revokeSession(req.user.id, sessionId);
+        if (!revoked) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.NOT_FOUND_STATUS,
+                'Session not found',
+                'Session revoke failed: No active session with that id for this user',
+                { user_id: req.user.id, session_id: sessionId }
+            );
+        }
+
+        await auditService.record('session_revoked', {
+            req,
+            userId: req.user.id,
+            metadata: { session_id: sessionId, current: sessionId === req.tokenClaims.sid }
+        });
+        if (sessionId === req.tokenClaims.sid) {
+            clearTokenCookies(res);
+        }
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            message: 'Session signed out',
+            current: sessionId === req.tokenClaims.sid,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to sign out session',
+            'Session revoke error',
+            { user_id: req.user.id, session_id: sessionId, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Sign out every session except the one making the request
+ */
+async function revokeOtherSessions(req, res) {
+    try {
+        const revoked = await sessionService.revokeOtherSessions(req.user.id, req.tokenClaims.sid || null);
+
+        await auditService.record('sessions_revoked_others', {
+            req,
+            userId: req.user.id,
+            metadata: { kept_session_id: req.tokenClaims.sid, revoked_session_ids: revoked }
+        });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            message: 'Signed out of all other sessions',
+            revokedCount: revoked.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to sign out other sessions',
+            'Session revoke-others error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Start registering a passkey for the signed in user
+ */
+async function getPasskeyRegistrationOptions(req, res) {
+    try {
+        const options = await webauthnService.registrationOptions(req.user);
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            options,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.message === 'Passkey limit reached') {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'You have registered the maximum number of passkeys',
+                'Passkey registration options refused: Limit reached',
+                { user_id: req.user.id }
+            );
+        }
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to start passkey registration',
+            'Passkey registration options error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Store a passkey from the browser's registration response
+ */
+async function verifyPasskeyRegistration(req, res) {
+    const { response, name } = req.body;
+    try {
+        if (!response || typeof response !== 'object') {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid request',
+                'Passkey registration failed: Missing response',
+                { user_id: req.user.id }
+            );
+        }
+
+        const result = await webauthnService.verifyRegistration(req.user, response, name);
+        if (result.failure) {
+            metrics.passkeyRegistrationsTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('passkey_register_failed', {
+                req,
+                userId: req.user.id,
+                metadata: { reason: result.failure }
+            });
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                result.failure === 'challenge_expired' ? 'Passkey registration timed out, please try again' : 'Passkey registration failed',
+                `Passkey registration failed: ${result.failure}`,
+                { user_id: req.user.id, error: result.error }
+            );
+        }
+
+        metrics.passkeyRegistrationsTotal.inc({ result: 'success' });
+        await auditService.record('passkey_registered', {
+            req,
+            userId: req.user.id,
+            metadata: { passkey_id: result.passkey.id, device_type: result.passkey.deviceType, backed_up: result.passkey.backedUp }
+        });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            passkey: result.passkey,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        metrics.passkeyRegistrationsTotal.inc({ result: 'failure' });
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Passkey registration failed',
+            'Passkey registration error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Start a passkey sign in
+ */
+async function getPasskeyLoginOptions(req, res) {
+    try {
+        const { options, challengeId } = await webauthnService.authenticationOptions();
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            options,
+            challengeId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to start passkey sign in',
+            'Passkey login options error',
+            { error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Sign in with a passkey and issue tokens
+ */
+async function verifyPasskeyLogin(req, res) {
+    const { challengeId, response, oidcRequest } = req.body;
+    try {
+        if (!challengeId || !response || typeof response !== 'object') {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid request',
+                'Passkey login failed: Missing challengeId or response',
+                { challengeId: !!challengeId, response: !!response }
+            );
+        }
+
+        const result = await webauthnService.verifyAuthentication(challengeId, response, req.tenant.id);
+        if (result.failure) {
+            metrics.passkeyLoginTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('passkey_login_failed', {
+                req,
+                userId: result.userId || null,
+                metadata: { reason: result.failure }
+            });
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                result.failure === 'challenge_expired' ? 'Passkey sign in timed out, please try again' : 'Passkey sign in failed',
+                `Passkey login failed: ${result.failure}`,
+                { user_id: result.userId, error: result.error }
+            );
+        }
+
+        const { user } = result;
+        if (user.status !== 'active') {
+            metrics.passkeyLoginTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('passkey_login_failed', { req, userId: user.id, metadata: { reason: 'account_inactive' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.FORBIDDEN_STATUS,
+                'Account disabled',
+                'Passkey login rejected: Account inactive',
+                { user_id: user.id, status: user.status }
+            );
+        }
+
+        await auditService.record('passkey_login', {
+            req,
+            userId: user.id,
+            metadata: { passkey_id: result.credentialId, device_fingerprint: tokenService.generateDeviceFingerprint(req) }
+        });
+
+        metrics.passkeyLoginTotal.inc({ result: 'success' });
+
+        return sendSignInResponse(req, res, { id: user.id, email: user.email, role: user.role }, oidcRequest || null);
+
+    } catch (error) {
+        metrics.passkeyLoginTotal.inc({ result: 'failure' });
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Passkey sign in failed',
+            'Passkey login error',
+            { error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * List the current user's passkeys
+ */
+async function listPasskeys(req, res) {
+    try {
+        const passkeys = await webauthnService.listCredentials(req.user.id);
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            passkeys,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to load passkeys',
+            'Passkey list error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Remove one of the current user's passkeys
+ */
+async function deletePasskey(req, res) {
+    const passkeyId = Number(req.params.id);
+    try {
+        const deleted = Number.isInteger(passkeyId) && await webauthnService.deleteCredential(req.user.id, passkeyId);
+        if (!deleted) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.NOT_FOUND_STATUS,
+                'Passkey not found',
+                'Passkey delete failed: No passkey with that id for this user',
+                { user_id: req.user.id, passkey_id: req.params.id }
+            );
+        }
+
+        await auditService.record('passkey_deleted', {
+            req,
+            userId: req.user.id,
+            metadata: { passkey_id: passkeyId }
+        });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            message: 'Passkey removed',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to remove passkey',
+            'Passkey delete error',
+            { user_id: req.user.id, passkey_id: req.params.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Exchange an mfa_pending token and a TOTP or recovery code for the real tokens
+ */
+async function verifyMfa(req, res) {
+    const { mfaToken, code } = req.body;
+    try {
+        metrics.mfaVerificationsTotal.inc({ result: 'attempt' });
+
+        // A sign in started for another tenant can't be finished here
+        const pending = mfaService.readPendingToken(mfaToken, req.tenant.id);
+        if (!pending || typeof code !== 'string' || !code.trim()) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                !pending ? 'Sign in expired, please start again' : 'Invalid request',
+                'MFA verification failed: Missing or invalid mfa_pending token or code',
+                { mfaToken: !!mfaToken, code: !!code }
+            );
+        }
+
+        const lockout = await lockoutService.check({ tenantId: req.tenant.id, email: pending.email, ip: req.ip, attemptType: 'mfa' });
+        if (lockout.blocked) {
+            metrics.mfaVerificationsTotal.inc({ result: 'locked' });
+            res.set('Retry-After', String(lockout.retryAfter));
+            return sendErrorResponse(
+                res,
+                HttpStatus.TOO_MANY_REQUESTS_STATUS,
+                'Too many failed attempts, please try again later',
+                `MFA verification rejected: ${lockout.scope} locked out`,
+                { user_id: pending.userId, scope: lockout.scope, retry_after: lockout.retryAfter }
+            );
+        }
+
+        const method = await mfaService.verifyCode(pending.userId, code);
+        if (!method) {
+            metrics.mfaVerificationsTotal.inc({ result: 'failure' });
+            await lockoutService.recordFailure({ tenantId: req.tenant.id, email: pending.email, ip: req.ip, attemptType: 'mfa' });
+            await auditService.recordSafely('mfa_verify_failed', { req, userId: pending.userId, metadata: { reason: 'invalid_code' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                'Invalid code',
+                'MFA verification failed: Invalid code',
+                { user_id: pending.userId }
+            );
+        }
+
+        // Each mfa_pending token signs in once
+        const session = await mfaService.consumePendingToken(pending.jti);
+        if (!session) {
+            metrics.mfaVerificationsTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('mfa_verify_failed', { req, userId: pending.userId, metadata: { reason: 'token_used' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.UNAUTHORIZED_STATUS,
+                'Sign in expired, please start again',
+                'MFA verification failed: mfa_pending token already used',
+                { user_id: pending.userId }
+            );
+        }
+
+        const result = await db.query('SELECT id, email, role, status FROM users WHERE id = $1 AND tenant_id = $2', [session.userId, req.tenant.id]);
+        const user = result.rows[0];
+        if (!user || user.status !== 'active') {
+            metrics.mfaVerificationsTotal.inc({ result: 'failure' });
+            await auditService.recordSafely('mfa_verify_failed', { req, userId: session.userId, metadata: { reason: 'account_inactive' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.FORBIDDEN_STATUS,
+                'Account disabled',
+                'MFA verification rejected: Account inactive',
+                { user_id: session.userId }
+            );
+        }
+
+        await auditService.record('mfa_verified', {
+            req,
+            userId: user.id,
+            metadata: { method, device_fingerprint: tokenService.generateDeviceFingerprint(req) }
+        });
+        metrics.mfaVerificationsTotal.inc({ result: 'success' });
+
+        return completeSignIn(req, res, { id: user.id, email: user.email, role: user.role }, session.oidcRequestId,
+            session.returnTo ? { returnTo: session.returnTo } : {});
+
+    } catch (error) {
+        metrics.mfaVerificationsTotal.inc({ result: 'failure' });
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Verification failed',
+            'MFA verification error',
+            { error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Whether the current user has TOTP enabled
+ */
+async function getMfaStatus(req, res) {
+    try {
+        const status = await mfaService.status(req.user.id);
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            ...status,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to load two-factor status',
+            'MFA status error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Start TOTP enrollment: a new secret and its provisioning URI for a QR code
+ */
+async function setupTotp(req, res) {
+    try {
+        const { secret, otpauthUrl } = await mfaService.beginSetup(req.user);
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            secret,
+            otpauthUrl,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.message === 'MFA already enabled') {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Two-factor authentication is already enabled',
+                'TOTP setup refused: Already enabled',
+                { user_id: req.user.id }
+            );
+        }
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to start two-factor setup',
+            'TOTP setup error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Turn TOTP on with a code from the authenticator app; returns the recovery codes once
+ */
+async function confirmTotp(req, res) {
+    const { code } = req.body;
+    try {
+        if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Please enter the 6-digit code from your authenticator app',
+                'TOTP confirm failed: Malformed code',
+                { user_id: req.user.id }
+            );
+        }
+
+        const recoveryCodes = await mfaService.confirmSetup(req.user.id, code);
+        if (!recoveryCodes) {
+            await auditService.recordSafely('mfa_enable_failed', { req, userId: req.user.id, metadata: { reason: 'invalid_code' } });
+            return sendErrorResponse(
+                res,
+                HttpStatus.BAD_REQUEST_STATUS,
+                'Invalid code',
+                'TOTP confirm failed: Invalid code or no setup in progress',
+                { user_id: req.user.id }
+            );
+        }
+
+        await auditService.record('mfa_enabled', { req, userId: req.user.id, metadata: { method: 'totp' } });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            recoveryCodes,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to enable two-factor authentication',
+            'TOTP confirm error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Check a code before a two-factor change, counting wrong ones towards lockouts
+ * @returns {Promise<boolean>} false once an error response has been sent
+ */
+async function requireMfaCode(req, res, action) {
+    const lockout = await lockoutService.check({ tenantId: req.tenant.id, email: req.user.email, ip: req.ip, attemptType: 'mfa' });
+    if (lockout.blocked) {
+        res.set('Retry-After', String(lockout.retryAfter));
+        sendErrorResponse(
+            res,
+            HttpStatus.TOO_MANY_REQUESTS_STATUS,
+            'Too many failed attempts, please try again later',
+            `${action} rejected: ${lockout.scope} locked out`,
+            { user_id: req.user.id, scope: lockout.scope, retry_after: lockout.retryAfter }
+        );
+        return false;
+    }
+
+    if (typeof req.body.code !== 'string' || !await mfaService.verifyCode(req.user.id, req.body.code)) {
+        await lockoutService.recordFailure({ tenantId: req.tenant.id, email: req.user.email, ip: req.ip, attemptType: 'mfa' });
+        sendErrorResponse(
+            res,
+            HttpStatus.BAD_REQUEST_STATUS,
+            'Invalid code',
+            `${action} failed: Invalid code`,
+            { user_id: req.user.id }
+        );
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Turn TOTP off; needs a current TOTP or recovery code
+ */
+async function disableTotp(req, res) {
+    try {
+        if (!await requireMfaCode(req, res, 'TOTP disable')) return;
+
+        await mfaService.disable(req.user.id);
+        await auditService.record('mfa_disabled', { req, userId: req.user.id, metadata: { method: 'totp' } });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            message: 'Two-factor authentication disabled',
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to disable two-factor authentication',
+            'TOTP disable error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
+/**
+ * Replace the recovery codes; needs a current TOTP or recovery code
+ */
+async function regenerateRecoveryCodes(req, res) {
+    try {
+        if (!await requireMfaCode(req, res, 'Recovery code regeneration')) return;
+
+        const recoveryCodes = await mfaService.replaceRecoveryCodes(req.user.id);
+        await auditService.record('mfa_recovery_codes_regenerated', { req, userId: req.user.id });
+
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            recoveryCodes,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.MISC_ERROR_STATUS,
+            'Failed to regenerate recovery codes',
+            'Recovery code regeneration error',
+            { user_id: req.user.id, error: error.message, stack: error.stack }
+        );
+    }
+}
+
 module.exports = {
     registerUser,
+    verifyEmail,
     requestMagicLink,
     verifyMagicLink,
+    getMagicLinkApproval,
+    decideMagicLinkApproval,
+    pollMagicLink,
+    getMagicLinkConfirmation,
+    verifyOtpCode,
+    loginWithPassword,
     refreshToken,
-    logoutUser
+    logoutUser,
+    getCurrentUser,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    getPasskeyRegistrationOptions,
+    verifyPasskeyRegistration,
+    getPasskeyLoginOptions,
+    verifyPasskeyLogin,
+    listPasskeys,
+    deletePasskey,
+    verifyMfa,
+    getMfaStatus,
+    setupTotp,
+    confirmTotp,
+    disableTotp,
+    regenerateRecoveryCodes
 };
\ No newline at end of file
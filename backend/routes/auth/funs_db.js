@@ -1,56 +1,60 @@
 // Dependencies
 const crypto = require('crypto');
-const knex = require('knex')(require('../../knexfile.js').development);
+const knex = require('../../db/knex');
+const tokenService = require('../../services/token');
+const emailAddress = require('../../services/emailAddress');
 
 // Constants
-const HASH_ITERATIONS = parseInt(process.env.HASH_ITERATIONS);
+const OTP_CODE_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES) || 15;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15;
 
 // Helper Functions
 function generateCode() {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(0, 10 ** OTP_CODE_LENGTH).toString().padStart(OTP_CODE_LENGTH, '0');
+}
+
+function minutesFromNow(minutes) {
+    return new Date(Date.now() + minutes * 60000);
+}
+
+function secondsUntil(date) {
+    return Math.max(1, Math.ceil((new Date(date).getTime() - Date.now()) / 1000));
 }
 
 // -------------------
 // CREATE Functions
 // -------------------
-async function db_createUser(email, pass) {
-    let err_code;
-
-    // Add user to database
-    const db_resp = await knex('Users').insert({
-        'email': email
-    }).catch((err)=>{if (err) err_code = err});
-    if (err_code) return [false, null];
-
-    const user_id = db_resp[0];
-
-    // Create password
-    const create_pass = await new Promise((resolve, _) => {
-        db_createPassword(user_id, pass, function(pw_ok) {
-            if (!pw_ok.ok) return resolve([false, null]);
-            return resolve([true, user_id]);
-        });
-    });
-    if (!create_pass) return [false, null];
-
-    // Return
-    return [true, user_id];
-}
 
-async function db_createOtpCode(email) {
+/**
+ * Create (or replace) the user's login code, tied to the magic link sent with it
+ * @returns {Promise<[boolean, string|null]>} [ok, code]; not ok while the user is locked out
+ */
+async function db_createOtpCode(user_id, magic_token_id) {
     try {
-        const [user] = await knex('Users').where({email}).select('id');
-        if (!user) return [false, null];
+        const [existing] = await knex('otp_codes').where({ user_id }).select('locked_until');
+        if (existing && existing.locked_until && new Date(existing.locked_until) > new Date()) {
+            return [false, null];
+        }
 
         const code = generateCode();
+        const { hash, salt } = tokenService.hashToken(code);
 
-        await knex('OTP_Codes')
+        await knex('otp_codes')
             .insert({
-                user_id: user.id,
-                code: code,
+                user_id,
+                magic_token_id,
+                code_hash: hash,
+                code_salt: salt,
+                attempts: 0,
+                used: false,
+                locked_until: null,
+                expires_at: minutesFromNow(OTP_TTL_MINUTES),
+                created_at: knex.fn.now()
             })
             .onConflict('user_id')
-            .merge(['code', 'expires_at']);
+            .merge();
 
         return [true, code];
     } catch (err) {
@@ -59,50 +63,107 @@ async function db_createOtpCode(email) {
     }
 }
 
-async function db_validateOtpCode(email, code) {
-    try {
-        const [user] = await knex('Users').where({email}).select('id');
-        if (!user) return false;
-
-        const [otpCode] = await knex('OTP_Codes')
-            .where({
-                user_id: user.id,
-                code
-            })
-            .where('expires_at', '>', knex.fn.now())
-            .select('user_id');
+// -------------------
+// READ Functions
+// -------------------
 
-        if (!otpCode) return false;
+/**
+ * Check a login code for an address in the given tenant, counting the attempt
+ * and locking out after OTP_MAX_ATTEMPTS. A good code is left for the caller
+ * to spend with db_consumeOtpCode once the sign in is allowed to go ahead.
+ * @returns {Promise<[string, object|null]>} one of
+ *   ['ok', { user, otp_code_id, magic_token_id }], ['invalid', null], ['locked', { retry_after }],
+ *   or ['error', null] when the database couldn't be reached, which says nothing about the code
+ */
+async function db_validateOtpCode(email, code, tenantId) {
+    try {
+        const [user] = await knex('users')
+            .where({ tenant_id: tenantId, email_canonical: emailAddress.canonicalize(String(email)) })
+            .select('id', 'email', 'role', 'status');
+        if (!user) return ['invalid', null];
+
+        const [otpCode] = await knex('otp_codes')
+            .where({ user_id: user.id })
+            .select('id', 'magic_token_id', 'code_hash', 'code_salt', 'used', 'locked_until', 'expires_at');
+        if (!otpCode || otpCode.used) return ['invalid', null];
+
+        if (otpCode.locked_until && new Date(otpCode.locked_until) > new Date()) {
+            return ['locked', { retry_after: secondsUntil(otpCode.locked_until) }];
+        }
+        if (new Date(otpCode.expires_at) < new Date()) return ['invalid', null];
+
+        // A code dies with its link: once that is used, superseded or blocked, so is the code
+        if (otpCode.magic_token_id) {
+            const [magicToken] = await knex('magic_tokens')
+                .where({ id: otpCode.magic_token_id })
+                .select('used', 'invalidated_at');
+            if (!magicToken || magicToken.used || magicToken.invalidated_at) return ['invalid', null];
+        }
+
+        // Count the attempt before comparing so parallel guesses can't exceed the limit
+        const [counted] = await knex('otp_codes')
+            .where({ id: otpCode.id })
+            .where('attempts', '<', OTP_MAX_ATTEMPTS)
+            .increment('attempts', 1)
+            .returning('attempts');
+        if (!counted) {
+            const locked_until = minutesFromNow(OTP_LOCKOUT_MINUTES);
+            await knex('otp_codes').where({ id: otpCode.id }).update({ locked_until });
+            return ['locked', { retry_after: secondsUntil(locked_until) }];
+        }
+
+        if (!tokenService.verifyTokenHash(String(code), otpCode.code_hash, otpCode.code_salt)) {
+            if (counted.attempts >= OTP_MAX_ATTEMPTS) {
+                const locked_until = minutesFromNow(OTP_LOCKOUT_MINUTES);
+                await knex('otp_codes').where({ id: otpCode.id }).update({ locked_until });
+                return ['locked', { retry_after: secondsUntil(locked_until) }];
+            }
+            return ['invalid', null];
+        }
+
+        return ['ok', { user, otp_code_id: otpCode.id, magic_token_id: otpCode.magic_token_id }];
+    } catch (err) {
+        console.error("Error validating OTP code:", err);
+        return ['error', null];
+    }
+}
 
-        await knex('OTP_Codes')
-            .where({user_id: user.id})
-            .del();
+// -------------------
+// DELETE Functions
+// -------------------
 
-        return { id: user.id, username: email };
+/**
+ * Spend a code db_validateOtpCode accepted; only one concurrent request can win
+ */
+async function db_consumeOtpCode(otp_code_id) {
+    try {
+        const consumed = await knex('otp_codes')
+            .where({ id: otp_code_id, used: false })
+            .update({ used: true });
+        return consumed > 0;
     } catch (err) {
-        console.error("Error validating OTP code:", err);
+        console.error("Error consuming OTP code:", err);
         return false;
     }
 }
 
-async function db_createPassword(target_user_id, pass, cb) {
-    const gen_salt = crypto.randomBytes(128).toString('base64');
+/**
+ * Burn the code sent alongside a magic link once that link has been used
+ */
+async function db_consumeOtpCodeForMagicToken(magic_token_id) {
     try {
-        crypto.pbkdf2(pass, gen_salt, HASH_ITERATIONS, 32, 'sha256', async function(crypto_err, hashedPassword) {
-            if (crypto_err) return cb({'ok': false});
-            var db_err = null;
-            await knex('Users_Auth').insert({'user_id': target_user_id, 'hash': hashedPassword.toString('base64'), 'salt': gen_salt}).catch((err)=>{if (err) db_err = err.code});
-            if (db_err) return cb({'ok': false});
-            else return cb({'ok': true});
-        });
-    } catch (misc_err) {
-        return cb({'ok': false});
+        await knex('otp_codes').where({ magic_token_id }).update({ used: true });
+        return true;
+    } catch (err) {
+        console.error("Error consuming OTP code:", err);
+        return false;
     }
 }
 
 // Export functions
 module.exports = {
-    db_createUser,
     db_createOtpCode,
-    db_validateOtpCode
-};  
\ No newline at end of file
+    db_validateOtpCode,
+    db_consumeOtpCode,
+    db_consumeOtpCodeForMagicToken
+};
@@ -1,10 +0,0 @@
-// Middleware Functions
-
-function checkUserAuth(req, res, next) {
-    if (req.isAuthenticated()) return next();
-    return res.sendStatus(401);
-}
-
-module.exports = {
-    checkUserAuth
-};
\ No newline at end of file
@@ -3,15 +3,39 @@ const express = require('express');
 const authRouter = express.Router();
 
 // Middleware
-const { checkUserAuth } = require('./funs_perms.js');
+const { requireAccessToken, readDpopProof } = require('../../middleware/auth.js');
+const rateLimitMiddleware = require('../../middleware/rateLimit.js');
 
 // Controller Imports
 const {
     registerUser,
+    verifyEmail,
     requestMagicLink,
     verifyMagicLink,
+    getMagicLinkApproval,
+    decideMagicLinkApproval,
+    pollMagicLink,
+    getMagicLinkConfirmation,
+    verifyOtpCode,
+    loginWithPassword,
     refreshToken,
     logoutUser,
+    getCurrentUser,
+    listSessions,
+    revokeSession,
+    revokeOtherSessions,
+    getPasskeyRegistrationOptions,
+    verifyPasskeyRegistration,
+    getPasskeyLoginOptions,
+    verifyPasskeyLogin,
+    listPasskeys,
+    deletePasskey,
+    verifyMfa,
+    getMfaStatus,
+    setupTotp,
+    confirmTotp,
+    disableTotp,
+    regenerateRecoveryCodes,
 } = require('./controller.js');
 
 // Async handler wrapper
@@ -26,17 +50,66 @@ const asyncHandler = fn => (req, res, next) => {
 // Registration
 authRouter.post('/register', asyncHandler(registerUser));
 
+// Email Verification
+authRouter.post('/email/verify', rateLimitMiddleware('verify'), asyncHandler(verifyEmail));
+
 // Magic Link Request
-authRouter.post('/magic-link/request', asyncHandler(requestMagicLink));
+authRouter.post('/magic-link/request', rateLimitMiddleware('magic-link'), asyncHandler(requestMagicLink));
 
 // Magic Link Verification
-authRouter.post('/magic-link/verify', asyncHandler(verifyMagicLink));
+authRouter.post('/magic-link/verify', rateLimitMiddleware('verify'), readDpopProof, asyncHandler(verifyMagicLink));
+
+// Cross-Device Approval (clicking device)
+authRouter.post('/magic-link/approval', rateLimitMiddleware('verify'), asyncHandler(getMagicLinkApproval));
+authRouter.post('/magic-link/approval/decision', rateLimitMiddleware('verify'), asyncHandler(decideMagicLinkApproval));
+
+// Cross-Device Polling (requesting browser)
+authRouter.post('/magic-link/poll', rateLimitMiddleware('poll'), readDpopProof, asyncHandler(pollMagicLink));
+
+// Risk Step Up Code (requesting browser)
+authRouter.post('/magic-link/confirmation', rateLimitMiddleware('poll'), asyncHandler(getMagicLinkConfirmation));
+
+// Login Code Verification
+authRouter.post('/otp/verify', rateLimitMiddleware('otp'), readDpopProof, asyncHandler(verifyOtpCode));
+
+// Password Login
+authRouter.post('/login', rateLimitMiddleware('login'), readDpopProof, asyncHandler(loginWithPassword));
+
+// Passkey Registration (signed in user)
+authRouter.post('/webauthn/register/options', requireAccessToken, asyncHandler(getPasskeyRegistrationOptions));
+authRouter.post('/webauthn/register/verify', requireAccessToken, asyncHandler(verifyPasskeyRegistration));
+
+// Passkey Login
+authRouter.post('/webauthn/login/options', rateLimitMiddleware('login'), asyncHandler(getPasskeyLoginOptions));
+authRouter.post('/webauthn/login/verify', rateLimitMiddleware('login'), readDpopProof, asyncHandler(verifyPasskeyLogin));
+
+// Second Factor (after a sign in answered with mfaRequired)
+authRouter.post('/mfa/verify', rateLimitMiddleware('mfa'), readDpopProof, asyncHandler(verifyMfa));
 
 // Token Refresh
-authRouter.post('/refresh', asyncHandler(refreshToken));
+authRouter.post('/refresh', rateLimitMiddleware('refresh'), readDpopProof, asyncHandler(refreshToken));
 
 // Logout
-authRouter.post('/logout', checkUserAuth, asyncHandler(logoutUser));
+authRouter.post('/logout', requireAccessToken, asyncHandler(logoutUser));
+
+// Current User
+authRouter.get('/me', requireAccessToken, asyncHandler(getCurrentUser));
+
+// Sessions
+authRouter.get('/sessions', requireAccessToken, asyncHandler(listSessions));
+authRouter.delete('/sessions', requireAccessToken, asyncHandler(revokeOtherSessions));
+authRouter.delete('/sessions/:id', requireAccessToken, asyncHandler(revokeSession));
+
+// Passkeys
+authRouter.get('/webauthn/credentials', requireAccessToken, asyncHandler(listPasskeys));
+authRouter.delete('/webauthn/credentials/:id', requireAccessToken, asyncHandler(deletePasskey));
+
+// Two-Factor Settings
+authRouter.get('/mfa', requireAccessToken, asyncHandler(getMfaStatus));
+authRouter.post('/mfa/totp/setup', requireAccessToken, asyncHandler(setupTotp));
+authRouter.post('/mfa/totp/confirm', requireAccessToken, rateLimitMiddleware('mfa'), asyncHandler(confirmTotp));
+authRouter.post('/mfa/totp/disable', requireAccessToken, rateLimitMiddleware('mfa'), asyncHandler(disableTotp));
+authRouter.post('/mfa/recovery-codes', requireAccessToken, rateLimitMiddleware('mfa'), asyncHandler(regenerateRecoveryCodes));
 
 // Export routes
 module.exports = authRouter;
\ No newline at end of file
@@ -0,0 +1,184 @@
+// Dependencies
+const { validate: uuidValidate } = require('uuid');
+const oidcService = require('../../services/oidc');
+const { buildRedirect } = require('../../services/oidc');
+const auditService = require('../../services/audit');
+const tokenService = require('../../services/token');
+const HttpStatus = require('../../types/HttpStatus');
+
+// Constants
+const GRANT_TYPES = ['authorization_code', 'refresh_token'];
+
+/**
+ * Send an OAuth 2.0 error response (RFC 6749 section 5.2)
+ * Logs detailed error server-side; the description is safe to show the client
+ */
+function sendOAuthError(res, statusCode, error, description, logData = {}) {
+    console.error(`[${statusCode}] OAuth error: ${error}`, { description, ...logData });
+
+    if (error === 'invalid_client') {
+        res.set('WWW-Authenticate', 'Basic realm="oauth"');
+    }
+    res.set('Cache-Control', 'no-store');
+    res.status(statusCode).json({
+        error,
+        error_description: description
+    });
+}
+
+/**
+ * Helper function to send error responses
+ * Logs detailed error server-side but sends opaque message to client
+ */
+function sendErrorResponse(res, statusCode, clientMessage, logMessage, logData = {}) {
+    // Log detailed error information
+    console.error(`[${statusCode}] ${logMessage}`, logData);
+
+    // Send opaque error to client
+    res.status(statusCode).json({
+        error: clientMessage,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Request details for issued refresh tokens and audit rows
+function requestContext(req) {
+    return {
+        deviceFingerprint: tokenService.generateDeviceFingerprint(req),
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+        requestId: req.requestId
+    };
+}
+
+/**
+ * Start an authorization code flow. Errors about the client or redirect_uri
+ * are shown here; anything else goes back to the client's redirect_uri.
+ */
+async function authorize(req, res) {
+    const { client_id, redirect_uri, state } = req.query;
+
+    const client = await oidcService.findClient(client_id);
+    if (!client) {
+        return sendOAuthError(res, HttpStatus.BAD_REQUEST_STATUS, 'invalid_request', 'Unknown client_id', { client_id });
+    }
+    // Exact match only; a prefix or pattern match lets codes leak to attacker-chosen paths
+    if (typeof redirect_uri !== 'string' || !client.redirect_uris.includes(redirect_uri)) {
+        return sendOAuthError(res, HttpStatus.BAD_REQUEST_STATUS, 'invalid_request', 'redirect_uri is not registered for this client', { client_id, redirect_uri });
+    }
+
+    const result = await oidcService.createAuthorizationRequest(client, req.tenant.id, redirect_uri, req.query);
+    if (result.error) {
+        console.error('[302] OAuth authorization request rejected', { client_id, error: result.error, description: result.description });
+        return res.redirect(buildRedirect(redirect_uri, {
+            error: result.error,
+            error_description: result.description,
+            state,
+            iss: oidcService.config.issuer
+        }));
+    }
+
+    await auditService.record('oidc_authorization_requested', {
+        req,
+        metadata: { client_id: client.client_id, authorization_request_id: result.requestId, scope: req.query.scope }
+    });
+    return res.redirect(oidcService.loginUrl(result.requestId, req.tenant));
+}
+
+/**
+ * Token endpoint: authorization_code and refresh_token grants
+ */
+async function token(req, res) {
+    const { grant_type } = req.body;
+
+    const client = await oidcService.authenticateClient(req);
+    if (!client) {
+        return sendOAuthError(res, HttpStatus.UNAUTHORIZED_STATUS, 'invalid_client', 'Client authentication failed', { client_id: req.body.client_id });
+    }
+    if (!GRANT_TYPES.includes(grant_type)) {
+        return sendOAuthError(res, HttpStatus.BAD_REQUEST_STATUS, 'unsupported_grant_type', `Supported grant types: ${GRANT_TYPES.join(', ')}`, { client_id: client.client_id, grant_type });
+    }
+
+    const result = grant_type === 'authorization_code'
+        ? await oidcService.exchangeCode(client, req.body, requestContext(req))
+        : await oidcService.refresh(client, req.body, requestContext(req));
+    if (result.error) {
+        await auditService.recordSafely('oidc_token_failed', {
+            req,
+            metadata: { client_id: client.client_id, grant_type, error: result.error, description: result.description }
+        });
+        return sendOAuthError(res, HttpStatus.BAD_REQUEST_STATUS, result.error, result.description, { client_id: client.client_id, grant_type });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(HttpStatus.SUCCESS_STATUS).json(result);
+}
+
+/**
+ * Claims about the user an OIDC access token was issued for
+ */
+async function userInfo(req, res) {
+    const claims = await oidcService.userInfo(req.tokenClaims);
+    if (!claims) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token", error_description="The user is no longer active"');
+        return sendOAuthError(res, HttpStatus.UNAUTHORIZED_STATUS, 'invalid_token', 'The user is no longer active', { user_id: req.user.id });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    return res.status(HttpStatus.SUCCESS_STATUS).json(claims);
+}
+
+/**
+ * Describe a pending authorization request for the sign in page
+ */
+async function getAuthorizationRequest(req, res) {
+    const request = uuidValidate(req.params.id) ? await oidcService.findPendingRequest(req.params.id, req.tenant.id) : null;
+    if (!request) {
+        return sendErrorResponse(
+            res,
+            HttpStatus.NOT_FOUND_STATUS,
+            'Sign in request not found or expired',
+            'Authorization request lookup failed: Not pending',
+            { authorization_request_id: req.params.id }
+        );
+    }
+
+    return res.status(HttpStatus.SUCCESS_STATUS).json({
+        clientName: request.clientName,
+        scopes: request.scope.split(' '),
+        expiresAt: request.expiresAt,
+        timestamp: new Date().toISOString()
+    });
+}
+
+/**
+ * Finish a pending authorization request as the already signed in user.
+ * A request made on another tenant is not found, like an expired one.
+ */
+async function continueAuthorizationRequest(req, res) {
+    try {
+        if (!uuidValidate(req.params.id)) throw new Error('Invalid authorization request');
+        const redirectTo = await oidcService.completeAuthorization(req.params.id, { id: req.user.id }, requestContext(req));
+        return res.status(HttpStatus.SUCCESS_STATUS).json({
+            redirectTo,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.message !== 'Invalid authorization request') throw error;
+        return sendErrorResponse(
+            res,
+            HttpStatus.NOT_FOUND_STATUS,
+            'Sign in request not found or expired',
+            'Authorization request continue failed: Not pending',
+            { authorization_request_id: req.params.id, user_id: req.user.id }
+        );
+    }
+}
+
+module.exports = {
+    authorize,
+    token,
+    userInfo,
+    getAuthorizationRequest,
+    continueAuthorizationRequest,
+};
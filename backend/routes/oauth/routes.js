@@ -0,0 +1,42 @@
+// Dependencies
+const express = require('express');
+const oauthRouter = express.Router();
+
+// Middleware
+const { requireAccessToken, requireClientAccessToken } = require('../../middleware/auth.js');
+const rateLimitMiddleware = require('../../middleware/rateLimit.js');
+
+// Controller Imports
+const {
+    authorize,
+    token,
+    userInfo,
+    getAuthorizationRequest,
+    continueAuthorizationRequest,
+} = require('./controller.js');
+
+// Async handler wrapper
+const asyncHandler = fn => (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+};
+
+// ---------------------
+// OpenID Connect Routes
+// ---------------------
+
+// Authorization (browser redirect from the relying party)
+oauthRouter.get('/authorize', rateLimitMiddleware('oauth'), asyncHandler(authorize));
+
+// Token Exchange (relying party back end; form-encoded per RFC 6749)
+oauthRouter.post('/token', rateLimitMiddleware('oauth'), asyncHandler(token));
+
+// UserInfo
+oauthRouter.get('/userinfo', requireClientAccessToken, asyncHandler(userInfo));
+oauthRouter.post('/userinfo', requireClientAccessToken, asyncHandler(userInfo));
+
+// Pending Authorization Requests (sign in page)
+oauthRouter.get('/requests/:id', rateLimitMiddleware('oauth'), asyncHandler(getAuthorizationRequest));
+oauthRouter.post('/requests/:id/continue', requireAccessToken, asyncHandler(continueAuthorizationRequest));
+
+// Export routes
+module.exports = oauthRouter;
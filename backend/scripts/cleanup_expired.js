@@ -0,0 +1,24 @@
+// Run one sweep of expired tokens and old audit logs / failed attempts, then exit
+//
+// Usage: node scripts/cleanup_expired.js
+//
+// Safe to run from cron alongside the in-process job: whichever holds the
+// Redis lock sweeps and the other exits without doing anything.
+
+require('dotenv').config();
+
+const cleanupService = require('../services/cleanup');
+
+cleanupService.run()
+    .then((removed) => {
+        if (!removed) {
+            console.log('Another replica is already running cleanup; nothing to do.');
+        } else {
+            console.log(JSON.stringify(removed, null, 2));
+        }
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Cleanup failed:', error);
+        process.exit(1);
+    });
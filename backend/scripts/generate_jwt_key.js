@@ -0,0 +1,27 @@
+// Generate a JWT signing key entry for JWT_KEYRING / JWT_KEYRING_FILE
+//
+// Usage: node scripts/generate_jwt_key.js [--kid <id>] [--alg RS256|PS256|ES256] [--active-from <ISO date>]
+//
+// To rotate, append the new entry to the keyring with a future --active-from,
+// then set retireAt on the old entry to the same date.
+
+const { generateKeyEntry, SUPPORTED_ALGORITHMS } = require('../services/keyring');
+
+function readArg(name) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const alg = readArg('alg') || 'RS256';
+if (!SUPPORTED_ALGORITHMS.includes(alg)) {
+    console.error(`Unsupported alg ${alg}; use one of ${SUPPORTED_ALGORITHMS.join(', ')}`);
+    process.exit(1);
+}
+
+const entry = generateKeyEntry({
+    kid: readArg('kid') || new Date().toISOString().slice(0, 10),
+    alg,
+    activeFrom: readArg('active-from')
+});
+
+console.log(JSON.stringify(entry, null, 2));
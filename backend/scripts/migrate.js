@@ -0,0 +1,54 @@
+// Apply, inspect or roll back database migrations for the current NODE_ENV
+//
+// Usage: node scripts/migrate.js <latest|status|rollback>
+//
+// `rollback` undoes the most recent batch of migrations.
+
+require('dotenv').config();
+
+const knex = require('../db/knex');
+const { migrationStatus } = require('../db/migrate');
+
+const COMMANDS = {
+    async latest() {
+        const [batch, applied] = await knex.migrate.latest();
+        if (!applied.length) {
+            console.log('Already up to date.');
+        } else {
+            console.log(`Batch ${batch} applied ${applied.length} migration(s):`);
+            applied.forEach(name => console.log(`  ${name}`));
+        }
+    },
+
+    async status() {
+        const { completed, pending } = await migrationStatus();
+        console.log(`Environment: ${knex.environment}`);
+        completed.forEach(name => console.log(`  [x] ${name}`));
+        pending.forEach(name => console.log(`  [ ] ${name}`));
+        console.log(pending.length ? `${pending.length} pending migration(s).` : 'Up to date.');
+        process.exitCode = pending.length ? 1 : 0;
+    },
+
+    async rollback() {
+        const [batch, reverted] = await knex.migrate.rollback();
+        if (!reverted.length) {
+            console.log('Nothing to roll back.');
+        } else {
+            console.log(`Batch ${batch} rolled back ${reverted.length} migration(s):`);
+            reverted.forEach(name => console.log(`  ${name}`));
+        }
+    }
+};
+
+const command = COMMANDS[process.argv[2]];
+if (!command) {
+    console.error(`Usage: node scripts/migrate.js <${Object.keys(COMMANDS).join('|')}>`);
+    process.exit(1);
+}
+
+command()
+    .catch((error) => {
+        console.error('Migration failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => knex.destroy());
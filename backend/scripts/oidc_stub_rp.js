@@ -0,0 +1,184 @@
+// A minimal OpenID Connect relying party for trying the provider locally
+//
+// Usage:
+//   npm run oidc:register-client -- "Stub RP" http://localhost:5060/callback
+//   OIDC_STUB_CLIENT_ID=... OIDC_STUB_CLIENT_SECRET=... npm run oidc:stub-rp
+//
+// Then open http://localhost:5060 and sign in. The stub runs the
+// authorization code flow with PKCE, checks the ID token against the
+// provider's JWKS (signature, iss, aud, nonce, at_hash), calls /userinfo
+// and shows what it got. Leave OIDC_STUB_CLIENT_SECRET unset for a
+// client registered with --public.
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+
+const ISSUER = (process.env.OIDC_STUB_ISSUER || process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 5050}`).replace(/\/+$/, '');
+const CLIENT_ID = process.env.OIDC_STUB_CLIENT_ID;
+const CLIENT_SECRET = process.env.OIDC_STUB_CLIENT_SECRET || null;
+const PORT = parseInt(process.env.OIDC_STUB_PORT) || 5060;
+const REDIRECT_URI = `http://localhost:${PORT}/callback`;
+const SCOPE = 'openid email offline_access';
+
+if (!CLIENT_ID) {
+    console.error('Set OIDC_STUB_CLIENT_ID (and OIDC_STUB_CLIENT_SECRET for a confidential client)');
+    process.exit(1);
+}
+
+// Sign ins in progress, by state
+const pending = new Map();
+
+function base64url(buffer) {
+    return buffer.toString('base64url');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function sendPage(res, status, title, body) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(`<!doctype html><title>${escapeHtml(title)}</title><h1>${escapeHtml(title)}</h1>${body}<p><a href="/">Start again</a></p>`);
+}
+
+async function fetchJson(url, options = {}) {
+    const response = await fetch(url, options);
+    const body = await response.json();
+    if (!response.ok) {
+        throw new Error(`${url} responded ${response.status}: ${JSON.stringify(body)}`);
+    }
+    return body;
+}
+
+async function discover() {
+    const metadata = await fetchJson(`${ISSUER}/.well-known/openid-configuration`);
+    if (metadata.issuer !== ISSUER) {
+        throw new Error(`Discovery issuer ${metadata.issuer} does not match ${ISSUER}`);
+    }
+    return metadata;
+}
+
+// Check the ID token's signature and claims the way a real relying party must
+async function verifyIdToken(metadata, idToken, { nonce, accessToken }) {
+    const { header } = jwt.decode(idToken, { complete: true }) || {};
+    const jwks = await fetchJson(metadata.jwks_uri);
+    const jwk = jwks.keys.find(key => key.kid === header?.kid);
+    if (!jwk) {
+        throw new Error(`No JWKS key for kid ${header?.kid}`);
+    }
+
+    const claims = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+        algorithms: metadata.id_token_signing_alg_values_supported,
+        issuer: metadata.issuer,
+        audience: CLIENT_ID
+    });
+    if (claims.nonce !== nonce) {
+        throw new Error('ID token nonce does not match');
+    }
+
+    const digest = crypto.createHash('sha256').update(accessToken).digest();
+    if (claims.at_hash !== base64url(digest.subarray(0, digest.length / 2))) {
+        throw new Error('ID token at_hash does not match the access token');
+    }
+    return claims;
+}
+
+async function startLogin(res) {
+    const metadata = await discover();
+    const state = base64url(crypto.randomBytes(16));
+    const nonce = base64url(crypto.randomBytes(16));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    pending.set(state, { nonce, codeVerifier, createdAt: Date.now() });
+
+    const url = new URL(metadata.authorization_endpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: CLIENT_ID,
+        redirect_uri: REDIRECT_URI,
+        scope: SCOPE,
+        state,
+        nonce,
+        code_challenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+        code_challenge_method: 'S256'
+    }).toString();
+
+    res.writeHead(302, { Location: url.toString() });
+    res.end();
+}
+
+async function handleCallback(res, params) {
+    if (params.get('error')) {
+        return sendPage(res, 400, 'Sign in failed', `<pre>${escapeHtml(params.get('error'))}: ${escapeHtml(params.get('error_description') || '')}</pre>`);
+    }
+
+    const flow = pending.get(params.get('state'));
+    pending.delete(params.get('state'));
+    if (!flow) {
+        return sendPage(res, 400, 'Sign in failed', '<p>Unknown or reused state.</p>');
+    }
+
+    const metadata = await discover();
+    if (params.get('iss') && params.get('iss') !== metadata.issuer) {
+        return sendPage(res, 400, 'Sign in failed', '<p>Authorization response came from the wrong issuer.</p>');
+    }
+
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code: params.get('code'),
+        redirect_uri: REDIRECT_URI,
+        code_verifier: flow.codeVerifier
+    });
+    if (CLIENT_SECRET) {
+        const credentials = `${encodeURIComponent(CLIENT_ID)}:${encodeURIComponent(CLIENT_SECRET)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    } else {
+        form.set('client_id', CLIENT_ID);
+    }
+
+    const tokens = await fetchJson(metadata.token_endpoint, { method: 'POST', headers, body: form.toString() });
+    const idClaims = await verifyIdToken(metadata, tokens.id_token, { nonce: flow.nonce, accessToken: tokens.access_token });
+    const userInfo = await fetchJson(metadata.userinfo_endpoint, {
+        headers: { Authorization: `Bearer ${tokens.access_token}` }
+    });
+
+    return sendPage(res, 200, 'Signed in', `
+        <h2>ID token claims (verified)</h2><pre>${escapeHtml(JSON.stringify(idClaims, null, 2))}</pre>
+        <h2>UserInfo</h2><pre>${escapeHtml(JSON.stringify(userInfo, null, 2))}</pre>
+        <h2>Token response</h2><pre>${escapeHtml(JSON.stringify({ ...tokens, id_token: '(above)' }, null, 2))}</pre>
+    `);
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    // Forget sign ins abandoned more than 10 minutes ago
+    for (const [state, flow] of pending) {
+        if (Date.now() - flow.createdAt > 10 * 60000) pending.delete(state);
+    }
+
+    let handled;
+    if (url.pathname === '/') {
+        handled = Promise.resolve(sendPage(res, 200, 'Stub relying party', `<p>Client <code>${escapeHtml(CLIENT_ID)}</code> at <code>${escapeHtml(ISSUER)}</code>.</p><p><a href="/login">Sign in with Magic Link</a></p>`));
+    } else if (url.pathname === '/login') {
+        handled = startLogin(res);
+    } else if (url.pathname === '/callback') {
+        handled = handleCallback(res, url.searchParams);
+    } else {
+        res.writeHead(404);
+        res.end();
+        return;
+    }
+
+    handled.catch((error) => {
+        console.error('Stub RP error:', error.message);
+        sendPage(res, 500, 'Sign in failed', `<pre>${escapeHtml(error.message)}</pre>`);
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Stub relying party on http://localhost:${PORT} (redirect_uri ${REDIRECT_URI})`);
+});
@@ -0,0 +1,30 @@
+// Register an OpenID Connect relying party
+//
+// Usage: node scripts/register_oidc_client.js <name> <redirect_uri> [more redirect_uris...] [--public]
+//
+// Prints the client_id and, for confidential clients, the client_secret.
+// The secret is only stored hashed, so this is the one chance to copy it.
+// --public registers a client without a secret (SPAs, native apps), which
+// authenticates with PKCE alone.
+
+require('dotenv').config();
+
+const oidcService = require('../services/oidc');
+
+const args = process.argv.slice(2);
+const isPublic = args.includes('--public');
+const [name, ...redirectUris] = args.filter(arg => arg !== '--public');
+if (!name || redirectUris.length === 0) {
+    console.error('Usage: node scripts/register_oidc_client.js <name> <redirect_uri> [more redirect_uris...] [--public]');
+    process.exit(1);
+}
+
+oidcService.createClient({ name, redirectUris, isPublic })
+    .then(({ clientId, clientSecret }) => {
+        console.log(JSON.stringify({ client_id: clientId, client_secret: clientSecret, redirect_uris: redirectUris }, null, 2));
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Failed to register client:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,45 @@
+// Create or update a tenant from a JSON file
+//
+// Usage: node scripts/save_tenant.js <tenant.json> [--new-api-key]
+//
+// tenant.json:
+//   {
+//     "id": "acme",
+//     "name": "Acme",
+//     "hosts": ["auth.acme.example"],
+//     "frontendUrl": "https://app.acme.example",
+//     "allowedOrigins": ["https://app.acme.example"],
+//     "redirectUris": ["https://app.acme.example/dashboard", "https://app.acme.example/billing"],
+//     "emailFrom": "Acme <login@acme.example>",
+//     "emailReplyTo": "support@acme.example",
+//     "emailTemplate": { "productName": "Acme", "brandColor": "#d6336c", "logoUrl": "https://..." },
+//     "settings": { "accessTokenTtlSecs": 300, "magicLinkTtlMinutes": 10,
+//                   "rateLimits": { "magic-link": { "windowSecs": 60, "maxRequests": 3 } } }
+//   }
+//
+// A new tenant gets an API key; --new-api-key replaces an existing tenant's.
+// The key is only stored hashed, so this is the one chance to copy it.
+
+require('dotenv').config();
+
+const fs = require('fs');
+const tenantService = require('../services/tenants');
+
+const args = process.argv.slice(2);
+const issueApiKey = args.includes('--new-api-key');
+const [file] = args.filter(arg => arg !== '--new-api-key');
+if (!file) {
+    console.error('Usage: node scripts/save_tenant.js <tenant.json> [--new-api-key]');
+    process.exit(1);
+}
+
+Promise.resolve()
+    .then(() => tenantService.save(JSON.parse(fs.readFileSync(file, 'utf8')), { issueApiKey }))
+    .then(({ tenant, created, apiKey }) => {
+        console.log(JSON.stringify({ id: tenant.id, created, hosts: tenant.hosts, api_key: apiKey }, null, 2));
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Failed to save tenant:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,44 @@
+// Give an account a role, e.g. to create the first admin
+//
+// Usage: node scripts/set_user_role.js <email> <user|admin> [tenant]
+//
+// The account is looked up in the given tenant, or DEFAULT_TENANT_ID.
+// Changing the role signs the user out everywhere, so no live access or
+// refresh token keeps the old one.
+
+require('dotenv').config();
+
+const db = require('../db');
+const sessionService = require('../services/session');
+const emailAddress = require('../services/emailAddress');
+const { ROLES } = require('../services/users');
+const { DEFAULT_TENANT_ID } = require('../services/tenants');
+
+const [email, role, tenantId = DEFAULT_TENANT_ID] = process.argv.slice(2);
+if (!email || !ROLES.includes(role)) {
+    console.error(`Usage: node scripts/set_user_role.js <email> <${ROLES.join('|')}> [tenant]`);
+    process.exit(1);
+}
+
+db.query(`
+    UPDATE users u
+    SET role = $2
+    FROM (SELECT id, role FROM users WHERE tenant_id = $3 AND email_canonical = $1 FOR UPDATE) previous
+    WHERE u.id = previous.id
+    RETURNING u.id, u.tenant_id, u.email, u.role, previous.role AS previous_role
+`, [emailAddress.canonicalize(email), role, tenantId])
+    .then(async (result) => {
+        const user = result.rows[0];
+        if (!user) {
+            console.error(`No user with email ${email} in tenant ${tenantId}`);
+            process.exit(1);
+        }
+        const { previous_role: previousRole, ...updated } = user;
+        const revoked = previousRole === role ? [] : await sessionService.revokeAllSessions(user.id, 'role_changed');
+        console.log(JSON.stringify({ ...updated, revokedSessions: revoked.length }));
+        process.exit(0);
+    })
+    .catch((error) => {
+        console.error('Failed to set role:', error);
+        process.exit(1);
+    });
@@ -0,0 +1,139 @@
+const db = require('../db');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Client-supplied request ids are stored as-is, so keep them bounded
+const MAX_REQUEST_ID_LENGTH = 128;
+
+// Opaque keyset cursor: the id of the last row on the previous page
+function encodeCursor(id) {
+    return Buffer.from(JSON.stringify({ id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        return Number.isInteger(id) ? id : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function toEvent(row) {
+    return {
+        id: row.id,
+        eventType: row.event_type,
+        tenantId: row.tenant_id,
+        userId: row.user_id,
+        ipAddress: row.ip_address,
+        userAgent: row.user_agent,
+        requestId: row.request_id,
+        metadata: row.metadata,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * Records auth events to audit_logs and reads them back for the admin API.
+ *
+ * Events written while handling a request pass `req`, which supplies the IP
+ * address, user agent, request id and tenant. Background work passes `context`
+ * ({ ipAddress, userAgent, requestId, tenantId }) captured from the original request.
+ */
+class AuditService {
+    // Insert an event; throws so security-relevant writes fail their request
+    async record(eventType, { req = null, context = {}, userId = null, metadata = {} } = {}, client = db) {
+        const ipAddress = req ? req.ip : context.ipAddress;
+        const userAgent = req ? req.headers['user-agent'] : context.userAgent;
+        const requestId = req ? req.requestId : context.requestId;
+        const tenantId = req ? req.tenant?.id : context.tenantId;
+
+        await client.query(
+            'INSERT INTO audit_logs (user_id, event_type, ip_address, user_agent, request_id, metadata, tenant_id) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+            [userId, eventType, ipAddress || null, userAgent || null,
+             requestId ? String(requestId).slice(0, MAX_REQUEST_ID_LENGTH) : null,
+             JSON.stringify(metadata), tenantId || null]
+        );
+    }
+
+    // Insert an event without letting a database error fail the caller,
+    // for events recorded on paths that are already reporting a failure
+    async recordSafely(eventType, options = {}) {
+        try {
+            await this.record(eventType, options);
+        } catch (error) {
+            console.error('Failed to write audit event:', { eventType, error: error.message });
+        }
+    }
+
+    // Build the WHERE clause shared by paging and export
+    buildFilter({ tenantId, userId, eventTypes, from, to }) {
+        const conditions = [];
+        const params = [];
+
+        if (tenantId !== undefined) {
+            params.push(tenantId);
+            conditions.push(`tenant_id = $${params.length}`);
+        }
+        if (userId !== undefined) {
+            params.push(userId);
+            conditions.push(`user_id = $${params.length}`);
+        }
+        if (eventTypes && eventTypes.length) {
+            params.push(eventTypes);
+            conditions.push(`event_type = ANY($${params.length})`);
+        }
+        if (from) {
+            params.push(from);
+            conditions.push(`created_at >= $${params.length}`);
+        }
+        if (to) {
+            params.push(to);
+            conditions.push(`created_at < $${params.length}`);
+        }
+        return { conditions, params };
+    }
+
+    // Fetch one page of events, newest first
+    // filters: { tenantId, userId, eventTypes, from, to }; resolves to { events, nextCursor }
+    async query(filters = {}, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+        const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+        const { conditions, params } = this.buildFilter(filters);
+
+        if (cursor !== null) {
+            params.push(cursor);
+            conditions.push(`id < $${params.length}`);
+        }
+        params.push(pageSize + 1);
+
+        const result = await db.query(`
+            SELECT id, tenant_id, user_id, event_type, ip_address, user_agent, request_id, metadata, created_at
+            FROM audit_logs
+            ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY id DESC
+            LIMIT $${params.length}
+        `, params);
+
+        const rows = result.rows.slice(0, pageSize);
+        return {
+            events: rows.map(toEvent),
+            nextCursor: result.rows.length > pageSize ? encodeCursor(rows[rows.length - 1].id) : null
+        };
+    }
+
+    // Walk every matching event, newest first, a batch at a time
+    async *iterate(filters = {}) {
+        let cursor = null;
+        do {
+            const page = await this.query(filters, { cursor, limit: MAX_PAGE_SIZE });
+            yield* page.events;
+            cursor = page.nextCursor && decodeCursor(page.nextCursor);
+        } while (cursor);
+    }
+}
+
+module.exports = new AuditService();
+module.exports.encodeCursor = encodeCursor;
+module.exports.decodeCursor = decodeCursor;
+module.exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
@@ -0,0 +1,190 @@
+const db = require('../db');
+const { locks } = require('../config/redis');
+const { metrics } = require('../middleware/metrics');
+const lockoutService = require('./lockout');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const LOCK_NAME = 'cleanup';
+
+const CLEANUP_CONFIG = {
+    intervalMinutes: parseInt(process.env.CLEANUP_INTERVAL_MINUTES) || 60,
+    batchSize: parseInt(process.env.CLEANUP_BATCH_SIZE) || 1000,
+    archive: process.env.CLEANUP_ARCHIVE === 'true',
+    tokenGraceHours: parseInt(process.env.CLEANUP_TOKEN_GRACE_HOURS) || 24,
+    // 0 keeps audit logs forever
+    auditLogRetentionDays: process.env.AUDIT_LOG_RETENTION_DAYS !== undefined
+        ? parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 0
+        : 365,
+    failedAttemptsRetentionDays: parseInt(process.env.FAILED_ATTEMPTS_RETENTION_DAYS) || 30,
+    lockTtlMs: 5 * 60000
+};
+
+/**
+ * What each sweep removes. `cutoff` returns the Date rows must be older than,
+ * or null to skip the table. Tables with `archive` are moved into
+ * <table>_archive instead of being deleted when CLEANUP_ARCHIVE=true.
+ */
+const TASKS = [
+    {
+        table: 'magic_tokens',
+        archive: true,
+        where: 'expires_at < $1 OR ((used = true OR invalidated_at IS NOT NULL) AND created_at < $1)',
+        cutoff: () => new Date(Date.now() - CLEANUP_CONFIG.tokenGraceHours * HOUR_MS)
+    },
+    {
+        // Revoked rows stay until they expire so a replayed rotated token is still recognised
+        table: 'refresh_tokens',
+        archive: true,
+        where: 'expires_at < $1',
+        cutoff: () => new Date(Date.now() - CLEANUP_CONFIG.tokenGraceHours * HOUR_MS)
+    },
+    {
+        table: 'email_verifications',
+        archive: false,
+        where: 'expires_at < $1 OR ((used_at IS NOT NULL OR invalidated_at IS NOT NULL) AND created_at < $1)',
+        cutoff: () => new Date(Date.now() - CLEANUP_CONFIG.tokenGraceHours * HOUR_MS)
+    },
+    {
+        table: 'oauth_authorization_requests',
+        archive: false,
+        where: 'expires_at < $1',
+        cutoff: () => new Date(Date.now() - CLEANUP_CONFIG.tokenGraceHours * HOUR_MS)
+    },
+    {
+        table: 'otp_codes',
+        archive: false,
+        where: 'expires_at < $1 AND (locked_until IS NULL OR locked_until < $1)',
+        cutoff: () => new Date(Date.now() - CLEANUP_CONFIG.tokenGraceHours * HOUR_MS)
+    },
+    {
+        table: 'audit_logs',
+        archive: true,
+        where: 'created_at < $1',
+        cutoff: () => CLEANUP_CONFIG.auditLogRetentionDays > 0
+            ? new Date(Date.now() - CLEANUP_CONFIG.auditLogRetentionDays * DAY_MS)
+            : null
+    },
+    {
+        // Never trim failures that still count towards a lockout
+        table: 'failed_attempts',
+        archive: false,
+        where: 'created_at < $1',
+        cutoff: () => new Date(Date.now() - Math.max(
+            CLEANUP_CONFIG.failedAttemptsRetentionDays * DAY_MS,
+            lockoutService.config.windowMinutes * 60000
+        ))
+    }
+];
+
+/**
+ * Deletes (or archives) expired tokens and trims old audit logs and failed
+ * attempts, a batch at a time. A Redis lock keeps replicas from sweeping
+ * at the same time; the lock is extended after every batch.
+ */
+class CleanupService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Remove one batch; resolves to the number of rows removed
+    async sweepBatch(task, cutoff, archive) {
+        const batch = `
+            WITH batch AS (
+                SELECT id FROM ${task.table}
+                WHERE ${task.where}
+                ORDER BY id
+                LIMIT $2
+                FOR UPDATE SKIP LOCKED
+            ), removed AS (
+                DELETE FROM ${task.table} WHERE id IN (SELECT id FROM batch) RETURNING *
+            )
+        `;
+        const result = await db.query(
+            archive
+                ? `${batch} INSERT INTO ${task.table}_archive SELECT * FROM removed`
+                : `${batch} SELECT COUNT(*)::int AS count FROM removed`,
+            [cutoff, CLEANUP_CONFIG.batchSize]
+        );
+        return archive ? result.rowCount : result.rows[0].count;
+    }
+
+    // Sweep one table until nothing old is left
+    async sweepTable(task, owner) {
+        const cutoff = task.cutoff();
+        if (!cutoff) return 0;
+
+        const archive = task.archive && CLEANUP_CONFIG.archive;
+        const mode = archive ? 'archived' : 'deleted';
+        let total = 0;
+
+        for (;;) {
+            const removed = await this.sweepBatch(task, cutoff, archive);
+            total += removed;
+            metrics.cleanupRowsDeletedTotal.inc({ table: task.table, mode }, removed);
+
+            if (removed < CLEANUP_CONFIG.batchSize) break;
+            if (!await locks.extend(LOCK_NAME, owner, CLEANUP_CONFIG.lockTtlMs)) {
+                throw new Error('Cleanup lock lost');
+            }
+        }
+        return total;
+    }
+
+    /**
+     * Run one sweep of every table
+     * @returns {Promise<Object|null>} rows removed per table, or null if another replica holds the lock
+     */
+    async run() {
+        const owner = await locks.acquire(LOCK_NAME, CLEANUP_CONFIG.lockTtlMs);
+        if (!owner) {
+            metrics.cleanupRunsTotal.inc({ outcome: 'skipped' });
+            return null;
+        }
+
+        const startTime = Date.now();
+        try {
+            const removed = {};
+            for (const task of TASKS) {
+                removed[task.table] = await this.sweepTable(task, owner);
+            }
+
+            metrics.cleanupRunsTotal.inc({ outcome: 'completed' });
+            metrics.cleanupLastSuccessTimestamp.set(Date.now() / 1000);
+            console.log('🧹 Cleanup finished:', { removed, durationMs: Date.now() - startTime });
+            return removed;
+        } catch (error) {
+            metrics.cleanupRunsTotal.inc({ outcome: 'failed' });
+            throw error;
+        } finally {
+            await locks.release(LOCK_NAME, owner).catch(() => {});
+        }
+    }
+
+    async tick() {
+        try {
+            await this.run();
+        } catch (error) {
+            console.error('Cleanup job error:', error);
+        } finally {
+            if (this.running) {
+                this.timer = setTimeout(() => this.tick(), CLEANUP_CONFIG.intervalMinutes * 60000);
+            }
+        }
+    }
+
+    startScheduler() {
+        if (this.running) return;
+        this.running = true;
+        this.tick();
+        console.log(`🧹 Cleanup job scheduled every ${CLEANUP_CONFIG.intervalMinutes} minutes`);
+    }
+
+    stopScheduler() {
+        this.running = false;
+        clearTimeout(this.timer);
+    }
+}
+
+module.exports = new CleanupService();
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { challenges } = require('../config/redis');
+
+const DPOP_CONFIG = {
+    algorithms: ['ES256', 'ES384', 'RS256', 'PS256'],
+    // How old a proof's iat may be, and how far ahead of our clock
+    maxAgeSecs: parseInt(process.env.DPOP_PROOF_MAX_AGE_SECS) || 60,
+    clockSkewSecs: 10
+};
+
+// RFC 7638 thumbprint members, in the lexicographic order the hash needs
+const THUMBPRINT_MEMBERS = {
+    EC: ['crv', 'kty', 'x', 'y'],
+    RSA: ['e', 'kty', 'n']
+};
+
+function sha256Base64url(value) {
+    return crypto.createHash('sha256').update(value).digest('base64url');
+}
+
+/**
+ * JWK SHA-256 thumbprint (RFC 7638), the cnf.jkt a token is bound to
+ */
+function jwkThumbprint(jwk) {
+    const members = THUMBPRINT_MEMBERS[jwk.kty];
+    return sha256Base64url(JSON.stringify(Object.fromEntries(members.map(name => [name, jwk[name]]))));
+}
+
+// htu is compared without query or fragment (RFC 9449 section 4.3)
+function normalizeUrl(url) {
+    const parsed = new URL(url);
+    return `${parsed.protocol}//${parsed.host}${parsed.pathname}`;
+}
+
+/**
+ * DPoP (RFC 9449) proof-of-possession.
+ *
+ * The client holds a key pair and signs a short-lived proof for each request.
+ * Tokens issued with a proof are bound to the key's thumbprint (cnf.jkt), so
+ * a copied token is useless without the private key. Each proof's jti is
+ * remembered in Redis for as long as the proof is acceptable, so a captured
+ * proof can't be replayed either.
+ */
+class DpopService {
+    get config() {
+        return DPOP_CONFIG;
+    }
+
+    // The URL a proof for this request must name in htu
+    requestUrl(req) {
+        return normalizeUrl(`${req.protocol}://${req.get('host')}${req.originalUrl}`);
+    }
+
+    /**
+     * Check a DPoP proof (RFC 9449 section 4.3)
+     * @param {string} proof - the DPoP header
+     * @param {{method: string, url: string, accessToken?: string}} request - accessToken is required
+     *   when the proof accompanies one, and must match its ath claim
+     * @returns {Promise<{jkt: string} | {failure: string}>} failure is 'missing', 'malformed',
+     *   'invalid_signature', 'wrong_request', 'stale', 'ath_mismatch' or 'replayed'
+     */
+    async verifyProof(proof, { method, url, accessToken = null }) {
+        if (typeof proof !== 'string' || !proof) {
+            return { failure: 'missing' };
+        }
+
+        const decoded = jwt.decode(proof, { complete: true });
+        const header = decoded?.header;
+        const jwk = header?.jwk;
+        if (header?.typ !== 'dpop+jwt' || !DPOP_CONFIG.algorithms.includes(header.alg)
+            || !jwk || typeof jwk !== 'object' || !THUMBPRINT_MEMBERS[jwk.kty] || jwk.d) {
+            return { failure: 'malformed' };
+        }
+
+        let claims;
+        try {
+            const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+            // iat is checked below with our own window; proofs don't expire on their own
+            claims = jwt.verify(proof, publicKey, { algorithms: [header.alg], ignoreExpiration: true });
+        } catch (error) {
+            return { failure: 'invalid_signature' };
+        }
+
+        if (typeof claims.jti !== 'string' || !claims.jti || typeof claims.iat !== 'number') {
+            return { failure: 'malformed' };
+        }
+        let htu;
+        try {
+            htu = normalizeUrl(claims.htu);
+        } catch (error) {
+            return { failure: 'malformed' };
+        }
+        if (claims.htm !== method || htu !== normalizeUrl(url)) {
+            return { failure: 'wrong_request' };
+        }
+
+        const now = Math.floor(Date.now() / 1000);
+        if (claims.iat < now - DPOP_CONFIG.maxAgeSecs || claims.iat > now + DPOP_CONFIG.clockSkewSecs) {
+            return { failure: 'stale' };
+        }
+        if (accessToken && claims.ath !== sha256Base64url(accessToken)) {
+            return { failure: 'ath_mismatch' };
+        }
+
+        const jkt = jwkThumbprint(jwk);
+        const ttlSecs = DPOP_CONFIG.maxAgeSecs + DPOP_CONFIG.clockSkewSecs;
+        if (!await challenges.markUsed(`dpop:${jkt}:${claims.jti}`, ttlSecs)) {
+            return { failure: 'replayed' };
+        }
+
+        return { jkt };
+    }
+}
+
+module.exports = new DpopService();
+module.exports.jwkThumbprint = jwkThumbprint;
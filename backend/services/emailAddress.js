@@ -0,0 +1,38 @@
+// How registrations are compared for duplicates:
+//   case - addresses differing only by letter case are the same account
+//   plus - as `case`, and a +tag in the local part is ignored (jane+news@ is jane@)
+const POLICIES = ['case', 'plus'];
+const DUPLICATE_POLICY = POLICIES.includes(process.env.EMAIL_DUPLICATE_POLICY)
+    ? process.env.EMAIL_DUPLICATE_POLICY
+    : 'plus';
+
+const MAX_EMAIL_LENGTH = 254;
+
+// Deliberately loose: one @, no whitespace, a dot in the domain. Ownership is proven by verification.
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+class EmailAddressService {
+    get duplicatePolicy() {
+        return DUPLICATE_POLICY;
+    }
+
+    // Trimmed address, or null if it doesn't look like one
+    normalize(email) {
+        if (typeof email !== 'string') return null;
+        const trimmed = email.trim();
+        return trimmed.length <= MAX_EMAIL_LENGTH && EMAIL_PATTERN.test(trimmed) ? trimmed : null;
+    }
+
+    // The form stored in users.email_canonical for duplicate detection
+    canonicalize(email) {
+        const lowered = email.trim().toLowerCase();
+        if (DUPLICATE_POLICY !== 'plus') return lowered;
+
+        const at = lowered.lastIndexOf('@');
+        const local = lowered.slice(0, at).split('+')[0];
+        return `${local || lowered.slice(0, at)}${lowered.slice(at)}`;
+    }
+}
+
+module.exports = new EmailAddressService();
+module.exports.POLICIES = POLICIES;
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { emailQueue } = require('../config/redis');
+const { metrics } = require('../middleware/metrics');
+const auditService = require('./audit');
+const { resend_sendEmail, emailTransport } = require('../external_apis/resend');
+
+const QUEUE_CONFIG = {
+    maxAttempts: parseInt(process.env.EMAIL_QUEUE_MAX_ATTEMPTS) || 5,
+    baseDelayMs: parseInt(process.env.EMAIL_QUEUE_BASE_DELAY_MS) || 2000,
+    maxDelayMs: parseInt(process.env.EMAIL_QUEUE_MAX_DELAY_MS) || 300000, // 5 minutes
+    pollIntervalMs: parseInt(process.env.EMAIL_QUEUE_POLL_INTERVAL_MS) || 1000,
+    visibilityTimeoutMs: 60000,
+    batchSize: 10
+};
+
+class EmailQueueService {
+    constructor() {
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Accept an email for delivery; resolves once the job is durably queued.
+    // userId and requestId tie a delivery failure back to the request in the audit log.
+    // from and replyTo override the configured sender, e.g. with a tenant's own address.
+    async enqueue({ to, subject, html, from = null, replyTo = null }, { kind = 'generic', userId = null, requestId = null, tenantId = null } = {}) {
+        const job = {
+            id: crypto.randomUUID(),
+            kind,
+            userId,
+            requestId,
+            tenantId,
+            to,
+            subject,
+            html,
+            from,
+            replyTo,
+            attempts: 0,
+            enqueuedAt: Date.now(),
+            lastError: null
+        };
+        await emailQueue.enqueue(job);
+        return job.id;
+    }
+
+    // Exponential backoff with jitter, capped at maxDelayMs
+    backoffDelay(attempts) {
+        const delay = QUEUE_CONFIG.baseDelayMs * 2 ** (attempts - 1);
+        const jitter = Math.random() * QUEUE_CONFIG.baseDelayMs;
+        return Math.min(delay + jitter, QUEUE_CONFIG.maxDelayMs);
+    }
+
+    // Deliver one job, rescheduling or dead-lettering it on failure
+    async processJob(id) {
+        const job = await emailQueue.getJob(id);
+        if (!job) {
+            await emailQueue.complete(id);
+            return;
+        }
+
+        job.attempts += 1;
+        const startTime = Date.now();
+        try {
+            await resend_sendEmail(job.to, job.subject, job.html, { from: job.from, replyTo: job.replyTo });
+            metrics.emailDeliveryLatency.observe({ provider: emailTransport.name }, (Date.now() - startTime) / 1000);
+            await emailQueue.complete(id);
+
+            metrics.emailQueueJobsTotal.inc({ outcome: 'sent' });
+            if (job.kind === 'magic_link') {
+                metrics.magicLinkDeliveredTotal.inc();
+            }
+        } catch (error) {
+            job.lastError = error.message;
+
+            if (job.attempts >= QUEUE_CONFIG.maxAttempts) {
+                console.error('💀 Email job dead-lettered:', { id, kind: job.kind, attempts: job.attempts, error: error.message });
+                await emailQueue.deadLetter(job);
+                metrics.emailQueueJobsTotal.inc({ outcome: 'dead_lettered' });
+                await auditService.recordSafely('email_delivery_failed', {
+                    context: { requestId: job.requestId, tenantId: job.tenantId },
+                    userId: job.userId,
+                    metadata: { kind: job.kind, job_id: id, attempts: job.attempts, reason: 'dead_lettered', error: error.message }
+                });
+                if (job.kind === 'magic_link') {
+                    metrics.magicLinkDeliveryFailuresTotal.inc();
+                }
+                return;
+            }
+
+            const delay = this.backoffDelay(job.attempts);
+            console.warn('🔁 Email job failed, retrying:', { id, kind: job.kind, attempts: job.attempts, retryInMs: Math.round(delay), error: error.message });
+            await emailQueue.retry(job, Date.now() + delay);
+            metrics.emailQueueJobsTotal.inc({ outcome: 'retried' });
+        }
+    }
+
+    // Claim and deliver every due job, one batch at a time
+    async processDue() {
+        let ids;
+        do {
+            ids = await emailQueue.claimDue(QUEUE_CONFIG.batchSize, QUEUE_CONFIG.visibilityTimeoutMs);
+            for (const id of ids) {
+                await this.processJob(id);
+            }
+        } while (this.running && ids.length === QUEUE_CONFIG.batchSize);
+    }
+
+    // Publish queue depth and age as Prometheus gauges
+    async refreshMetrics() {
+        const stats = await emailQueue.stats();
+        metrics.emailQueueDepth.set({ state: 'scheduled' }, stats.scheduled);
+        metrics.emailQueueDepth.set({ state: 'processing' }, stats.processing);
+        metrics.emailQueueDepth.set({ state: 'dead' }, stats.dead);
+        metrics.emailQueueOldestJobAge.set(stats.oldestEnqueuedAt ? (Date.now() - stats.oldestEnqueuedAt) / 1000 : 0);
+    }
+
+    async tick() {
+        try {
+            await this.processDue();
+            await this.refreshMetrics();
+        } catch (error) {
+            console.error('Email queue worker error:', error);
+        } finally {
+            if (this.running) {
+                this.timer = setTimeout(() => this.tick(), QUEUE_CONFIG.pollIntervalMs);
+            }
+        }
+    }
+
+    startWorker() {
+        if (this.running) return;
+        this.running = true;
+        this.tick();
+        console.log('📮 Email queue worker started');
+    }
+
+    stopWorker() {
+        this.running = false;
+        clearTimeout(this.timer);
+    }
+}
+
+module.exports = new EmailQueueService();
@@ -0,0 +1,110 @@
+const db = require('../db');
+const tokenService = require('./token');
+const emailQueue = require('./emailQueue');
+const { resend_buildVerificationEmail } = require('../external_apis/resend');
+
+const VERIFICATION_CONFIG = {
+    ttlHours: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24,
+    resendCooldownSecs: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECS) || 60
+};
+
+/**
+ * Proves ownership of a newly registered address. Accounts start `pending`;
+ * following the emailed link marks them `active` with email_verified_at set.
+ *
+ * Like magic links, only the newest unused link for an account works and
+ * only a hash of its token is stored.
+ */
+class EmailVerificationService {
+    get config() {
+        return VERIFICATION_CONFIG;
+    }
+
+    /**
+     * Email a verification link unless one went out within the cooldown
+     * @param {{id: number, email: string}} user
+     * @param {Object} tenant - the user's tenant, for its frontend, sender and branding
+     * @param {string|null} requestId - ties a delivery failure back to the request
+     * @returns {Promise<{verificationId?: string, suppressed?: string}>}
+     */
+    async send(user, tenant, requestId = null) {
+        const token = await tokenService.generateMagicToken();
+        const { hash, salt } = tokenService.hashToken(token);
+
+        const issued = await db.transaction(async (client) => {
+            await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [user.id]);
+
+            const recent = await client.query(`
+                SELECT id
+                FROM email_verifications
+                WHERE user_id = $1
+                AND used_at IS NULL
+                AND invalidated_at IS NULL
+                AND expires_at > NOW()
+                AND created_at > NOW() - make_interval(secs => $2)
+                LIMIT 1
+            `, [user.id, VERIFICATION_CONFIG.resendCooldownSecs]);
+            if (recent.rows[0]) return { suppressed: 'cooldown' };
+
+            await client.query(
+                'UPDATE email_verifications SET invalidated_at = NOW() WHERE user_id = $1 AND used_at IS NULL AND invalidated_at IS NULL',
+                [user.id]
+            );
+            const result = await client.query(
+                'INSERT INTO email_verifications (user_id, token_hash, token_salt, expires_at) VALUES ($1, $2, $3, NOW() + make_interval(hours => $4)) RETURNING id',
+                [user.id, hash, salt, VERIFICATION_CONFIG.ttlHours]
+            );
+            return { verificationId: result.rows[0].id };
+        });
+        if (issued.suppressed) return issued;
+
+        const link = `${tenant.frontendUrl}/index.html?token_id=${issued.verificationId}&token=${token}&mode=verify-email`;
+        try {
+            await emailQueue.enqueue(
+                { to: user.email, ...tenant.email, ...resend_buildVerificationEmail(link, VERIFICATION_CONFIG.ttlHours, tenant.brand) },
+                { kind: 'email_verification', userId: user.id, requestId, tenantId: tenant.id }
+            );
+        } catch (error) {
+            // Nothing was sent, so don't let this link hold up a resend
+            await db.query('UPDATE email_verifications SET invalidated_at = NOW() WHERE id = $1', [issued.verificationId]);
+            throw error;
+        }
+        return issued;
+    }
+
+    /**
+     * Consume a verification link and activate its account. Links for
+     * another tenant's accounts are not found.
+     * @returns {Promise<{userId: number, email: string} | {failure: string}>}
+     *   failure is 'not_found', 'already_used', 'superseded', 'expired' or 'hash_mismatch'
+     */
+    async verify(verificationId, token, tenantId) {
+        return db.transaction(async (client) => {
+            const result = await client.query(`
+                SELECT ev.id, ev.user_id, u.email, ev.token_hash, ev.token_salt, ev.used_at, ev.invalidated_at, ev.expires_at
+                FROM email_verifications ev
+                JOIN users u ON u.id = ev.user_id
+                WHERE ev.id = $1 AND u.tenant_id = $2
+                FOR UPDATE OF ev
+            `, [verificationId, tenantId]);
+            const verification = result.rows[0];
+
+            if (!verification) return { failure: 'not_found' };
+            if (!tokenService.verifyTokenHash(token, verification.token_hash, verification.token_salt)) {
+                return { failure: 'hash_mismatch', userId: verification.user_id };
+            }
+            if (verification.used_at) return { failure: 'already_used', userId: verification.user_id };
+            if (verification.invalidated_at) return { failure: 'superseded', userId: verification.user_id };
+            if (new Date(verification.expires_at) < new Date()) return { failure: 'expired', userId: verification.user_id };
+
+            await client.query('UPDATE email_verifications SET used_at = NOW() WHERE id = $1', [verification.id]);
+            await client.query(
+                `UPDATE users SET status = 'active', email_verified_at = NOW() WHERE id = $1 AND status = 'pending'`,
+                [verification.user_id]
+            );
+            return { userId: verification.user_id, email: verification.email };
+        });
+    }
+}
+
+module.exports = new EmailVerificationService();
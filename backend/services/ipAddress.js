@@ -0,0 +1,28 @@
+const net = require('net');
+
+class IpAddressService {
+    // The address as a plain IPv4 or IPv6 string, or null if it isn't one.
+    // Express reports IPv4 clients as ::ffff:a.b.c.d on dual-stack sockets.
+    normalize(ip) {
+        if (typeof ip !== 'string') return null;
+        const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+        return net.isIP(address) ? address : null;
+    }
+
+    // The /24 (IPv4) or /64 (IPv6) an address belongs to, as lockouts group them
+    subnetOf(ip) {
+        const address = this.normalize(ip);
+        if (!address) return null;
+        if (net.isIPv4(address)) {
+            return `${address.split('.').slice(0, 3).join('.')}.0/24`;
+        }
+
+        const [head, tail = ''] = address.toLowerCase().split('::');
+        const headGroups = head ? head.split(':') : [];
+        const tailGroups = tail ? tail.split(':') : [];
+        const groups = [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+        return `${groups.slice(0, 4).map(group => parseInt(group, 16).toString(16)).join(':')}::/64`;
+    }
+}
+
+module.exports = new IpAddressService();
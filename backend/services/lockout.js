@@ -0,0 +1,175 @@
+const db = require('../db');
+const { metrics } = require('../middleware/metrics');
+const emailAddress = require('./emailAddress');
+const ipAddress = require('./ipAddress');
+
+const LOCKOUT_CONFIG = {
+    windowMinutes: parseInt(process.env.LOCKOUT_WINDOW_MINUTES) || 15,
+    delayAfterFailures: parseInt(process.env.LOCKOUT_DELAY_AFTER_FAILURES) || 3,
+    baseDelaySecs: 1,
+    maxDelaySecs: parseInt(process.env.LOCKOUT_MAX_DELAY_SECS) || 60,
+    maxFailures: {
+        email: parseInt(process.env.LOCKOUT_EMAIL_MAX_FAILURES) || 10,
+        ip: parseInt(process.env.LOCKOUT_IP_MAX_FAILURES) || 30,
+        subnet: parseInt(process.env.LOCKOUT_SUBNET_MAX_FAILURES) || 100
+    }
+};
+
+// The /24 (IPv4) or /64 (IPv6) around an address; a network address maps to itself
+const subnetOf = param => `network(set_masklen(${param}::inet, CASE family(${param}::inet) WHEN 4 THEN 24 ELSE 64 END))`;
+
+// How failures are matched for each scope. Progressive delays apply to a
+// single account or address; a subnet is only ever locked out outright.
+const SCOPES = {
+    email: { match: 'email = $1', progressive: true },
+    ip: { match: 'ip_address = $1::inet', progressive: true },
+    subnet: { match: `ip_address <<= ${subnetOf('$1')}`, progressive: false }
+};
+
+const GROUPINGS = {
+    email: 'email',
+    ip: 'host(ip_address)',
+    subnet: `${subnetOf('ip_address')}::text`
+};
+
+// Folded like users.email_canonical, so case or plus-address variants share one lockout
+function normalizeEmail(email) {
+    return typeof email === 'string' && email.trim() ? emailAddress.canonicalize(email) : null;
+}
+
+function isValidKey(scope, key) {
+    if (scope === 'email') return normalizeEmail(key) !== null;
+    if (scope === 'ip') return ipAddress.normalize(key) !== null;
+    const [address, prefix] = String(key).split('/');
+    return ipAddress.normalize(address) !== null && (prefix === undefined || /^\d{1,3}$/.test(prefix));
+}
+
+/**
+ * Tracks failed sign in attempts in failed_attempts and turns them into
+ * progressive delays and temporary lockouts per email, IP and subnet.
+ * Each tenant's attempts only count towards its own lockouts.
+ *
+ * Within a sliding window of LOCKOUT_WINDOW_MINUTES, each failure past
+ * LOCKOUT_DELAY_AFTER_FAILURES doubles the wait before the next attempt
+ * (capped at LOCKOUT_MAX_DELAY_SECS). Reaching a scope's max failures locks
+ * it until enough of those failures have aged out of the window.
+ */
+class LockoutService {
+    get config() {
+        return LOCKOUT_CONFIG;
+    }
+
+    // When a scope with these failure times (newest first) may try again, or null
+    blockedUntil(scope, failureTimes) {
+        const maxFailures = LOCKOUT_CONFIG.maxFailures[scope];
+        const windowMs = LOCKOUT_CONFIG.windowMinutes * 60000;
+
+        if (failureTimes.length >= maxFailures) {
+            return new Date(failureTimes[maxFailures - 1].getTime() + windowMs);
+        }
+        if (SCOPES[scope].progressive && failureTimes.length >= LOCKOUT_CONFIG.delayAfterFailures) {
+            const exponent = failureTimes.length - LOCKOUT_CONFIG.delayAfterFailures;
+            const delaySecs = Math.min(LOCKOUT_CONFIG.baseDelaySecs * 2 ** exponent, LOCKOUT_CONFIG.maxDelaySecs);
+            return new Date(failureTimes[0].getTime() + delaySecs * 1000);
+        }
+        return null;
+    }
+
+    // Evaluate one scope within a tenant; resolves to { failures, blockedUntil, locked }
+    async evaluate(tenantId, scope, key) {
+        const result = await db.query(`
+            SELECT created_at
+            FROM failed_attempts
+            WHERE ${SCOPES[scope].match}
+            AND tenant_id = $2
+            AND created_at > $3
+            ORDER BY created_at DESC
+            LIMIT $4
+        `, [key, tenantId, new Date(Date.now() - LOCKOUT_CONFIG.windowMinutes * 60000), LOCKOUT_CONFIG.maxFailures[scope]]);
+
+        const failureTimes = result.rows.map(row => new Date(row.created_at));
+        const blockedUntil = this.blockedUntil(scope, failureTimes);
+        return {
+            failures: failureTimes.length,
+            blockedUntil: blockedUntil && blockedUntil > new Date() ? blockedUntil : null,
+            locked: failureTimes.length >= LOCKOUT_CONFIG.maxFailures[scope]
+        };
+    }
+
+    /**
+     * Check whether an attempt may proceed. Call before any password or token work.
+     * @returns {Promise<{blocked: boolean, scope?: string, retryAfter?: number}>}
+     */
+    async check({ tenantId, email = null, ip = null, attemptType }) {
+        const targets = [];
+        const normalizedEmail = normalizeEmail(email);
+        const normalizedIp = ipAddress.normalize(ip);
+        if (normalizedEmail) targets.push(['email', normalizedEmail]);
+        if (normalizedIp) targets.push(['ip', normalizedIp], ['subnet', normalizedIp]);
+
+        let worst = null;
+        for (const [scope, key] of targets) {
+            const { blockedUntil } = await this.evaluate(tenantId, scope, key);
+            if (blockedUntil && (!worst || blockedUntil > worst.blockedUntil)) {
+                worst = { scope, blockedUntil };
+            }
+        }
+
+        if (!worst) {
+            return { blocked: false };
+        }
+
+        metrics.authLockoutRejectedTotal.inc({ attempt_type: attemptType, scope: worst.scope });
+        return {
+            blocked: true,
+            scope: worst.scope,
+            retryAfter: Math.max(1, Math.ceil((worst.blockedUntil.getTime() - Date.now()) / 1000))
+        };
+    }
+
+    // Record a failed attempt in a tenant; attemptType is 'magic_link', 'otp', 'password' or 'mfa'
+    async recordFailure({ tenantId, email = null, ip, attemptType }) {
+        metrics.failedAttemptsTotal.inc({ attempt_type: attemptType });
+        await db.query(
+            'INSERT INTO failed_attempts (tenant_id, email, ip_address, attempt_type) VALUES ($1, $2, $3, $4)',
+            [tenantId, normalizeEmail(email), ipAddress.normalize(ip) || '0.0.0.0', attemptType]
+        );
+    }
+
+    // Every email, IP and subnet currently delayed or locked out in a tenant
+    async listLockouts(tenantId) {
+        const since = new Date(Date.now() - LOCKOUT_CONFIG.windowMinutes * 60000);
+        const lockouts = [];
+
+        for (const scope of Object.keys(SCOPES)) {
+            const threshold = SCOPES[scope].progressive ? LOCKOUT_CONFIG.delayAfterFailures : LOCKOUT_CONFIG.maxFailures[scope];
+            const candidates = await db.query(`
+                SELECT ${GROUPINGS[scope]} AS key
+                FROM failed_attempts
+                WHERE tenant_id = $1 AND created_at > $2 AND ${scope === 'email' ? 'email IS NOT NULL' : 'TRUE'}
+                GROUP BY 1
+                HAVING COUNT(*) >= $3
+            `, [tenantId, since, threshold]);
+
+            for (const { key } of candidates.rows) {
+                const { failures, blockedUntil, locked } = await this.evaluate(tenantId, scope, key);
+                if (blockedUntil) {
+                    lockouts.push({ scope, key, failures, locked, blockedUntil });
+                }
+            }
+        }
+
+        return lockouts.sort((a, b) => b.blockedUntil - a.blockedUntil);
+    }
+
+    // Forget the failures behind a tenant's lockout; resolves to the number of rows removed
+    async clearLockout(tenantId, scope, key) {
+        const normalizedKey = scope === 'email' ? normalizeEmail(key) : scope === 'ip' ? ipAddress.normalize(key) : key;
+        const result = await db.query(`DELETE FROM failed_attempts WHERE ${SCOPES[scope].match} AND tenant_id = $2`, [normalizedKey, tenantId]);
+        return result.rowCount;
+    }
+}
+
+module.exports = new LockoutService();
+module.exports.SCOPES = Object.keys(SCOPES);
+module.exports.isValidKey = isValidKey;
@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../db');
+const tokenService = require('./token');
+const { challenges } = require('../config/redis');
+
+const MFA_CONFIG = {
+    issuer: process.env.MFA_TOTP_ISSUER || 'Magic Link Demo',
+    // Accept codes from one step either side of now, for clock drift
+    window: 1,
+    stepSecs: 30,
+    digits: 6,
+    recoveryCodeCount: 10,
+    pendingTtlSecs: parseInt(process.env.MFA_PENDING_TTL_SECS) || 300
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Key for encrypting TOTP secrets at rest (AES-256-GCM). Unlike recovery
+ * codes they can't be hashed: the server needs them to compute codes.
+ */
+function loadEncryptionKey() {
+    if (process.env.MFA_ENCRYPTION_KEY) {
+        const key = Buffer.from(process.env.MFA_ENCRYPTION_KEY, 'base64');
+        if (key.length !== 32) {
+            throw new Error('MFA_ENCRYPTION_KEY must be 32 bytes, base64-encoded');
+        }
+        return key;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('No MFA encryption key configured. Set MFA_ENCRYPTION_KEY.');
+    }
+    console.warn('⚠️  No MFA_ENCRYPTION_KEY configured, using a fixed development key.');
+    return crypto.createHash('sha256').update('magic-link-demo-development-mfa-key').digest();
+}
+
+const ENCRYPTION_KEY = loadEncryptionKey();
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(text) {
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+// RFC 6238 code for a time step (HMAC-SHA1, the algorithm authenticator apps assume)
+function totpCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = digest[digest.length - 1] & 15;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** MFA_CONFIG.digits).padStart(MFA_CONFIG.digits, '0');
+}
+
+/**
+ * The time step a code matches, or null. Steps at or before lastUsedStep
+ * are refused so a code can't be replayed within its window.
+ */
+function matchTotp(secret, code, lastUsedStep = null) {
+    const now = Math.floor(Date.now() / 1000 / MFA_CONFIG.stepSecs);
+    for (let step = now - MFA_CONFIG.window; step <= now + MFA_CONFIG.window; step++) {
+        if (lastUsedStep !== null && step <= lastUsedStep) continue;
+        const expected = Buffer.from(totpCode(secret, step));
+        const given = Buffer.from(String(code));
+        if (expected.length === given.length && crypto.timingSafeEqual(expected, given)) {
+            return step;
+        }
+    }
+    return null;
+}
+
+// Recovery codes look like 1a2b-3c4d-5e6f-7a8b; dashes and case are ignored when checking
+function generateRecoveryCode() {
+    return crypto.randomBytes(8).toString('hex').replace(/(.{4})(.{4})(.{4})(.{4})/, '$1-$2-$3-$4');
+}
+
+function normalizeRecoveryCode(code) {
+    return String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+}
+
+/**
+ * Optional TOTP second factor.
+ *
+ * Setup stores an encrypted secret that only takes effect once a code from
+ * the authenticator app confirms it; confirming also issues single-use
+ * recovery codes, stored hashed. Sign ins by users with TOTP enabled stop at
+ * an mfa_pending token, which /mfa/verify exchanges for the real tokens.
+ */
+class MfaService {
+    get config() {
+        return MFA_CONFIG;
+    }
+
+    // { enabled, recoveryCodesRemaining } for a user
+    async status(userId) {
+        const result = await db.query(`
+            SELECT t.confirmed_at,
+                   (SELECT COUNT(*)::int FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL) AS recovery_codes_remaining
+            FROM users u
+            LEFT JOIN mfa_totp t ON t.user_id = u.id
+            WHERE u.id = $1
+        `, [userId]);
+        const row = result.rows[0];
+        return {
+            enabled: Boolean(row?.confirmed_at),
+            recoveryCodesRemaining: row?.confirmed_at ? row.recovery_codes_remaining : 0
+        };
+    }
+
+    async isEnabled(userId) {
+        const result = await db.query('SELECT 1 FROM mfa_totp WHERE user_id = $1 AND confirmed_at IS NOT NULL', [userId]);
+        return result.rows.length > 0;
+    }
+
+    /**
+     * Start (or restart) enrollment with a new secret
+     * @returns {Promise<{secret: string, otpauthUrl: string}>}
+     */
+    async beginSetup(user) {
+        if (await this.isEnabled(user.id)) {
+            throw new Error('MFA already enabled');
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        await db.query(`
+            INSERT INTO mfa_totp (user_id, secret_encrypted) VALUES ($1, $2)
+            ON CONFLICT (user_id) DO UPDATE SET secret_encrypted = EXCLUDED.secret_encrypted, last_used_step = NULL, created_at = NOW()
+        `, [user.id, encryptSecret(secret)]);
+
+        const label = encodeURIComponent(`${MFA_CONFIG.issuer}:${user.email}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer: MFA_CONFIG.issuer,
+            algorithm: 'SHA1',
+            digits: String(MFA_CONFIG.digits),
+            period: String(MFA_CONFIG.stepSecs)
+        });
+        return { secret, otpauthUrl: `otpauth://totp/${label}?${params}` };
+    }
+
+    /**
+     * Turn TOTP on with a code from the newly set up app
+     * @returns {Promise<string[]|null>} recovery codes to show once, or null if the code is wrong
+     */
+    async confirmSetup(userId, code) {
+        return db.transaction(async (client) => {
+            const result = await client.query(
+                'SELECT secret_encrypted FROM mfa_totp WHERE user_id = $1 AND confirmed_at IS NULL FOR UPDATE',
+                [userId]
+            );
+            if (!result.rows[0]) return null;
+
+            const step = matchTotp(decryptSecret(result.rows[0].secret_encrypted), code);
+            if (step === null) return null;
+
+            await client.query('UPDATE mfa_totp SET confirmed_at = NOW(), last_used_step = $2 WHERE user_id = $1', [userId, step]);
+            return this.replaceRecoveryCodes(userId, client);
+        });
+    }
+
+    // Issue a fresh set of recovery codes, voiding the old ones
+    async replaceRecoveryCodes(userId, client = db) {
+        const codes = Array.from({ length: MFA_CONFIG.recoveryCodeCount }, generateRecoveryCode);
+        await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+        for (const code of codes) {
+            const { hash, salt } = tokenService.hashToken(normalizeRecoveryCode(code));
+            await client.query('INSERT INTO mfa_recovery_codes (user_id, code_hash, code_salt) VALUES ($1, $2, $3)', [userId, hash, salt]);
+        }
+        return codes;
+    }
+
+    /**
+     * Check a TOTP or recovery code for a user with TOTP enabled, using it up
+     * @returns {Promise<'totp'|'recovery_code'|null>} which kind matched, or null
+     */
+    async verifyCode(userId, code) {
+        const input = String(code || '').trim();
+
+        return db.transaction(async (client) => {
+            if (/^\d{6}$/.test(input)) {
+                const result = await client.query(
+                    'SELECT secret_encrypted, last_used_step FROM mfa_totp WHERE user_id = $1 AND confirmed_at IS NOT NULL FOR UPDATE',
+                    [userId]
+                );
+                const totp = result.rows[0];
+                if (!totp) return null;
+
+                const lastUsedStep = totp.last_used_step === null ? null : Number(totp.last_used_step);
+                const step = matchTotp(decryptSecret(totp.secret_encrypted), input, lastUsedStep);
+                if (step === null) return null;
+
+                await client.query('UPDATE mfa_totp SET last_used_step = $2 WHERE user_id = $1', [userId, step]);
+                return 'totp';
+            }
+
+            const normalized = normalizeRecoveryCode(input);
+            if (normalized.length !== 16) return null;
+
+            const unused = await client.query(
+                'SELECT id, code_hash, code_salt FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL FOR UPDATE',
+                [userId]
+            );
+            const match = unused.rows.find(row => tokenService.verifyTokenHash(normalized, row.code_hash, row.code_salt));
+            if (!match) return null;
+
+            await client.query('UPDATE mfa_recovery_codes SET used_at = NOW() WHERE id = $1', [match.id]);
+            return 'recovery_code';
+        });
+    }
+
+    // Turn TOTP off and drop the recovery codes
+    async disable(userId) {
+        await db.transaction(async (client) => {
+            await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+            await client.query('DELETE FROM mfa_totp WHERE user_id = $1', [userId]);
+        });
+    }
+
+    /**
+     * Hold a sign in that passed its first factor until the second one is checked
+     * @param {Object} user - { id, email, role, tenantId }
+     * @param {string|null} oidcRequestId - carried through so /mfa/verify can finish an OIDC sign in
+     * @param {string|null} returnTo - where a magic link sign in goes afterwards, also carried through
+     * @returns {Promise<string>} the mfa_pending token
+     */
+    async createPendingToken(user, oidcRequestId = null, returnTo = null) {
+        const jti = uuidv4();
+        await challenges.put(`mfa:${jti}`, { userId: user.id, oidcRequestId, returnTo }, MFA_CONFIG.pendingTtlSecs);
+        return tokenService.signJwt(
+            { sub: user.id, email: user.email, tid: user.tenantId, type: 'mfa_pending' },
+            { expiresIn: MFA_CONFIG.pendingTtlSecs, jwtid: jti }
+        );
+    }
+
+    /**
+     * Read an mfa_pending token without using it up
+     * @param {string} tenantId - tokens issued for another tenant read as invalid
+     * @returns {{userId: number, email: string, jti: string}|null}
+     */
+    readPendingToken(token, tenantId) {
+        try {
+            const claims = tokenService.verifyJwt(String(token));
+            if (claims.type !== 'mfa_pending' || !claims.jti || claims.tid !== tenantId) return null;
+            return { userId: claims.sub, email: claims.email, jti: claims.jti };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Use up an mfa_pending token once its second factor has been checked
+     * @returns {Promise<{userId: number, oidcRequestId: string|null, returnTo: string|null}|null>} null if already used or expired
+     */
+    async consumePendingToken(jti) {
+        return challenges.take(`mfa:${jti}`);
+    }
+}
+
+module.exports = new MfaService();
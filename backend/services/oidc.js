@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const tokenService = require('./token');
+const auditService = require('./audit');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const OIDC_CONFIG = {
+    // Must be exactly what relying parties are configured with; it is the ID token iss
+    issuer: (process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 5050}`).replace(/\/+$/, ''),
+    // Long enough to find the magic link email and click it
+    requestTtlMinutes: parseInt(process.env.OIDC_REQUEST_TTL_MINUTES) || 30,
+    codeTtlSecs: 60
+};
+
+const SCOPES = ['openid', 'email', 'offline_access'];
+
+// RFC 7636: 43-128 characters from the unreserved set
+const CODE_VERIFIER_PATTERN = /^[A-Za-z0-9\-._~]{43,128}$/;
+
+function s256(verifier) {
+    return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Add query parameters to a registered redirect URI, keeping any it already has
+function buildRedirect(redirectUri, params) {
+    const url = new URL(redirectUri);
+    for (const [name, value] of Object.entries(params)) {
+        if (value !== null && value !== undefined) {
+            url.searchParams.set(name, value);
+        }
+    }
+    return url.toString();
+}
+
+function grantError(error, description) {
+    return { error, description };
+}
+
+/**
+ * OpenID Connect provider (authorization code flow with PKCE).
+ *
+ * /authorize stores an authorization request and sends the browser to the
+ * login page. Signing in with a magic link (or an existing session) completes
+ * the request: it gets the user and a one-time code, and the browser goes
+ * back to the client's redirect_uri. /token swaps the code for tokens.
+ *
+ * Codes look like <request id>.<secret>; only a hash of the secret is stored.
+ */
+class OidcService {
+    get config() {
+        return OIDC_CONFIG;
+    }
+
+    get scopes() {
+        return SCOPES;
+    }
+
+    // Provider metadata for /.well-known/openid-configuration
+    discovery() {
+        const { issuer } = OIDC_CONFIG;
+        const algorithms = [...new Set(tokenService.keyRing.getJwks().keys.map(key => key.alg))];
+        return {
+            issuer,
+            authorization_endpoint: `${issuer}/oauth/authorize`,
+            token_endpoint: `${issuer}/oauth/token`,
+            userinfo_endpoint: `${issuer}/oauth/userinfo`,
+            jwks_uri: `${issuer}/.well-known/jwks.json`,
+            scopes_supported: SCOPES,
+            response_types_supported: ['code'],
+            response_modes_supported: ['query'],
+            grant_types_supported: ['authorization_code', 'refresh_token'],
+            subject_types_supported: ['public'],
+            id_token_signing_alg_values_supported: algorithms,
+            token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+            code_challenge_methods_supported: ['S256'],
+            authorization_response_iss_parameter_supported: true,
+            claims_supported: ['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'at_hash', 'email', 'email_verified']
+        };
+    }
+
+    /**
+     * Register a relying party. Public clients (SPAs, native apps) get no
+     * secret and rely on PKCE alone.
+     * @returns {Promise<{clientId: string, clientSecret: string|null}>}
+     */
+    async createClient({ name, redirectUris, isPublic = false, scopes = SCOPES }) {
+        for (const uri of redirectUris) {
+            const url = new URL(uri); // throws on a malformed URI
+            if (url.hash) {
+                throw new Error(`Redirect URI must not have a fragment: ${uri}`);
+            }
+        }
+
+        const clientId = crypto.randomBytes(16).toString('hex');
+        const clientSecret = isPublic ? null : crypto.randomBytes(32).toString('base64url');
+        const { hash, salt } = clientSecret ? tokenService.hashToken(clientSecret) : {};
+
+        await db.query(
+            'INSERT INTO oauth_clients (client_id, client_secret_hash, client_secret_salt, name, redirect_uris, allowed_scopes) VALUES ($1, $2, $3, $4, $5, $6)',
+            [clientId, hash || null, salt || null, name, redirectUris, scopes]
+        );
+        return { clientId, clientSecret };
+    }
+
+    // An enabled client, or null
+    async findClient(clientId) {
+        if (typeof clientId !== 'string' || !clientId) return null;
+        const result = await db.query(
+            'SELECT client_id, client_secret_hash, client_secret_salt, name, redirect_uris, allowed_scopes FROM oauth_clients WHERE client_id = $1 AND disabled_at IS NULL',
+            [clientId]
+        );
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Authenticate the client calling /token from HTTP Basic or the form body
+     * @returns {Promise<Object|null>} the client, or null if authentication failed
+     */
+    async authenticateClient(req) {
+        let clientId = req.body.client_id;
+        let clientSecret = req.body.client_secret;
+
+        const [scheme, credentials] = (req.headers.authorization || '').split(' ');
+        if (scheme && scheme.toLowerCase() === 'basic' && credentials) {
+            const decoded = Buffer.from(credentials, 'base64').toString('utf8');
+            const separator = decoded.indexOf(':');
+            clientId = decodeURIComponent(decoded.slice(0, separator));
+            clientSecret = decodeURIComponent(decoded.slice(separator + 1));
+        }
+
+        const client = await this.findClient(clientId);
+        if (!client) return null;
+
+        if (!client.client_secret_hash) {
+            // Public client: sending a secret anyway is a configuration error
+            return clientSecret ? null : client;
+        }
+        if (typeof clientSecret !== 'string' || !clientSecret) return null;
+        return tokenService.verifyTokenHash(clientSecret, client.client_secret_hash, client.client_secret_salt) ? client : null;
+    }
+
+    /**
+     * Validate an /authorize request and store it. The caller has already
+     * checked the client and that redirectUri is one of its registered URIs.
+     * Clients are shared by all tenants; the request belongs to tenantId, the
+     * tenant /authorize was called on, and only its users can finish it.
+     * @returns {Promise<{requestId: string} | {error: string, description: string}>}
+     */
+    async createAuthorizationRequest(client, tenantId, redirectUri, { response_type, scope, state, nonce, code_challenge, code_challenge_method }) {
+        if (response_type !== 'code') {
+            return grantError('unsupported_response_type', 'Only response_type=code is supported');
+        }
+
+        const scopes = String(scope || '').split(' ').filter(Boolean);
+        if (!scopes.includes('openid')) {
+            return grantError('invalid_scope', 'The openid scope is required');
+        }
+        const unknown = scopes.filter(requested => !client.allowed_scopes.includes(requested));
+        if (unknown.length) {
+            return grantError('invalid_scope', `Scope not allowed for this client: ${unknown.join(' ')}`);
+        }
+
+        if (!code_challenge || code_challenge_method !== 'S256') {
+            return grantError('invalid_request', 'PKCE with code_challenge_method=S256 is required');
+        }
+        if (!/^[A-Za-z0-9_-]{43}$/.test(code_challenge)) {
+            return grantError('invalid_request', 'code_challenge must be a base64url SHA-256 digest');
+        }
+
+        const result = await db.query(`
+            INSERT INTO oauth_authorization_requests (client_id, tenant_id, redirect_uri, scope, state, nonce, code_challenge, code_challenge_method, expires_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW() + make_interval(mins => $9))
+            RETURNING id
+        `, [client.client_id, tenantId, redirectUri, [...new Set(scopes)].join(' '), state || null, nonce || null,
+            code_challenge, code_challenge_method, OIDC_CONFIG.requestTtlMinutes]);
+        return { requestId: result.rows[0].id };
+    }
+
+    // Where /authorize sends the browser to sign in: the frontend of the tenant serving the request
+    loginUrl(requestId, tenant = null) {
+        return `${tenant?.frontendUrl || FRONTEND_URL}/index.html?oidc_request=${requestId}`;
+    }
+
+    // An authorization request of this tenant still waiting for sign in, or null
+    async findPendingRequest(requestId, tenantId) {
+        const result = await db.query(`
+            SELECT r.id, r.scope, r.expires_at, c.name AS client_name
+            FROM oauth_authorization_requests r
+            JOIN oauth_clients c ON c.client_id = r.client_id
+            WHERE r.id = $1 AND r.tenant_id = $2 AND r.user_id IS NULL AND r.expires_at > NOW() AND c.disabled_at IS NULL
+        `, [requestId, tenantId]);
+        const row = result.rows[0];
+        return row ? { id: row.id, clientName: row.client_name, scope: row.scope, expiresAt: row.expires_at } : null;
+    }
+
+    /**
+     * Finish an authorization request for a signed in user. A user of another
+     * tenant than the request's can't, and gets the same error as an expired request.
+     * @param {string} requestId
+     * @param {{id: number}} user
+     * @param {Object} context - { ipAddress, userAgent, requestId } for the audit log
+     * @returns {Promise<string>} the client redirect carrying the code and state
+     */
+    async completeAuthorization(requestId, user, context = {}) {
+        const code = crypto.randomBytes(32).toString('hex');
+        const { hash, salt } = tokenService.hashToken(code);
+
+        const result = await db.query(`
+            UPDATE oauth_authorization_requests r
+            SET user_id = u.id, auth_time = NOW(), code_hash = $3, code_salt = $4, code_expires_at = NOW() + make_interval(secs => $5)
+            FROM users u
+            WHERE r.id = $1 AND u.id = $2 AND u.tenant_id = r.tenant_id AND r.user_id IS NULL AND r.expires_at > NOW()
+            RETURNING r.client_id, r.redirect_uri, r.state
+        `, [requestId, user.id, hash, salt, OIDC_CONFIG.codeTtlSecs]);
+        const request = result.rows[0];
+        if (!request) {
+            throw new Error('Invalid authorization request');
+        }
+
+        await auditService.record('oidc_code_issued', {
+            context,
+            userId: user.id,
+            metadata: { client_id: request.client_id, authorization_request_id: requestId }
+        });
+
+        return buildRedirect(request.redirect_uri, { code: `${requestId}.${code}`, state: request.state, iss: OIDC_CONFIG.issuer });
+    }
+
+    /**
+     * Exchange an authorization code for tokens (grant_type=authorization_code)
+     * @param {Object} client - the authenticated client
+     * @param {Object} params - { code, redirect_uri, code_verifier } from the form body
+     * @param {Object} context - { deviceFingerprint, ipAddress, userAgent, requestId }
+     * @returns {Promise<Object>} a token response, or { error, description }
+     */
+    async exchangeCode(client, { code, redirect_uri, code_verifier }, context = {}) {
+        const [requestId, secret] = String(code || '').split('.');
+        if (!requestId || !secret || !/^[0-9a-f-]{36}$/i.test(requestId)) {
+            return grantError('invalid_grant', 'Malformed authorization code');
+        }
+        if (typeof code_verifier !== 'string' || !CODE_VERIFIER_PATTERN.test(code_verifier)) {
+            return grantError('invalid_request', 'A valid code_verifier is required');
+        }
+
+        const outcome = await db.transaction(async (dbClient) => {
+            const result = await dbClient.query(`
+                SELECT r.*, u.email, u.role, u.status, u.email_verified_at, u.tenant_id AS user_tenant_id
+                FROM oauth_authorization_requests r
+                JOIN users u ON u.id = r.user_id
+                WHERE r.id = $1
+                FOR UPDATE OF r
+            `, [requestId]);
+            const request = result.rows[0];
+
+            if (!request || !request.code_hash || !tokenService.verifyTokenHash(secret, request.code_hash, request.code_salt)) {
+                return grantError('invalid_grant', 'Unknown authorization code');
+            }
+
+            // A code used twice was intercepted: revoke whatever the first use got
+            if (request.code_used_at) {
+                if (request.family_id) {
+                    await tokenService.revokeTokenFamily(request.family_id, 'code_reuse', dbClient);
+                }
+                await auditService.record('oidc_code_reuse_detected', {
+                    context,
+                    userId: request.user_id,
+                    metadata: { client_id: request.client_id, authorization_request_id: requestId, family_id: request.family_id }
+                }, dbClient);
+                return grantError('invalid_grant', 'Authorization code already used');
+            }
+
+            if (new Date(request.code_expires_at) < new Date()) {
+                return grantError('invalid_grant', 'Authorization code expired');
+            }
+            if (request.client_id !== client.client_id) {
+                return grantError('invalid_grant', 'Authorization code was issued to another client');
+            }
+            if (request.user_tenant_id !== request.tenant_id) {
+                return grantError('invalid_grant', 'Authorization code was issued for another tenant');
+            }
+            if (request.redirect_uri !== redirect_uri) {
+                return grantError('invalid_grant', 'redirect_uri does not match the authorization request');
+            }
+            if (!safeEqual(s256(code_verifier), request.code_challenge)) {
+                return grantError('invalid_grant', 'PKCE verification failed');
+            }
+            if (request.status !== 'active') {
+                return grantError('invalid_grant', 'Account disabled');
+            }
+
+            // The grant is a session like any other sign in, so it can be listed and revoked
+            const user = {
+                id: request.user_id,
+                email: request.email,
+                role: request.role,
+                emailVerifiedAt: request.email_verified_at,
+                tenantId: request.tenant_id
+            };
+            const { tokens, familyId } = await tokenService.issueTokenPair(user, {
+                ...context,
+                clientId: client.client_id,
+                scope: request.scope
+            }, dbClient);
+            await dbClient.query(
+                'UPDATE oauth_authorization_requests SET code_used_at = NOW(), family_id = $2 WHERE id = $1',
+                [requestId, familyId]
+            );
+            await auditService.record('oidc_token_issued', {
+                context,
+                userId: user.id,
+                metadata: { client_id: client.client_id, authorization_request_id: requestId, family_id: familyId, scope: request.scope }
+            }, dbClient);
+
+            return { user, request, tokens };
+        });
+        if (outcome.error) return outcome;
+
+        const { user, request, tokens } = outcome;
+        return {
+            ...this.tokenResponse(tokens, request.scope),
+            id_token: tokenService.signIdToken(user, {
+                issuer: OIDC_CONFIG.issuer,
+                clientId: client.client_id,
+                nonce: request.nonce,
+                authTime: request.auth_time,
+                scope: request.scope,
+                accessToken: tokens.accessToken
+            })
+        };
+    }
+
+    /**
+     * Rotate a refresh token issued to this client (grant_type=refresh_token)
+     * @returns {Promise<Object>} a token response, or { error, description }
+     */
+    async refresh(client, { refresh_token }, context = {}) {
+        const claims = typeof refresh_token === 'string' ? jwt.decode(refresh_token) : null;
+        if (!claims || claims.client_id !== client.client_id || !String(claims.scope || '').split(' ').includes('offline_access')) {
+            return grantError('invalid_grant', 'Refresh token was not issued to this client');
+        }
+
+        try {
+            const tokens = await tokenService.rotateRefreshToken(refresh_token, context);
+            return this.tokenResponse(tokens, claims.scope);
+        } catch (error) {
+            if (['Invalid refresh token', 'Token is blacklisted', 'Refresh token reuse detected', 'Account disabled'].includes(error.message)) {
+                return grantError('invalid_grant', error.message);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Claims for /userinfo, limited to the scope the access token was granted
+     * @param {Object} claims - verified access token claims
+     * @returns {Promise<Object|null>} null if the user is gone or no longer active
+     */
+    async userInfo(claims) {
+        const result = await db.query('SELECT id, email, status, email_verified_at FROM users WHERE id = $1', [claims.sub]);
+        const user = result.rows[0];
+        if (!user || user.status !== 'active') return null;
+
+        return {
+            sub: String(user.id),
+            ...(String(claims.scope || '').split(' ').includes('email') && {
+                email: user.email,
+                email_verified: Boolean(user.email_verified_at)
+            })
+        };
+    }
+
+    // The RFC 6749 token response; the refresh token is only handed over for offline_access
+    tokenResponse(tokens, scope) {
+        const { exp } = jwt.decode(tokens.accessToken);
+        return {
+            access_token: tokens.accessToken,
+            token_type: 'Bearer',
+            expires_in: exp - Math.floor(Date.now() / 1000),
+            scope,
+            ...(scope.split(' ').includes('offline_access') && { refresh_token: tokens.refreshToken })
+        };
+    }
+}
+
+module.exports = new OidcService();
+module.exports.buildRedirect = buildRedirect;
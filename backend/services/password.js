@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Current scrypt parameters; hashes made with older parameters are upgraded on login
+const SCRYPT_CONFIG = {
+    cost: parseInt(process.env.PASSWORD_SCRYPT_COST) || 32768, // N, must be a power of two
+    blockSize: parseInt(process.env.PASSWORD_SCRYPT_BLOCK_SIZE) || 8, // r
+    parallelization: parseInt(process.env.PASSWORD_SCRYPT_PARALLELIZATION) || 1, // p
+    keyLength: 64
+};
+
+const MIN_PASSWORD_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH) || 8;
+
+// Hashes are stored as scrypt$N=<cost>,r=<blockSize>,p=<parallelization>$<base64 key>
+// with the salt kept in users.password_salt
+const HASH_PREFIX = 'scrypt';
+
+class PasswordService {
+    get minLength() {
+        return MIN_PASSWORD_LENGTH;
+    }
+
+    // Encode parameters for storage next to the derived key
+    formatParams(params) {
+        return `N=${params.cost},r=${params.blockSize},p=${params.parallelization}`;
+    }
+
+    // Parse a stored hash, returns null for anything not produced by this service
+    parseHash(storedHash) {
+        const [prefix, paramString, key] = (storedHash || '').split('$');
+        if (prefix !== HASH_PREFIX || !paramString || !key) {
+            return null;
+        }
+
+        const values = Object.fromEntries(paramString.split(',').map(pair => pair.split('=')));
+        const params = {
+            cost: parseInt(values.N),
+            blockSize: parseInt(values.r),
+            parallelization: parseInt(values.p),
+            keyLength: Buffer.from(key, 'base64').length
+        };
+        if (!params.cost || !params.blockSize || !params.parallelization) {
+            return null;
+        }
+        return { params, key: Buffer.from(key, 'base64') };
+    }
+
+    async deriveKey(password, salt, params) {
+        return scrypt(password, salt, params.keyLength, {
+            N: params.cost,
+            r: params.blockSize,
+            p: params.parallelization,
+            maxmem: 256 * params.cost * params.blockSize
+        });
+    }
+
+    // Hash a password with the current parameters
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('base64');
+        const key = await this.deriveKey(password, salt, SCRYPT_CONFIG);
+        return {
+            hash: `${HASH_PREFIX}$${this.formatParams(SCRYPT_CONFIG)}$${key.toString('base64')}`,
+            salt
+        };
+    }
+
+    // Verify a password against a stored hash and salt in constant time
+    async verifyPassword(password, storedHash, salt) {
+        const parsed = this.parseHash(storedHash);
+        if (!parsed || !salt) {
+            return false;
+        }
+
+        const key = await this.deriveKey(password, salt, parsed.params);
+        return crypto.timingSafeEqual(key, parsed.key);
+    }
+
+    // Whether a stored hash was made with parameters other than the current ones
+    needsRehash(storedHash) {
+        const parsed = this.parseHash(storedHash);
+        if (!parsed) {
+            return true;
+        }
+        return this.formatParams(parsed.params) !== this.formatParams(SCRYPT_CONFIG)
+            || parsed.params.keyLength !== SCRYPT_CONFIG.keyLength;
+    }
+
+    // Burn the same work as a real check so unknown emails can't be timed
+    async dummyVerify(password) {
+        await this.deriveKey(password, 'dummy-salt', SCRYPT_CONFIG);
+        return false;
+    }
+}
+
+module.exports = new PasswordService();
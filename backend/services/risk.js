@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const maxmind = require('maxmind');
+const db = require('../db');
+const { challenges } = require('../config/redis');
+const { parseUserAgent } = require('./session');
+const ipAddress = require('./ipAddress');
+
+const POLICIES = ['enforce', 'monitor', 'off'];
+
+const RISK_CONFIG = {
+    // enforce acts on decisions, monitor only records them, off skips scoring.
+    // Enforcement is opt-in: watch the decisions under monitor before turning it on.
+    policy: POLICIES.includes(process.env.RISK_POLICY) ? process.env.RISK_POLICY : 'monitor',
+    stepUpScore: parseInt(process.env.RISK_STEP_UP_SCORE) || 40,
+    blockScore: parseInt(process.env.RISK_BLOCK_SCORE) || 90,
+    // Offline MaxMind database (GeoLite2-City or GeoIP2-City); no location signal without one
+    geoipDbPath: process.env.GEOIP_DB_PATH || null,
+    // Same country but further apart than this still counts as a move
+    geoDistanceKm: parseInt(process.env.RISK_GEO_DISTANCE_KM) || 500,
+    // How far back sign ins count as the user's known networks and devices
+    historyDays: parseInt(process.env.RISK_HISTORY_DAYS) || 90,
+    confirmationTtlSecs: parseInt(process.env.RISK_CONFIRMATION_TTL_SECS) || 300,
+    confirmationMaxAttempts: 3
+};
+
+// Browser and OS, e.g. "Chrome on macOS"; versions change too often to compare
+function userAgentFamily(userAgent) {
+    const { browser, os, mobile } = parseUserAgent(userAgent);
+    return { browser: browser.name, os: os.name, mobile, label: `${browser.name} on ${os.name}` };
+}
+
+// Great-circle distance between two { latitude, longitude } points
+function distanceKm(a, b) {
+    const radians = degrees => degrees * Math.PI / 180;
+    const dLat = radians(b.latitude - a.latitude);
+    const dLon = radians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(radians(a.latitude)) * Math.cos(radians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return Math.round(6371 * 2 * Math.asin(Math.sqrt(h)));
+}
+
+/**
+ * Built-in signals. Each compares the device clicking a link (verifier) with
+ * the one that asked for it (requester) or with the user's past sessions and
+ * resolves to { score, ...detail }, or null when it has nothing to go on.
+ */
+const DEFAULT_SIGNALS = [
+    {
+        name: 'network',
+        async evaluate({ requester, verifier }) {
+            if (!ipAddress.normalize(requester.ip) || !ipAddress.normalize(verifier.ip)) return null;
+            if (ipAddress.normalize(requester.ip) === ipAddress.normalize(verifier.ip)) return { score: 0, match: 'ip' };
+            if (ipAddress.subnetOf(requester.ip) === ipAddress.subnetOf(verifier.ip)) return { score: 0, match: 'subnet' };
+            return { score: 25, match: 'none' };
+        }
+    },
+    {
+        name: 'user_agent',
+        async evaluate({ requester, verifier }) {
+            if (!requester.userAgent || !verifier.userAgent) return null;
+            const requested = userAgentFamily(requester.userAgent);
+            const verifying = userAgentFamily(verifier.userAgent);
+            const detail = { requester: requested.label, verifier: verifying.label };
+            if (requested.os !== verifying.os || requested.mobile !== verifying.mobile) return { score: 20, ...detail };
+            if (requested.browser !== verifying.browser) return { score: 10, ...detail };
+            return { score: 0, ...detail };
+        }
+    },
+    {
+        name: 'geo',
+        async evaluate({ requester, verifier, locate }) {
+            const [from, to] = await Promise.all([locate(requester.ip), locate(verifier.ip)]);
+            if (!from || !to) return null;
+            const detail = { requester_country: from.country, verifier_country: to.country };
+            if (from.country !== to.country) return { score: 30, ...detail };
+            if (from.location && to.location) {
+                const distance = distanceKm(from.location, to.location);
+                return { score: distance > RISK_CONFIG.geoDistanceKm ? 15 : 0, ...detail, distance_km: distance };
+            }
+            return { score: 0, ...detail };
+        }
+    },
+    {
+        name: 'history',
+        async evaluate({ verifier, history }) {
+            const sessions = await history();
+            // A first sign in has nothing to compare against
+            if (sessions.length === 0) return null;
+            const subnet = ipAddress.subnetOf(verifier.ip);
+            const { label } = userAgentFamily(verifier.userAgent);
+            const knownNetwork = subnet !== null && sessions.some(session => ipAddress.subnetOf(session.ip_address) === subnet);
+            const knownDevice = sessions.some(session => userAgentFamily(session.user_agent).label === label);
+            return { score: (knownNetwork ? 0 : 10) + (knownDevice ? 0 : 10), known_network: knownNetwork, known_device: knownDevice };
+        }
+    }
+];
+
+/**
+ * Risk-based verification for magic links.
+ *
+ * When a link is clicked, every signal scores how different the clicking
+ * device looks from the one that requested the link and from where the user
+ * usually signs in. The total maps to a decision: allow, step_up (the user
+ * types in a code shown on the requesting device) or block. More signals can
+ * be plugged in with registerSignal.
+ */
+class RiskService {
+    constructor() {
+        this.signals = [...DEFAULT_SIGNALS];
+        this.geoReader = null;
+    }
+
+    get config() {
+        return RISK_CONFIG;
+    }
+
+    get enabled() {
+        return RISK_CONFIG.policy !== 'off';
+    }
+
+    /**
+     * Add a signal to every assessment
+     * @param {{name: string, evaluate: function(Object): Promise<Object|null>}} signal - evaluate gets
+     *   { userId, requester, verifier, history, locate } and resolves to { score, ...detail } or null
+     */
+    registerSignal(signal) {
+        if (!signal?.name || typeof signal.evaluate !== 'function') {
+            throw new Error('Invalid risk signal');
+        }
+        this.signals.push(signal);
+    }
+
+    // Opened on first use; a missing or broken database only turns the geo signal off
+    getGeoReader() {
+        if (!this.geoReader) {
+            this.geoReader = !RISK_CONFIG.geoipDbPath ? Promise.resolve(null) : maxmind.open(RISK_CONFIG.geoipDbPath).catch(error => {
+                console.error('GeoIP database could not be opened:', { path: RISK_CONFIG.geoipDbPath, error: error.message });
+                return null;
+            });
+        }
+        return this.geoReader;
+    }
+
+    // Country and coordinates for an address, or null if unknown
+    async locate(ip) {
+        const reader = await this.getGeoReader();
+        const address = ipAddress.normalize(ip);
+        const record = reader && address ? reader.get(address) : null;
+        const country = record?.country?.iso_code || record?.registered_country?.iso_code;
+        if (!country) return null;
+        const { latitude, longitude } = record.location || {};
+        return {
+            country,
+            location: typeof latitude === 'number' && typeof longitude === 'number' ? { latitude, longitude } : null
+        };
+    }
+
+    /**
+     * Score a magic link click
+     * @param {Object} attempt - { userId, requester: { ip, userAgent }, verifier: { ip, userAgent } }
+     * @returns {Promise<Object>} { decision, action, score, policy, signals } where decision is what
+     *   the score calls for and action is what to do about it under the current policy
+     */
+    async assess({ userId, requester, verifier }) {
+        let sessions = null;
+        const context = {
+            userId,
+            requester,
+            verifier,
+            locate: ip => this.locate(ip),
+            history: async () => {
+                if (!sessions) {
+                    const result = await db.query(
+                        'SELECT ip_address, user_agent FROM refresh_tokens WHERE user_id = $1 AND created_at > NOW() - make_interval(days => $2) ORDER BY created_at DESC LIMIT 100',
+                        [userId, RISK_CONFIG.historyDays]
+                    );
+                    sessions = result.rows;
+                }
+                return sessions;
+            }
+        };
+
+        let score = 0;
+        const signals = {};
+        for (const signal of this.signals) {
+            try {
+                const outcome = await signal.evaluate(context);
+                if (outcome) {
+                    signals[signal.name] = outcome;
+                    score += outcome.score;
+                }
+            } catch (error) {
+                // One broken signal shouldn't lock everybody out
+                console.error('Risk signal failed:', { signal: signal.name, error: error.message });
+            }
+        }
+
+        const decision = score >= RISK_CONFIG.blockScore ? 'block'
+            : score >= RISK_CONFIG.stepUpScore ? 'step_up'
+            : 'allow';
+        return {
+            decision,
+            action: RISK_CONFIG.policy === 'enforce' ? decision : 'allow',
+            score,
+            policy: RISK_CONFIG.policy,
+            signals
+        };
+    }
+
+    /**
+     * Hold a click until the code shown on the requesting device is entered
+     * @param {string} tokenId - the magic link
+     * @param {Object} verifier - what the requesting device is shown about the click
+     * @returns {Promise<{expiresIn: number}>}
+     */
+    async startConfirmation(tokenId, verifier) {
+        const pending = {
+            id: crypto.randomUUID(),
+            code: crypto.randomInt(0, 1000000).toString().padStart(6, '0'),
+            verifier,
+            expiresAt: new Date(Date.now() + RISK_CONFIG.confirmationTtlSecs * 1000).toISOString()
+        };
+        await challenges.put(`risk:${tokenId}`, pending, RISK_CONFIG.confirmationTtlSecs);
+        return { expiresIn: RISK_CONFIG.confirmationTtlSecs };
+    }
+
+    // The code waiting to be shown on the requesting device, if a click was stepped up
+    async pendingConfirmation(tokenId) {
+        const pending = await challenges.get(`risk:${tokenId}`);
+        return pending ? { code: pending.code, verifier: pending.verifier, expiresAt: pending.expiresAt } : null;
+    }
+
+    /**
+     * Check a code entered on the clicking device
+     * @returns {Promise<{confirmed: true} | {failure: string}>} failure is 'not_pending',
+     *   'invalid_code' or 'too_many_attempts'
+     */
+    async confirm(tokenId, code) {
+        const key = `risk:${tokenId}`;
+        const pending = await challenges.get(key);
+        if (!pending) {
+            return { failure: 'not_pending' };
+        }
+
+        const given = Buffer.from(String(code || '').trim());
+        const expected = Buffer.from(pending.code);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            const attempts = await challenges.countAttempt(`${key}:${pending.id}`, RISK_CONFIG.confirmationTtlSecs);
+            if (attempts >= RISK_CONFIG.confirmationMaxAttempts) {
+                await challenges.take(key);
+                return { failure: 'too_many_attempts' };
+            }
+            return { failure: 'invalid_code' };
+        }
+
+        // Only one request gets to spend the code
+        return await challenges.take(key) ? { confirmed: true } : { failure: 'not_pending' };
+    }
+}
+
+module.exports = new RiskService();
+module.exports.userAgentFamily = userAgentFamily;
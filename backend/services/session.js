@@ -0,0 +1,109 @@
+const db = require('../db');
+const tokenService = require('./token');
+
+// Checked in order; the first match wins, so Edge and Opera come before Chrome
+const BROWSERS = [
+    { name: 'Edge', pattern: /Edg(?:e|A|iOS)?\/([\d.]+)/ },
+    { name: 'Opera', pattern: /(?:OPR|Opera)\/([\d.]+)/ },
+    { name: 'Firefox', pattern: /(?:Firefox|FxiOS)\/([\d.]+)/ },
+    { name: 'Chrome', pattern: /(?:Chrome|CriOS)\/([\d.]+)/ },
+    { name: 'Safari', pattern: /Version\/([\d.]+).*Safari/ },
+    { name: 'curl', pattern: /curl\/([\d.]+)/ },
+    { name: 'Postman', pattern: /PostmanRuntime\/([\d.]+)/ }
+];
+
+const OPERATING_SYSTEMS = [
+    { name: 'iOS', pattern: /(?:iPhone|iPad|iPod).*? OS ([\d_]+)/ },
+    { name: 'Android', pattern: /Android ([\d.]+)/ },
+    { name: 'Windows', pattern: /Windows NT ([\d.]+)/ },
+    { name: 'macOS', pattern: /Mac OS X ([\d_]+)/ },
+    { name: 'ChromeOS', pattern: /CrOS \S+ ([\d.]+)/ },
+    { name: 'Linux', pattern: /Linux/ }
+];
+
+function matchFirst(candidates, userAgent) {
+    for (const { name, pattern } of candidates) {
+        const match = userAgent.match(pattern);
+        if (match) {
+            return { name, version: match[1] ? match[1].replace(/_/g, '.') : null };
+        }
+    }
+    return { name: 'Unknown', version: null };
+}
+
+/**
+ * Best-effort browser and OS from a User-Agent header, for display only
+ */
+function parseUserAgent(userAgent) {
+    const ua = userAgent || '';
+    return {
+        browser: matchFirst(BROWSERS, ua),
+        os: matchFirst(OPERATING_SYSTEMS, ua),
+        mobile: /Mobi|Android|iPhone|iPad/.test(ua)
+    };
+}
+
+/**
+ * A session is one login: the family of refresh tokens rotated from it,
+ * identified by the family id. Its live row is the one not yet rotated.
+ */
+class SessionService {
+    // Active sessions for a user, most recently used first
+    async listSessions(userId, currentSessionId = null) {
+        const result = await db.query(`
+            SELECT rt.family_id, rt.created_at AS last_used_at, rt.expires_at, rt.ip_address, rt.user_agent,
+                   (SELECT MIN(f.created_at) FROM refresh_tokens f WHERE f.family_id = rt.family_id) AS created_at
+            FROM refresh_tokens rt
+            WHERE rt.user_id = $1 AND rt.revoked = false AND rt.expires_at > NOW()
+            ORDER BY rt.created_at DESC
+        `, [userId]);
+
+        return result.rows.map(row => ({
+            id: row.family_id,
+            ...parseUserAgent(row.user_agent),
+            userAgent: row.user_agent,
+            ipAddress: row.ip_address,
+            createdAt: row.created_at,
+            lastUsedAt: row.last_used_at,
+            expiresAt: row.expires_at,
+            current: row.family_id === currentSessionId
+        }));
+    }
+
+    // Revoke one of the user's sessions; resolves false if it isn't theirs or is already gone
+    async revokeSession(userId, sessionId, reason = 'session_revoked') {
+        const owned = await db.query(
+            'SELECT 1 FROM refresh_tokens WHERE family_id = $1 AND user_id = $2 AND revoked = false LIMIT 1',
+            [sessionId, userId]
+        );
+        if (!owned.rows[0]) {
+            return false;
+        }
+
+        await tokenService.revokeTokenFamily(sessionId, reason);
+        return true;
+    }
+
+    // Revoke every session but the one making the request; resolves to the revoked ids
+    async revokeOtherSessions(userId, currentSessionId, reason = 'session_revoked') {
+        const result = await db.query(
+            'SELECT DISTINCT family_id FROM refresh_tokens WHERE user_id = $1 AND revoked = false AND family_id IS DISTINCT FROM $2',
+            [userId, currentSessionId]
+        );
+
+        const revoked = [];
+        for (const { family_id } of result.rows) {
+            await tokenService.revokeTokenFamily(family_id, reason);
+            revoked.push(family_id);
+        }
+        return revoked;
+    }
+
+    // Revoke every session the user has, e.g. when an admin forces a logout
+    async revokeAllSessions(userId, reason = 'session_revoked') {
+        return this.revokeOtherSessions(userId, null, reason);
+    }
+}
+
+module.exports = new SessionService();
+module.exports.parseUserAgent = parseUserAgent;
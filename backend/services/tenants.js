@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+const DEFAULT_TENANT_ID = process.env.DEFAULT_TENANT_ID || 'default';
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const TENANT_CONFIG = {
+    // Tenant changes reach every replica within this long
+    cacheTtlMs: 60000,
+    // Host headers are client-supplied, so unknown ones can't grow the cache without bound
+    maxCacheEntries: 1000,
+    // Per-tenant token lifetimes may only shorten these: the signing keyring and
+    // the revocation blacklist are sized for the global lifetimes
+    maxAccessTokenTtlSecs: 900,
+    maxRefreshTokenTtlSecs: 7 * 24 * 60 * 60,
+    defaultMagicLinkTtlMinutes: 15,
+    maxMagicLinkTtlMinutes: 60,
+    // The client's state rides along in the magic link, so keep it to a sensible size
+    maxStateLength: 512
+};
+
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+function positiveInt(value, max) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? Math.min(number, max) : null;
+}
+
+// { 'magic-link': { windowSecs, maxRequests }, ... } with anything malformed dropped
+function toRateLimits(rateLimits) {
+    const limits = {};
+    for (const [type, limit] of Object.entries(rateLimits || {})) {
+        const windowSecs = positiveInt(limit?.windowSecs, Infinity);
+        const maxRequests = positiveInt(limit?.maxRequests, Infinity);
+        if (windowSecs && maxRequests) {
+            limits[type] = { windowSecs, maxRequests };
+        }
+    }
+    return limits;
+}
+
+// Hostname without port, as tenants.hosts stores it
+function normalizeHost(host) {
+    return typeof host === 'string' ? host.trim().toLowerCase().replace(/:\d+$/, '') : '';
+}
+
+function hashApiKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+// Settings left unset fall back to the environment, so `default` behaves as before tenants
+function toTenant(row) {
+    const template = row.email_template || {};
+    const settings = row.settings || {};
+    const frontendUrl = row.frontend_url || FRONTEND_URL;
+    return {
+        id: row.id,
+        name: row.name,
+        hosts: row.hosts,
+        frontendUrl,
+        // null leaves CORS to the environment defaults
+        allowedOrigins: row.allowed_origins?.length ? row.allowed_origins
+            : row.frontend_url ? [new URL(row.frontend_url).origin]
+            : null,
+        // null means the transport's EMAIL_FROM / EMAIL_REPLY_TO
+        email: {
+            from: row.email_from || null,
+            replyTo: row.email_reply_to || null
+        },
+        brand: {
+            productName: template.productName || null,
+            brandColor: template.brandColor || null,
+            logoUrl: template.logoUrl || null,
+            signInSubject: template.signInSubject || null,
+            verificationSubject: template.verificationSubject || null
+        },
+        // null means the global lifetime
+        accessTokenTtlSecs: positiveInt(settings.accessTokenTtlSecs, TENANT_CONFIG.maxAccessTokenTtlSecs),
+        refreshTokenTtlSecs: positiveInt(settings.refreshTokenTtlSecs, TENANT_CONFIG.maxRefreshTokenTtlSecs),
+        magicLinkTtlMinutes: positiveInt(settings.magicLinkTtlMinutes, TENANT_CONFIG.maxMagicLinkTtlMinutes)
+            || TENANT_CONFIG.defaultMagicLinkTtlMinutes,
+        rateLimits: toRateLimits(settings.rateLimits),
+        // Where a magic link may send the user after sign in; without any, only the home page
+        redirectUris: row.redirect_uris?.length ? row.redirect_uris : [`${frontendUrl}/home.html`]
+    };
+}
+
+const TENANT_COLUMNS = 'id, name, hosts, frontend_url, allowed_origins, redirect_uris, email_from, email_reply_to, email_template, settings';
+
+/**
+ * Tenants: the products one deployment serves. A request belongs to the
+ * tenant whose API key it carries (X-API-Key) or, failing that, whose hosts
+ * include its Host header; anything else belongs to the default tenant.
+ * Users, audit events and issued tokens (tid claim) are scoped to a tenant.
+ *
+ * Lookups are cached in memory for TENANT_CONFIG.cacheTtlMs.
+ */
+class TenantService {
+    constructor() {
+        this.cache = new Map();
+    }
+
+    get config() {
+        return TENANT_CONFIG;
+    }
+
+    get defaultTenantId() {
+        return DEFAULT_TENANT_ID;
+    }
+
+    async cached(key, load) {
+        const entry = this.cache.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.tenant;
+        }
+
+        const row = await load();
+        if (this.cache.size >= TENANT_CONFIG.maxCacheEntries) {
+            this.cache.clear();
+        }
+        const tenant = row ? toTenant(row) : null;
+        this.cache.set(key, { tenant, expiresAt: Date.now() + TENANT_CONFIG.cacheTtlMs });
+        return tenant;
+    }
+
+    // A tenant by id, or null
+    async findById(tenantId) {
+        if (typeof tenantId !== 'string' || !TENANT_ID_PATTERN.test(tenantId)) return null;
+        return this.cached(`id:${tenantId}`, async () => {
+            const result = await db.query(`SELECT ${TENANT_COLUMNS} FROM tenants WHERE id = $1`, [tenantId]);
+            return result.rows[0];
+        });
+    }
+
+    // The tenant an API key belongs to, or null
+    async findByApiKey(apiKey) {
+        if (typeof apiKey !== 'string' || !apiKey) return null;
+        const apiKeyHash = hashApiKey(apiKey);
+        return this.cached(`key:${apiKeyHash}`, async () => {
+            const result = await db.query(`SELECT ${TENANT_COLUMNS} FROM tenants WHERE api_key_hash = $1`, [apiKeyHash]);
+            return result.rows[0];
+        });
+    }
+
+    // The tenant serving a host, falling back to the default tenant
+    async findByHost(host) {
+        const hostname = normalizeHost(host);
+        const tenant = hostname && await this.cached(`host:${hostname}`, async () => {
+            const result = await db.query(`SELECT ${TENANT_COLUMNS} FROM tenants WHERE $1 = ANY(hosts) LIMIT 1`, [hostname]);
+            return result.rows[0];
+        });
+        return tenant || this.getDefault();
+    }
+
+    async getDefault() {
+        const tenant = await this.findById(DEFAULT_TENANT_ID);
+        if (!tenant) {
+            throw new Error(`Default tenant "${DEFAULT_TENANT_ID}" does not exist`);
+        }
+        return tenant;
+    }
+
+    // The tenant a token was issued for; tokens from before tenants have no tid claim
+    tenantOf(claims) {
+        return claims?.tid || DEFAULT_TENANT_ID;
+    }
+
+    // Registered redirect URIs are matched exactly, as OIDC clients' are: no prefixes or patterns
+    isRedirectUriAllowed(tenant, redirectUri) {
+        return typeof redirectUri === 'string' && tenant.redirectUris.includes(redirectUri);
+    }
+
+    /**
+     * Create or update a tenant
+     * @param {Object} config - { id, name, hosts, frontendUrl, allowedOrigins, redirectUris, emailFrom, emailReplyTo,
+     *   emailTemplate: { productName, brandColor, logoUrl, signInSubject, verificationSubject },
+     *   settings: { accessTokenTtlSecs, refreshTokenTtlSecs, magicLinkTtlMinutes, rateLimits } }
+     * @param {Object} options - issueApiKey replaces the tenant's API key (new tenants always get one)
+     * @returns {Promise<{tenant: Object, created: boolean, apiKey: string|null}>} the API key is
+     *   only stored hashed, so this is the one chance to copy it
+     */
+    async save(config, { issueApiKey = false } = {}) {
+        const { id, name, hosts = [], frontendUrl = null, allowedOrigins = [], redirectUris = [], emailFrom = null,
+            emailReplyTo = null, emailTemplate = {}, settings = {} } = config;
+        if (typeof id !== 'string' || !TENANT_ID_PATTERN.test(id)) {
+            throw new Error('Tenant id must be lowercase letters, digits and dashes');
+        }
+        if (!name) {
+            throw new Error('Tenant name is required');
+        }
+        for (const url of [frontendUrl, ...allowedOrigins].filter(Boolean)) {
+            new URL(url); // throws on a malformed URL
+        }
+        for (const uri of redirectUris) {
+            const url = new URL(uri); // throws on a malformed URI
+            if (!['http:', 'https:'].includes(url.protocol) || url.hash) {
+                throw new Error(`Redirect URI must be http(s) without a fragment: ${uri}`);
+            }
+        }
+
+        const apiKey = `mlt_${crypto.randomBytes(32).toString('base64url')}`;
+        const result = await db.query(`
+            INSERT INTO tenants (id, name, hosts, frontend_url, allowed_origins, redirect_uris, email_from, email_reply_to, email_template, settings, api_key_hash)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+            ON CONFLICT (id) DO UPDATE SET
+                name = EXCLUDED.name,
+                hosts = EXCLUDED.hosts,
+                frontend_url = EXCLUDED.frontend_url,
+                allowed_origins = EXCLUDED.allowed_origins,
+                redirect_uris = EXCLUDED.redirect_uris,
+                email_from = EXCLUDED.email_from,
+                email_reply_to = EXCLUDED.email_reply_to,
+                email_template = EXCLUDED.email_template,
+                settings = EXCLUDED.settings,
+                api_key_hash = CASE WHEN $12 THEN EXCLUDED.api_key_hash ELSE tenants.api_key_hash END
+            RETURNING ${TENANT_COLUMNS}, (xmax = 0) AS created
+        `, [id, name, hosts.map(normalizeHost), frontendUrl, allowedOrigins.map(origin => new URL(origin).origin),
+            redirectUris, emailFrom, emailReplyTo, JSON.stringify(emailTemplate), JSON.stringify(settings), hashApiKey(apiKey), issueApiKey]);
+
+        const row = result.rows[0];
+        this.cache.clear();
+        return { tenant: toTenant(row), created: row.created, apiKey: row.created || issueApiKey ? apiKey : null };
+    }
+}
+
+module.exports = new TenantService();
+module.exports.DEFAULT_TENANT_ID = DEFAULT_TENANT_ID;
+module.exports.normalizeHost = normalizeHost;
@@ -1,40 +1,139 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const { tokenBlacklist } = require('../config/redis');
+const db = require('../db');
+const { loadKeyRing } = require('./keyring');
+const auditService = require('./audit');
+const tenantService = require('./tenants');
 
-const JWT_ACCESS_SECRET = process.env.JWT_ACCESS_SECRET || crypto.randomBytes(32).toString('hex');
-const JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || crypto.randomBytes(32).toString('hex');
 const HMAC_SECRET = process.env.HMAC_SECRET || crypto.randomBytes(32).toString('hex');
+const JWT_ISSUER = process.env.JWT_ISSUER || 'magic-link-demo';
 
 const TOKEN_CONFIG = {
     access: {
-        expiresIn: '15m',
-        secret: JWT_ACCESS_SECRET
+        expiresIn: '15m'
     },
     refresh: {
         expiresIn: '7d',
-        secret: JWT_REFRESH_SECRET
+        lifetimeSecs: 7 * 24 * 60 * 60
+    },
+    idToken: {
+        expiresIn: '1h'
     }
 };
 
+// Asymmetric signing keys, also published at /.well-known/jwks.json
+const keyRing = loadKeyRing({ maxTokenLifetimeSecs: TOKEN_CONFIG.refresh.lifetimeSecs });
+
 class TokenService {
+    get keyRing() {
+        return keyRing;
+    }
+
+    // Sign claims with the current signing key, tagging the header with its kid.
+    // options.issuer overrides JWT_ISSUER (ID tokens use the OIDC issuer URL).
+    signJwt(claims, options) {
+        const key = keyRing.getSigningKey();
+        return jwt.sign(claims, key.privateKey, {
+            issuer: JWT_ISSUER,
+            ...options,
+            algorithm: key.alg,
+            keyid: key.kid
+        });
+    }
+
+    // Verify a JWT against the key named by its kid header
+    verifyJwt(token) {
+        const header = jwt.decode(token, { complete: true })?.header;
+        const key = header?.kid && keyRing.getVerificationKey(header.kid);
+        if (!key) {
+            throw new jwt.JsonWebTokenError('unknown signing key');
+        }
+        return jwt.verify(token, key.publicKey, { algorithms: [key.alg], issuer: JWT_ISSUER });
+    }
+
     // Generate tokens for a user
-    async generateTokenPair(user) {
-        const accessToken = jwt.sign(
-            { sub: user.id, email: user.email },
-            TOKEN_CONFIG.access.secret,
-            { expiresIn: TOKEN_CONFIG.access.expiresIn }
+    // The refresh token carries its refresh_tokens row id (jti) and the id of
+    // the login it descends from (fam) so it can be looked up on rotation.
+    // The access token names the same login as its session (sid) and carries
+    // the user's role, which requireRole checks without a database lookup.
+    // Tokens issued to an OIDC client also name it (client_id) and the granted
+    // scope; both ride along in the refresh token so rotation keeps them.
+    // DPoP-bound tokens carry the client key's thumbprint (cnf.jkt) the same way.
+    // Both name the user's tenant (tid), whose settings may shorten their lifetimes.
+    async generateTokenPair(user, { tokenId = uuidv4(), familyId = uuidv4(), clientId = null, scope = null, jkt = null,
+        tenantId = tenantService.defaultTenantId, accessTtlSecs = null, refreshTtlSecs = null } = {}) {
+        const grant = {
+            tid: tenantId,
+            ...(clientId && { client_id: clientId }),
+            ...(scope && { scope }),
+            ...(jkt && { cnf: { jkt } })
+        };
+
+        const accessToken = this.signJwt(
+            { sub: user.id, email: user.email, role: user.role || 'user', type: 'access', sid: familyId, ...grant },
+            { expiresIn: accessTtlSecs || TOKEN_CONFIG.access.expiresIn }
         );
 
-        const refreshToken = jwt.sign(
-            { sub: user.id, type: 'refresh' },
-            TOKEN_CONFIG.refresh.secret,
-            { expiresIn: TOKEN_CONFIG.refresh.expiresIn }
+        const refreshToken = this.signJwt(
+            { sub: user.id, type: 'refresh', fam: familyId, ...grant },
+            { expiresIn: refreshTtlSecs || TOKEN_CONFIG.refresh.expiresIn, jwtid: tokenId }
         );
 
         return { accessToken, refreshToken };
     }
 
+    // Generate a token pair and store the refresh token server-side
+    // user: { id, email, role, tenantId }, tenantId defaulting to the default tenant
+    // context: { familyId, deviceFingerprint, ipAddress, userAgent, clientId, scope, dpopJkt }
+    async issueTokenPair(user, context = {}, client = db) {
+        const tokenId = uuidv4();
+        const familyId = context.familyId || uuidv4();
+        const tenant = await tenantService.findById(user.tenantId || tenantService.defaultTenantId);
+        const tokens = await this.generateTokenPair(user, {
+            tokenId,
+            familyId,
+            clientId: context.clientId,
+            scope: context.scope,
+            jkt: context.dpopJkt,
+            tenantId: tenant?.id,
+            accessTtlSecs: tenant?.accessTokenTtlSecs,
+            refreshTtlSecs: tenant?.refreshTokenTtlSecs
+        });
+
+        const { exp } = jwt.decode(tokens.refreshToken);
+        const { hash, salt } = this.hashToken(tokens.refreshToken);
+        await client.query(
+            'INSERT INTO refresh_tokens (id, family_id, user_id, token_hash, token_salt, expires_at, device_fingerprint, ip_address, user_agent) VALUES ($1, $2, $3, $4, $5, to_timestamp($6), $7, $8, $9)',
+            [tokenId, familyId, user.id, hash, salt, exp, context.deviceFingerprint, context.ipAddress, context.userAgent]
+        );
+
+        return { tokens, tokenId, familyId };
+    }
+
+    /**
+     * Sign an OpenID Connect ID token for a relying party
+     * @param {Object} user - { id, email, emailVerifiedAt }
+     * @param {Object} params - { issuer, clientId, nonce, authTime, scope, accessToken }
+     */
+    signIdToken(user, { issuer, clientId, nonce = null, authTime, scope, accessToken }) {
+        // at_hash: left half of the SHA-256 of the access token (RS256/PS256/ES256 all use SHA-256)
+        const digest = crypto.createHash('sha256').update(accessToken).digest();
+        const claims = {
+            sub: String(user.id),
+            auth_time: Math.floor(new Date(authTime).getTime() / 1000),
+            at_hash: digest.subarray(0, digest.length / 2).toString('base64url'),
+            ...(nonce && { nonce })
+        };
+        if (scope.split(' ').includes('email')) {
+            claims.email = user.email;
+            claims.email_verified = Boolean(user.emailVerifiedAt);
+        }
+
+        return this.signJwt(claims, { issuer, audience: clientId, expiresIn: TOKEN_CONFIG.idToken.expiresIn });
+    }
+
     // Generate a magic link token
     async generateMagicToken() {
         return crypto.randomBytes(32).toString('hex');
@@ -79,6 +178,27 @@ class TokenService {
         );
     }
 
+    // Handle the requesting browser polls with for a cross-device sign in.
+    // Derived from the token id, so it can be handed out again on idempotent retries.
+    createPollToken(tokenId) {
+        const hmac = crypto.createHmac('sha256', HMAC_SECRET);
+        hmac.update(`poll:${tokenId}`);
+        return `${tokenId}.${hmac.digest('hex')}`;
+    }
+
+    // Return the token id from a poll handle, or null if it wasn't issued by us
+    parsePollToken(pollToken) {
+        const [tokenId, mac] = String(pollToken || '').split('.');
+        if (!tokenId || !mac) {
+            return null;
+        }
+        const expected = this.createPollToken(tokenId).split('.')[1];
+        if (mac.length !== expected.length) {
+            return null;
+        }
+        return crypto.timingSafeEqual(Buffer.from(mac), Buffer.from(expected)) ? tokenId : null;
+    }
+
     // Generate a random salt
     generateSalt() {
         return crypto.randomBytes(32).toString('hex');
@@ -96,32 +216,48 @@ class TokenService {
         return { hash, salt };
     }
 
-    // Verify a token against its hash and salt
+    // Verify a token against its hash and salt in constant time
     verifyTokenHash(token, hash, salt) {
         const computedHash = crypto
             .createHash('sha256')
             .update(token + salt)
             .digest('hex');
-        return computedHash === hash;
+        if (typeof hash !== 'string' || hash.length !== computedHash.length) {
+            return false;
+        }
+        return crypto.timingSafeEqual(Buffer.from(computedHash), Buffer.from(hash));
     }
 
     // Verify an access token
+    // Throws 'Access token expired', 'Token is blacklisted' or 'Invalid access token'
     async verifyAccessToken(token) {
+        let decoded;
         try {
-            // Check if token is blacklisted
-            const isBlacklisted = await tokenBlacklist.isBlacklisted(token);
-            if (isBlacklisted) {
-                if (process.env.NODE_ENV !== 'production') {
-                    console.log('Token is blacklisted');
-                }
-                throw new Error('Token is blacklisted');
-            }
-
-            return jwt.verify(token, TOKEN_CONFIG.access.secret);
+            decoded = this.verifyJwt(token);
         } catch (error) {
             console.error('Access token verification error:', error.message);
+            if (error.name === 'TokenExpiredError') {
+                throw new Error('Access token expired');
+            }
             throw new Error('Invalid access token');
         }
+
+        // Both token types share signing keys, so the type claim tells them apart
+        if (decoded.type !== 'access') {
+            throw new Error('Invalid access token');
+        }
+
+        // Check if the token, or the session it belongs to, is blacklisted
+        const isBlacklisted = await tokenBlacklist.isBlacklisted(token)
+            || (decoded.sid && await tokenBlacklist.isSessionRevoked(decoded.sid));
+        if (isBlacklisted) {
+            if (process.env.NODE_ENV !== 'production') {
+                console.log('Token is blacklisted');
+            }
+            throw new Error('Token is blacklisted');
+        }
+
+        return decoded;
     }
 
     // Verify a refresh token
@@ -132,7 +268,7 @@ class TokenService {
             }
             
             // First verify the JWT signature and expiration
-            const decoded = jwt.verify(token, TOKEN_CONFIG.refresh.secret);
+            const decoded = this.verifyJwt(token);
             if (process.env.NODE_ENV !== 'production') {
                 console.log('JWT verification passed');
             }
@@ -177,6 +313,15 @@ class TokenService {
                     console.log('Blacklisting refresh token');
                 }
                 await tokenBlacklist.add(refreshToken, 'logged_out', 604800); // 7 days
+
+                // Revoke the stored row so the token can never be rotated again
+                const decoded = jwt.decode(refreshToken);
+                if (decoded?.jti) {
+                    await db.query(
+                        'UPDATE refresh_tokens SET revoked = true, revoked_reason = $2, revoked_at = NOW() WHERE id = $1 AND revoked = false',
+                        [decoded.jti, 'logged_out']
+                    );
+                }
             }
         } catch (error) {
             console.error('Error invalidating tokens:', error);
@@ -184,36 +329,118 @@ class TokenService {
         }
     }
 
+    // Revoke every live refresh token descending from the same login,
+    // along with any access tokens still outstanding for it
+    async revokeTokenFamily(familyId, reason, client = db) {
+        const result = await client.query(
+            'UPDATE refresh_tokens SET revoked = true, revoked_reason = $2, revoked_at = NOW() WHERE family_id = $1 AND revoked = false',
+            [familyId, reason]
+        );
+        await tokenBlacklist.revokeSession(familyId, reason, 900); // 15 minutes, the access token lifetime
+        return result.rowCount;
+    }
+
     // Rotate refresh token
-    async rotateRefreshToken(oldToken) {
-        try {
-            if (process.env.NODE_ENV !== 'production') {
-                console.log('Starting refresh token rotation');
+    // context: { deviceFingerprint, ipAddress, userAgent, requestId, tenantId } of the rotating request;
+    // with a tenantId, tokens issued for another tenant are refused
+    async rotateRefreshToken(oldToken, context = {}) {
+        if (process.env.NODE_ENV !== 'production') {
+            console.log('Starting refresh token rotation');
+        }
+
+        // Verify the JWT itself; the stored row decides whether it is still live
+        const decoded = await this.verifyRefreshToken(oldToken, true);
+        if (!decoded.jti || !decoded.fam) {
+            throw new Error('Invalid refresh token');
+        }
+        if (context.tenantId && tenantService.tenantOf(decoded) !== context.tenantId) {
+            throw new Error('Invalid refresh token');
+        }
+
+        // A DPoP-bound refresh token only rotates with a proof from the same key
+        if (decoded.cnf?.jkt && decoded.cnf.jkt !== context.dpopJkt) {
+            throw new Error('DPoP proof required');
+        }
+
+        const outcome = await db.transaction(async (client) => {
+            const result = await client.query(`
+                SELECT rt.id, rt.family_id, rt.user_id, rt.token_hash, rt.token_salt, rt.revoked, rt.revoked_reason, rt.expires_at, u.email, u.role, u.status, u.tenant_id
+                FROM refresh_tokens rt
+                JOIN users u ON u.id = rt.user_id
+                WHERE rt.id = $1
+                FOR UPDATE OF rt
+            `, [decoded.jti]);
+            const stored = result.rows[0];
+
+            if (!stored || !this.verifyTokenHash(oldToken, stored.token_hash, stored.token_salt)) {
+                return { error: 'Invalid refresh token' };
             }
-            
-            // Verify the old token first (including blacklist check)
-            const decoded = await this.verifyRefreshToken(oldToken);
-            if (process.env.NODE_ENV !== 'production') {
-                console.log('Old token verified');
+
+            if (stored.revoked) {
+                // A token that was already rotated is being replayed: whoever holds
+                // it is not the legitimate client, so kill the whole family
+                if (stored.revoked_reason === 'rotated') {
+                    const revokedCount = await this.revokeTokenFamily(stored.family_id, 'reuse_detected', client);
+                    await auditService.record('refresh_token_reuse_detected', {
+                        context,
+                        userId: stored.user_id,
+                        metadata: {
+                            token_id: stored.id,
+                            family_id: stored.family_id,
+                            revoked_count: revokedCount,
+                            device_fingerprint: context.deviceFingerprint
+                        }
+                    }, client);
+                    return { error: 'Refresh token reuse detected' };
+                }
+                return { error: 'Token is blacklisted' };
             }
-            
-            // Generate new tokens before blacklisting the old one
-            const newTokens = await this.generateTokenPair({ id: decoded.sub });
-            if (process.env.NODE_ENV !== 'production') {
-                console.log('New tokens generated');
+
+            if (new Date(stored.expires_at) < new Date()) {
+                return { error: 'Invalid refresh token' };
             }
 
-            // Blacklist the old token
-            await this.invalidateTokens(null, oldToken);
-            if (process.env.NODE_ENV !== 'production') {
-                console.log('Old token invalidated');
+            if (await tokenBlacklist.isBlacklisted(oldToken)) {
+                return { error: 'Token is blacklisted' };
             }
-            
-            return newTokens;
-        } catch (error) {
-            console.error('Error rotating refresh token:', error);
-            throw error;
+
+            // Banned or disabled since this session started
+            if (stored.status !== 'active') {
+                await this.revokeTokenFamily(stored.family_id, 'account_inactive', client);
+                return { error: 'Account disabled' };
+            }
+
+            // Issue the replacement in the same family and retire the old row
+            const { tokens, tokenId } = await this.issueTokenPair(
+                { id: stored.user_id, email: stored.email, role: stored.role, tenantId: stored.tenant_id },
+                { ...context, familyId: stored.family_id, clientId: decoded.client_id, scope: decoded.scope, dpopJkt: decoded.cnf?.jkt },
+                client
+            );
+            await client.query(
+                'UPDATE refresh_tokens SET revoked = true, revoked_reason = $2, revoked_at = NOW(), replaced_by = $3 WHERE id = $1',
+                [stored.id, 'rotated', tokenId]
+            );
+            await auditService.record('token_refreshed', {
+                context,
+                userId: stored.user_id,
+                metadata: { token_id: tokenId, replaced_token_id: stored.id, family_id: stored.family_id }
+            }, client);
+
+            return { tokens };
+        });
+
+        if (outcome.error) {
+            console.error('Refresh token rotation rejected:', outcome.error, { token_id: decoded.jti, family_id: decoded.fam });
+            throw new Error(outcome.error);
+        }
+
+        // Keep the blacklist in step for any verifier that only consults Redis
+        await tokenBlacklist.add(oldToken, 'rotated', 604800); // 7 days
+
+        if (process.env.NODE_ENV !== 'production') {
+            console.log('Refresh token rotated');
         }
+        return outcome.tokens;
     }
 }
 
@@ -0,0 +1,126 @@
+const db = require('../db');
+const { encodeCursor, decodeCursor } = require('./audit');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const ROLES = ['user', 'admin'];
+const STATUSES = ['pending', 'active', 'banned', 'disabled'];
+
+const USER_COLUMNS = 'id, email, role, status, status_reason, status_changed_at, email_verified_at, created_at, updated_at';
+
+function toUser(row) {
+    return {
+        id: row.id,
+        email: row.email,
+        role: row.role,
+        status: row.status,
+        statusReason: row.status_reason,
+        statusChangedAt: row.status_changed_at,
+        emailVerifiedAt: row.email_verified_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Escape LIKE wildcards so a search for "a_b" matches literally
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, char => `\\${char}`);
+}
+
+/**
+ * User lookups and account changes for the admin API, each confined to one
+ * tenant. Signing the user out is left to the caller (see
+ * SessionService.revokeAllSessions).
+ */
+class UserService {
+    // Fetch one page of a tenant's users, newest first
+    // filters: { query, role, status }; resolves to { users, nextCursor }
+    async search(tenantId, { query, role, status } = {}, { cursor = null, limit = DEFAULT_PAGE_SIZE } = {}) {
+        const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+        const conditions = ['tenant_id = $1'];
+        const params = [tenantId];
+
+        if (query) {
+            params.push(`%${escapeLike(query)}%`);
+            conditions.push(`email ILIKE $${params.length}`);
+        }
+        if (role) {
+            params.push(role);
+            conditions.push(`role = $${params.length}`);
+        }
+        if (status) {
+            params.push(status);
+            conditions.push(`status = $${params.length}`);
+        }
+        if (cursor !== null) {
+            params.push(cursor);
+            conditions.push(`id < $${params.length}`);
+        }
+        params.push(pageSize + 1);
+
+        const result = await db.query(`
+            SELECT ${USER_COLUMNS}
+            FROM users
+            WHERE ${conditions.join(' AND ')}
+            ORDER BY id DESC
+            LIMIT $${params.length}
+        `, params);
+
+        const rows = result.rows.slice(0, pageSize);
+        return {
+            users: rows.map(toUser),
+            nextCursor: result.rows.length > pageSize ? encodeCursor(rows[rows.length - 1].id) : null
+        };
+    }
+
+    // One of a tenant's users with a count of their live sessions, or null
+    async findById(userId, tenantId) {
+        const result = await db.query(`
+            SELECT ${USER_COLUMNS},
+                   (SELECT COUNT(DISTINCT family_id)::int FROM refresh_tokens
+                    WHERE user_id = users.id AND revoked = false AND expires_at > NOW()) AS active_sessions
+            FROM users
+            WHERE id = $1 AND tenant_id = $2
+        `, [userId, tenantId]);
+        const row = result.rows[0];
+        return row ? { ...toUser(row), activeSessions: row.active_sessions } : null;
+    }
+
+    /**
+     * Move a user to a new status
+     * @param {string[]|null} fromStatuses - only move users currently in one of these
+     * @returns {Promise<Object|null>} { user, previousStatus }, { failure: 'status_conflict', previousStatus }
+     *   when the user is in another status, or null if there's no such user
+     */
+    async setStatus(userId, tenantId, status, reason = null, fromStatuses = null) {
+        return db.transaction(async (client) => {
+            const current = await client.query('SELECT status FROM users WHERE id = $1 AND tenant_id = $2 FOR UPDATE', [userId, tenantId]);
+            if (!current.rows[0]) return null;
+
+            const previousStatus = current.rows[0].status;
+            if (fromStatuses && !fromStatuses.includes(previousStatus)) {
+                return { failure: 'status_conflict', previousStatus };
+            }
+
+            const result = await client.query(`
+                UPDATE users
+                SET status = $2, status_reason = $3, status_changed_at = NOW()
+                WHERE id = $1
+                RETURNING ${USER_COLUMNS}
+            `, [userId, status, reason]);
+            return { user: toUser(result.rows[0]), previousStatus };
+        });
+    }
+
+    // Delete a user and, by cascade, their tokens and codes; resolves to the deleted user or null
+    async delete(userId, tenantId) {
+        const result = await db.query(`DELETE FROM users WHERE id = $1 AND tenant_id = $2 RETURNING ${USER_COLUMNS}`, [userId, tenantId]);
+        return result.rows[0] ? toUser(result.rows[0]) : null;
+    }
+}
+
+module.exports = new UserService();
+module.exports.decodeCursor = decodeCursor;
+module.exports.ROLES = ROLES;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,195 @@
+const {
+    generateRegistrationOptions,
+    verifyRegistrationResponse,
+    generateAuthenticationOptions,
+    verifyAuthenticationResponse
+} = require('@simplewebauthn/server');
+const { v4: uuidv4, validate: uuidValidate } = require('uuid');
+const db = require('../db');
+const { challenges } = require('../config/redis');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:5173';
+
+const WEBAUTHN_CONFIG = {
+    rpName: process.env.WEBAUTHN_RP_NAME || 'Magic Link Demo',
+    // The registrable domain passkeys are bound to; must be the frontend's host or a parent of it
+    rpID: process.env.WEBAUTHN_RP_ID || new URL(FRONTEND_URL).hostname,
+    // Comma-separated origins the browser ceremony may run on
+    origins: (process.env.WEBAUTHN_ORIGINS || new URL(FRONTEND_URL).origin).split(',').map(origin => origin.trim()),
+    challengeTtlSecs: 300,
+    maxCredentialsPerUser: 10
+};
+
+const CREDENTIAL_COLUMNS = 'id, name, device_type, backed_up, transports, created_at, last_used_at';
+
+function toPasskey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        deviceType: row.device_type,
+        backedUp: row.backed_up,
+        transports: row.transports,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at
+    };
+}
+
+/**
+ * Passkey (WebAuthn) registration and sign in.
+ *
+ * A signed in user registers a passkey with the register ceremony; the
+ * login ceremony then signs them in without email. Login uses discoverable
+ * credentials, so the user doesn't type an email first. Challenges live in
+ * Redis and can be answered once. Magic links remain the recovery path.
+ */
+class WebAuthnService {
+    get config() {
+        return WEBAUTHN_CONFIG;
+    }
+
+    /**
+     * Start registering a passkey for a signed in user
+     * @param {{id: number, email: string}} user
+     * @returns {Promise<Object>} PublicKeyCredentialCreationOptionsJSON for the browser
+     */
+    async registrationOptions(user) {
+        const existing = await db.query('SELECT credential_id, transports FROM webauthn_credentials WHERE user_id = $1', [user.id]);
+        if (existing.rows.length >= WEBAUTHN_CONFIG.maxCredentialsPerUser) {
+            throw new Error('Passkey limit reached');
+        }
+
+        const options = await generateRegistrationOptions({
+            rpName: WEBAUTHN_CONFIG.rpName,
+            rpID: WEBAUTHN_CONFIG.rpID,
+            userID: Buffer.from(String(user.id)),
+            userName: user.email,
+            attestationType: 'none',
+            // Don't register a second passkey on an authenticator that already has one
+            excludeCredentials: existing.rows.map(row => ({ id: row.credential_id, transports: row.transports })),
+            authenticatorSelection: { residentKey: 'required', userVerification: 'preferred' },
+            timeout: WEBAUTHN_CONFIG.challengeTtlSecs * 1000
+        });
+
+        await challenges.put(`webauthn:register:${user.id}`, options.challenge, WEBAUTHN_CONFIG.challengeTtlSecs);
+        return options;
+    }
+
+    /**
+     * Check the browser's registration response and store the credential
+     * @returns {Promise<{passkey: Object} | {failure: string}>}
+     *   failure is 'challenge_expired', 'verification_failed' or 'already_registered'
+     */
+    async verifyRegistration(user, response, name = null) {
+        const expectedChallenge = await challenges.take(`webauthn:register:${user.id}`);
+        if (!expectedChallenge) return { failure: 'challenge_expired' };
+
+        let verification;
+        try {
+            verification = await verifyRegistrationResponse({
+                response,
+                expectedChallenge,
+                expectedOrigin: WEBAUTHN_CONFIG.origins,
+                expectedRPID: WEBAUTHN_CONFIG.rpID,
+                requireUserVerification: false
+            });
+        } catch (error) {
+            return { failure: 'verification_failed', error: error.message };
+        }
+        if (!verification.verified) return { failure: 'verification_failed' };
+
+        const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+        const result = await db.query(`
+            INSERT INTO webauthn_credentials (user_id, credential_id, public_key, sign_count, transports, device_type, backed_up, name)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+            ON CONFLICT (credential_id) DO NOTHING
+            RETURNING ${CREDENTIAL_COLUMNS}
+        `, [user.id, credential.id, Buffer.from(credential.publicKey), credential.counter, credential.transports || [],
+            credentialDeviceType, credentialBackedUp, String(name || '').trim().slice(0, 255) || 'Passkey']);
+        if (!result.rows[0]) return { failure: 'already_registered' };
+
+        return { passkey: toPasskey(result.rows[0]) };
+    }
+
+    /**
+     * Start a passkey sign in
+     * @returns {Promise<{options: Object, challengeId: string}>} challengeId goes back with the response
+     */
+    async authenticationOptions() {
+        const options = await generateAuthenticationOptions({
+            rpID: WEBAUTHN_CONFIG.rpID,
+            userVerification: 'preferred',
+            timeout: WEBAUTHN_CONFIG.challengeTtlSecs * 1000
+        });
+
+        const challengeId = uuidv4();
+        await challenges.put(`webauthn:login:${challengeId}`, options.challenge, WEBAUTHN_CONFIG.challengeTtlSecs);
+        return { options, challengeId };
+    }
+
+    /**
+     * Check a sign in response against the stored credential, which must
+     * belong to a user of the given tenant
+     * @returns {Promise<{user: Object, credentialId: number} | {failure: string, userId?: number}>}
+     *   failure is 'challenge_expired', 'unknown_credential' or 'verification_failed'
+     */
+    async verifyAuthentication(challengeId, response, tenantId) {
+        const expectedChallenge = uuidValidate(String(challengeId)) ? await challenges.take(`webauthn:login:${challengeId}`) : null;
+        if (!expectedChallenge) return { failure: 'challenge_expired' };
+
+        const result = await db.query(`
+            SELECT wc.id, wc.user_id, wc.credential_id, wc.public_key, wc.sign_count, wc.transports, u.email, u.role, u.status
+            FROM webauthn_credentials wc
+            JOIN users u ON u.id = wc.user_id
+            WHERE wc.credential_id = $1 AND u.tenant_id = $2
+        `, [String(response?.id), tenantId]);
+        const stored = result.rows[0];
+        if (!stored) return { failure: 'unknown_credential' };
+
+        let verification;
+        try {
+            verification = await verifyAuthenticationResponse({
+                response,
+                expectedChallenge,
+                expectedOrigin: WEBAUTHN_CONFIG.origins,
+                expectedRPID: WEBAUTHN_CONFIG.rpID,
+                credential: {
+                    id: stored.credential_id,
+                    publicKey: new Uint8Array(stored.public_key),
+                    counter: Number(stored.sign_count),
+                    transports: stored.transports
+                },
+                requireUserVerification: false
+            });
+        } catch (error) {
+            // Includes a signature counter that went backwards, a sign of a cloned authenticator
+            return { failure: 'verification_failed', userId: stored.user_id, error: error.message };
+        }
+        if (!verification.verified) return { failure: 'verification_failed', userId: stored.user_id };
+
+        await db.query(
+            'UPDATE webauthn_credentials SET sign_count = $2, last_used_at = NOW() WHERE id = $1',
+            [stored.id, verification.authenticationInfo.newCounter]
+        );
+        return {
+            user: { id: stored.user_id, email: stored.email, role: stored.role, status: stored.status },
+            credentialId: stored.id
+        };
+    }
+
+    // A user's passkeys, newest first
+    async listCredentials(userId) {
+        const result = await db.query(
+            `SELECT ${CREDENTIAL_COLUMNS} FROM webauthn_credentials WHERE user_id = $1 ORDER BY created_at DESC`,
+            [userId]
+        );
+        return result.rows.map(toPasskey);
+    }
+
+    // Remove one of a user's passkeys; resolves to false if they have no such passkey
+    async deleteCredential(userId, credentialId) {
+        const result = await db.query('DELETE FROM webauthn_credentials WHERE id = $1 AND user_id = $2', [credentialId, userId]);
+        return result.rowCount > 0;
+    }
+}
+
+module.exports = new WebAuthnService();
@@ -0,0 +1,75 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../app');
+const tokenService = require('../services/token');
+const { createUser, signIn } = require('./support/fixtures');
+
+function me(accessToken) {
+    const get = request(app).get('/api/auth/me');
+    return accessToken ? get.set('Authorization', `Bearer ${accessToken}`) : get;
+}
+
+describe('GET /api/auth/me', () => {
+    it('returns the user the access token was issued to', async () => {
+        const user = await createUser({ role: 'admin' });
+        const { accessToken } = await signIn(app, user);
+
+        const response = await me(accessToken).expect(200);
+        expect(response.body.user).toMatchObject({ id: user.id, email: user.email, role: 'admin' });
+    });
+
+    it('asks for a token when none is sent', async () => {
+        const response = await me().expect(401);
+        expect(response.body.code).toBe('token_missing');
+        expect(response.headers['www-authenticate']).toContain('error="invalid_request"');
+    });
+
+    it('tells an expired token from a malformed one', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+        const claims = jwt.decode(accessToken);
+        const expired = tokenService.signJwt({
+            sub: claims.sub, email: claims.email, role: claims.role, type: 'access', sid: claims.sid, tid: claims.tid,
+            exp: Math.floor(Date.now() / 1000) - 60
+        });
+
+        const expiredResponse = await me(expired).expect(401);
+        expect(expiredResponse.body.code).toBe('token_expired');
+        expect(expiredResponse.headers['www-authenticate']).toContain('error="invalid_token"');
+
+        const malformed = await me('not.a.token').expect(401);
+        expect(malformed.body.code).toBe('token_invalid');
+        const tampered = await me(`${accessToken.slice(0, -4)}AAAA`).expect(401);
+        expect(tampered.body.code).toBe('token_invalid');
+    });
+
+    it('does not take a refresh token as an access token', async () => {
+        const user = await createUser();
+        const { refreshToken } = await signIn(app, user);
+
+        const response = await me(refreshToken).expect(401);
+        expect(response.body.code).toBe('token_invalid');
+    });
+});
+
+describe('POST /api/auth/logout', () => {
+    it('signs out a magic link or password session and revokes its access token', async () => {
+        const user = await createUser();
+        const { accessToken, refreshToken } = await signIn(app, user);
+
+        await request(app)
+            .post('/api/auth/logout')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .send({ refreshToken })
+            .expect(200);
+
+        const response = await me(accessToken).expect(401);
+        expect(response.body.code).toBe('token_revoked');
+        await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(401);
+    });
+
+    it('needs an access token', async () => {
+        const response = await request(app).post('/api/auth/logout').send({}).expect(401);
+        expect(response.body.code).toBe('token_missing');
+    });
+});
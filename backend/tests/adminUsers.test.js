@@ -0,0 +1,151 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../app');
+const tenantService = require('../services/tenants');
+const { db } = require('./support/database');
+const { createUser, signIn } = require('./support/fixtures');
+
+const ACME_HOST = 'acme.example.com';
+
+let admin;
+let adminToken;
+
+beforeAll(async () => {
+    await tenantService.save({ id: 'acme', name: 'Acme', hosts: [ACME_HOST] });
+    admin = await createUser({ role: 'admin' });
+    adminToken = (await signIn(app, admin)).accessToken;
+});
+
+function asAdmin(method, path, token = adminToken) {
+    return request(app)[method](path).set('Authorization', `Bearer ${token}`);
+}
+
+function me(accessToken) {
+    return request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`);
+}
+
+describe('roles', () => {
+    it('puts the role in the access token', async () => {
+        expect(jwt.decode(adminToken).role).toBe('admin');
+        const user = await createUser();
+        expect(jwt.decode((await signIn(app, user)).accessToken).role).toBe('user');
+    });
+
+    it('keeps the admin API to admins', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+
+        const response = await asAdmin('get', '/api/admin/users', accessToken).expect(403);
+        expect(response.body.code).toBe('forbidden');
+        await request(app).get('/api/admin/users').expect(401);
+    });
+});
+
+describe('GET /api/admin/users', () => {
+    it('searches by email, role and status, newest first, a page at a time', async () => {
+        const tag = `search${Date.now()}`;
+        const first = await createUser({ email: `${tag}.one@example.com` });
+        const second = await createUser({ email: `${tag}.two@example.com`, status: 'banned' });
+        const third = await createUser({ email: `${tag}.three@example.com`, role: 'admin' });
+
+        const page = await asAdmin('get', '/api/admin/users').query({ q: tag, limit: 2 }).expect(200);
+        expect(page.body.users.map(user => user.id)).toEqual([third.id, second.id]);
+        const next = await asAdmin('get', '/api/admin/users').query({ q: tag, limit: 2, cursor: page.body.nextCursor }).expect(200);
+        expect(next.body.users.map(user => user.id)).toEqual([first.id]);
+        expect(next.body.nextCursor).toBeNull();
+
+        const banned = await asAdmin('get', '/api/admin/users').query({ q: tag, status: 'banned' }).expect(200);
+        expect(banned.body.users.map(user => user.id)).toEqual([second.id]);
+        const admins = await asAdmin('get', '/api/admin/users').query({ q: tag, role: 'admin' }).expect(200);
+        expect(admins.body.users.map(user => user.id)).toEqual([third.id]);
+    });
+
+    it('treats LIKE wildcards in the search literally', async () => {
+        const tag = `wild${Date.now()}`;
+        await createUser({ email: `${tag}.ab@example.com` });
+
+        const response = await asAdmin('get', '/api/admin/users').query({ q: `${tag}._b` }).expect(200);
+        expect(response.body.users).toEqual([]);
+    });
+
+    it('rejects an unknown role or status', async () => {
+        await asAdmin('get', '/api/admin/users').query({ role: 'root' }).expect(400);
+        await asAdmin('get', '/api/admin/users').query({ status: 'gone' }).expect(400);
+    });
+
+    it("does not show another tenant's users", async () => {
+        const outsider = await createUser({ tenantId: 'acme' });
+
+        await asAdmin('get', `/api/admin/users/${outsider.id}`).expect(404);
+        await asAdmin('post', `/api/admin/users/${outsider.id}/ban`).send({}).expect(404);
+    });
+});
+
+describe('banning users', () => {
+    it('signs a banned user out everywhere and keeps them out until unbanned', async () => {
+        const user = await createUser();
+        const { accessToken, refreshToken } = await signIn(app, user);
+
+        const banned = await asAdmin('post', `/api/admin/users/${user.id}/ban`).send({ reason: 'Spam' }).expect(200);
+        expect(banned.body.user).toMatchObject({ status: 'banned', statusReason: 'Spam' });
+        expect(banned.body.revokedSessions).toBe(1);
+
+        await me(accessToken).expect(401);
+        await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(401);
+        await request(app).post('/api/auth/login').send({ email: user.email, password: user.password }).expect(403);
+
+        const unbanned = await asAdmin('post', `/api/admin/users/${user.id}/unban`).send({}).expect(200);
+        expect(unbanned.body.user).toMatchObject({ status: 'active', statusReason: null });
+        await signIn(app, user);
+
+        const audited = await db.query(
+            "SELECT event_type FROM audit_logs WHERE user_id = $1 AND metadata->>'target_user_id' = $2 ORDER BY id",
+            [admin.id, String(user.id)]
+        );
+        expect(audited.rows.map(row => row.event_type)).toEqual(['user_banned', 'user_unbanned']);
+    });
+
+    it('only unbans a banned or disabled user', async () => {
+        const user = await createUser();
+
+        const response = await asAdmin('post', `/api/admin/users/${user.id}/unban`).send({}).expect(409);
+        expect(response.body.error).toBe('User is active');
+    });
+
+    it('does not let an admin ban themselves', async () => {
+        await asAdmin('post', `/api/admin/users/${admin.id}/ban`).send({}).expect(400);
+    });
+});
+
+describe('POST /api/admin/users/:id/logout', () => {
+    it('revokes every session of the user', async () => {
+        const user = await createUser();
+        const first = await signIn(app, user);
+        const second = await signIn(app, user);
+
+        const response = await asAdmin('post', `/api/admin/users/${user.id}/logout`).send({}).expect(200);
+        expect(response.body.revokedSessions).toBe(2);
+
+        await me(first.accessToken).expect(401);
+        await me(second.accessToken).expect(401);
+        await signIn(app, user);
+    });
+});
+
+describe('DELETE /api/admin/users/:id', () => {
+    it('deletes the user and ends their sessions', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+
+        await asAdmin('delete', `/api/admin/users/${user.id}`).expect(200);
+
+        await me(accessToken).expect(401);
+        await asAdmin('get', `/api/admin/users/${user.id}`).expect(404);
+        const remaining = await db.query('SELECT COUNT(*) AS count FROM users WHERE id = $1', [user.id]);
+        expect(Number(remaining.rows[0].count)).toBe(0);
+    });
+
+    it('does not let an admin delete themselves', async () => {
+        await asAdmin('delete', `/api/admin/users/${admin.id}`).expect(400);
+    });
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const app = require('../app');
+const { db } = require('./support/database');
+const { createUser, signIn } = require('./support/fixtures');
+
+let adminToken;
+
+beforeAll(async () => {
+    const admin = await createUser({ role: 'admin' });
+    adminToken = (await signIn(app, admin)).accessToken;
+});
+
+// The failed logins below all come from the test client's address
+beforeEach(() => db.query('DELETE FROM failed_attempts'));
+
+function audit(query) {
+    return request(app).get('/api/admin/audit').query(query).set('Authorization', `Bearer ${adminToken}`);
+}
+
+// A user with a failed login, a login, a refresh and a logout behind them
+async function userWithHistory() {
+    const user = await createUser();
+    await request(app).post('/api/auth/login').send({ email: user.email, password: 'wrong password' }).expect(401);
+    const tokens = await signIn(app, user);
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: tokens.refreshToken }).expect(200);
+    await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${refreshed.body.accessToken}`)
+        .send({ refreshToken: refreshed.body.refreshToken })
+        .expect(200);
+    return user;
+}
+
+describe('audit events', () => {
+    it('tags each event with the id of the request behind it and its tenant', async () => {
+        const user = await createUser();
+        await request(app)
+            .post('/api/auth/login')
+            .set('X-Request-ID', 'trace-login-1')
+            .send({ email: user.email, password: user.password })
+            .expect(200);
+
+        const { body } = await audit({ user_id: user.id, event_type: 'password_login' }).expect(200);
+        expect(body.events).toEqual([
+            expect.objectContaining({ eventType: 'password_login', userId: user.id, requestId: 'trace-login-1', tenantId: 'default' })
+        ]);
+    });
+
+    it('records failed logins, refreshes and logouts', async () => {
+        const user = await userWithHistory();
+
+        const { body } = await audit({ user_id: user.id }).expect(200);
+        expect(body.events.map(event => event.eventType).reverse()).toEqual(['password_login', 'token_refreshed', 'logout']);
+
+        const failed = await audit({ event_type: 'password_login_failed' }).expect(200);
+        expect(failed.body.events.some(event => event.metadata.email === user.email && event.metadata.reason === 'invalid_credentials')).toBe(true);
+    });
+});
+
+describe('GET /api/admin/audit', () => {
+    it('pages through events newest first with a cursor', async () => {
+        const user = await userWithHistory();
+
+        const first = await audit({ user_id: user.id, limit: 2 }).expect(200);
+        expect(first.body.events.map(event => event.eventType)).toEqual(['logout', 'token_refreshed']);
+        expect(first.body.nextCursor).toBeTruthy();
+
+        const second = await audit({ user_id: user.id, limit: 2, cursor: first.body.nextCursor }).expect(200);
+        expect(second.body.events.map(event => event.eventType)).toEqual(['password_login']);
+        expect(second.body.nextCursor).toBeNull();
+    });
+
+    it('filters by event type and time range', async () => {
+        const user = await userWithHistory();
+
+        const both = await audit({ user_id: user.id, event_type: 'logout,password_login' }).expect(200);
+        expect(both.body.events.map(event => event.eventType)).toEqual(['logout', 'password_login']);
+
+        const before = await audit({ user_id: user.id, to: '2020-01-01T00:00:00Z' }).expect(200);
+        expect(before.body.events).toEqual([]);
+        const since = await audit({ user_id: user.id, from: new Date(Date.now() - 60000).toISOString() }).expect(200);
+        expect(since.body.events).toHaveLength(3);
+    });
+
+    it('exports CSV with formula-like fields neutralised', async () => {
+        const user = await createUser();
+        await request(app)
+            .post('/api/auth/login')
+            .set('User-Agent', '=HYPERLINK("http://attacker.example.com")')
+            .send({ email: user.email, password: user.password })
+            .expect(200);
+
+        const response = await audit({ user_id: user.id, format: 'csv' }).expect(200);
+        expect(response.headers['content-type']).toMatch(/^text\/csv/);
+        expect(response.headers['content-disposition']).toMatch(/^attachment; filename="audit-.*\.csv"$/);
+        const [header, row] = response.text.trim().split('\r\n');
+        expect(header).toBe('id,createdAt,eventType,userId,ipAddress,userAgent,requestId,metadata');
+        expect(row).toContain(`,password_login,${user.id},`);
+        expect(row).toContain(`"'=HYPERLINK(""http://attacker.example.com"")"`);
+    });
+
+    it('exports NDJSON, one event per line', async () => {
+        const user = await userWithHistory();
+
+        const response = await audit({ user_id: user.id, format: 'ndjson' }).buffer(true).parse((res, done) => {
+            let text = '';
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => done(null, text));
+        }).expect(200);
+        const events = response.body.trim().split('\n').map(line => JSON.parse(line));
+        expect(events.map(event => event.eventType)).toEqual(['logout', 'token_refreshed', 'password_login']);
+
+        // The export is audited too
+        const exported = await audit({ event_type: 'audit_log_exported', limit: 1 }).expect(200);
+        expect(exported.body.events[0].metadata).toMatchObject({ format: 'ndjson', count: 3 });
+    });
+
+    it('rejects malformed filters', async () => {
+        await audit({ user_id: 'abc' }).expect(400);
+        await audit({ from: 'yesterday' }).expect(400);
+        await audit({ cursor: 'not-a-cursor' }).expect(400);
+        await audit({ format: 'xml' }).expect(400);
+    });
+
+    it('is refused to a regular user', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+
+        await request(app).get('/api/admin/audit').set('Authorization', `Bearer ${accessToken}`).expect(403);
+    });
+});
@@ -0,0 +1,104 @@
+// Archive what can be archived, and use small batches so a sweep takes several
+process.env.CLEANUP_ARCHIVE = 'true';
+process.env.CLEANUP_BATCH_SIZE = '2';
+
+const request = require('supertest');
+const app = require('../app');
+const cleanupService = require('../services/cleanup');
+const { locks } = require('../config/redis');
+const { metrics } = require('../middleware/metrics');
+const { db } = require('./support/database');
+const { createUser, signIn } = require('./support/fixtures');
+
+async function insertMagicToken(userId, { createdHoursAgo, expiresHoursAgo, used = false }) {
+    const result = await db.query(`
+        INSERT INTO magic_tokens (user_id, token_hash, token_salt, used, created_at, expires_at)
+        VALUES ($1, 'hash', 'salt', $2, NOW() - make_interval(hours => $3), NOW() - make_interval(hours => $4))
+        RETURNING id
+    `, [userId, used, createdHoursAgo, expiresHoursAgo]);
+    return result.rows[0].id;
+}
+
+async function idsIn(table, ids) {
+    const result = await db.query(`SELECT id FROM ${table} WHERE id = ANY($1)`, [ids]);
+    return result.rows.map(row => row.id).sort();
+}
+
+async function removedRows(table, mode) {
+    const counter = await metrics.cleanupRowsDeletedTotal.get();
+    return counter.values.find(value => value.labels.table === table && value.labels.mode === mode)?.value || 0;
+}
+
+describe('cleanup job', () => {
+    it('archives expired and spent magic links once the grace period is over', async () => {
+        const user = await createUser();
+        const expired = await Promise.all([1, 2, 3].map(() => insertMagicToken(user.id, { createdHoursAgo: 72, expiresHoursAgo: 48 })));
+        const spent = await insertMagicToken(user.id, { createdHoursAgo: 48, expiresHoursAgo: -1, used: true });
+        const recentlyExpired = await insertMagicToken(user.id, { createdHoursAgo: 2, expiresHoursAgo: 1 });
+        const live = await insertMagicToken(user.id, { createdHoursAgo: 48, expiresHoursAgo: -1 });
+        const archivedBefore = await removedRows('magic_tokens', 'archived');
+
+        const removed = await cleanupService.run();
+
+        expect(removed.magic_tokens).toBeGreaterThanOrEqual(4);
+        expect(await idsIn('magic_tokens', [...expired, spent, recentlyExpired, live])).toEqual([recentlyExpired, live].sort());
+        expect(await idsIn('magic_tokens_archive', [...expired, spent])).toEqual([...expired, spent].sort());
+        expect(await removedRows('magic_tokens', 'archived') - archivedBefore).toBe(removed.magic_tokens);
+    });
+
+    it('keeps revoked refresh tokens until they expire', async () => {
+        const user = await createUser();
+        const { refreshToken } = await signIn(app, user);
+        await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+        const rows = await db.query('SELECT id, revoked FROM refresh_tokens WHERE user_id = $1 ORDER BY revoked DESC', [user.id]);
+        const [rotated, current] = rows.rows;
+        expect(rotated.revoked).toBe(true);
+
+        await cleanupService.run();
+        expect(await idsIn('refresh_tokens', [rotated.id, current.id])).toEqual([rotated.id, current.id].sort());
+
+        await db.query("UPDATE refresh_tokens SET created_at = NOW() - INTERVAL '9 days', expires_at = NOW() - INTERVAL '2 days' WHERE id = $1", [rotated.id]);
+        await cleanupService.run();
+        expect(await idsIn('refresh_tokens', [rotated.id, current.id])).toEqual([current.id]);
+        expect(await idsIn('refresh_tokens_archive', [rotated.id])).toEqual([rotated.id]);
+    });
+
+    it('trims audit logs and failed attempts past their retention', async () => {
+        const old = await db.query(`
+            INSERT INTO audit_logs (event_type, metadata, tenant_id, created_at)
+            VALUES ('old_event', '{}', 'default', NOW() - INTERVAL '400 days')
+            RETURNING id
+        `);
+        const recent = await db.query("INSERT INTO audit_logs (event_type, metadata, tenant_id) VALUES ('recent_event', '{}', 'default') RETURNING id");
+        const attempts = await db.query(`
+            INSERT INTO failed_attempts (email, ip_address, attempt_type, created_at)
+            VALUES ('old@example.com', '203.0.113.1', 'password', NOW() - INTERVAL '31 days'),
+                   ('new@example.com', '203.0.113.1', 'password', NOW())
+            RETURNING id
+        `);
+        const [oldAttempt, newAttempt] = attempts.rows.map(row => row.id);
+
+        await cleanupService.run();
+
+        const [oldId, recentId] = [old.rows[0].id, recent.rows[0].id];
+        expect(await idsIn('audit_logs', [oldId, recentId])).toEqual([recentId]);
+        expect(await idsIn('audit_logs_archive', [oldId])).toEqual([oldId]);
+        expect(await idsIn('failed_attempts', [oldAttempt, newAttempt])).toEqual([newAttempt]);
+    });
+
+    it('skips a run while another replica holds the lock', async () => {
+        const user = await createUser();
+        const expired = await insertMagicToken(user.id, { createdHoursAgo: 72, expiresHoursAgo: 48 });
+        const owner = await locks.acquire('cleanup', 60000);
+
+        try {
+            expect(await cleanupService.run()).toBeNull();
+            expect(await idsIn('magic_tokens', [expired])).toEqual([expired]);
+        } finally {
+            await locks.release('cleanup', owner);
+        }
+
+        await cleanupService.run();
+        expect(await idsIn('magic_tokens', [expired])).toEqual([]);
+    });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../app');
+const riskService = require('../services/risk');
+const tenantService = require('../services/tenants');
+const { emailTransport } = require('../external_apis/resend');
+const { createUser, emailedLink } = require('./support/fixtures');
+
+const ACME_HOST = 'acme.example.com';
+
+beforeAll(() => tenantService.save({ id: 'acme', name: 'Acme', hosts: [ACME_HOST] }));
+beforeEach(() => emailTransport.clear());
+
+// Ask for a cross-device link; resolves to the requester's pollToken and the emailed link's fields
+async function requestCrossDevice(user) {
+    const response = await request(app)
+        .post('/api/auth/magic-link/request')
+        .send({ email: user.email, crossDevice: true })
+        .expect(200);
+    const link = await emailedLink(user.email);
+    expect(link.searchParams.get('mode')).toBe('approve');
+    return {
+        pollToken: response.body.pollToken,
+        linkFields: { token_id: link.searchParams.get('token_id'), token: link.searchParams.get('token') }
+    };
+}
+
+function poll(pollToken, host = 'localhost') {
+    return request(app).post('/api/auth/magic-link/poll').set('Host', host).send({ pollToken }).expect(200);
+}
+
+function decide(linkFields, approve, host = 'localhost') {
+    return request(app).post('/api/auth/magic-link/approval/decision').set('Host', host).send({ ...linkFields, approve });
+}
+
+describe('cross-device sign in', () => {
+    it('signs in the requesting browser once the link is approved on another device', async () => {
+        const user = await createUser();
+        const { pollToken, linkFields } = await requestCrossDevice(user);
+        expect((await poll(pollToken)).body.status).toBe('pending');
+
+        const approval = await request(app).post('/api/auth/magic-link/approval').send(linkFields).expect(200);
+        expect(approval.body.email).toBe(user.email);
+        expect(approval.body.requester).toEqual(expect.objectContaining({ ipAddress: expect.any(String) }));
+
+        const decided = await decide(linkFields, true).expect(200);
+        expect(decided.body.status).toBe('approved');
+        expect(decided.body.accessToken).toBeUndefined();
+
+        const signedIn = await poll(pollToken);
+        expect(signedIn.body.status).toBe('approved');
+        expect(signedIn.body.accessToken).toBeTruthy();
+
+        // The token pair is handed out once
+        const again = await poll(pollToken);
+        expect(again.body.status).toBe('expired');
+        expect(again.body.accessToken).toBeUndefined();
+    });
+
+    it('reports a denied link as denied and spends it', async () => {
+        const user = await createUser();
+        const { pollToken, linkFields } = await requestCrossDevice(user);
+
+        await decide(linkFields, false).expect(200);
+
+        expect((await poll(pollToken)).body.status).toBe('denied');
+        await decide(linkFields, true).expect(401);
+    });
+
+    it('never gives the clicking device tokens through /magic-link/verify', async () => {
+        const user = await createUser();
+        const { linkFields } = await requestCrossDevice(user);
+
+        const response = await request(app).post('/api/auth/magic-link/verify').send(linkFields).expect(400);
+        expect(response.body.error).toBe('This link must be approved, not used to sign in here');
+    });
+});
+
+describe('cross-device sign in across tenants', () => {
+    it("doesn't find another tenant's link to approve", async () => {
+        const user = await createUser();
+        const { pollToken, linkFields } = await requestCrossDevice(user);
+
+        await request(app).post('/api/auth/magic-link/approval').set('Host', ACME_HOST).send(linkFields).expect(401);
+        await decide(linkFields, true, ACME_HOST).expect(401);
+
+        // Still waiting for its own tenant's decision
+        expect((await poll(pollToken)).body.status).toBe('pending');
+    });
+
+    it("doesn't hand out another tenant's approved sign in", async () => {
+        const user = await createUser();
+        const { pollToken, linkFields } = await requestCrossDevice(user);
+        await decide(linkFields, true).expect(200);
+
+        const elsewhere = await poll(pollToken, ACME_HOST);
+        expect(elsewhere.body.status).toBe('pending');
+        expect(elsewhere.body.accessToken).toBeUndefined();
+
+        // Left for the browser that asked for it
+        expect((await poll(pollToken)).body.accessToken).toBeTruthy();
+    });
+
+    it("doesn't show another tenant's step up code", async () => {
+        const user = await createUser();
+        const response = await request(app).post('/api/auth/magic-link/request').send({ email: user.email }).expect(200);
+        const link = await emailedLink(user.email);
+        await riskService.startConfirmation(link.searchParams.get('token_id'), { ipAddress: '198.51.100.9' });
+
+        const elsewhere = await request(app)
+            .post('/api/auth/magic-link/confirmation')
+            .set('Host', ACME_HOST)
+            .send({ pollToken: response.body.pollToken })
+            .expect(200);
+        expect(elsewhere.body).toMatchObject({ status: 'none' });
+        expect(elsewhere.body.code).toBeUndefined();
+
+        const own = await request(app).post('/api/auth/magic-link/confirmation').send({ pollToken: response.body.pollToken }).expect(200);
+        expect(own.body).toMatchObject({ status: 'confirmation_required', code: expect.stringMatching(/^\d{6}$/) });
+    });
+});
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../app');
+const { jwkThumbprint } = require('../services/dpop');
+const { createUser } = require('./support/fixtures');
+
+// Proofs name the URL they are for, so pin the host the app sees
+const HOST = 'api.example.com';
+
+function clientKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    return { privateKey, jwk: publicKey.export({ format: 'jwk' }) };
+}
+
+function proofFor(key, method, path, { accessToken, iat = Math.floor(Date.now() / 1000), jti = crypto.randomUUID() } = {}) {
+    const claims = { jti, htm: method, htu: `http://${HOST}${path}`, iat };
+    if (accessToken) {
+        claims.ath = crypto.createHash('sha256').update(accessToken).digest('base64url');
+    }
+    return jwt.sign(claims, key.privateKey, { algorithm: 'ES256', header: { typ: 'dpop+jwt', jwk: key.jwk } });
+}
+
+async function boundSignIn(user, key) {
+    const response = await request(app)
+        .post('/api/auth/login')
+        .set('Host', HOST)
+        .set('DPoP', proofFor(key, 'POST', '/api/auth/login'))
+        .send({ email: user.email, password: user.password })
+        .expect(200);
+    return response.body;
+}
+
+function me(accessToken, { scheme = 'DPoP', proof } = {}) {
+    const req = request(app).get('/api/auth/me').set('Host', HOST).set('Authorization', `${scheme} ${accessToken}`);
+    return proof ? req.set('DPoP', proof) : req;
+}
+
+function refresh(refreshToken, proof) {
+    const req = request(app).post('/api/auth/refresh').set('Host', HOST);
+    return (proof ? req.set('DPoP', proof) : req).send({ refreshToken });
+}
+
+describe('signing in with a DPoP proof', () => {
+    it("binds both tokens to the proof's key", async () => {
+        const key = clientKey();
+        const tokens = await boundSignIn(await createUser(), key);
+
+        expect(tokens.tokenType).toBe('DPoP');
+        expect(jwt.decode(tokens.accessToken).cnf).toEqual({ jkt: jwkThumbprint(key.jwk) });
+        expect(jwt.decode(tokens.refreshToken).cnf).toEqual({ jkt: jwkThumbprint(key.jwk) });
+    });
+
+    it('issues plain bearer tokens without one', async () => {
+        const user = await createUser();
+        const response = await request(app).post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+
+        expect(response.body.tokenType).toBe('Bearer');
+        expect(jwt.decode(response.body.accessToken).cnf).toBeUndefined();
+    });
+
+    it('rejects a proof for another request', async () => {
+        const user = await createUser();
+        const key = clientKey();
+
+        const response = await request(app)
+            .post('/api/auth/login')
+            .set('Host', HOST)
+            .set('DPoP', proofFor(key, 'POST', '/api/auth/refresh'))
+            .send({ email: user.email, password: user.password })
+            .expect(400);
+        expect(response.body.code).toBe('dpop_invalid');
+    });
+});
+
+describe('using a DPoP-bound access token', () => {
+    it('needs a fresh proof from the bound key for each request', async () => {
+        const key = clientKey();
+        const { accessToken } = await boundSignIn(await createUser(), key);
+        const proof = proofFor(key, 'GET', '/api/auth/me', { accessToken });
+
+        await me(accessToken, { proof }).expect(200);
+
+        const replayed = await me(accessToken, { proof }).expect(401);
+        expect(replayed.body.code).toBe('dpop_invalid');
+        expect(replayed.headers['www-authenticate']).toMatch(/^DPoP error="invalid_dpop_proof"/);
+    });
+
+    it('is refused without a proof, as Bearer, or with a proof from another key', async () => {
+        const key = clientKey();
+        const { accessToken } = await boundSignIn(await createUser(), key);
+
+        await me(accessToken).expect(401);
+        await me(accessToken, { scheme: 'Bearer', proof: proofFor(key, 'GET', '/api/auth/me', { accessToken }) }).expect(401);
+        await me(accessToken, { proof: proofFor(clientKey(), 'GET', '/api/auth/me', { accessToken }) }).expect(401);
+    });
+
+    it('is refused with a proof for another token or that is too old', async () => {
+        const key = clientKey();
+        const { accessToken } = await boundSignIn(await createUser(), key);
+
+        await me(accessToken, { proof: proofFor(key, 'GET', '/api/auth/me', { accessToken: 'another token' }) }).expect(401);
+        const stale = Math.floor(Date.now() / 1000) - 120;
+        await me(accessToken, { proof: proofFor(key, 'GET', '/api/auth/me', { accessToken, iat: stale }) }).expect(401);
+    });
+});
+
+describe('refreshing DPoP-bound tokens', () => {
+    it('needs a proof from the same key and keeps the new tokens bound', async () => {
+        const key = clientKey();
+        const { refreshToken } = await boundSignIn(await createUser(), key);
+
+        await refresh(refreshToken).expect(401);
+        await refresh(refreshToken, proofFor(clientKey(), 'POST', '/api/auth/refresh')).expect(401);
+
+        const response = await refresh(refreshToken, proofFor(key, 'POST', '/api/auth/refresh')).expect(200);
+        expect(response.body.tokenType).toBe('DPoP');
+        expect(jwt.decode(response.body.accessToken).cnf).toEqual({ jkt: jwkThumbprint(key.jwk) });
+        expect(jwt.decode(response.body.refreshToken).cnf).toEqual({ jkt: jwkThumbprint(key.jwk) });
+    });
+});
@@ -0,0 +1,150 @@
+const request = require('supertest');
+const app = require('../app');
+const emailQueue = require('../services/emailQueue');
+const { emailQueue: queueStore } = require('../config/redis');
+const { metrics } = require('../middleware/metrics');
+const { emailTransport } = require('../external_apis/resend');
+const { db } = require('./support/database');
+const { createUser } = require('./support/fixtures');
+
+beforeEach(() => emailTransport.clear());
+afterEach(() => jest.restoreAllMocks());
+
+// Run the worker as if it were minutes later, when any retry is due
+function processLater(minutes) {
+    const later = Date.now() + minutes * 60 * 1000;
+    jest.spyOn(Date, 'now').mockReturnValue(later);
+    return emailQueue.processDue().finally(() => Date.now.mockRestore());
+}
+
+function queueMessage(to) {
+    return emailQueue.enqueue({ to, subject: 'Hello', html: '<p>Queued</p>' }, { kind: 'generic' });
+}
+
+describe('email queue', () => {
+    it('delivers a queued email through the outbox transport', async () => {
+        await emailQueue.enqueue(
+            { to: 'queued@example.com', subject: 'Hello', html: '<p>Queued</p>', replyTo: 'support@example.com' },
+            { kind: 'generic' }
+        );
+        expect(emailTransport.last('queued@example.com')).toBeNull();
+
+        await emailQueue.processDue();
+
+        const message = emailTransport.last('queued@example.com');
+        expect(message).toMatchObject({ to: 'queued@example.com', subject: 'Hello', html: '<p>Queued</p>', replyTo: 'support@example.com' });
+        expect(message.from).toBeTruthy();
+    });
+
+    it('retries a failed delivery after a backoff', async () => {
+        const send = jest.spyOn(emailTransport, 'send').mockRejectedValueOnce(new Error('Provider unavailable'));
+        const id = await queueMessage('retried@example.com');
+
+        await emailQueue.processDue();
+        expect(emailTransport.last('retried@example.com')).toBeNull();
+        expect(await queueStore.getJob(id)).toMatchObject({ attempts: 1, lastError: 'Provider unavailable' });
+
+        // Not due again straight away
+        await emailQueue.processDue();
+        expect(send).toHaveBeenCalledTimes(1);
+
+        await processLater(10);
+        expect(emailTransport.last('retried@example.com')).not.toBeNull();
+        expect(await queueStore.getJob(id)).toBeNull();
+    });
+
+    it('dead-letters a message once it runs out of attempts', async () => {
+        jest.spyOn(emailTransport, 'send').mockRejectedValue(new Error('Mailbox rejected'));
+        const id = await queueMessage('dead@example.com');
+
+        for (let attempt = 1; attempt <= 5; attempt++) {
+            await processLater(attempt * 10);
+        }
+
+        expect(await queueStore.getJob(id)).toMatchObject({ attempts: 5, lastError: 'Mailbox rejected' });
+        const stats = await queueStore.stats();
+        expect(stats).toMatchObject({ scheduled: 0, processing: 0, dead: 1 });
+        const audited = await db.query(
+            "SELECT metadata FROM audit_logs WHERE event_type = 'email_delivery_failed' AND metadata->>'job_id' = $1",
+            [id]
+        );
+        expect(audited.rows[0].metadata).toMatchObject({ reason: 'dead_lettered', attempts: 5 });
+    });
+
+    it('backs off exponentially up to the cap', () => {
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+
+        expect(emailQueue.backoffDelay(1)).toBe(2000);
+        expect(emailQueue.backoffDelay(2)).toBe(4000);
+        expect(emailQueue.backoffDelay(4)).toBe(16000);
+        expect(emailQueue.backoffDelay(20)).toBe(300000);
+    });
+
+    it('reports queue depth and the age of the oldest message', async () => {
+        jest.spyOn(emailTransport, 'send').mockRejectedValue(new Error('Provider unavailable'));
+        await queueMessage('waiting@example.com');
+        await emailQueue.processDue();
+
+        await emailQueue.refreshMetrics();
+
+        const depth = await metrics.emailQueueDepth.get();
+        expect(depth.values.find(value => value.labels.state === 'scheduled').value).toBe(1);
+        const age = await metrics.emailQueueOldestJobAge.get();
+        expect(age.values[0].value).toBeGreaterThanOrEqual(0);
+    });
+});
+
+describe('POST /api/auth/magic-link/request', () => {
+    it('emails a signed link to an active user', async () => {
+        const user = await createUser();
+
+        const response = await request(app)
+            .post('/api/auth/magic-link/request')
+            .send({ email: user.email });
+        expect(response.status).toBe(200);
+        await emailQueue.processDue();
+
+        const message = emailTransport.last(user.email);
+        expect(message).not.toBeNull();
+        const link = message.html.match(/href="([^"]*token_id=[^"]*)"/)[1].replace(/&amp;/g, '&');
+        const params = new URL(link).searchParams;
+        const stored = await db.query('SELECT user_id FROM magic_tokens WHERE id = $1', [params.get('token_id')]);
+        expect(stored.rows[0].user_id).toBe(user.id);
+        expect(params.get('token')).toBeTruthy();
+        expect(params.get('signature')).toBeTruthy();
+    });
+
+    it('includes a login code when asked for one', async () => {
+        const user = await createUser();
+
+        await request(app)
+            .post('/api/auth/magic-link/request')
+            .send({ email: user.email, includeCode: true })
+            .expect(200);
+        await emailQueue.processDue();
+
+        expect(emailTransport.last(user.email).html).toMatch(/\b\d{6}\b/);
+    });
+
+    it('sends nothing for an unknown address', async () => {
+        await request(app)
+            .post('/api/auth/magic-link/request')
+            .send({ email: 'nobody@example.com' })
+            .expect(200);
+        await emailQueue.processDue();
+
+        expect(emailTransport.messages).toHaveLength(0);
+    });
+
+    it('sends nothing to a banned user', async () => {
+        const user = await createUser({ status: 'banned' });
+
+        await request(app)
+            .post('/api/auth/magic-link/request')
+            .send({ email: user.email })
+            .expect(200);
+        await emailQueue.processDue();
+
+        expect(emailTransport.last(user.email)).toBeNull();
+    });
+});
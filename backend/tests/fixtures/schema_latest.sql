@@ -0,0 +1,131 @@
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- Users table
+DROP TABLE IF EXISTS users CASCADE;
+CREATE TABLE users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash VARCHAR(255) NOT NULL,
+    password_salt VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Magic tokens table
+DROP TABLE IF EXISTS magic_tokens CASCADE;
+CREATE TABLE magic_tokens (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(255) NOT NULL,
+    token_salt VARCHAR(255) NOT NULL,
+    used BOOLEAN DEFAULT FALSE,
+    invalidated_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    idempotency_key VARCHAR(255),
+    device_fingerprint VARCHAR(255),
+    ip_address INET,
+    user_agent TEXT,
+    nonce VARCHAR(255),
+    cross_device BOOLEAN DEFAULT FALSE,
+    approval_status VARCHAR(20),
+    approved_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT valid_expiry CHECK (expires_at > created_at)
+);
+
+-- One-time login codes sent alongside magic links
+DROP TABLE IF EXISTS otp_codes CASCADE;
+CREATE TABLE otp_codes (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    magic_token_id UUID REFERENCES magic_tokens(id) ON DELETE SET NULL,
+    code_hash VARCHAR(255) NOT NULL,
+    code_salt VARCHAR(255) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    used BOOLEAN DEFAULT FALSE,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refresh tokens table
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+CREATE TABLE refresh_tokens (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    family_id UUID NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(255) NOT NULL,
+    token_salt VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    revoked BOOLEAN DEFAULT FALSE,
+    revoked_reason VARCHAR(50),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    replaced_by UUID REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+    device_fingerprint VARCHAR(255),
+    ip_address INET,
+    user_agent TEXT,
+    CONSTRAINT valid_expiry CHECK (expires_at > created_at)
+);
+
+-- Failed attempts tracking (email is unknown when a magic link doesn't match any token)
+DROP TABLE IF EXISTS failed_attempts CASCADE;
+CREATE TABLE failed_attempts (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255),
+    ip_address INET NOT NULL,
+    attempt_type VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit logs
+DROP TABLE IF EXISTS audit_logs CASCADE;
+CREATE TABLE audit_logs (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    event_type VARCHAR(50) NOT NULL,
+    ip_address INET,
+    user_agent TEXT,
+    request_id VARCHAR(128),
+    metadata JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Archives for the cleanup job when CLEANUP_ARCHIVE=true (same columns, no constraints)
+DROP TABLE IF EXISTS magic_tokens_archive;
+CREATE TABLE magic_tokens_archive (LIKE magic_tokens);
+DROP TABLE IF EXISTS refresh_tokens_archive;
+CREATE TABLE refresh_tokens_archive (LIKE refresh_tokens);
+DROP TABLE IF EXISTS audit_logs_archive;
+CREATE TABLE audit_logs_archive (LIKE audit_logs);
+
+-- Indexes
+CREATE INDEX idx_magic_tokens_user ON magic_tokens(user_id);
+CREATE INDEX idx_magic_tokens_expires ON magic_tokens(expires_at);
+CREATE UNIQUE INDEX idx_magic_tokens_idempotency ON magic_tokens(user_id, idempotency_key) WHERE idempotency_key IS NOT NULL;
+CREATE INDEX idx_otp_codes_magic_token ON otp_codes(magic_token_id);
+CREATE INDEX idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+CREATE INDEX idx_refresh_tokens_family ON refresh_tokens(family_id);
+CREATE INDEX idx_failed_attempts_email ON failed_attempts(email, created_at);
+CREATE INDEX idx_failed_attempts_ip ON failed_attempts(ip_address, created_at);
+CREATE INDEX idx_failed_attempts_created ON failed_attempts(created_at);
+CREATE INDEX idx_audit_logs_user ON audit_logs(user_id);
+CREATE INDEX idx_audit_logs_type ON audit_logs(event_type);
+CREATE INDEX idx_audit_logs_created ON audit_logs(created_at);
+
+-- Functions
+CREATE OR REPLACE FUNCTION update_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Triggers
+CREATE TRIGGER update_users_updated_at
+    BEFORE UPDATE ON users
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
\ No newline at end of file
@@ -0,0 +1,213 @@
+const request = require('supertest');
+const app = require('../app');
+const { db } = require('./support/database');
+const { createUser, signIn } = require('./support/fixtures');
+const lockoutService = require('../services/lockout');
+const ipAddress = require('../services/ipAddress');
+const tenantService = require('../services/tenants');
+
+const { delayAfterFailures, maxFailures, windowMinutes } = lockoutService.config;
+
+// Failures from somewhere other than the test client, so only the email scope is affected
+const OTHER_IP = '203.0.113.7';
+
+const ACME_HOST = 'acme.example.com';
+
+function login(email, password, host = 'localhost') {
+    return request(app).post('/api/auth/login').set('Host', host).send({ email, password });
+}
+
+async function seedFailures(count, { email = null, ip = OTHER_IP, attemptType = 'password', tenantId = 'default' }) {
+    for (let i = 0; i < count; i++) {
+        await db.query(
+            'INSERT INTO failed_attempts (tenant_id, email, ip_address, attempt_type) VALUES ($1, $2, $3, $4)',
+            [tenantId, email, ip, attemptType]
+        );
+    }
+}
+
+beforeAll(() => tenantService.save({ id: 'acme', name: 'Acme', hosts: [ACME_HOST] }));
+
+// Failures are per email and per IP, and every test signs in from the same address
+beforeEach(() => db.query('DELETE FROM failed_attempts'));
+
+describe('password login lockouts', () => {
+    it('delays further attempts once the failures pass the threshold', async () => {
+        const user = await createUser();
+        for (let i = 0; i < delayAfterFailures; i++) {
+            await login(user.email, 'wrong password').expect(401);
+        }
+
+        // Even the right password waits out the delay
+        const response = await login(user.email, user.password).expect(429);
+        expect(Number(response.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+        expect(response.body.error).toBe('Too many failed attempts, please try again later');
+    });
+
+    it('locks an email out at its max failures until they age out of the window', async () => {
+        const user = await createUser();
+        await seedFailures(maxFailures.email, { email: user.email });
+
+        const response = await login(user.email, user.password).expect(429);
+        const retryAfter = Number(response.headers['retry-after']);
+        expect(retryAfter).toBeGreaterThan(windowMinutes * 60 - 30);
+        expect(retryAfter).toBeLessThanOrEqual(windowMinutes * 60);
+
+        // Another account from the same client is unaffected
+        const other = await createUser();
+        await signIn(app, other);
+    });
+
+    it('locks out an IP across every account it tries', async () => {
+        // The address the test client connects from, as the lockout service records it
+        const user = await createUser();
+        await signIn(app, user);
+        const audited = await db.query(
+            "SELECT host(ip_address) AS ip FROM audit_logs WHERE user_id = $1 AND event_type = 'password_login'",
+            [user.id]
+        );
+        await seedFailures(maxFailures.ip, { ip: ipAddress.normalize(audited.rows[0].ip) });
+
+        const response = await login(user.email, user.password).expect(429);
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(windowMinutes * 60 - 30);
+        const other = await createUser();
+        await login(other.email, other.password).expect(429);
+    });
+
+    it('ignores failures older than the window', async () => {
+        const user = await createUser();
+        await seedFailures(maxFailures.email, { email: user.email });
+        await db.query(`UPDATE failed_attempts SET created_at = NOW() - make_interval(mins => $1)`, [windowMinutes + 1]);
+
+        await signIn(app, user);
+    });
+
+    it('turns a locked out attempt away before checking the password', async () => {
+        const user = await createUser();
+        await seedFailures(maxFailures.email, { email: user.email });
+        const before = await db.query('SELECT COUNT(*) AS count FROM failed_attempts');
+
+        await login(user.email, 'wrong password').expect(429);
+
+        // Rejected before the credentials were checked, so nothing new was recorded
+        const after = await db.query('SELECT COUNT(*) AS count FROM failed_attempts');
+        expect(Number(after.rows[0].count)).toBe(Number(before.rows[0].count));
+    });
+});
+
+describe('login code lockouts', () => {
+    it('delays code guesses once the failures pass the threshold', async () => {
+        const user = await createUser();
+        for (let i = 0; i < delayAfterFailures; i++) {
+            await request(app).post('/api/auth/otp/verify').send({ email: user.email, code: '000000' }).expect(401);
+        }
+
+        const response = await request(app).post('/api/auth/otp/verify').send({ email: user.email, code: '000000' }).expect(429);
+        expect(Number(response.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+    });
+
+    it('does not count a code that could not be checked', async () => {
+        const user = await createUser();
+
+        // Take the codes table away so the lookup fails, as it would with the database down
+        await db.query('ALTER TABLE otp_codes RENAME TO otp_codes_offline');
+        try {
+            await request(app).post('/api/auth/otp/verify').send({ email: user.email, code: '000000' }).expect(500);
+        } finally {
+            await db.query('ALTER TABLE otp_codes_offline RENAME TO otp_codes');
+        }
+
+        const recorded = await db.query('SELECT COUNT(*) AS count FROM failed_attempts');
+        expect(Number(recorded.rows[0].count)).toBe(0);
+    });
+});
+
+describe('DELETE /api/admin/lockouts', () => {
+    it('lets an admin clear an email lockout', async () => {
+        const admin = await createUser({ role: 'admin' });
+        const { accessToken } = await signIn(app, admin);
+        const user = await createUser();
+        await seedFailures(maxFailures.email, { email: user.email });
+        await login(user.email, user.password).expect(429);
+
+        const listed = await request(app)
+            .get('/api/admin/lockouts')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .expect(200);
+        expect(listed.body.lockouts).toEqual(expect.arrayContaining([
+            expect.objectContaining({ scope: 'email', key: user.email, locked: true })
+        ]));
+
+        const cleared = await request(app)
+            .delete('/api/admin/lockouts')
+            .query({ scope: 'email', key: user.email })
+            .set('Authorization', `Bearer ${accessToken}`)
+            .expect(200);
+        expect(cleared.body.clearedAttempts).toBe(maxFailures.email);
+
+        await signIn(app, user);
+    });
+
+    it('is refused to a regular user', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+
+        await request(app)
+            .delete('/api/admin/lockouts')
+            .query({ scope: 'email', key: user.email })
+            .set('Authorization', `Bearer ${accessToken}`)
+            .expect(403);
+    });
+});
+
+describe('lockouts per tenant', () => {
+    it('only counts failures towards the tenant they were made against', async () => {
+        const email = `both.${Date.now()}@example.com`;
+        const inDefault = await createUser({ email });
+        const inAcme = await createUser({ email, tenantId: 'acme' });
+        await seedFailures(maxFailures.email, { email, tenantId: 'acme' });
+
+        await login(inAcme.email, inAcme.password, ACME_HOST).expect(429);
+        await login(inDefault.email, inDefault.password).expect(200);
+    });
+
+    it('records failures against the tenant of the request', async () => {
+        const user = await createUser({ tenantId: 'acme' });
+        await login(user.email, 'wrong password', ACME_HOST).expect(401);
+
+        const recorded = await db.query('SELECT tenant_id FROM failed_attempts');
+        expect(recorded.rows).toEqual([{ tenant_id: 'acme' }]);
+    });
+
+    it("lets a tenant's admin see and clear only that tenant's lockouts", async () => {
+        const admin = await createUser({ role: 'admin', tenantId: 'acme' });
+        const { accessToken } = (await login(admin.email, admin.password, ACME_HOST).expect(200)).body;
+        const email = `locked.${Date.now()}@example.com`;
+        await seedFailures(maxFailures.email, { email, tenantId: 'acme' });
+        await seedFailures(maxFailures.email, { email, ip: '198.51.100.20' });
+
+        const listed = await request(app)
+            .get('/api/admin/lockouts')
+            .set('Host', ACME_HOST)
+            .set('Authorization', `Bearer ${accessToken}`)
+            .expect(200);
+        expect(listed.body.lockouts.map(lockout => `${lockout.scope} ${lockout.key}`).sort()).toEqual([
+            `email ${email}`,
+            `ip ${OTHER_IP}`
+        ]);
+
+        const cleared = await request(app)
+            .delete('/api/admin/lockouts')
+            .query({ scope: 'email', key: email })
+            .set('Host', ACME_HOST)
+            .set('Authorization', `Bearer ${accessToken}`)
+            .expect(200);
+        expect(cleared.body.clearedAttempts).toBe(maxFailures.email);
+
+        // The default tenant's lockout of the same address is still there
+        const remaining = await db.query('SELECT tenant_id, COUNT(*) AS count FROM failed_attempts GROUP BY tenant_id');
+        expect(remaining.rows.map(row => ({ ...row, count: Number(row.count) }))).toEqual([
+            { tenant_id: 'default', count: maxFailures.email }
+        ]);
+    });
+});
@@ -0,0 +1,103 @@
+const request = require('supertest');
+const app = require('../app');
+const emailQueue = require('../services/emailQueue');
+const { emailTransport } = require('../external_apis/resend');
+const { db } = require('./support/database');
+const { createUser, emailedLink } = require('./support/fixtures');
+
+beforeEach(() => emailTransport.clear());
+
+function requestLink(email, idempotencyKey = null) {
+    const post = request(app).post('/api/auth/magic-link/request');
+    if (idempotencyKey) post.set('Idempotency-Key', idempotencyKey);
+    return post.send({ email }).expect(200);
+}
+
+function verify(link) {
+    return request(app)
+        .post('/api/auth/magic-link/verify')
+        .send({ token_id: link.searchParams.get('token_id'), token: link.searchParams.get('token') });
+}
+
+async function sentTo(email) {
+    await emailQueue.processDue();
+    return emailTransport.messages.filter(message => message.to === email).length;
+}
+
+// Let the resend cooldown pass for the links a user already has
+function ageLinks(userId) {
+    return db.query("UPDATE magic_tokens SET created_at = NOW() - INTERVAL '1 hour' WHERE user_id = $1", [userId]);
+}
+
+async function outcomes(userId) {
+    const result = await db.query(
+        "SELECT metadata->>'outcome' AS outcome FROM audit_logs WHERE user_id = $1 AND event_type = 'magic_link_requested' ORDER BY id",
+        [userId]
+    );
+    return result.rows.map(row => row.outcome);
+}
+
+describe('POST /api/auth/magic-link/request', () => {
+    it('sends one link for a double click within the resend cooldown', async () => {
+        const user = await createUser();
+
+        await requestLink(user.email);
+        await requestLink(user.email);
+
+        expect(await sentTo(user.email)).toBe(1);
+        const tokens = await db.query('SELECT COUNT(*) AS count FROM magic_tokens WHERE user_id = $1', [user.id]);
+        expect(Number(tokens.rows[0].count)).toBe(1);
+        expect(await outcomes(user.id)).toEqual(['issued', 'cooldown']);
+    });
+
+    it('answers a retry with the same Idempotency-Key without sending again, even after the cooldown', async () => {
+        const user = await createUser();
+
+        const first = await requestLink(user.email, 'retry-key-1');
+        await ageLinks(user.id);
+        const retried = await requestLink(user.email, 'retry-key-1');
+
+        expect(retried.body.message).toBe(first.body.message);
+        expect(await sentTo(user.email)).toBe(1);
+        expect(await outcomes(user.id)).toEqual(['issued', 'idempotent']);
+    });
+
+    it('sends a new link once the cooldown has passed and retires the old one', async () => {
+        const user = await createUser();
+        await requestLink(user.email);
+        const oldLink = await emailedLink(user.email);
+        await ageLinks(user.id);
+
+        await requestLink(user.email);
+        const newLink = await emailedLink(user.email);
+        expect(newLink.searchParams.get('token_id')).not.toBe(oldLink.searchParams.get('token_id'));
+
+        await verify(oldLink).expect(401);
+        await verify(newLink).expect(200);
+    });
+
+    it('sends a new link for a new Idempotency-Key once the cooldown has passed', async () => {
+        const user = await createUser();
+        await requestLink(user.email, 'first-key');
+        await ageLinks(user.id);
+
+        await requestLink(user.email, 'second-key');
+
+        expect(await sentTo(user.email)).toBe(2);
+        const live = await db.query(
+            'SELECT idempotency_key FROM magic_tokens WHERE user_id = $1 AND invalidated_at IS NULL',
+            [user.id]
+        );
+        expect(live.rows).toEqual([{ idempotency_key: 'second-key' }]);
+    });
+
+    it('rejects an Idempotency-Key that is too long', async () => {
+        const user = await createUser();
+
+        await request(app)
+            .post('/api/auth/magic-link/request')
+            .set('Idempotency-Key', 'k'.repeat(256))
+            .send({ email: user.email })
+            .expect(400);
+    });
+});
@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const { emailTransport } = require('../external_apis/resend');
+const { db } = require('./support/database');
+const { createUser, signIn, emailedLink } = require('./support/fixtures');
+
+// RFC 6238 with the parameters the otpauth URL advertises, as an authenticator app computes it
+function base32Decode(text) {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    let bits = '';
+    for (const char of text) bits += alphabet.indexOf(char).toString(2).padStart(5, '0');
+    return Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+}
+
+function totp(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = digest[digest.length - 1] & 15;
+    return String((digest.readUInt32BE(offset) & 0x7fffffff) % 1e6).padStart(6, '0');
+}
+
+function currentStep() {
+    return Math.floor(Date.now() / 30000);
+}
+
+// A well-formed code that no step inside the accepted window produces
+function wrongCode(secret) {
+    const step = currentStep();
+    const accepted = [step - 1, step, step + 1, step + 2].map(s => totp(secret, s));
+    return ['000000', '111111', '222222', '333333', '444444'].find(code => !accepted.includes(code));
+}
+
+function withToken(method, path, accessToken) {
+    return request(app)[method](path).set('Authorization', `Bearer ${accessToken}`);
+}
+
+// Set up and confirm TOTP for a new user; the confirming code uses up the current step
+async function userWithTotp() {
+    const user = await createUser();
+    const { accessToken } = await signIn(app, user);
+    const setup = await withToken('post', '/api/auth/mfa/totp/setup', accessToken).send({}).expect(200);
+    const confirmed = await withToken('post', '/api/auth/mfa/totp/confirm', accessToken)
+        .send({ code: totp(setup.body.secret, currentStep()) })
+        .expect(200);
+    return { ...user, accessToken, secret: setup.body.secret, recoveryCodes: confirmed.body.recoveryCodes };
+}
+
+async function passwordChallenge(user) {
+    const response = await request(app).post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+    expect(response.body.accessToken).toBeUndefined();
+    expect(response.body.mfaRequired).toBe(true);
+    return response.body.mfaToken;
+}
+
+function verifyMfa(mfaToken, code) {
+    return request(app).post('/api/auth/mfa/verify').send({ mfaToken, code });
+}
+
+beforeEach(async () => {
+    emailTransport.clear();
+    await db.query('DELETE FROM failed_attempts');
+});
+
+describe('TOTP enrollment', () => {
+    it('only takes effect once a code from the app confirms it', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+
+        const setup = await withToken('post', '/api/auth/mfa/totp/setup', accessToken).send({}).expect(200);
+        const url = new URL(setup.body.otpauthUrl);
+        expect(url.protocol).toBe('otpauth:');
+        expect(url.searchParams.get('secret')).toBe(setup.body.secret);
+        expect((await withToken('get', '/api/auth/mfa', accessToken).expect(200)).body.enabled).toBe(false);
+
+        const wrong = await withToken('post', '/api/auth/mfa/totp/confirm', accessToken)
+            .send({ code: wrongCode(setup.body.secret) })
+            .expect(400);
+        expect(wrong.body.error).toBe('Invalid code');
+
+        const confirmed = await withToken('post', '/api/auth/mfa/totp/confirm', accessToken)
+            .send({ code: totp(setup.body.secret, currentStep()) })
+            .expect(200);
+        expect(confirmed.body.recoveryCodes).toHaveLength(10);
+        const status = await withToken('get', '/api/auth/mfa', accessToken).expect(200);
+        expect(status.body).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    });
+
+    it('keeps the secret encrypted and the recovery codes hashed', async () => {
+        const user = await userWithTotp();
+
+        const totpRow = await db.query('SELECT secret_encrypted FROM mfa_totp WHERE user_id = $1', [user.id]);
+        expect(totpRow.rows[0].secret_encrypted).not.toContain(user.secret);
+        const codes = await db.query('SELECT code_hash FROM mfa_recovery_codes WHERE user_id = $1', [user.id]);
+        const stored = codes.rows.map(row => row.code_hash).join(' ');
+        for (const code of user.recoveryCodes) {
+            expect(stored).not.toContain(code.replace(/-/g, ''));
+        }
+    });
+});
+
+describe('POST /api/auth/mfa/verify', () => {
+    it('holds a password sign in until the TOTP code is given', async () => {
+        const user = await userWithTotp();
+        const mfaToken = await passwordChallenge(user);
+
+        const response = await verifyMfa(mfaToken, totp(user.secret, currentStep() + 1)).expect(200);
+        await withToken('get', '/api/auth/me', response.body.accessToken).expect(200);
+    });
+
+    it('holds a magic link sign in the same way', async () => {
+        const user = await userWithTotp();
+        await request(app).post('/api/auth/magic-link/request').send({ email: user.email }).expect(200);
+        const link = await emailedLink(user.email);
+
+        const verified = await request(app)
+            .post('/api/auth/magic-link/verify')
+            .send({ token_id: link.searchParams.get('token_id'), token: link.searchParams.get('token') })
+            .expect(200);
+        expect(verified.body.accessToken).toBeUndefined();
+
+        await verifyMfa(verified.body.mfaToken, totp(user.secret, currentStep() + 1)).expect(200);
+    });
+
+    it('refuses a TOTP code that was already used', async () => {
+        const user = await userWithTotp();
+        const code = totp(user.secret, currentStep() + 1);
+        await verifyMfa(await passwordChallenge(user), code).expect(200);
+
+        const replayed = await verifyMfa(await passwordChallenge(user), code).expect(401);
+        expect(replayed.body.error).toBe('Invalid code');
+    });
+
+    it('accepts each recovery code once, ignoring case and dashes', async () => {
+        const user = await userWithTotp();
+        const [recoveryCode] = user.recoveryCodes;
+
+        await verifyMfa(await passwordChallenge(user), recoveryCode.replace(/-/g, '').toUpperCase()).expect(200);
+        await verifyMfa(await passwordChallenge(user), recoveryCode).expect(401);
+
+        const status = await withToken('get', '/api/auth/mfa', user.accessToken).expect(200);
+        expect(status.body.recoveryCodesRemaining).toBe(9);
+    });
+
+    it('accepts each mfa_pending token once', async () => {
+        const user = await userWithTotp();
+        const mfaToken = await passwordChallenge(user);
+        await verifyMfa(mfaToken, user.recoveryCodes[0]).expect(200);
+
+        const response = await verifyMfa(mfaToken, user.recoveryCodes[1]).expect(401);
+        expect(response.body.error).toBe('Sign in expired, please start again');
+    });
+
+    it('does not take an access token in place of the mfa_pending token', async () => {
+        const user = await userWithTotp();
+
+        await verifyMfa(user.accessToken, user.recoveryCodes[0]).expect(400);
+    });
+});
+
+describe('turning TOTP off', () => {
+    it('needs a current code', async () => {
+        const user = await userWithTotp();
+
+        await withToken('post', '/api/auth/mfa/totp/disable', user.accessToken).send({ code: wrongCode(user.secret) }).expect(400);
+        await withToken('post', '/api/auth/mfa/totp/disable', user.accessToken).send({ code: user.recoveryCodes[0] }).expect(200);
+
+        const response = await request(app).post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+        expect(response.body.accessToken).toBeTruthy();
+    });
+
+    it('can be done by an admin for a user who lost their device', async () => {
+        const user = await userWithTotp();
+        const admin = await createUser({ role: 'admin' });
+        const { accessToken } = await signIn(app, admin);
+
+        await withToken('post', `/api/admin/users/${user.id}/mfa/reset`, accessToken).send({}).expect(200);
+        await withToken('post', `/api/admin/users/${user.id}/mfa/reset`, accessToken).send({}).expect(404);
+        await withToken('post', `/api/admin/users/${admin.id}/mfa/reset`, user.accessToken).send({}).expect(403);
+
+        const response = await request(app).post('/api/auth/login').send({ email: user.email, password: user.password }).expect(200);
+        expect(response.body.accessToken).toBeTruthy();
+        const audited = await db.query("SELECT user_id FROM audit_logs WHERE event_type = 'user_mfa_reset' AND metadata->>'target_user_id' = $1", [String(user.id)]);
+        expect(audited.rows).toEqual([{ user_id: admin.id }]);
+    });
+});
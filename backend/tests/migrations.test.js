@@ -0,0 +1,97 @@
+const fs = require('fs');
+const path = require('path');
+const { createDatabase } = require('./support/database');
+
+// The columns, indexes and constraints of a database, for comparing two of them
+async function describeSchema({ db }) {
+    const columns = await db.query(`
+        SELECT table_name, column_name, data_type, is_nullable, column_default
+        FROM information_schema.columns
+        WHERE table_schema = 'public' AND table_name NOT LIKE 'knex_%'
+        ORDER BY table_name, column_name
+    `);
+    const indexes = await db.query(`
+        SELECT tablename, indexname, indexdef
+        FROM pg_indexes
+        WHERE schemaname = 'public' AND tablename NOT LIKE 'knex_%'
+        ORDER BY tablename, indexname
+    `);
+    const constraints = await db.query(`
+        SELECT conrelid::regclass::text AS table_name, conname, pg_get_constraintdef(oid) AS definition
+        FROM pg_constraint
+        WHERE connamespace = 'public'::regnamespace AND conrelid::regclass::text NOT LIKE 'knex_%'
+        ORDER BY 1, 2
+    `);
+    return { columns: columns.rows, indexes: indexes.rows, constraints: constraints.rows };
+}
+
+// A database set up the old way, from a version of db/schema.sql, then migrated
+async function migratedFromSchemaSql(file) {
+    const database = createDatabase();
+    await database.pglite.exec(fs.readFileSync(path.join(__dirname, 'fixtures', file), 'utf8'));
+    await database.migrate();
+    return database;
+}
+
+describe('migrations', () => {
+    const databases = [];
+    let expected;
+
+    beforeAll(async () => {
+        const fresh = createDatabase();
+        databases.push(fresh);
+        await fresh.migrate();
+        expected = await describeSchema(fresh);
+    }, 60000);
+
+    afterAll(() => Promise.all(databases.map(database => database.close())));
+
+    it('bring a database from the original schema.sql up to date', async () => {
+        const database = await migratedFromSchemaSql('schema_original.sql');
+        databases.push(database);
+
+        expect(await describeSchema(database)).toEqual(expected);
+    }, 60000);
+
+    it('bring a database from the last schema.sql up to date', async () => {
+        const database = await migratedFromSchemaSql('schema_latest.sql');
+        databases.push(database);
+
+        expect(await describeSchema(database)).toEqual(expected);
+    }, 60000);
+
+    it('keep existing rows when adopting a schema.sql database', async () => {
+        const database = createDatabase();
+        databases.push(database);
+        await database.pglite.exec(fs.readFileSync(path.join(__dirname, 'fixtures', 'schema_original.sql'), 'utf8'));
+        await database.db.query(
+            "INSERT INTO users (email, password_hash, password_salt) VALUES ('Old.User+tag@example.com', 'hash', 'salt')"
+        );
+        await database.db.query(`
+            INSERT INTO refresh_tokens (user_id, token_hash, token_salt, expires_at)
+            SELECT id, 'hash', 'salt', NOW() + INTERVAL '1 day' FROM users
+        `);
+
+        await database.migrate();
+
+        // email_canonical is folded by the duplicate policy, as registration does it
+        const users = await database.db.query('SELECT email, email_canonical, status, tenant_id FROM users');
+        expect(users.rows).toEqual([
+            { email: 'Old.User+tag@example.com', email_canonical: 'old.user@example.com', status: 'active', tenant_id: 'default' }
+        ]);
+        // Tokens issued before rotation each start their own family
+        const tokens = await database.db.query('SELECT id, family_id FROM refresh_tokens');
+        expect(tokens.rows[0].family_id).toBe(tokens.rows[0].id);
+    }, 60000);
+
+    it('roll back to an empty database and apply again', async () => {
+        const [fresh] = databases;
+
+        await fresh.knex.migrate.rollback(undefined, true);
+        const empty = await describeSchema(fresh);
+        expect(empty.columns).toEqual([]);
+
+        await fresh.migrate();
+        expect(await describeSchema(fresh)).toEqual(expected);
+    }, 60000);
+});
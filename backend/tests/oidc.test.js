@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../app');
+const oidcService = require('../services/oidc');
+const tenantService = require('../services/tenants');
+const { db } = require('./support/database');
+const { createUser, signIn } = require('./support/fixtures');
+
+const REDIRECT_URI = 'http://rp.example.com/callback';
+const OTHER_REDIRECT_URI = 'http://rp.example.com/other-callback';
+
+// The relying party's half of the flow, as scripts/oidc_stub_rp.js does it
+function newFlow() {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    return {
+        state: crypto.randomBytes(16).toString('base64url'),
+        nonce: crypto.randomBytes(16).toString('base64url'),
+        codeVerifier,
+        codeChallenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url')
+    };
+}
+
+function authorize(client, flow, overrides = {}) {
+    return request(app)
+        .get('/oauth/authorize')
+        .query({
+            response_type: 'code',
+            client_id: client.clientId,
+            redirect_uri: REDIRECT_URI,
+            scope: 'openid email offline_access',
+            state: flow.state,
+            nonce: flow.nonce,
+            code_challenge: flow.codeChallenge,
+            code_challenge_method: 'S256',
+            ...overrides
+        });
+}
+
+// Authorize, then sign in on the login page the provider sent the browser to; resolves to the code
+async function obtainCode(client, user, flow = newFlow()) {
+    const authorized = await authorize(client, flow).expect(302);
+    const oidcRequest = new URL(authorized.headers.location).searchParams.get('oidc_request');
+    expect(oidcRequest).toBeTruthy();
+
+    const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: user.password, oidcRequest })
+        .expect(200);
+    expect(login.body.accessToken).toBeUndefined();
+
+    const callback = new URL(login.body.redirectTo);
+    expect(`${callback.origin}${callback.pathname}`).toBe(REDIRECT_URI);
+    expect(callback.searchParams.get('state')).toBe(flow.state);
+    return { code: callback.searchParams.get('code'), flow };
+}
+
+function exchange(client, fields) {
+    const post = request(app).post('/oauth/token').type('form');
+    if (client.clientSecret) {
+        post.auth(client.clientId, client.clientSecret);
+    }
+    return post.send({
+        grant_type: 'authorization_code',
+        redirect_uri: REDIRECT_URI,
+        ...(!client.clientSecret && { client_id: client.clientId }),
+        ...fields
+    });
+}
+
+const ACME_HOST = 'acme.example.com';
+
+// The id of an authorization request the browser was sent to sign in for
+function requestIdOf(authorized) {
+    return new URL(authorized.headers.location).searchParams.get('oidc_request');
+}
+
+function registerClient(options = {}) {
+    return oidcService.createClient({ name: 'Test RP', redirectUris: [REDIRECT_URI, OTHER_REDIRECT_URI], ...options });
+}
+
+describe('authorization code flow', () => {
+    it('issues tokens and an ID token a relying party can verify', async () => {
+        const client = await registerClient();
+        const user = await createUser();
+        const { code, flow } = await obtainCode(client, user);
+
+        const response = await exchange(client, { code, code_verifier: flow.codeVerifier }).expect(200);
+        expect(response.headers['cache-control']).toBe('no-store');
+        expect(response.body).toMatchObject({ token_type: 'Bearer' });
+        expect(response.body.refresh_token).toBeTruthy();
+
+        // Check the ID token the way the stub relying party does: discovery, JWKS, claims
+        const metadata = (await request(app).get('/.well-known/openid-configuration').expect(200)).body;
+        const jwks = (await request(app).get('/.well-known/jwks.json').expect(200)).body;
+        const { header } = jwt.decode(response.body.id_token, { complete: true });
+        const jwk = jwks.keys.find(key => key.kid === header.kid);
+        const claims = jwt.verify(response.body.id_token, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+            algorithms: metadata.id_token_signing_alg_values_supported,
+            issuer: metadata.issuer,
+            audience: client.clientId
+        });
+        expect(claims).toMatchObject({ sub: String(user.id), email: user.email, nonce: flow.nonce });
+
+        const userInfo = await request(app)
+            .get('/oauth/userinfo')
+            .set('Authorization', `Bearer ${response.body.access_token}`)
+            .expect(200);
+        expect(userInfo.body).toMatchObject({ sub: String(user.id), email: user.email });
+    });
+
+    it('lets a public client redeem its code with PKCE alone', async () => {
+        const client = await registerClient({ isPublic: true });
+        const user = await createUser();
+        const { code, flow } = await obtainCode(client, user);
+
+        await exchange(client, { code, code_verifier: flow.codeVerifier }).expect(200);
+    });
+
+    it('sends a request without PKCE back to the client with an error', async () => {
+        const client = await registerClient();
+        const flow = newFlow();
+
+        const response = await authorize(client, flow, { code_challenge: undefined, code_challenge_method: undefined }).expect(302);
+        const callback = new URL(response.headers.location);
+        expect(`${callback.origin}${callback.pathname}`).toBe(REDIRECT_URI);
+        expect(callback.searchParams.get('error')).toBe('invalid_request');
+        expect(callback.searchParams.get('state')).toBe(flow.state);
+    });
+
+    it('refuses to redirect to an unregistered redirect_uri', async () => {
+        const client = await registerClient();
+
+        const response = await authorize(client, newFlow(), { redirect_uri: 'http://attacker.example.com/callback' }).expect(400);
+        expect(response.headers.location).toBeUndefined();
+        expect(response.body.error).toBe('invalid_request');
+    });
+});
+
+describe('POST /oauth/token', () => {
+    it('rejects a reused code and revokes what its first use issued', async () => {
+        const client = await registerClient();
+        const user = await createUser();
+        const { code, flow } = await obtainCode(client, user);
+        const first = await exchange(client, { code, code_verifier: flow.codeVerifier }).expect(200);
+
+        const reused = await exchange(client, { code, code_verifier: flow.codeVerifier }).expect(400);
+        expect(reused.body).toEqual({ error: 'invalid_grant', error_description: 'Authorization code already used' });
+
+        const refreshed = await request(app)
+            .post('/oauth/token')
+            .type('form')
+            .auth(client.clientId, client.clientSecret)
+            .send({ grant_type: 'refresh_token', refresh_token: first.body.refresh_token })
+            .expect(400);
+        expect(refreshed.body.error).toBe('invalid_grant');
+    });
+
+    it('rejects a redirect_uri that differs from the authorization request', async () => {
+        const client = await registerClient();
+        const user = await createUser();
+        const { code, flow } = await obtainCode(client, user);
+
+        const response = await exchange(client, { code, code_verifier: flow.codeVerifier, redirect_uri: OTHER_REDIRECT_URI }).expect(400);
+        expect(response.body).toEqual({ error: 'invalid_grant', error_description: 'redirect_uri does not match the authorization request' });
+    });
+
+    it('rejects the wrong code_verifier', async () => {
+        const client = await registerClient();
+        const user = await createUser();
+        const { code } = await obtainCode(client, user);
+
+        const response = await exchange(client, { code, code_verifier: newFlow().codeVerifier }).expect(400);
+        expect(response.body).toEqual({ error: 'invalid_grant', error_description: 'PKCE verification failed' });
+    });
+
+    it('rejects a code issued to another client', async () => {
+        const client = await registerClient();
+        const otherClient = await registerClient();
+        const user = await createUser();
+        const { code, flow } = await obtainCode(client, user);
+
+        const response = await exchange(otherClient, { code, code_verifier: flow.codeVerifier }).expect(400);
+        expect(response.body.error).toBe('invalid_grant');
+    });
+
+    it('rejects a client with the wrong secret', async () => {
+        const client = await registerClient();
+        const user = await createUser();
+        const { code, flow } = await obtainCode(client, user);
+
+        const response = await exchange({ ...client, clientSecret: 'wrong' }, { code, code_verifier: flow.codeVerifier }).expect(401);
+        expect(response.body.error).toBe('invalid_client');
+    });
+});
+
+describe('authorization requests per tenant', () => {
+    beforeAll(() => tenantService.save({ id: 'acme', name: 'Acme', hosts: [ACME_HOST] }));
+
+    it('can only be seen and finished on the tenant they were made on', async () => {
+        const client = await registerClient();
+        const user = await createUser({ tenantId: 'acme' });
+        const oidcRequest = requestIdOf(await authorize(client, newFlow()).set('Host', ACME_HOST).expect(302));
+
+        await request(app).get(`/oauth/requests/${oidcRequest}`).expect(404);
+        await request(app).get(`/oauth/requests/${oidcRequest}`).set('Host', ACME_HOST).expect(200);
+
+        const login = await request(app)
+            .post('/api/auth/login')
+            .set('Host', ACME_HOST)
+            .send({ email: user.email, password: user.password, oidcRequest })
+            .expect(200);
+        expect(new URL(login.body.redirectTo).searchParams.get('code')).toBeTruthy();
+    });
+
+    it("turns away another tenant's user signing in for the request", async () => {
+        const client = await registerClient();
+        const user = await createUser();
+        const oidcRequest = requestIdOf(await authorize(client, newFlow()).set('Host', ACME_HOST).expect(302));
+
+        await request(app)
+            .post('/api/auth/magic-link/request')
+            .send({ email: user.email, oidcRequest })
+            .expect(400);
+        const login = await request(app)
+            .post('/api/auth/login')
+            .send({ email: user.email, password: user.password, oidcRequest })
+            .expect(400);
+        expect(login.body.redirectTo).toBeUndefined();
+
+        const pending = await db.query('SELECT user_id FROM oauth_authorization_requests WHERE id = $1', [oidcRequest]);
+        expect(pending.rows[0].user_id).toBeNull();
+    });
+
+    it('only lets a signed in user of the same tenant continue the request', async () => {
+        const client = await registerClient();
+        const oidcRequest = requestIdOf(await authorize(client, newFlow()).set('Host', ACME_HOST).expect(302));
+
+        const outsider = await createUser();
+        const { accessToken } = await signIn(app, outsider);
+        await request(app)
+            .post(`/oauth/requests/${oidcRequest}/continue`)
+            .set('Authorization', `Bearer ${accessToken}`)
+            .send({})
+            .expect(404);
+
+        const member = await createUser({ tenantId: 'acme' });
+        const login = await request(app)
+            .post('/api/auth/login')
+            .set('Host', ACME_HOST)
+            .send({ email: member.email, password: member.password })
+            .expect(200);
+        const continued = await request(app)
+            .post(`/oauth/requests/${oidcRequest}/continue`)
+            .set('Host', ACME_HOST)
+            .set('Authorization', `Bearer ${login.body.accessToken}`)
+            .send({})
+            .expect(200);
+        expect(new URL(continued.body.redirectTo).searchParams.get('code')).toBeTruthy();
+    });
+
+    it("refuses a code whose user is not in the request's tenant", async () => {
+        const client = await registerClient();
+        const user = await createUser();
+        const { code, flow } = await obtainCode(client, user);
+        await db.query("UPDATE oauth_authorization_requests SET tenant_id = 'acme' WHERE id = $1", [code.split('.')[0]]);
+
+        const response = await exchange(client, { code, code_verifier: flow.codeVerifier }).expect(400);
+        expect(response.body).toEqual({ error: 'invalid_grant', error_description: 'Authorization code was issued for another tenant' });
+    });
+});
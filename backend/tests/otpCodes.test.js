@@ -0,0 +1,120 @@
+const request = require('supertest');
+const app = require('../app');
+const { emailTransport } = require('../external_apis/resend');
+const { db } = require('./support/database');
+const { createUser, emailedLink, emailedCode } = require('./support/fixtures');
+
+beforeEach(async () => {
+    emailTransport.clear();
+    await db.query('DELETE FROM failed_attempts');
+});
+
+async function requestCode(user) {
+    await request(app).post('/api/auth/magic-link/request').send({ email: user.email, includeCode: true }).expect(200);
+    return emailedCode(user.email);
+}
+
+function verifyCode(email, code) {
+    return request(app).post('/api/auth/otp/verify').send({ email, code });
+}
+
+// A wrong guess that only the code's own attempt counter sees
+async function guessWrong(user, code, status = 401) {
+    const wrong = code === '000000' ? '111111' : '000000';
+    await verifyCode(user.email, wrong).expect(status);
+    await db.query('DELETE FROM failed_attempts');
+}
+
+describe('POST /api/auth/otp/verify', () => {
+    it('signs in with the emailed code and issues a token pair', async () => {
+        const user = await createUser();
+        const code = await requestCode(user);
+        expect(code).toMatch(/^\d{6}$/);
+
+        const response = await verifyCode(user.email, code).expect(200);
+        expect(response.body.accessToken).toBeTruthy();
+        expect(response.body.refreshToken).toBeTruthy();
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${response.body.accessToken}`).expect(200);
+    });
+
+    it('only sends a code when asked for one', async () => {
+        const user = await createUser();
+        await request(app).post('/api/auth/magic-link/request').send({ email: user.email }).expect(200);
+
+        expect(await emailedCode(user.email)).toBeNull();
+        const stored = await db.query('SELECT COUNT(*) AS count FROM otp_codes WHERE user_id = $1', [user.id]);
+        expect(Number(stored.rows[0].count)).toBe(0);
+    });
+
+    it('stores only a hash of the code', async () => {
+        const user = await createUser();
+        const code = await requestCode(user);
+
+        const stored = await db.query('SELECT code_hash FROM otp_codes WHERE user_id = $1', [user.id]);
+        expect(stored.rows[0].code_hash).not.toContain(code);
+    });
+
+    it('accepts each code once and uses up the link sent with it', async () => {
+        const user = await createUser();
+        const code = await requestCode(user);
+        const link = await emailedLink(user.email);
+
+        await verifyCode(user.email, code).expect(200);
+        await verifyCode(user.email, code).expect(401);
+        await request(app)
+            .post('/api/auth/magic-link/verify')
+            .send({ token_id: link.searchParams.get('token_id'), token: link.searchParams.get('token') })
+            .expect(401);
+    });
+
+    it('stops accepting the code once its link has been used', async () => {
+        const user = await createUser();
+        const code = await requestCode(user);
+        const link = await emailedLink(user.email);
+
+        await request(app)
+            .post('/api/auth/magic-link/verify')
+            .send({ token_id: link.searchParams.get('token_id'), token: link.searchParams.get('token') })
+            .expect(200);
+        await verifyCode(user.email, code).expect(401);
+    });
+
+    it('rejects an expired code', async () => {
+        const user = await createUser();
+        const code = await requestCode(user);
+        await db.query("UPDATE otp_codes SET expires_at = NOW() - INTERVAL '1 minute' WHERE user_id = $1", [user.id]);
+
+        const response = await verifyCode(user.email, code).expect(401);
+        expect(response.body.error).toBe('Invalid or expired code');
+    });
+
+    it('locks the code after too many wrong guesses, even for the right one', async () => {
+        const user = await createUser();
+        const code = await requestCode(user);
+        for (let i = 1; i < 5; i++) {
+            await guessWrong(user, code);
+        }
+        // The last allowed guess locks the code
+        await guessWrong(user, code, 429);
+
+        const response = await verifyCode(user.email, code).expect(429);
+        expect(response.body.error).toBe('Too many attempts, please request a new code later');
+        expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    });
+
+    it('gives an unknown email the same answer as a wrong code', async () => {
+        const user = await createUser();
+        const code = await requestCode(user);
+
+        const unknown = await verifyCode('nobody@example.com', code).expect(401);
+        const wrong = await verifyCode(user.email, code === '000000' ? '111111' : '000000').expect(401);
+        expect(unknown.body.error).toBe(wrong.body.error);
+    });
+
+    it('rejects a code that is not six digits', async () => {
+        const user = await createUser();
+
+        await verifyCode(user.email, '12345').expect(400);
+        await verifyCode(user.email, 'abcdef').expect(400);
+    });
+});
@@ -0,0 +1,96 @@
+const request = require('supertest');
+const app = require('../app');
+const passwordService = require('../services/password');
+const { emailTransport } = require('../external_apis/resend');
+const { db } = require('./support/database');
+const { DEFAULT_PASSWORD, createUser, emailedLink } = require('./support/fixtures');
+
+beforeEach(() => emailTransport.clear());
+
+function login(email, password) {
+    return request(app).post('/api/auth/login').send({ email, password });
+}
+
+async function storedHash(userId) {
+    const result = await db.query('SELECT password_hash, password_salt FROM users WHERE id = $1', [userId]);
+    return result.rows[0];
+}
+
+describe('password hashing', () => {
+    it('stores a salted scrypt hash with its parameters on registration', async () => {
+        await request(app).post('/api/auth/register').send({ email: 'hashed@example.com', password: DEFAULT_PASSWORD }).expect(200);
+
+        const result = await db.query("SELECT password_hash, password_salt FROM users WHERE email = 'hashed@example.com'");
+        const { password_hash: hash, password_salt: salt } = result.rows[0];
+        expect(hash).toMatch(/^scrypt\$N=\d+,r=\d+,p=\d+\$[A-Za-z0-9+/=]+$/);
+        expect(hash).not.toContain(DEFAULT_PASSWORD);
+        expect(await passwordService.verifyPassword(DEFAULT_PASSWORD, hash, salt)).toBe(true);
+        expect(await passwordService.verifyPassword('not the password', hash, salt)).toBe(false);
+    });
+
+    it('upgrades a hash made with older parameters on the next login', async () => {
+        const user = await createUser();
+        const older = { cost: 1024, blockSize: 8, parallelization: 1, keyLength: 64 };
+        const key = await passwordService.deriveKey(user.password, 'old-salt', older);
+        const oldHash = `scrypt$${passwordService.formatParams(older)}$${key.toString('base64')}`;
+        await db.query("UPDATE users SET password_hash = $1, password_salt = 'old-salt' WHERE id = $2", [oldHash, user.id]);
+
+        await login(user.email, user.password).expect(200);
+
+        const upgraded = await storedHash(user.id);
+        expect(upgraded.password_hash).not.toBe(oldHash);
+        expect(passwordService.needsRehash(upgraded.password_hash)).toBe(false);
+        await login(user.email, user.password).expect(200);
+    });
+
+    it('leaves a current hash alone', async () => {
+        const user = await createUser();
+        const before = await storedHash(user.id);
+
+        await login(user.email, user.password).expect(200);
+
+        expect(await storedHash(user.id)).toEqual(before);
+    });
+});
+
+describe('POST /api/auth/login', () => {
+    it('issues the same token pair as a magic link', async () => {
+        const user = await createUser();
+        const byPassword = await login(user.email, user.password).expect(200);
+
+        await request(app).post('/api/auth/magic-link/request').send({ email: user.email }).expect(200);
+        const link = await emailedLink(user.email);
+        const byLink = await request(app)
+            .post('/api/auth/magic-link/verify')
+            .send({ token_id: link.searchParams.get('token_id'), token: link.searchParams.get('token') })
+            .expect(200);
+
+        expect(Object.keys(byPassword.body).sort()).toEqual(Object.keys(byLink.body).sort());
+        await request(app)
+            .get('/api/auth/me')
+            .set('Authorization', `Bearer ${byPassword.body.accessToken}`)
+            .expect(200);
+        await request(app).post('/api/auth/refresh').send({ refreshToken: byPassword.body.refreshToken }).expect(200);
+    });
+
+    it('gives a wrong password and an unknown email the same answer', async () => {
+        const user = await createUser();
+
+        const wrong = await login(user.email, 'not the password').expect(401);
+        const unknown = await login('nobody@example.com', user.password).expect(401);
+        expect(wrong.body.error).toBe('Incorrect email or password');
+        expect(unknown.body.error).toBe(wrong.body.error);
+    });
+
+    it('requires both an email and a password', async () => {
+        await login('someone@example.com', undefined).expect(400);
+        await login(undefined, DEFAULT_PASSWORD).expect(400);
+    });
+
+    it('turns away a disabled account even with the right password', async () => {
+        const user = await createUser({ status: 'disabled' });
+
+        const response = await login(user.email, user.password).expect(403);
+        expect(response.body.error).toBe('Account disabled');
+    });
+});
@@ -0,0 +1,76 @@
+// Requests from several addresses come in through X-Forwarded-For
+process.env.TRUST_PROXY = 'true';
+
+const request = require('supertest');
+const app = require('../app');
+const { rateLimit } = require('../config/redis');
+const { metrics } = require('../middleware/metrics');
+const { RATE_LIMITS } = require('../middleware/rateLimit');
+const { db } = require('./support/database');
+
+const { maxRequests, windowSecs } = RATE_LIMITS['magic-link'];
+
+function requestLink(email, ip = '203.0.113.10') {
+    return request(app).post('/api/auth/magic-link/request').set('X-Forwarded-For', ip).send({ email });
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('rate limiting', () => {
+    it('reports the limit and what is left of it on every response', async () => {
+        const first = await requestLink('nobody@example.com').expect(200);
+        expect(first.headers['ratelimit-policy']).toBe(`${maxRequests};w=${windowSecs}`);
+        expect(first.headers['ratelimit-limit']).toBe(String(maxRequests));
+        expect(first.headers['ratelimit-remaining']).toBe(String(maxRequests - 1));
+        expect(Number(first.headers['ratelimit-reset'])).toBeGreaterThanOrEqual(1);
+
+        const second = await requestLink('nobody@example.com').expect(200);
+        expect(second.headers['ratelimit-remaining']).toBe(String(maxRequests - 2));
+    });
+
+    it('answers 429 with Retry-After once an IP uses up its limit', async () => {
+        for (let i = 0; i < maxRequests; i++) {
+            await requestLink(`ip.limit.${i}@example.com`).expect(200);
+        }
+
+        const response = await requestLink('one.more@example.com').expect(429);
+        expect(response.body.error).toBe('Too many requests');
+        expect(Number(response.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+        expect(response.body.retryAfter).toBe(Number(response.headers['retry-after']));
+        expect(response.headers['ratelimit-remaining']).toBe('0');
+
+        // Another client still gets through
+        await requestLink('someone.else@example.com', '198.51.100.10').expect(200);
+    });
+
+    it('limits an email address across IPs, and audits the first rejection only', async () => {
+        const email = `email.limit.${Date.now()}@example.com`;
+        for (let i = 0; i < maxRequests; i++) {
+            await requestLink(email, `203.0.113.${20 + i}`).expect(200);
+        }
+
+        await requestLink(email, '198.51.100.30').expect(429);
+        await requestLink(email, '198.51.100.31').expect(429);
+
+        const audited = await db.query("SELECT metadata FROM audit_logs WHERE event_type = 'rate_limited' AND metadata->>'email' = $1", [email]);
+        expect(audited.rows).toEqual([{ metadata: { limit: 'magic-link', scope: 'email', email } }]);
+    });
+
+    it('turns requests away with 503 when the limiter cannot reach Redis', async () => {
+        jest.spyOn(rateLimit, 'hit').mockRejectedValue(new Error('Connection is closed.'));
+        const counted = async () => {
+            const { values } = await metrics.rateLimitErrorsTotal.get();
+            return values.find(value => value.labels.limit === 'magic-link' && value.labels.outcome === 'rejected')?.value || 0;
+        };
+        const before = await counted();
+
+        const response = await requestLink('redis.down@example.com').expect(503);
+        expect(response.body.error).toBe('Service temporarily unavailable');
+        expect(Number(response.headers['retry-after'])).toBeGreaterThanOrEqual(1);
+
+        expect(await counted()).toBe(before + 1);
+        // The request never reached the handler
+        const requested = await db.query("SELECT COUNT(*) AS count FROM audit_logs WHERE metadata->>'email' = 'redis.down@example.com'");
+        expect(Number(requested.rows[0].count)).toBe(0);
+    });
+});
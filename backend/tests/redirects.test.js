@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../app');
+const oidcService = require('../services/oidc');
+const tenantService = require('../services/tenants');
+const { emailTransport } = require('../external_apis/resend');
+const { createUser, emailedLink } = require('./support/fixtures');
+
+const ACME_HOST = 'acme.example.com';
+const RETURN_URI = 'https://app.acme.example.com/after-login';
+const OTHER_RETURN_URI = 'https://app.acme.example.com/settings';
+
+function saveAcme(redirectUris) {
+    return tenantService.save({ id: 'acme', name: 'Acme', hosts: [ACME_HOST], redirectUris });
+}
+
+beforeEach(async () => {
+    emailTransport.clear();
+    await saveAcme([RETURN_URI, OTHER_RETURN_URI]);
+});
+
+function requestLink(fields) {
+    return request(app).post('/api/auth/magic-link/request').set('Host', ACME_HOST).send(fields);
+}
+
+// Verify the way the login page does: the link's URL minus its signature
+function verifyLink(link) {
+    const [url] = link.href.split('&signature=');
+    return request(app)
+        .post('/api/auth/magic-link/verify')
+        .set('Host', ACME_HOST)
+        .send({
+            token_id: link.searchParams.get('token_id'),
+            token: link.searchParams.get('token'),
+            signature: link.searchParams.get('signature'),
+            url
+        });
+}
+
+describe('redirect_uri on magic link requests', () => {
+    it('sends the user back to a registered URI with their state', async () => {
+        const user = await createUser({ tenantId: 'acme' });
+        await requestLink({ email: user.email, redirect_uri: RETURN_URI, state: 'cart=42&step=2' }).expect(200);
+        const link = await emailedLink(user.email);
+        expect(link.searchParams.get('redirect_uri')).toBe(RETURN_URI);
+        expect(link.searchParams.get('state')).toBe('cart=42&step=2');
+
+        const response = await verifyLink(link).expect(200);
+        expect(response.body.accessToken).toBeTruthy();
+        const returnTo = new URL(response.body.returnTo);
+        expect(`${returnTo.origin}${returnTo.pathname}`).toBe(RETURN_URI);
+        expect(returnTo.searchParams.get('state')).toBe('cart=42&step=2');
+    });
+
+    it('leaves returnTo out when none was asked for', async () => {
+        const user = await createUser({ tenantId: 'acme' });
+        await requestLink({ email: user.email }).expect(200);
+
+        const response = await verifyLink(await emailedLink(user.email)).expect(200);
+        expect(response.body.returnTo).toBeUndefined();
+    });
+
+    it('only accepts an exact match with a registered URI', async () => {
+        const user = await createUser({ tenantId: 'acme' });
+
+        for (const redirectUri of [
+            'https://evil.example.com/after-login',
+            `${RETURN_URI}/`,
+            `${RETURN_URI}?next=https://evil.example.com`,
+            RETURN_URI.toUpperCase()
+        ]) {
+            const response = await requestLink({ email: user.email, redirect_uri: redirectUri }).expect(400);
+            expect(response.body.error).toBe('Invalid redirect_uri');
+        }
+        expect(emailTransport.last(user.email)).toBeFalsy();
+    });
+
+    it("does not accept another tenant's URIs", async () => {
+        const user = await createUser();
+
+        await request(app).post('/api/auth/magic-link/request').send({ email: user.email, redirect_uri: RETURN_URI }).expect(400);
+    });
+
+    it('rejects a state that is too long', async () => {
+        const user = await createUser({ tenantId: 'acme' });
+
+        await requestLink({ email: user.email, redirect_uri: RETURN_URI, state: 'x'.repeat(513) }).expect(400);
+    });
+
+    it('cannot be combined with an OIDC authorization request', async () => {
+        const user = await createUser({ tenantId: 'acme' });
+        const client = await oidcService.createClient({ name: 'Test RP', redirectUris: ['http://rp.example.com/callback'] });
+        const codeVerifier = crypto.randomBytes(32).toString('base64url');
+        const authorized = await request(app)
+            .get('/oauth/authorize')
+            .set('Host', ACME_HOST)
+            .query({
+                response_type: 'code',
+                client_id: client.clientId,
+                redirect_uri: 'http://rp.example.com/callback',
+                scope: 'openid email',
+                state: 'rp-state',
+                nonce: 'rp-nonce',
+                code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+                code_challenge_method: 'S256'
+            })
+            .expect(302);
+        const oidcRequest = new URL(authorized.headers.location).searchParams.get('oidc_request');
+
+        const response = await requestLink({ email: user.email, oidcRequest, redirect_uri: RETURN_URI }).expect(400);
+        expect(response.body.error).toBe('Invalid redirect_uri');
+    });
+});
+
+describe('signed magic links with a redirect', () => {
+    it('rejects a link whose redirect_uri was swapped, even for another registered URI', async () => {
+        const user = await createUser({ tenantId: 'acme' });
+        await requestLink({ email: user.email, redirect_uri: RETURN_URI, state: 'abc' }).expect(200);
+        const link = await emailedLink(user.email);
+
+        const swapped = new URL(link.href.replace(encodeURIComponent(RETURN_URI), encodeURIComponent(OTHER_RETURN_URI)));
+        expect(swapped.searchParams.get('redirect_uri')).toBe(OTHER_RETURN_URI);
+        const response = await verifyLink(swapped).expect(401);
+        expect(response.body.error).toBe('Invalid signature');
+
+        await verifyLink(link).expect(200);
+    });
+
+    it('rejects a link whose state was changed', async () => {
+        const user = await createUser({ tenantId: 'acme' });
+        await requestLink({ email: user.email, redirect_uri: RETURN_URI, state: 'abc' }).expect(200);
+        const link = await emailedLink(user.email);
+
+        const tampered = new URL(link.href.replace('state=abc', 'state=xyz'));
+        await verifyLink(tampered).expect(401);
+    });
+
+    it('drops a URI the tenant unregistered after the link was sent', async () => {
+        const user = await createUser({ tenantId: 'acme' });
+        await requestLink({ email: user.email, redirect_uri: RETURN_URI }).expect(200);
+        const link = await emailedLink(user.email);
+
+        await saveAcme([OTHER_RETURN_URI]);
+
+        const response = await verifyLink(link).expect(200);
+        expect(response.body.accessToken).toBeTruthy();
+        expect(response.body.returnTo).toBeUndefined();
+    });
+});
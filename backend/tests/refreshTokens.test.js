@@ -0,0 +1,88 @@
+const request = require('supertest');
+const app = require('../app');
+const { db } = require('./support/database');
+const { createUser, signIn } = require('./support/fixtures');
+
+function refresh(refreshToken) {
+    return request(app).post('/api/auth/refresh').send({ refreshToken });
+}
+
+describe('POST /api/auth/refresh', () => {
+    it('rotates the refresh token and issues a working access token', async () => {
+        const user = await createUser();
+        const first = await signIn(app, user);
+
+        const response = await refresh(first.refreshToken).expect(200);
+        expect(response.body.refreshToken).toBeTruthy();
+        expect(response.body.refreshToken).not.toBe(first.refreshToken);
+
+        const me = await request(app)
+            .get('/api/auth/me')
+            .set('Authorization', `Bearer ${response.body.accessToken}`)
+            .expect(200);
+        expect(JSON.stringify(me.body)).toContain(user.email);
+
+        // The replacement stays in the same family and the old row points at it
+        const rows = await db.query(
+            'SELECT family_id, revoked, revoked_reason, replaced_by FROM refresh_tokens WHERE user_id = $1 ORDER BY revoked DESC',
+            [user.id]
+        );
+        expect(rows.rows).toHaveLength(2);
+        const [rotated, current] = rows.rows;
+        expect(rotated).toMatchObject({ revoked: true, revoked_reason: 'rotated' });
+        expect(rotated.replaced_by).toBeTruthy();
+        expect(current.revoked).toBe(false);
+        expect(current.family_id).toBe(rotated.family_id);
+    });
+
+    it('rejects a refresh token that has already been rotated', async () => {
+        const user = await createUser();
+        const first = await signIn(app, user);
+        await refresh(first.refreshToken).expect(200);
+
+        const response = await refresh(first.refreshToken).expect(401);
+        expect(response.body.error).toBe('Invalid refresh token');
+    });
+
+    it('revokes the whole family when a rotated token is reused', async () => {
+        const user = await createUser();
+        const first = await signIn(app, user);
+        const second = (await refresh(first.refreshToken).expect(200)).body;
+
+        // An attacker replays the stolen original; the legitimate client's current token dies with it
+        await refresh(first.refreshToken).expect(401);
+        await refresh(second.refreshToken).expect(401);
+
+        const live = await db.query('SELECT COUNT(*) AS count FROM refresh_tokens WHERE user_id = $1 AND revoked = false', [user.id]);
+        expect(Number(live.rows[0].count)).toBe(0);
+        const audit = await db.query(
+            "SELECT COUNT(*) AS count FROM audit_logs WHERE user_id = $1 AND event_type = 'refresh_token_reuse_detected'",
+            [user.id]
+        );
+        expect(Number(audit.rows[0].count)).toBe(1);
+    });
+
+    it('leaves other sessions alone when one family is revoked', async () => {
+        const user = await createUser();
+        const stolen = await signIn(app, user);
+        const otherDevice = await signIn(app, user);
+        await refresh(stolen.refreshToken).expect(200);
+
+        await refresh(stolen.refreshToken).expect(401);
+
+        await refresh(otherDevice.refreshToken).expect(200);
+    });
+
+    it('refuses to refresh for a banned user', async () => {
+        const user = await createUser();
+        const tokens = await signIn(app, user);
+        await db.query("UPDATE users SET status = 'banned' WHERE id = $1", [user.id]);
+
+        await refresh(tokens.refreshToken).expect(403);
+    });
+
+    it('rejects a missing or malformed refresh token', async () => {
+        await request(app).post('/api/auth/refresh').send({}).expect(400);
+        await refresh('not-a-token').expect(401);
+    });
+});
@@ -0,0 +1,95 @@
+const request = require('supertest');
+const app = require('../app');
+const { emailTransport } = require('../external_apis/resend');
+const { db } = require('./support/database');
+const { DEFAULT_PASSWORD, createUser, emailedLink } = require('./support/fixtures');
+
+beforeEach(() => emailTransport.clear());
+
+function register(email, password = DEFAULT_PASSWORD) {
+    return request(app).post('/api/auth/register').send({ email, password });
+}
+
+describe('registration and email verification', () => {
+    it('keeps a new account pending until the emailed link is followed', async () => {
+        await register('new.user@example.com').expect(200);
+
+        const pending = await db.query("SELECT status, email_verified_at FROM users WHERE email = 'new.user@example.com'");
+        expect(pending.rows[0]).toEqual({ status: 'pending', email_verified_at: null });
+        await request(app)
+            .post('/api/auth/login')
+            .send({ email: 'new.user@example.com', password: DEFAULT_PASSWORD })
+            .expect(403);
+
+        const link = await emailedLink('new.user@example.com');
+        expect(link.searchParams.get('mode')).toBe('verify-email');
+        const verified = await request(app)
+            .post('/api/auth/email/verify')
+            .send({ token_id: link.searchParams.get('token_id'), token: link.searchParams.get('token') })
+            .expect(200);
+        expect(verified.body.email).toBe('new.user@example.com');
+
+        await request(app)
+            .post('/api/auth/login')
+            .send({ email: 'new.user@example.com', password: DEFAULT_PASSWORD })
+            .expect(200);
+    });
+
+    it('accepts each verification link once', async () => {
+        await register('once@example.com').expect(200);
+        const link = await emailedLink('once@example.com');
+        const body = { token_id: link.searchParams.get('token_id'), token: link.searchParams.get('token') };
+
+        await request(app).post('/api/auth/email/verify').send(body).expect(200);
+        await request(app).post('/api/auth/email/verify').send(body).expect(401);
+    });
+
+    it('rejects a verification token that does not match', async () => {
+        await register('tampered@example.com').expect(200);
+        const link = await emailedLink('tampered@example.com');
+
+        await request(app)
+            .post('/api/auth/email/verify')
+            .send({ token_id: link.searchParams.get('token_id'), token: 'f'.repeat(64) })
+            .expect(401);
+    });
+
+    it('re-sends the verification email instead of a magic link to a pending account', async () => {
+        await register('unverified@example.com').expect(200);
+        emailTransport.clear();
+
+        await request(app).post('/api/auth/magic-link/request').send({ email: 'unverified@example.com' }).expect(200);
+
+        const link = await emailedLink('unverified@example.com');
+        expect(link.searchParams.get('mode')).toBe('verify-email');
+    });
+
+    it('rejects a malformed address and a short password', async () => {
+        await register('not-an-address').expect(400);
+        await register('short@example.com', 'short').expect(400);
+    });
+});
+
+describe('duplicate addresses', () => {
+    it('treats letter case and plus-address variants as the same account', async () => {
+        await register('Jane.Doe@example.com').expect(200);
+
+        for (const variant of ['jane.doe@example.com', 'JANE.DOE@EXAMPLE.COM', 'jane.doe+news@example.com']) {
+            const response = await register(variant).expect(400);
+            expect(response.body.error).toBe('Email already exists');
+        }
+    });
+
+    it('finds the account from any variant of its address', async () => {
+        const user = await createUser({ email: 'Sam.Smith@example.com' });
+
+        await request(app)
+            .post('/api/auth/login')
+            .send({ email: 'sam.smith+work@EXAMPLE.com', password: user.password })
+            .expect(200);
+
+        await request(app).post('/api/auth/magic-link/request').send({ email: 'SAM.SMITH+shop@example.com' }).expect(200);
+        const link = await emailedLink(user.email);
+        expect(link.searchParams.get('token_id')).toBeTruthy();
+    });
+});
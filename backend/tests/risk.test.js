@@ -0,0 +1,176 @@
+// The clicking device's address comes from X-Forwarded-For
+process.env.TRUST_PROXY = 'true';
+
+const request = require('supertest');
+const app = require('../app');
+const riskService = require('../services/risk');
+const ipAddress = require('../services/ipAddress');
+const { emailTransport } = require('../external_apis/resend');
+const { db } = require('./support/database');
+const { createUser, emailedLink, emailedCode } = require('./support/fixtures');
+
+// The link is requested from a phone and clicked from a desktop on another
+// network: 25 for the network and 20 for the device, enough to step up
+const PHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+const DESKTOP = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36';
+const ELSEWHERE = '198.51.100.9';
+
+const defaults = { ...riskService.config };
+
+beforeEach(() => {
+    emailTransport.clear();
+    riskService.config.policy = 'enforce';
+});
+afterEach(() => Object.assign(riskService.config, defaults));
+
+async function requestLink(user) {
+    const response = await request(app)
+        .post('/api/auth/magic-link/request')
+        .set('User-Agent', PHONE)
+        .send({ email: user.email, includeCode: true })
+        .expect(200);
+    const link = await emailedLink(user.email);
+    return {
+        pollToken: response.body.pollToken,
+        body: { token_id: link.searchParams.get('token_id'), token: link.searchParams.get('token') },
+        code: await emailedCode(user.email)
+    };
+}
+
+function fromElsewhere(path, body) {
+    return request(app)
+        .post(path)
+        .set('User-Agent', DESKTOP)
+        .set('X-Forwarded-For', ELSEWHERE)
+        .send(body);
+}
+
+async function riskDecisions(userId) {
+    const result = await db.query(
+        "SELECT metadata FROM audit_logs WHERE user_id = $1 AND event_type = 'risk_decision' ORDER BY id",
+        [userId]
+    );
+    return result.rows.map(row => row.metadata);
+}
+
+describe('risk-based verification', () => {
+    it('only monitors unless enforcement is turned on', () => {
+        expect(defaults.policy).toBe('monitor');
+    });
+
+    it('signs in a click from the device that asked for the link', async () => {
+        const user = await createUser();
+        const { body } = await requestLink(user);
+
+        const response = await request(app).post('/api/auth/magic-link/verify').set('User-Agent', PHONE).send(body).expect(200);
+        expect(response.body.accessToken).toBeTruthy();
+
+        const [decision] = await riskDecisions(user.id);
+        expect(decision).toMatchObject({ decision: 'allow', action: 'allow', score: 0, policy: 'enforce' });
+    });
+
+    it('steps up an unusual click until the code shown on the requesting device is entered', async () => {
+        const user = await createUser();
+        const { pollToken, body } = await requestLink(user);
+
+        const held = await fromElsewhere('/api/auth/magic-link/verify', body).expect(200);
+        expect(held.body).toMatchObject({ confirmationRequired: true });
+        expect(held.body.accessToken).toBeUndefined();
+
+        const pending = await request(app)
+            .post('/api/auth/magic-link/confirmation')
+            .send({ pollToken })
+            .expect(200);
+        expect(pending.body.status).toBe('confirmation_required');
+        expect(pending.body.verifier).toMatchObject({ ipAddress: ELSEWHERE, os: 'Windows' });
+
+        const wrong = pending.body.code === '000000' ? '111111' : '000000';
+        await fromElsewhere('/api/auth/magic-link/verify', { ...body, confirmationCode: wrong }).expect(401);
+
+        const signedIn = await fromElsewhere('/api/auth/magic-link/verify', { ...body, confirmationCode: pending.body.code }).expect(200);
+        expect(signedIn.body.accessToken).toBeTruthy();
+
+        const [decision] = await riskDecisions(user.id);
+        expect(decision).toMatchObject({ decision: 'step_up', action: 'step_up', score: 45 });
+        expect(decision.signals).toMatchObject({ network: { match: 'none' }, user_agent: { score: 20 } });
+    });
+
+    it('blocks a click over the block score and spends the link', async () => {
+        riskService.config.blockScore = 45;
+        const user = await createUser();
+        const { body } = await requestLink(user);
+
+        await fromElsewhere('/api/auth/magic-link/verify', body).expect(403);
+
+        // Not even the requesting device can use it now
+        await request(app).post('/api/auth/magic-link/verify').set('User-Agent', PHONE).send(body).expect(401);
+    });
+
+    it('does not let a blocked click be finished with the code sent alongside the link', async () => {
+        riskService.config.blockScore = 45;
+        const user = await createUser();
+        const { body, code } = await requestLink(user);
+
+        await fromElsewhere('/api/auth/magic-link/verify', body).expect(403);
+
+        await fromElsewhere('/api/auth/otp/verify', { email: user.email, code }).expect(401);
+        await request(app).post('/api/auth/otp/verify').set('User-Agent', PHONE).send({ email: user.email, code }).expect(401);
+    });
+
+    it('blocks an unusual code entry the same way as a click', async () => {
+        riskService.config.blockScore = 45;
+        const user = await createUser();
+        const { body, code } = await requestLink(user);
+
+        const blocked = await fromElsewhere('/api/auth/otp/verify', { email: user.email, code }).expect(403);
+        expect(blocked.body.accessToken).toBeUndefined();
+
+        const [decision] = await riskDecisions(user.id);
+        expect(decision).toMatchObject({ decision: 'block', action: 'block' });
+        await request(app).post('/api/auth/magic-link/verify').set('User-Agent', PHONE).send(body).expect(401);
+    });
+
+    it('steps up an unusual code entry and keeps the code usable for the confirmation', async () => {
+        const user = await createUser();
+        const { pollToken, code } = await requestLink(user);
+
+        const held = await fromElsewhere('/api/auth/otp/verify', { email: user.email, code }).expect(200);
+        expect(held.body).toMatchObject({ confirmationRequired: true });
+
+        const pending = await request(app).post('/api/auth/magic-link/confirmation').send({ pollToken }).expect(200);
+        const signedIn = await fromElsewhere('/api/auth/otp/verify', { email: user.email, code, confirmationCode: pending.body.code }).expect(200);
+        expect(signedIn.body.accessToken).toBeTruthy();
+
+        const used = await db.query("SELECT metadata FROM audit_logs WHERE user_id = $1 AND event_type = 'otp_code_used'", [user.id]);
+        expect(used.rows[0].metadata.risk_step_up).toBe(true);
+    });
+
+    it('only records decisions under the monitor policy', async () => {
+        riskService.config.policy = 'monitor';
+        riskService.config.blockScore = 45;
+        const user = await createUser();
+        const { body } = await requestLink(user);
+
+        const response = await fromElsewhere('/api/auth/magic-link/verify', body).expect(200);
+        expect(response.body.accessToken).toBeTruthy();
+
+        const [decision] = await riskDecisions(user.id);
+        expect(decision).toMatchObject({ decision: 'block', action: 'allow', policy: 'monitor' });
+    });
+});
+
+describe('ipAddress', () => {
+    it('unwraps IPv4-mapped addresses and rejects anything else', () => {
+        expect(ipAddress.normalize('::ffff:192.0.2.10')).toBe('192.0.2.10');
+        expect(ipAddress.normalize('2001:db8::1')).toBe('2001:db8::1');
+        expect(ipAddress.normalize('not an address')).toBeNull();
+        expect(ipAddress.normalize(undefined)).toBeNull();
+    });
+
+    it('groups addresses into the /24 or /64 lockouts use', () => {
+        expect(ipAddress.subnetOf('::ffff:192.0.2.10')).toBe('192.0.2.0/24');
+        expect(ipAddress.subnetOf('2001:db8:0:12::1')).toBe('2001:db8:0:12::/64');
+        expect(ipAddress.subnetOf('2001:db8::1')).toBe('2001:db8:0:0::/64');
+        expect(ipAddress.subnetOf('nonsense')).toBeNull();
+    });
+});
@@ -0,0 +1,114 @@
+const request = require('supertest');
+const app = require('../app');
+const { createUser } = require('./support/fixtures');
+
+const FIREFOX_ON_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:125.0) Gecko/20100101 Firefox/125.0';
+const SAFARI_ON_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_4 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.4 Mobile/15E148 Safari/604.1';
+
+async function signInWith(user, userAgent) {
+    const response = await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', userAgent)
+        .send({ email: user.email, password: user.password })
+        .expect(200);
+    return response.body;
+}
+
+function withToken(method, path, accessToken) {
+    return request(app)[method](path).set('Authorization', `Bearer ${accessToken}`);
+}
+
+function listSessions(accessToken) {
+    return withToken('get', '/api/auth/sessions', accessToken).expect(200);
+}
+
+describe('GET /api/auth/sessions', () => {
+    it('lists each sign in with its device and marks the current one', async () => {
+        const user = await createUser();
+        await signInWith(user, SAFARI_ON_IPHONE);
+        const desktop = await signInWith(user, FIREFOX_ON_WINDOWS);
+
+        const { body } = await listSessions(desktop.accessToken);
+        expect(body.sessions).toHaveLength(2);
+        const current = body.sessions.find(session => session.current);
+        const other = body.sessions.find(session => !session.current);
+        expect(current).toMatchObject({
+            browser: { name: 'Firefox', version: '125.0' },
+            os: { name: 'Windows', version: '10.0' },
+            mobile: false
+        });
+        expect(other).toMatchObject({
+            browser: { name: 'Safari', version: '17.4' },
+            os: { name: 'iOS', version: '17.4' },
+            mobile: true
+        });
+        expect(current.createdAt).toBeTruthy();
+        expect(current.lastUsedAt).toBeTruthy();
+    });
+
+    it('keeps a session as one entry when its refresh token rotates', async () => {
+        const user = await createUser();
+        const first = await signInWith(user, FIREFOX_ON_WINDOWS);
+        const rotated = await request(app).post('/api/auth/refresh').send({ refreshToken: first.refreshToken }).expect(200);
+
+        const { body } = await listSessions(rotated.body.accessToken);
+        expect(body.sessions).toHaveLength(1);
+        expect(body.sessions[0].current).toBe(true);
+    });
+
+    it("does not show another user's sessions", async () => {
+        const user = await createUser();
+        const other = await createUser();
+        const { accessToken } = await signInWith(user, FIREFOX_ON_WINDOWS);
+        await signInWith(other, SAFARI_ON_IPHONE);
+
+        const { body } = await listSessions(accessToken);
+        expect(body.sessions).toHaveLength(1);
+    });
+});
+
+describe('DELETE /api/auth/sessions/:id', () => {
+    it('signs out the session and its access and refresh tokens', async () => {
+        const user = await createUser();
+        const phone = await signInWith(user, SAFARI_ON_IPHONE);
+        const desktop = await signInWith(user, FIREFOX_ON_WINDOWS);
+        const { body } = await listSessions(desktop.accessToken);
+        const phoneSession = body.sessions.find(session => !session.current);
+
+        const response = await withToken('delete', `/api/auth/sessions/${phoneSession.id}`, desktop.accessToken).expect(200);
+        expect(response.body.current).toBe(false);
+
+        await withToken('get', '/api/auth/me', phone.accessToken).expect(401);
+        await request(app).post('/api/auth/refresh').send({ refreshToken: phone.refreshToken }).expect(401);
+        await withToken('get', '/api/auth/me', desktop.accessToken).expect(200);
+    });
+
+    it("answers 404 for another user's session", async () => {
+        const user = await createUser();
+        const other = await createUser();
+        const { accessToken } = await signInWith(user, FIREFOX_ON_WINDOWS);
+        const otherTokens = await signInWith(other, SAFARI_ON_IPHONE);
+        const otherSession = (await listSessions(otherTokens.accessToken)).body.sessions[0];
+
+        await withToken('delete', `/api/auth/sessions/${otherSession.id}`, accessToken).expect(404);
+        await withToken('delete', '/api/auth/sessions/not-a-session', accessToken).expect(404);
+        await withToken('get', '/api/auth/me', otherTokens.accessToken).expect(200);
+    });
+});
+
+describe('DELETE /api/auth/sessions', () => {
+    it('signs out every other session and keeps the current one', async () => {
+        const user = await createUser();
+        const phone = await signInWith(user, SAFARI_ON_IPHONE);
+        const laptop = await signInWith(user, FIREFOX_ON_WINDOWS);
+        const desktop = await signInWith(user, FIREFOX_ON_WINDOWS);
+
+        const response = await withToken('delete', '/api/auth/sessions', desktop.accessToken).expect(200);
+        expect(response.body.revokedCount).toBe(2);
+
+        await withToken('get', '/api/auth/me', phone.accessToken).expect(401);
+        await withToken('get', '/api/auth/me', laptop.accessToken).expect(401);
+        const { body } = await listSessions(desktop.accessToken);
+        expect(body.sessions.map(session => session.current)).toEqual([true]);
+    });
+});
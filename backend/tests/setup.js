@@ -0,0 +1,26 @@
+// Runs before every test file: an in-memory Postgres with every migration
+// applied (tests/support/database.js), ioredis-mock for Redis and the outbox
+// email transport, so `npm test` needs no running services.
+process.env.EMAIL_TRANSPORT = 'outbox';
+delete process.env.EMAIL_OUTBOX_DIR;
+
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('../db/knex', () => require('./support/database').knex);
+jest.mock('../db', () => require('./support/database').db);
+
+const Redis = require('ioredis');
+const database = require('./support/database');
+
+// Request logging is noisy and expected failures log errors; TEST_VERBOSE=true keeps it
+if (process.env.TEST_VERBOSE !== 'true') {
+    for (const level of ['log', 'warn', 'error']) {
+        jest.spyOn(console, level).mockImplementation(() => {});
+    }
+}
+
+beforeAll(() => database.migrate(), 60000);
+
+// Rate limits, challenges and the email queue start empty for every test
+beforeEach(() => new Redis().flushall());
+
+afterAll(() => database.close());
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../app');
+const tokenService = require('../services/token');
+const { KeyRing, loadKeyRing, generateKeyEntry } = require('../services/keyring');
+const { createUser, signIn } = require('./support/fixtures');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LIFETIME_SECS = 7 * 24 * 60 * 60;
+
+describe('GET /.well-known/jwks.json', () => {
+    it('publishes the public key that verifies issued access tokens', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+        const { header } = jwt.decode(accessToken, { complete: true });
+        expect(header.kid).toBeTruthy();
+        expect(header.alg).not.toMatch(/^HS/);
+
+        const response = await request(app).get('/.well-known/jwks.json').expect(200);
+        const jwk = response.body.keys.find(key => key.kid === header.kid);
+        expect(jwk).toMatchObject({ alg: header.alg, use: 'sig' });
+        expect(jwk.d).toBeUndefined();
+
+        const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+        expect(jwt.verify(accessToken, publicKey, { algorithms: [jwk.alg] }).sub).toBe(user.id);
+    });
+
+    it('rejects a token signed by a key that is not in the keyring', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+        const { header, payload } = jwt.decode(accessToken, { complete: true });
+        const stranger = generateKeyEntry({ kid: header.kid, alg: 'ES256' });
+        const forged = jwt.sign(payload, stranger.privateKey, { algorithm: 'ES256', keyid: header.kid });
+
+        const response = await request(app).get('/api/auth/me').set('Authorization', `Bearer ${forged}`).expect(401);
+        expect(response.body.code).toBe('token_invalid');
+    });
+});
+
+describe('KeyRing', () => {
+    const now = new Date('2026-06-01T00:00:00Z');
+    const current = generateKeyEntry({ kid: 'current', alg: 'ES256', activeFrom: '2026-01-01T00:00:00Z', retireAt: '2026-07-01T00:00:00Z' });
+    const next = generateKeyEntry({ kid: 'next', alg: 'ES256', activeFrom: '2026-06-15T00:00:00Z' });
+    const retired = generateKeyEntry({ kid: 'retired', alg: 'ES256', activeFrom: '2025-07-01T00:00:00Z', retireAt: '2026-05-30T00:00:00Z' });
+    const keyRing = new KeyRing([current, next, retired], { maxTokenLifetimeSecs: LIFETIME_SECS });
+
+    it('signs with the newest active key and switches when the next one activates', () => {
+        expect(keyRing.getSigningKey(now).kid).toBe('current');
+        expect(keyRing.getSigningKey(new Date('2026-06-15T00:00:01Z')).kid).toBe('next');
+        expect(keyRing.getSigningKey(new Date('2026-08-01T00:00:00Z')).kid).toBe('next');
+    });
+
+    it('publishes a scheduled key before it signs', () => {
+        expect(keyRing.getJwks(now).keys.map(key => key.kid)).toEqual(expect.arrayContaining(['current', 'next']));
+    });
+
+    it('keeps a retired key until the tokens it signed have expired', () => {
+        expect(keyRing.getVerificationKey('retired', now)).toBeTruthy();
+
+        const later = new Date(new Date('2026-05-30T00:00:00Z').getTime() + LIFETIME_SECS * 1000 + DAY_MS);
+        expect(keyRing.getVerificationKey('retired', later)).toBeNull();
+        expect(keyRing.getJwks(later).keys.map(key => key.kid)).not.toContain('retired');
+    });
+
+    it('refuses duplicate key ids and symmetric algorithms', () => {
+        expect(() => new KeyRing([current, { ...current }], { maxTokenLifetimeSecs: LIFETIME_SECS })).toThrow('Duplicate JWT key id: current');
+        expect(() => new KeyRing([{ ...current, kid: 'shared', alg: 'HS256' }], { maxTokenLifetimeSecs: LIFETIME_SECS })).toThrow(/unsupported alg HS256/);
+    });
+
+    it('fails when no key is active', () => {
+        const future = new KeyRing([next], { maxTokenLifetimeSecs: LIFETIME_SECS });
+        expect(() => future.getSigningKey(now)).toThrow('No active JWT signing key');
+    });
+});
+
+describe('loadKeyRing', () => {
+    const env = { ...process.env };
+    afterEach(() => {
+        process.env = { ...env };
+    });
+
+    it('refuses to start in production without configured keys', () => {
+        process.env.NODE_ENV = 'production';
+        delete process.env.JWT_KEYRING;
+        delete process.env.JWT_KEYRING_FILE;
+
+        expect(() => loadKeyRing({ maxTokenLifetimeSecs: LIFETIME_SECS })).toThrow(/No JWT signing keys configured/);
+    });
+
+    it('loads the keys given in JWT_KEYRING', () => {
+        process.env.NODE_ENV = 'production';
+        process.env.JWT_KEYRING = JSON.stringify([generateKeyEntry({ kid: 'configured', alg: 'ES256' })]);
+
+        expect(loadKeyRing({ maxTokenLifetimeSecs: LIFETIME_SECS }).getSigningKey().kid).toBe('configured');
+    });
+});
+
+describe('token service', () => {
+    it('names the signing key in the kid header', () => {
+        const token = tokenService.signJwt({ sub: 1, type: 'access' }, { expiresIn: 60 });
+        expect(jwt.decode(token, { complete: true }).header.kid).toBe(tokenService.keyRing.getSigningKey().kid);
+    });
+});
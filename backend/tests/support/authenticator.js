@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+
+/**
+ * A software passkey authenticator: one ES256 credential, attestation
+ * "none", and a signature counter the test controls. It produces the JSON a
+ * browser's navigator.credentials.create()/get() would hand the frontend.
+ */
+
+// Just enough CBOR (RFC 8949) for an attestation object and a COSE key:
+// integers, byte strings, text strings and maps
+function cborHead(majorType, length) {
+    if (length < 24) return Buffer.from([(majorType << 5) | length]);
+    if (length < 0x100) return Buffer.from([(majorType << 5) | 24, length]);
+    const head = Buffer.alloc(3);
+    head[0] = (majorType << 5) | 25;
+    head.writeUInt16BE(length, 1);
+    return head;
+}
+
+function cbor(value) {
+    if (Number.isInteger(value)) {
+        return value >= 0 ? cborHead(0, value) : cborHead(1, -1 - value);
+    }
+    if (Buffer.isBuffer(value)) {
+        return Buffer.concat([cborHead(2, value.length), value]);
+    }
+    if (typeof value === 'string') {
+        const bytes = Buffer.from(value, 'utf8');
+        return Buffer.concat([cborHead(3, bytes.length), bytes]);
+    }
+    if (value instanceof Map) {
+        const entries = [...value].map(([key, item]) => Buffer.concat([cbor(key), cbor(item)]));
+        return Buffer.concat([cborHead(5, value.size), ...entries]);
+    }
+    throw new Error(`Cannot CBOR-encode ${typeof value}`);
+}
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest();
+
+class SoftwareAuthenticator {
+    /**
+     * @param {Object} params - { rpID, origin } the ceremonies are run for
+     */
+    constructor({ rpID, origin }) {
+        this.rpID = rpID;
+        this.origin = origin;
+        this.credentialId = crypto.randomBytes(32);
+        this.userHandle = null;
+        this.signCount = 0;
+        const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+        this.privateKey = privateKey;
+        this.publicJwk = publicKey.export({ format: 'jwk' });
+    }
+
+    get id() {
+        return this.credentialId.toString('base64url');
+    }
+
+    // Flags: user present and verified, plus attested credential data when registering
+    authenticatorData({ attestedCredential = false } = {}) {
+        const counter = Buffer.alloc(4);
+        counter.writeUInt32BE(this.signCount);
+        const parts = [sha256(this.rpID), Buffer.from([0x05 | (attestedCredential ? 0x40 : 0)]), counter];
+
+        if (attestedCredential) {
+            const idLength = Buffer.alloc(2);
+            idLength.writeUInt16BE(this.credentialId.length);
+            // COSE_Key for an EC2 P-256 key used with ES256
+            const coseKey = cbor(new Map([
+                [1, 2],
+                [3, -7],
+                [-1, 1],
+                [-2, Buffer.from(this.publicJwk.x, 'base64url')],
+                [-3, Buffer.from(this.publicJwk.y, 'base64url')]
+            ]));
+            parts.push(Buffer.alloc(16), idLength, this.credentialId, coseKey);
+        }
+        return Buffer.concat(parts);
+    }
+
+    clientData(type, challenge, origin = this.origin) {
+        return Buffer.from(JSON.stringify({ type, challenge, origin, crossOrigin: false }));
+    }
+
+    /**
+     * Answer registration options, like navigator.credentials.create()
+     * @param {Object} options - PublicKeyCredentialCreationOptionsJSON from the server
+     * @returns {Object} RegistrationResponseJSON
+     */
+    register(options) {
+        this.userHandle = options.user.id;
+        const attestationObject = cbor(new Map([
+            ['fmt', 'none'],
+            ['attStmt', new Map()],
+            ['authData', this.authenticatorData({ attestedCredential: true })]
+        ]));
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                clientDataJSON: this.clientData('webauthn.create', options.challenge).toString('base64url'),
+                attestationObject: attestationObject.toString('base64url'),
+                transports: ['internal']
+            },
+            clientExtensionResults: {},
+            authenticatorAttachment: 'platform'
+        };
+    }
+
+    /**
+     * Answer authentication options, like navigator.credentials.get().
+     * Each assertion adds one to signCount; lower it to act like a cloned authenticator
+     * @param {Object} options - PublicKeyCredentialRequestOptionsJSON from the server
+     * @param {Object} [overrides] - { origin } to sign for a different origin
+     * @returns {Object} AuthenticationResponseJSON
+     */
+    authenticate(options, { origin = this.origin } = {}) {
+        this.signCount += 1;
+        const authenticatorData = this.authenticatorData();
+        const clientDataJSON = this.clientData('webauthn.get', options.challenge, origin);
+        const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), this.privateKey);
+
+        return {
+            id: this.id,
+            rawId: this.id,
+            type: 'public-key',
+            response: {
+                authenticatorData: authenticatorData.toString('base64url'),
+                clientDataJSON: clientDataJSON.toString('base64url'),
+                signature: signature.toString('base64url'),
+                userHandle: this.userHandle
+            },
+            clientExtensionResults: {},
+            authenticatorAttachment: 'platform'
+        };
+    }
+}
+
+module.exports = {
+    SoftwareAuthenticator,
+};
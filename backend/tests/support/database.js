@@ -0,0 +1,71 @@
+const { PGlite } = require('@electric-sql/pglite');
+const { uuid_ossp } = require('@electric-sql/pglite/contrib/uuid_ossp');
+const createKnex = require('knex');
+const ClientPgLite = require('knex-pglite');
+const knexConfig = require('../../knexfile');
+
+/**
+ * In-memory Postgres for the test suites, standing in for both db/knex.js
+ * and the pg pool in db/index.js. Each test file gets its own database with
+ * every migration applied; createDatabase() makes more for specs that need
+ * a database of their own.
+ */
+function createDatabase() {
+    const pglite = new PGlite({ extensions: { uuid_ossp } });
+
+    // pg runs several statements in one unparameterised query (the migrations do);
+    // PGlite only does that through exec()
+    const connection = {
+        waitReady: pglite.waitReady,
+        close: () => pglite.close(),
+        async query(sql, params, options) {
+            if (params?.length) {
+                return pglite.query(sql, params, options);
+            }
+            const results = await pglite.exec(sql, options);
+            return results[results.length - 1];
+        }
+    };
+
+    const knex = createKnex({
+        client: ClientPgLite,
+        connection: () => ({ pglite: connection }),
+        migrations: knexConfig.test.migrations
+    });
+
+    // Shaped like a pg result: rowCount is rows affected or returned
+    async function query(text, params) {
+        const result = await pglite.query(text, params);
+        return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+    }
+
+    // PGlite has a single connection, so a transaction is BEGIN/COMMIT on it
+    async function transaction(fn) {
+        await pglite.exec('BEGIN');
+        try {
+            const result = await fn({ query });
+            await pglite.exec('COMMIT');
+            return result;
+        } catch (error) {
+            await pglite.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    return {
+        pglite,
+        knex,
+        db: { query, transaction, pool: { end: async () => {} } },
+        migrate: () => knex.migrate.latest(),
+        // knex's pool keeps a timer running until it is destroyed, which also closes PGlite
+        close: async () => {
+            await knex.destroy();
+            if (!pglite.closed) await pglite.close();
+        }
+    };
+}
+
+module.exports = {
+    ...createDatabase(),
+    createDatabase,
+};
@@ -0,0 +1,70 @@
+const request = require('supertest');
+const { db } = require('./database');
+const passwordService = require('../../services/password');
+const emailAddress = require('../../services/emailAddress');
+const emailQueue = require('../../services/emailQueue');
+const { emailTransport } = require('../../external_apis/resend');
+
+const DEFAULT_PASSWORD = 'correct horse battery staple';
+
+let sequence = 0;
+
+/**
+ * Insert a user straight into the database, skipping registration and email verification.
+ * @param {Object} [fields] - { email, password, status, role, tenantId }; the email defaults to a unique address
+ * @returns {Promise<Object>} { id, email, password }
+ */
+async function createUser({ email = null, password = DEFAULT_PASSWORD, status = 'active', role = 'user', tenantId = 'default' } = {}) {
+    const address = email || `user${++sequence}.${Date.now()}@example.com`;
+    const { hash, salt } = await passwordService.hashPassword(password);
+    const result = await db.query(
+        'INSERT INTO users (tenant_id, email, email_canonical, password_hash, password_salt, status, role) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+        [tenantId, address, emailAddress.canonicalize(address), hash, salt, status, role]
+    );
+    return { id: result.rows[0].id, email: address, password };
+}
+
+/**
+ * Sign in with a password, the shortest way to a token pair
+ * @param {Object} app - the Express app
+ * @param {Object} user - { email, password } as returned by createUser
+ * @returns {Promise<Object>} the response body: { accessToken, refreshToken, tokenType, ... }
+ */
+async function signIn(app, user) {
+    const response = await request(app)
+        .post('/api/auth/login')
+        .send({ email: user.email, password: user.password })
+        .expect(200);
+    return response.body;
+}
+
+/**
+ * Deliver queued email and read the link from the newest message to a recipient
+ * @param {string} recipient - the address the email went to
+ * @returns {Promise<URL|null>} the first link in the message, or null if nothing was sent
+ */
+async function emailedLink(recipient) {
+    await emailQueue.processDue();
+    const message = emailTransport.last(recipient);
+    if (!message) return null;
+    return new URL(message.html.match(/href="([^"]+)"/)[1].replace(/&amp;/g, '&'));
+}
+
+/**
+ * Deliver queued email and read the login code from the newest message to a recipient
+ * @param {string} recipient - the address the email went to
+ * @returns {Promise<string|null>} the 6-digit code, or null if the message has none
+ */
+async function emailedCode(recipient) {
+    await emailQueue.processDue();
+    const match = emailTransport.last(recipient)?.html.match(/<span class="code">(\d{6})<\/span>/);
+    return match ? match[1] : null;
+}
+
+module.exports = {
+    DEFAULT_PASSWORD,
+    createUser,
+    signIn,
+    emailedLink,
+    emailedCode,
+};
@@ -0,0 +1,72 @@
+const request = require('supertest');
+const app = require('../app');
+const tenantService = require('../services/tenants');
+const { createUser, signIn } = require('./support/fixtures');
+
+const ACME_HOST = 'acme.example.com';
+let acmeApiKey;
+
+beforeAll(async () => {
+    ({ apiKey: acmeApiKey } = await tenantService.save({ id: 'acme', name: 'Acme', hosts: [ACME_HOST] }, { issueApiKey: true }));
+});
+
+function loginAt(host, user) {
+    return request(app).post('/api/auth/login').set('Host', host).send({ email: user.email, password: user.password });
+}
+
+describe('tenant resolution', () => {
+    it('picks the tenant by host and falls back to default for unknown hosts', async () => {
+        const acmeUser = await createUser({ tenantId: 'acme' });
+        const defaultUser = await createUser();
+
+        await loginAt(ACME_HOST, acmeUser).expect(200);
+        await loginAt(ACME_HOST, defaultUser).expect(401);
+        await loginAt('unknown.example.com', defaultUser).expect(200);
+        await loginAt('unknown.example.com', acmeUser).expect(401);
+    });
+
+    it('picks the tenant by API key, and turns an unknown key away', async () => {
+        const acmeUser = await createUser({ tenantId: 'acme' });
+
+        await request(app)
+            .post('/api/auth/login')
+            .set('X-API-Key', acmeApiKey)
+            .send({ email: acmeUser.email, password: acmeUser.password })
+            .expect(200);
+
+        const response = await request(app)
+            .post('/api/auth/login')
+            .set('X-API-Key', 'mlt_not-a-real-key')
+            .send({ email: acmeUser.email, password: acmeUser.password })
+            .expect(401);
+        expect(response.body.code).toBe('tenant_invalid');
+    });
+
+    it('keeps one account per tenant for the same address', async () => {
+        const email = `shared.${Date.now()}@example.com`;
+        const inDefault = await createUser({ email });
+        const inAcme = await createUser({ email, tenantId: 'acme', password: 'a different passphrase' });
+
+        await loginAt('localhost', inDefault).expect(200);
+        await loginAt(ACME_HOST, inAcme).expect(200);
+        await loginAt(ACME_HOST, inDefault).expect(401);
+    });
+});
+
+describe('tid claim', () => {
+    it('rejects an access token on another tenant', async () => {
+        const acmeUser = await createUser({ tenantId: 'acme' });
+        const { accessToken } = (await loginAt(ACME_HOST, acmeUser).expect(200)).body;
+
+        await request(app).get('/api/auth/me').set('Host', ACME_HOST).set('Authorization', `Bearer ${accessToken}`).expect(200);
+        await request(app).get('/api/auth/me').set('Authorization', `Bearer ${accessToken}`).expect(401);
+    });
+
+    it('rejects a refresh token on another tenant', async () => {
+        const user = await createUser();
+        const { refreshToken } = await signIn(app, user);
+
+        await request(app).post('/api/auth/refresh').set('Host', ACME_HOST).send({ refreshToken }).expect(401);
+        await request(app).post('/api/auth/refresh').send({ refreshToken }).expect(200);
+    });
+});
@@ -0,0 +1,97 @@
+// Token cookies over plain HTTP, so the test agent sends them back
+process.env.TOKEN_DELIVERY = 'cookie';
+process.env.COOKIE_SECURE = 'false';
+
+const request = require('supertest');
+const app = require('../app');
+const { createUser, emailedLink, emailedCode } = require('./support/fixtures');
+
+// One of the default tenant's allowed origins outside production
+const FRONTEND = 'http://localhost:5173';
+
+function cookiesOf(response) {
+    return Object.fromEntries((response.headers['set-cookie'] || []).map(cookie => {
+        const [pair, ...attributes] = cookie.split('; ');
+        const [name, value] = pair.split('=');
+        return [name, { value, attributes }];
+    }));
+}
+
+function login(agent, user, headers = { Origin: FRONTEND }) {
+    return agent.post('/api/auth/login').set(headers).send({ email: user.email, password: user.password });
+}
+
+describe('cookie token delivery', () => {
+    it('sets the tokens as HttpOnly cookies and keeps them out of the body', async () => {
+        const user = await createUser();
+
+        const response = await login(request.agent(app), user).expect(200);
+
+        expect(response.body.accessToken).toBeUndefined();
+        expect(response.body.refreshToken).toBeUndefined();
+        expect(response.body).toMatchObject({ tokenDelivery: 'cookie', csrfToken: expect.any(String) });
+        const cookies = cookiesOf(response);
+        expect(cookies.access_token.attributes).toEqual(expect.arrayContaining(['Path=/', 'HttpOnly', 'SameSite=Strict']));
+        expect(cookies.refresh_token.attributes).toEqual(expect.arrayContaining(['Path=/api/auth', 'HttpOnly']));
+        expect(cookies.csrf_token.value).toBe(response.body.csrfToken);
+        expect(cookies.csrf_token.attributes).not.toContain('HttpOnly');
+    });
+
+    it('authenticates with the access token cookie', async () => {
+        const user = await createUser();
+        const agent = request.agent(app);
+        await login(agent, user).expect(200);
+
+        const me = await agent.get('/api/auth/me').expect(200);
+        expect(me.body.user.email).toBe(user.email);
+    });
+});
+
+describe('CSRF protection', () => {
+    it('requires the CSRF header on a request carrying token cookies, even from an allowed origin', async () => {
+        const user = await createUser();
+        const agent = request.agent(app);
+        const { csrfToken } = (await login(agent, user).expect(200)).body;
+
+        const rejected = await agent.post('/api/auth/refresh').set('Origin', FRONTEND).send({}).expect(403);
+        expect(rejected.body.code).toBe('csrf_failed');
+        await agent.post('/api/auth/refresh').set('X-CSRF-Token', 'f'.repeat(csrfToken.length)).send({}).expect(403);
+
+        const refreshed = await agent.post('/api/auth/refresh').set('X-CSRF-Token', csrfToken).send({}).expect(200);
+        expect(refreshed.body.tokenDelivery).toBe('cookie');
+    });
+
+    it('turns away a login posted from another site', async () => {
+        const user = await createUser();
+
+        const response = await login(request.agent(app), user, { Referer: 'https://evil.example/login-csrf.html' }).expect(403);
+        expect(response.body.code).toBe('csrf_failed');
+        expect(response.headers['set-cookie']).toBeUndefined();
+    });
+
+    it('accepts a login from an allowed origin or referer, or from a client that is not a browser', async () => {
+        const user = await createUser();
+
+        await login(request.agent(app), user, { Origin: FRONTEND }).expect(200);
+        await login(request.agent(app), user, { Referer: `${FRONTEND}/index.html` }).expect(200);
+        await login(request.agent(app), user, {}).expect(200);
+    });
+
+    it('turns away a magic link or code posted from another site', async () => {
+        const user = await createUser();
+        await request(app).post('/api/auth/magic-link/request').set('Origin', FRONTEND).send({ email: user.email, includeCode: true }).expect(200);
+        const link = await emailedLink(user.email);
+        const code = await emailedCode(user.email);
+        const fromElsewhere = { Referer: 'https://evil.example/' };
+
+        await request(app)
+            .post('/api/auth/magic-link/verify')
+            .set(fromElsewhere)
+            .send({ token_id: link.searchParams.get('token_id'), token: link.searchParams.get('token') })
+            .expect(403);
+        await request(app).post('/api/auth/otp/verify').set(fromElsewhere).send({ email: user.email, code }).expect(403);
+
+        // Neither was spent by the forged requests
+        await request(app).post('/api/auth/otp/verify').set('Origin', FRONTEND).send({ email: user.email, code }).expect(200);
+    });
+});
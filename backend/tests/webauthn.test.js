@@ -0,0 +1,160 @@
+const request = require('supertest');
+const app = require('../app');
+const webauthnService = require('../services/webauthn');
+const { db } = require('./support/database');
+const { createUser, signIn } = require('./support/fixtures');
+const { SoftwareAuthenticator } = require('./support/authenticator');
+
+function newAuthenticator() {
+    return new SoftwareAuthenticator({ rpID: webauthnService.config.rpID, origin: webauthnService.config.origins[0] });
+}
+
+// Register a passkey for a signed in user; resolves to the verify response
+async function registerPasskey(accessToken, authenticator, expectedStatus = 200) {
+    const options = await request(app)
+        .post('/api/auth/webauthn/register/options')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({})
+        .expect(200);
+    return request(app)
+        .post('/api/auth/webauthn/register/verify')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ response: authenticator.register(options.body.options), name: 'Test key' })
+        .expect(expectedStatus);
+}
+
+async function loginOptions() {
+    return (await request(app).post('/api/auth/webauthn/login/options').send({}).expect(200)).body;
+}
+
+function verifyLogin(challengeId, response) {
+    return request(app).post('/api/auth/webauthn/login/verify').send({ challengeId, response });
+}
+
+// A user with a registered passkey, and the authenticator holding it
+async function userWithPasskey() {
+    const user = await createUser();
+    const { accessToken } = await signIn(app, user);
+    const authenticator = newAuthenticator();
+    await registerPasskey(accessToken, authenticator);
+    return { user, accessToken, authenticator };
+}
+
+describe('passkey registration', () => {
+    it('stores the credential from a registration response', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+        const authenticator = newAuthenticator();
+
+        const response = await registerPasskey(accessToken, authenticator);
+        expect(response.body.passkey).toMatchObject({ name: 'Test key', transports: ['internal'] });
+
+        const listed = await request(app)
+            .get('/api/auth/webauthn/credentials')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .expect(200);
+        expect(listed.body.passkeys.map(passkey => passkey.id)).toEqual([response.body.passkey.id]);
+    });
+
+    it('accepts each registration challenge once', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+        const authenticator = newAuthenticator();
+        const options = await request(app)
+            .post('/api/auth/webauthn/register/options')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .send({})
+            .expect(200);
+        const registration = authenticator.register(options.body.options);
+
+        await request(app)
+            .post('/api/auth/webauthn/register/verify')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .send({ response: registration })
+            .expect(200);
+        const replayed = await request(app)
+            .post('/api/auth/webauthn/register/verify')
+            .set('Authorization', `Bearer ${accessToken}`)
+            .send({ response: registration })
+            .expect(400);
+        expect(replayed.body.error).toBe('Passkey registration timed out, please try again');
+    });
+
+    it('rejects a response for another origin', async () => {
+        const user = await createUser();
+        const { accessToken } = await signIn(app, user);
+        const authenticator = new SoftwareAuthenticator({ rpID: webauthnService.config.rpID, origin: 'https://phishing.example.com' });
+
+        const response = await registerPasskey(accessToken, authenticator, 400);
+        expect(response.body.error).toBe('Passkey registration failed');
+    });
+});
+
+describe('passkey sign in', () => {
+    it('signs in with an assertion from the registered authenticator', async () => {
+        const { user, authenticator } = await userWithPasskey();
+        const { options, challengeId } = await loginOptions();
+
+        const response = await verifyLogin(challengeId, authenticator.authenticate(options)).expect(200);
+        expect(response.body.accessToken).toBeTruthy();
+
+        const stored = await db.query('SELECT sign_count, last_used_at FROM webauthn_credentials WHERE user_id = $1', [user.id]);
+        expect(Number(stored.rows[0].sign_count)).toBe(authenticator.signCount);
+        expect(stored.rows[0].last_used_at).not.toBeNull();
+    });
+
+    it('rejects a signature counter that went backwards', async () => {
+        const { user, authenticator } = await userWithPasskey();
+        authenticator.signCount = 10;
+        const first = await loginOptions();
+        await verifyLogin(first.challengeId, authenticator.authenticate(first.options)).expect(200);
+
+        // A clone of the authenticator still has an older counter
+        authenticator.signCount = 5;
+        const second = await loginOptions();
+        const response = await verifyLogin(second.challengeId, authenticator.authenticate(second.options)).expect(401);
+        expect(response.body.error).toBe('Passkey sign in failed');
+
+        const stored = await db.query('SELECT sign_count FROM webauthn_credentials WHERE user_id = $1', [user.id]);
+        expect(Number(stored.rows[0].sign_count)).toBe(11);
+    });
+
+    it('accepts each sign in challenge once', async () => {
+        const { authenticator } = await userWithPasskey();
+        const { options, challengeId } = await loginOptions();
+        const assertion = authenticator.authenticate(options);
+        await verifyLogin(challengeId, assertion).expect(200);
+
+        const replayed = await verifyLogin(challengeId, assertion).expect(401);
+        expect(replayed.body.error).toBe('Passkey sign in timed out, please try again');
+
+        // Nor does the old assertion answer a fresh challenge (from the service, as the route's rate limit is spent)
+        const fresh = await webauthnService.authenticationOptions();
+        const mismatched = await verifyLogin(fresh.challengeId, assertion).expect(401);
+        expect(mismatched.body.error).toBe('Passkey sign in failed');
+    });
+
+    it('rejects an assertion signed by a different key', async () => {
+        const { authenticator } = await userWithPasskey();
+        const impostor = newAuthenticator();
+        impostor.credentialId = authenticator.credentialId;
+        impostor.userHandle = authenticator.userHandle;
+        const { options, challengeId } = await loginOptions();
+
+        await verifyLogin(challengeId, impostor.authenticate(options)).expect(401);
+    });
+
+    it('rejects an unknown credential', async () => {
+        const { options, challengeId } = await loginOptions();
+
+        await verifyLogin(challengeId, newAuthenticator().authenticate(options)).expect(401);
+    });
+
+    it('refuses a banned user', async () => {
+        const { user, authenticator } = await userWithPasskey();
+        await db.query("UPDATE users SET status = 'banned' WHERE id = $1", [user.id]);
+        const { options, challengeId } = await loginOptions();
+
+        await verifyLogin(challengeId, authenticator.authenticate(options)).expect(403);
+    });
+});
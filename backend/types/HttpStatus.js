@@ -12,9 +12,12 @@ const HttpStatus = {
   BAD_REQUEST_STATUS: 400,
   FAILED_STATUS: 400,
   UNAUTHORIZED_STATUS: 401,
+  FORBIDDEN_STATUS: 403,
   NOT_FOUND_STATUS: 404,
+  CONFLICT_STATUS: 409,
   TOO_MANY_REQUESTS_STATUS: 429,
   MISC_ERROR_STATUS: 500,
+  SERVICE_UNAVAILABLE_STATUS: 503,
   PAYMENT_REQUIRED_STATUS: 402,
   
   // Error Messages
@@ -1,10 +1,18 @@
 const API_URL = 'http://localhost:11793/api/auth';
+const OAUTH_URL = 'http://localhost:11793/oauth';
 
 // Check if we're on a verification page (has token in URL)
 const urlParams = new URLSearchParams(window.location.search);
 const token = urlParams.get('token');
 const token_id = urlParams.get('token_id');
 const signature = urlParams.get('signature');
+const mode = urlParams.get('mode');
+// Set when an app using us as its OpenID Connect provider sent the user here to sign in
+const oidcRequest = urlParams.get('oidc_request');
+// Set when an app sent the user here to sign in and come back; the server checks
+// it against the registered redirect URIs and sends the validated one back as returnTo
+const redirectUri = !token ? urlParams.get('redirect_uri') : null;
+const returnState = !token ? urlParams.get('state') : null;
 
 // Elements
 const authCard = document.getElementById('authCard');
@@ -12,6 +20,8 @@ const form = document.getElementById('authForm');
 const emailInput = document.getElementById('email');
 const passwordGroup = document.getElementById('passwordGroup');
 const passwordInput = document.getElementById('password');
+const crossDeviceGroup = document.getElementById('crossDeviceGroup');
+const crossDeviceInput = document.getElementById('crossDevice');
 const submitButton = document.getElementById('submitButton');
 const btnText = document.getElementById('btnText');
 const spinner = document.getElementById('spinner');
@@ -19,19 +29,32 @@ const title = document.getElementById('title');
 const subtitle = document.getElementById('subtitle');
 const toggleMode = document.getElementById('toggleMode');
 const messageBox = document.getElementById('messageBox');
+const codeForm = document.getElementById('codeForm');
+const codeInput = document.getElementById('code');
+const codeMessageBox = document.getElementById('codeMessageBox');
+const confirmationBox = document.getElementById('confirmationBox');
+const passkeyButton = document.getElementById('passkeyButton');
 
 // Check if already logged in
-const accessToken = localStorage.getItem('accessToken');
-const refreshToken = localStorage.getItem('refreshToken');
+const signedIn = hasSession();
 
-if (token) {
+if (token && mode === 'verify-email') {
+    // Link from the verification email sent at registration
+    verifyEmail();
+} else if (token && mode === 'approve') {
+    // Link for a sign in requested from another device
+    showApprovalUI();
+} else if (token) {
     // We're verifying a token
     showVerificationUI();
     verifyToken(token);
-} else if (accessToken && refreshToken && !window.location.pathname.includes('home.html')) {
+} else if (oidcRequest) {
+    // Signing in for another app; an existing session can finish it straight away
+    showOidcRequest();
+} else if (signedIn && !window.location.pathname.includes('home.html')) {
     // Redirect to home if logged in and not already on home page
     window.location.href = '/home.html';
-} else if (!accessToken && !refreshToken && window.location.pathname.includes('home.html')) {
+} else if (!signedIn && window.location.pathname.includes('home.html')) {
     // Redirect to login if not logged in and trying to access home
     window.location.href = '/index.html';
 } else {
@@ -39,6 +62,54 @@ if (token) {
     setupAuthForm();
 }
 
+// A sign in started by an OIDC client ends back at that client, and one started
+// with a redirect_uri at the server-checked returnTo, not on our home page
+function finishSignIn(data) {
+    if (data.mfaRequired) {
+        showMfaForm(data.mfaToken);
+        return;
+    }
+    if (data.redirectTo) {
+        window.location.href = data.redirectTo;
+        return;
+    }
+    saveSession(data);
+    window.location.href = data.returnTo || '/home.html';
+}
+
+async function showOidcRequest() {
+    setupAuthForm();
+
+    try {
+        const response = await apiFetch(`${OAUTH_URL}/requests/${encodeURIComponent(oidcRequest)}`);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Sign in request not found or expired');
+        }
+
+        title.textContent = `Sign in to ${data.clientName}`;
+
+        if (signedIn) {
+            const continued = await apiFetch(`${OAUTH_URL}/requests/${encodeURIComponent(oidcRequest)}/continue`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...authHeaders()
+                }
+            });
+            if (continued.ok) {
+                finishSignIn(await continued.json());
+                return;
+            }
+            // An expired access token just means signing in again
+        }
+    } catch (error) {
+        console.error('OIDC request error:', error);
+        showMessage(`${error.message}. Please return to the application and try again.`, 'error');
+        submitButton.disabled = true;
+    }
+}
+
 function showVerificationUI() {
     authCard.innerHTML = `
         <div class="auth-header">
@@ -72,7 +143,7 @@ async function verifyToken(token) {
             url: urlWithoutSignature
         };
 
-        const response = await fetch(`${API_URL}/magic-link/verify`, {
+        const response = await apiFetch(`${API_URL}/magic-link/verify`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(verificationData)
@@ -80,10 +151,25 @@ async function verifyToken(token) {
 
         const data = await response.json();
 
-        if (response.ok) {
+        if (response.ok && data.confirmationRequired) {
+            // The click looks unlike the device that asked for the link
+            showConfirmationForm(`${API_URL}/magic-link/verify`, verificationData);
+        } else if (response.ok && data.mfaRequired) {
+            // Two-factor accounts need a code before we get tokens
+            showMfaForm(data.mfaToken);
+        } else if (response.ok && data.redirectTo) {
+            // Signed in for another app: hand the browser back to it
+            window.location.href = data.redirectTo;
+        } else if (response.ok) {
             // Store tokens
-            localStorage.setItem('accessToken', data.accessToken);
-            localStorage.setItem('refreshToken', data.refreshToken);
+            saveSession(data);
+
+            // Offer a passkey so next time doesn't need an email
+            const destination = data.returnTo || '/home.html';
+            if (window.PublicKeyCredential && !localStorage.getItem('passkeyOfferDismissed')) {
+                showPasskeyOffer(destination);
+                return;
+            }
 
             // Show success message briefly
             document.getElementById('verifyStatus').innerHTML = `
@@ -93,9 +179,9 @@ async function verifyToken(token) {
                 </div>
             `;
 
-            // Redirect to homepage
+            // Redirect to where the sign in started, or the homepage
             setTimeout(() => {
-                window.location.href = '/home.html';
+                window.location.href = destination;
             }, 1000);
         } else {
             throw new Error(data.error || 'Verification failed');
@@ -104,8 +190,7 @@ async function verifyToken(token) {
         console.error('Verification error:', error);
         
         // Clear any existing tokens on verification failure
-        localStorage.removeItem('accessToken');
-        localStorage.removeItem('refreshToken');
+        clearSession();
         
         document.getElementById('verifyStatus').innerHTML = `
             <div class="message error">
@@ -118,9 +203,457 @@ async function verifyToken(token) {
     }
 }
 
+// Step up for a click (or code) that looks unlike the device that requested the link;
+// the same request is sent again with the code shown on that device
+function showConfirmationForm(verifyUrl, verificationData) {
+    authCard.innerHTML = `
+        <div class="auth-header">
+            <h1>Confirm it's you</h1>
+            <p>This sign in looks different from where the link was requested. Enter the 6-digit code shown on the device you requested it from.</p>
+        </div>
+        <form id="confirmationForm" class="auth-form">
+            <div class="form-group">
+                <label for="confirmationCode">Code</label>
+                <input type="text" id="confirmationCode" inputmode="numeric" autocomplete="off" pattern="[0-9]{6}" maxlength="6" required>
+            </div>
+            <button type="submit" class="submit-btn">Confirm</button>
+        </form>
+        <div id="confirmationMessageBox" class="message" style="display: none;"></div>
+    `;
+
+    const confirmationCode = document.getElementById('confirmationCode');
+    const confirmationMessageBox = document.getElementById('confirmationMessageBox');
+    confirmationCode.focus();
+
+    document.getElementById('confirmationForm').onsubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await apiFetch(verifyUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...verificationData, confirmationCode: confirmationCode.value.trim() })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Invalid code');
+            }
+            finishSignIn(data);
+        } catch (error) {
+            console.error('Confirmation error:', error);
+            confirmationMessageBox.className = 'message error';
+            confirmationMessageBox.textContent = error.message;
+            confirmationMessageBox.style.display = 'block';
+        }
+    };
+}
+
+// Second step for users with two-factor authentication turned on
+function showMfaForm(mfaToken) {
+    authCard.innerHTML = `
+        <div class="auth-header">
+            <h1>Two-factor authentication</h1>
+            <p>Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+        </div>
+        <form id="mfaForm" class="auth-form">
+            <div class="form-group">
+                <label for="mfaCode">Code</label>
+                <input type="text" id="mfaCode" autocomplete="one-time-code" required>
+            </div>
+            <button type="submit" class="submit-btn">Verify</button>
+        </form>
+        <div id="mfaMessageBox" class="message" style="display: none;"></div>
+    `;
+
+    const mfaCode = document.getElementById('mfaCode');
+    const mfaMessageBox = document.getElementById('mfaMessageBox');
+    mfaCode.focus();
+
+    document.getElementById('mfaForm').onsubmit = async (e) => {
+        e.preventDefault();
+        try {
+            const response = await apiFetch(`${API_URL}/mfa/verify`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mfaToken, code: mfaCode.value.trim() })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Invalid code');
+            }
+            finishSignIn(data);
+        } catch (error) {
+            console.error('Two-factor verification error:', error);
+            mfaMessageBox.className = 'message error';
+            mfaMessageBox.textContent = error.message;
+            mfaMessageBox.style.display = 'block';
+        }
+    };
+}
+
+// WebAuthn sends binary fields; the server's JSON uses base64url for them
+function base64urlToBuffer(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/').padEnd(Math.ceil(value.length / 4) * 4, '=');
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0)).buffer;
+}
+
+function bufferToBase64url(buffer) {
+    const binary = String.fromCharCode(...new Uint8Array(buffer));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function credentialToJSON(credential) {
+    const response = {};
+    for (const field of ['clientDataJSON', 'attestationObject', 'authenticatorData', 'signature', 'userHandle']) {
+        if (credential.response[field]) {
+            response[field] = bufferToBase64url(credential.response[field]);
+        }
+    }
+    if (credential.response.getTransports) {
+        response.transports = credential.response.getTransports();
+    }
+    return {
+        id: credential.id,
+        rawId: bufferToBase64url(credential.rawId),
+        type: credential.type,
+        response,
+        authenticatorAttachment: credential.authenticatorAttachment || undefined,
+        clientExtensionResults: credential.getClientExtensionResults()
+    };
+}
+
+async function registerPasskey() {
+    const headers = {
+        'Content-Type': 'application/json',
+        ...authHeaders()
+    };
+
+    const optionsResponse = await apiFetch(`${API_URL}/webauthn/register/options`, { method: 'POST', headers });
+    const { options, error } = await optionsResponse.json();
+    if (!optionsResponse.ok) {
+        throw new Error(error || 'Could not start passkey registration');
+    }
+
+    const credential = await navigator.credentials.create({
+        publicKey: {
+            ...options,
+            challenge: base64urlToBuffer(options.challenge),
+            user: { ...options.user, id: base64urlToBuffer(options.user.id) },
+            excludeCredentials: (options.excludeCredentials || []).map(excluded => ({ ...excluded, id: base64urlToBuffer(excluded.id) }))
+        }
+    });
+
+    const verifyResponse = await apiFetch(`${API_URL}/webauthn/register/verify`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ response: credentialToJSON(credential), name: navigator.platform || 'Passkey' })
+    });
+    const data = await verifyResponse.json();
+    if (!verifyResponse.ok) {
+        throw new Error(data.error || 'Passkey registration failed');
+    }
+    return data.passkey;
+}
+
+function showPasskeyOffer(destination = '/home.html') {
+    document.getElementById('verifyStatus').innerHTML = `
+        <div class="message success">
+            <p>✅ Login successful!</p>
+            <p>Sign in faster next time with a passkey. You can still use a magic link if you lose it.</p>
+            <button id="addPasskeyButton" class="submit-btn">Add a passkey</button>
+            <button id="skipPasskeyButton" class="submit-btn secondary-btn">Not now</button>
+        </div>
+    `;
+
+    document.getElementById('addPasskeyButton').onclick = async () => {
+        try {
+            await registerPasskey();
+            window.location.href = destination;
+        } catch (error) {
+            console.error('Passkey registration error:', error);
+            document.getElementById('verifyStatus').innerHTML = `
+                <div class="message error">
+                    <p>${error.name === 'NotAllowedError' ? 'Passkey setup was cancelled.' : error.message}</p>
+                    <button id="continueButton" class="submit-btn">Continue</button>
+                </div>
+            `;
+            document.getElementById('continueButton').onclick = () => {
+                window.location.href = destination;
+            };
+        }
+    };
+    document.getElementById('skipPasskeyButton').onclick = () => {
+        localStorage.setItem('passkeyOfferDismissed', 'true');
+        window.location.href = destination;
+    };
+}
+
+async function signInWithPasskey() {
+    clearMessage();
+    try {
+        const optionsResponse = await apiFetch(`${API_URL}/webauthn/login/options`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' }
+        });
+        const { options, challengeId, error } = await optionsResponse.json();
+        if (!optionsResponse.ok) {
+            throw new Error(error || 'Could not start passkey sign in');
+        }
+
+        const credential = await navigator.credentials.get({
+            publicKey: {
+                ...options,
+                challenge: base64urlToBuffer(options.challenge),
+                allowCredentials: (options.allowCredentials || []).map(allowed => ({ ...allowed, id: base64urlToBuffer(allowed.id) }))
+            }
+        });
+
+        const response = await apiFetch(`${API_URL}/webauthn/login/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ challengeId, response: credentialToJSON(credential), ...(oidcRequest && { oidcRequest }) })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Passkey sign in failed');
+        }
+        finishSignIn(data);
+    } catch (error) {
+        console.error('Passkey sign in error:', error);
+        showMessage(error.name === 'NotAllowedError' ? 'Passkey sign in was cancelled.' : error.message, 'error');
+    }
+}
+
+async function verifyEmail() {
+    authCard.innerHTML = `
+        <div class="auth-header">
+            <h1>Verifying your email...</h1>
+        </div>
+        <div id="verifyStatus" class="message">
+            <div class="spinner"></div>
+            <p>Please wait while we confirm your address...</p>
+        </div>
+    `;
+    const verifyStatus = document.getElementById('verifyStatus');
+
+    try {
+        const response = await apiFetch(`${API_URL}/email/verify`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token_id, token })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Invalid or expired verification link');
+        }
+
+        verifyStatus.className = 'message success';
+        verifyStatus.innerHTML = `
+            <p>✅ Email verified!</p>
+            <p>You can now sign in with a magic link.</p>
+            <button onclick="window.location.href='/'" class="submit-btn">Go to Login</button>
+        `;
+    } catch (error) {
+        console.error('Email verification error:', error);
+        verifyStatus.className = 'message error';
+        verifyStatus.innerHTML = `
+            <p></p>
+            <p>Request a magic link to get a new verification email.</p>
+            <button onclick="window.location.href='/'" class="submit-btn">Back to Login</button>
+        `;
+        verifyStatus.querySelector('p').textContent = `❌ ${error.message}`;
+    }
+}
+
+// Signed link parameters, in the shape the approval endpoints expect
+function getLinkData() {
+    return {
+        token,
+        token_id,
+        signature,
+        url: window.location.href.split('&signature=')[0]
+    };
+}
+
+async function showApprovalUI() {
+    authCard.innerHTML = `
+        <div class="auth-header">
+            <h1>Approve sign in?</h1>
+        </div>
+        <div id="approvalStatus" class="message">
+            <div class="spinner"></div>
+            <p>Loading sign in request...</p>
+        </div>
+    `;
+    const approvalStatus = document.getElementById('approvalStatus');
+
+    try {
+        const response = await apiFetch(`${API_URL}/magic-link/approval`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(getLinkData())
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Invalid or expired link');
+        }
+
+        // Build with textContent; the user agent is attacker-controlled
+        approvalStatus.innerHTML = `
+            <p>Someone asked to sign in as <strong id="approvalEmail"></strong> from:</p>
+            <p><strong>IP address:</strong> <span id="approvalIp"></span></p>
+            <p><strong>Browser:</strong> <span id="approvalAgent"></span></p>
+            <p><strong>Requested:</strong> <span id="approvalTime"></span></p>
+            <p>Only approve if this was you.</p>
+            <button id="approveButton" class="submit-btn">Approve</button>
+            <button id="denyButton" class="submit-btn secondary-btn">Deny</button>
+        `;
+        document.getElementById('approvalEmail').textContent = data.email;
+        document.getElementById('approvalIp').textContent = data.requester.ipAddress || 'Unknown';
+        document.getElementById('approvalAgent').textContent = data.requester.userAgent || 'Unknown';
+        document.getElementById('approvalTime').textContent = new Date(data.requester.requestedAt).toLocaleString();
+
+        document.getElementById('approveButton').onclick = () => submitApproval(true);
+        document.getElementById('denyButton').onclick = () => submitApproval(false);
+    } catch (error) {
+        console.error('Approval lookup error:', error);
+        showApprovalResult(`❌ ${error.message}`, 'error');
+    }
+}
+
+async function submitApproval(approve) {
+    try {
+        const response = await apiFetch(`${API_URL}/magic-link/approval/decision`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...getLinkData(), approve })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Invalid or expired link');
+        }
+
+        showApprovalResult(
+            approve
+                ? '✅ Approved. You can close this tab and continue on your other device.'
+                : '🚫 Sign in denied. Nobody was signed in.',
+            'success'
+        );
+    } catch (error) {
+        console.error('Approval error:', error);
+        showApprovalResult(`❌ ${error.message}`, 'error');
+    }
+}
+
+function showApprovalResult(text, type) {
+    const approvalStatus = document.getElementById('approvalStatus');
+    approvalStatus.className = `message ${type}`;
+    approvalStatus.innerHTML = '<p></p>';
+    approvalStatus.querySelector('p').textContent = text;
+}
+
+// Wait on the requesting browser until the link is approved on another device
+function showWaitingUI(pollToken, pollInterval) {
+    authCard.innerHTML = `
+        <div class="auth-header">
+            <h1>Check your other device</h1>
+        </div>
+        <div id="waitingStatus" class="message">
+            <div class="spinner"></div>
+            <p>Open the link we emailed you and approve the sign in. This page will continue automatically.</p>
+        </div>
+    `;
+
+    const showWaitingResult = (text) => {
+        document.getElementById('waitingStatus').innerHTML = `
+            <div class="message error">
+                <p>${text}</p>
+                <button onclick="window.location.href='/'" class="submit-btn">
+                    Back to Login
+                </button>
+            </div>
+        `;
+    };
+
+    const poll = async () => {
+        try {
+            const response = await apiFetch(`${API_URL}/magic-link/poll`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pollToken })
+            });
+            const data = await response.json();
+
+            if (response.ok && data.status === 'approved') {
+                finishSignIn(data);
+                return;
+            }
+            if (data.status === 'denied') {
+                showWaitingResult('🚫 The sign in was denied on your other device.');
+                return;
+            }
+            if (data.status === 'expired') {
+                showWaitingResult('⌛ The link expired. Please request a new one.');
+                return;
+            }
+        } catch (error) {
+            // Network blips shouldn't end the wait
+            console.error('Poll error:', error);
+        }
+        setTimeout(poll, pollInterval * 1000);
+    };
+
+    setTimeout(poll, pollInterval * 1000);
+}
+
+// While the link is out, show the code to confirm a click the server wants to double check
+function watchForConfirmation(pollToken, pollInterval) {
+    // Links last 15 minutes
+    const stopAt = Date.now() + 15 * 60 * 1000;
+
+    const poll = async () => {
+        try {
+            const response = await apiFetch(`${API_URL}/magic-link/confirmation`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ pollToken })
+            });
+            const data = await response.json();
+
+            if (response.ok && data.status === 'confirmation_required') {
+                const { browser, os, country, ipAddress } = data.verifier;
+                confirmationBox.className = 'message success';
+                confirmationBox.innerHTML = '<p></p><p><strong></strong></p><p>If that wasn\'t you, don\'t share this code.</p>';
+                confirmationBox.querySelector('p').textContent =
+                    `Your link was opened on ${browser} on ${os} from ${country ? `${country}, ` : ''}${ipAddress}. If that was you, enter this code there:`;
+                confirmationBox.querySelector('strong').textContent = data.code;
+                confirmationBox.style.display = 'block';
+            } else if (response.ok) {
+                confirmationBox.style.display = 'none';
+            }
+        } catch (error) {
+            // Network blips shouldn't end the wait
+            console.error('Confirmation poll error:', error);
+        }
+        if (Date.now() < stopAt) {
+            setTimeout(poll, pollInterval * 1000);
+        }
+    };
+
+    setTimeout(poll, pollInterval * 1000);
+}
+
 function setupAuthForm() {
     let isRegisterMode = false;
 
+    // Passkey sign in (browsers without WebAuthn keep the magic link only)
+    if (window.PublicKeyCredential) {
+        passkeyButton.style.display = 'flex';
+        passkeyButton.addEventListener('click', signInWithPasskey);
+    }
+
     // Toggle between register and login modes
     toggleMode.addEventListener('click', () => {
         isRegisterMode = !isRegisterMode;
@@ -135,6 +668,7 @@ function setupAuthForm() {
         
         // Show/hide password field with animation
         passwordGroup.style.display = isRegisterMode ? 'flex' : 'none';
+        crossDeviceGroup.style.display = isRegisterMode ? 'none' : 'flex';
         clearMessage();
     });
 
@@ -153,8 +687,8 @@ function setupAuthForm() {
         }
 
         // Validate password in register mode
-        if (isRegisterMode && password.length < 6) {
-            showMessage('Password must be at least 6 characters', 'error');
+        if (isRegisterMode && password.length < 8) {
+            showMessage('Password must be at least 8 characters', 'error');
             return;
         }
 
@@ -163,22 +697,52 @@ function setupAuthForm() {
         try {
             if (isRegisterMode) {
                 // Register
-                await fetch(`${API_URL}/register`, {
+                const response = await apiFetch(`${API_URL}/register`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ email, password })
                 });
-                showMessage('Registration successful! You can now request a magic link.', 'success');
+                const data = await response.json();
+                if (!response.ok) {
+                    showMessage(data.error || 'Registration failed', 'error');
+                    return;
+                }
+                showMessage('Registration successful! Check your email to verify your address, then request a magic link.', 'success');
                 isRegisterMode = false;
                 toggleMode.click(); // Switch to login mode
             } else {
-                // Request magic link
-                await fetch(`${API_URL}/magic-link/request`, {
+                // Request magic link, with a code for signing in from another device
+                const crossDevice = crossDeviceInput.checked;
+                const response = await apiFetch(`${API_URL}/magic-link/request`, {
                     method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ email })
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Idempotency-Key': crypto.randomUUID()
+                    },
+                    body: JSON.stringify({
+                        email,
+                        includeCode: !crossDevice,
+                        crossDevice,
+                        ...(oidcRequest && { oidcRequest }),
+                        ...(redirectUri && { redirect_uri: redirectUri }),
+                        ...(returnState && { state: returnState })
+                    })
                 });
+
+                const data = await response.json();
+                if (!response.ok) {
+                    showMessage(data.error || 'Failed to send magic link', 'error');
+                    return;
+                }
+                if (crossDevice && data.pollToken) {
+                    showWaitingUI(data.pollToken, data.pollInterval || 2);
+                    return;
+                }
                 showMessage('If an account exists, a magic link has been sent to your email.', 'success');
+                showCodeForm(email);
+                if (data.pollToken) {
+                    watchForConfirmation(data.pollToken, data.pollInterval || 2);
+                }
             }
             
             form.reset();
@@ -191,6 +755,49 @@ function setupAuthForm() {
     });
 }
 
+function showCodeForm(email) {
+    codeForm.style.display = 'block';
+    codeInput.focus();
+
+    codeForm.onsubmit = async (e) => {
+        e.preventDefault();
+        const code = codeInput.value.trim();
+
+        if (!code.match(/^\d{6}$/)) {
+            showCodeMessage('Please enter the 6-digit code from the email', 'error');
+            return;
+        }
+
+        try {
+            const response = await apiFetch(`${API_URL}/otp/verify`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ email, code })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Invalid or expired code');
+            }
+
+            if (data.confirmationRequired) {
+                showConfirmationForm(`${API_URL}/otp/verify`, { email, code });
+                return;
+            }
+            finishSignIn(data);
+        } catch (error) {
+            console.error('Code verification error:', error);
+            showCodeMessage(error.message, 'error');
+        }
+    };
+}
+
+function showCodeMessage(text, type) {
+    codeMessageBox.className = `message ${type}`;
+    codeMessageBox.textContent = text;
+    codeMessageBox.style.display = 'block';
+}
+
 // Helper functions
 function showMessage(text, type) {
     messageBox.className = `message ${type}`;
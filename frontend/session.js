@@ -0,0 +1,154 @@
+// Where this browser's tokens live, shared by every page.
+//
+// By default the backend returns the token pair as JSON and we keep it in
+// localStorage. With TOKEN_DELIVERY=cookie it sets HttpOnly cookies that page
+// scripts can't read; we only note that in localStorage, send the cookies
+// with credentials: 'include', and echo the readable csrf_token cookie in the
+// X-CSRF-Token header on state-changing requests.
+//
+// Every request also carries a DPoP proof signed by a key pair that lives in
+// IndexedDB. The private key is non-extractable, so tokens bound to it (the
+// server answers with tokenType 'DPoP') are useless if copied elsewhere.
+const AUTH_API_URL = 'http://localhost:11793/api/auth';
+const KEY_STORE_DB = 'magic-link-demo';
+let dpopKeyPair = null;
+
+function usesTokenCookies() {
+    return localStorage.getItem('tokenDelivery') === 'cookie';
+}
+
+function hasSession() {
+    return usesTokenCookies() || Boolean(localStorage.getItem('accessToken') && localStorage.getItem('refreshToken'));
+}
+
+// Keep the result of a sign in
+function saveSession(data) {
+    if (data.tokenDelivery === 'cookie') {
+        localStorage.setItem('tokenDelivery', 'cookie');
+        localStorage.removeItem('accessToken');
+        localStorage.removeItem('refreshToken');
+        return;
+    }
+    localStorage.removeItem('tokenDelivery');
+    localStorage.setItem('accessToken', data.accessToken);
+    localStorage.setItem('refreshToken', data.refreshToken);
+    localStorage.setItem('tokenType', data.tokenType || 'Bearer');
+}
+
+function clearSession() {
+    localStorage.removeItem('tokenDelivery');
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('tokenType');
+}
+
+// Authorization header for tokens kept in localStorage; cookies need none
+function authHeaders() {
+    const accessToken = localStorage.getItem('accessToken');
+    return accessToken ? { 'Authorization': `${localStorage.getItem('tokenType') || 'Bearer'} ${accessToken}` } : {};
+}
+
+function openKeyStore() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(KEY_STORE_DB, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('keys');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function keyStoreRequest(db, mode, run) {
+    return new Promise((resolve, reject) => {
+        const request = run(db.transaction('keys', mode).objectStore('keys'));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// CryptoKeys survive being stored in IndexedDB without their private half ever becoming readable
+async function getDpopKeyPair() {
+    if (dpopKeyPair) return dpopKeyPair;
+
+    const db = await openKeyStore();
+    dpopKeyPair = await keyStoreRequest(db, 'readonly', store => store.get('dpop'));
+    if (!dpopKeyPair) {
+        dpopKeyPair = await crypto.subtle.generateKey({ name: 'ECDSA', namedCurve: 'P-256' }, false, ['sign', 'verify']);
+        await keyStoreRequest(db, 'readwrite', store => store.put(dpopKeyPair, 'dpop'));
+    }
+    return dpopKeyPair;
+}
+
+function toBase64url(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// A DPoP proof (RFC 9449) for one request; ath ties it to the access token it accompanies
+async function createDpopProof(method, url, accessToken = null) {
+    const { privateKey, publicKey } = await getDpopKeyPair();
+    const { kty, crv, x, y } = await crypto.subtle.exportKey('jwk', publicKey);
+    const encoder = new TextEncoder();
+    const encode = value => toBase64url(encoder.encode(JSON.stringify(value)));
+
+    const claims = {
+        jti: crypto.randomUUID(),
+        htm: method,
+        htu: url.split(/[?#]/)[0],
+        iat: Math.floor(Date.now() / 1000)
+    };
+    if (accessToken) {
+        claims.ath = toBase64url(await crypto.subtle.digest('SHA-256', encoder.encode(accessToken)));
+    }
+
+    const signingInput = `${encode({ typ: 'dpop+jwt', alg: 'ES256', jwk: { kty, crv, x, y } })}.${encode(claims)}`;
+    const signature = await crypto.subtle.sign({ name: 'ECDSA', hash: 'SHA-256' }, privateKey, encoder.encode(signingInput));
+    return `${signingInput}.${toBase64url(signature)}`;
+}
+
+function readCookie(name) {
+    const match = document.cookie.split('; ').find(cookie => cookie.startsWith(`${name}=`));
+    return match ? decodeURIComponent(match.slice(name.length + 1)) : null;
+}
+
+async function sendRequest(url, options = {}) {
+    const headers = { ...options.headers };
+    const method = (options.method || 'GET').toUpperCase();
+    const csrfToken = readCookie('csrf_token');
+    if (!['GET', 'HEAD'].includes(method) && csrfToken) {
+        headers['X-CSRF-Token'] = csrfToken;
+    }
+    if (window.crypto?.subtle && window.indexedDB) {
+        const boundToken = headers.Authorization?.startsWith('DPoP ') ? headers.Authorization.slice(5) : null;
+        headers.DPoP = await createDpopProof(method, url, boundToken);
+    }
+    return fetch(url, { ...options, headers, credentials: 'include' });
+}
+
+async function refreshSession() {
+    const response = await sendRequest(`${AUTH_API_URL}/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(usesTokenCookies() ? {} : { refreshToken: localStorage.getItem('refreshToken') })
+    });
+    if (!response.ok) return false;
+
+    saveSession(await response.json());
+    return true;
+}
+
+// fetch for our API. An expired access token is refreshed once and the request retried.
+async function apiFetch(url, options = {}) {
+    const response = await sendRequest(url, options);
+    if (response.status !== 401 || !hasSession() || url === `${AUTH_API_URL}/refresh`) {
+        return response;
+    }
+    const { code } = await response.clone().json().catch(() => ({}));
+    if (code !== 'token_expired' || !await refreshSession()) {
+        return response;
+    }
+
+    const headers = { ...options.headers };
+    if (headers.Authorization) {
+        Object.assign(headers, authHeaders());
+    }
+    return sendRequest(url, { ...options, headers });
+}